@@ -1,9 +1,19 @@
 import { useState, useEffect, useCallback, useMemo, useRef, lazy, Suspense } from "react";
 import ModelSelector from "./components/ModelSelector";
+import InferenceSettings from "./components/InferenceSettings";
 import ScenarioSelector from "./components/ScenarioSelector";
 import ConditionalDatasetSelector from "./components/ConditionalDatasetSelector";
 import ConditionalExecutionSettings from "./components/ConditionalExecutionSettings";
 import PromptEditor from "./components/PromptEditor";
+import BatchRunPanel, { EDITOR_PROMPT_ID } from "./components/BatchRunPanel";
+import BatchMatrixView from "./components/BatchMatrixView";
+import ExampleSuiteRunner from "./components/ExampleSuiteRunner";
+import GuardrailProbeRunner from "./components/GuardrailProbeRunner";
+import RowRunPanel from "./components/RowRunPanel";
+import DatasetGeneratorPanel from "./components/DatasetGeneratorPanel";
+import DatasetImportZone from "./components/DatasetImportZone";
+import ChatPanel from "./components/ChatPanel";
+import WorldStateInspector from "./components/WorldStateInspector";
 const TestResults = lazy(() => import('./components/TestResults'));
 // Lazy-loaded sections to reduce initial bundle size
 const History = lazy(() => import('./components/History'));
@@ -31,6 +41,12 @@ import { scenarioService } from "./services/scenarioService";
 import { toolExecutionService } from "./services/toolExecutionService";
 import { workflowTrackingService } from "./services/workflowTrackingService";
 import { guardrailService } from "./services/guardrailService";
+import { batchRunService } from "./services/batchRunService";
+import { costTrackingService } from "./services/costTrackingService";
+import { workflowCassetteService } from "./services/workflowCassetteService";
+import { chatSessionService } from "./services/chatSessionService";
+import { worldStateService } from "./services/worldStateService";
+import { qualityGraderService } from "./services/qualityGraderService";
 import { useHistory } from "./hooks/useHistory";
 import { useModelOutput } from "./hooks/useModelOutput";
 import {
@@ -40,7 +56,7 @@ import {
   useTestResultsStatePersistence,
 } from "./hooks/useStatePersistence";
 import { statePersistenceService } from "./services/statePersistenceService";
-import { useSettings, useDeterminismSettings } from "./hooks/useSettings";
+import { useSettings, useDeterminismSettings, useCostSettings } from "./hooks/useSettings";
 import { validateForm, validateField } from "./utils/formValidation";
 import { handleError, retryWithBackoff } from "./utils/errorHandling";
 import {
@@ -50,6 +66,15 @@ import {
   clearFormState,
   hasFormState,
 } from "./utils/formStateStorage";
+import { DEFAULT_INFERENCE_PARAMS, normalizeInferenceParams } from "./utils/inferenceParams";
+import {
+  extractTemplateVariables,
+  getDefaultBindings,
+  getEffectiveBindings,
+  getUnboundVariables,
+  resolvePromptTemplate,
+  createPromptTemplateRecord,
+} from "./utils/promptTemplates";
 import { gradientErrorRecovery } from "./utils/gradientErrorRecovery";
 import {
   handleUIError,
@@ -162,6 +187,11 @@ function App() {
     savedFormState.maxIterations || 10
   );
   const [isToolExecuting, setIsToolExecuting] = useState(false);
+
+  // Inference parameters (initialized from saved state)
+  const [inferenceParams, setInferenceParams] = useState(() =>
+    normalizeInferenceParams(savedFormState.inferenceParams)
+  );
   const [toolExecutionId, setToolExecutionId] = useState(null);
   const [toolExecutionStatus, setToolExecutionStatus] = useState("idle"); // 'idle' | 'executing' | 'completed' | 'error' | 'cancelled'
   const [conflictMessage, setConflictMessage] = useState(null);
@@ -169,6 +199,7 @@ function App() {
   // Scenario configuration state
   const [scenarioConfig, setScenarioConfig] = useState({
     showDatasetSelector: false,
+    requiresDataset: false,
     showSystemPromptSelector: false,
     showUserPromptSelector: false,
     showToolSettings: false,
@@ -179,11 +210,70 @@ function App() {
     recommendedModels: []
   });
   const [scenarioConfigLoaded, setScenarioConfigLoaded] = useState(false);
+  // Bumped when datasets are generated, imported or deleted so every dataset list reloads
+  const [datasetListVersion, setDatasetListVersion] = useState(0);
+
+  // Spend tracking: re-check the budget whenever spend or the cost settings change
+  const { settings: costSettings } = useCostSettings();
+  const [spendSnapshot, setSpendSnapshot] = useState(() => ({
+    sessionSpend: costTrackingService.getSessionSpend(),
+    dailySpend: costTrackingService.getDailySpend(),
+  }));
+  useEffect(() => costTrackingService.addChangeListener(setSpendSnapshot), []);
+  const budgetStatus = useMemo(
+    () => costTrackingService.checkBudget(),
+    [costSettings, spendSnapshot]
+  );
   const [availableSystemPrompts, setAvailableSystemPrompts] = useState([]);
   const [availableUserPrompts, setAvailableUserPrompts] = useState([]);
   const [selectedSystemPromptId, setSelectedSystemPromptId] = useState('');
   const [selectedUserPromptId, setSelectedUserPromptId] = useState('');
 
+  // Prompt template variables: scenario declarations and per-run bindings
+  const [availablePromptVariables, setAvailablePromptVariables] = useState([]);
+  const [templateBindings, setTemplateBindings] = useState(
+    savedFormState.templateBindings || {}
+  );
+  const templateVariableNames = useMemo(
+    () => extractTemplateVariables(systemPrompt, userPrompt),
+    [systemPrompt, userPrompt]
+  );
+  const effectiveTemplateBindings = useMemo(
+    () => getEffectiveBindings(
+      templateVariableNames,
+      templateBindings,
+      getDefaultBindings(availablePromptVariables)
+    ),
+    [templateVariableNames, templateBindings, availablePromptVariables]
+  );
+
+  // Batch matrix state (kept for the session only)
+  const [batchModeEnabled, setBatchModeEnabled] = useState(false);
+  const [batchModels, setBatchModels] = useState([]);
+  const [batchDatasets, setBatchDatasets] = useState([]);
+  const [batchSystemPromptIds, setBatchSystemPromptIds] = useState([]);
+  const [batchUserPromptIds, setBatchUserPromptIds] = useState([]);
+  const [batchRun, setBatchRun] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [isBatchRunning, setIsBatchRunning] = useState(false);
+  const [selectedBatchCellId, setSelectedBatchCellId] = useState(null);
+
+  // Scenario prompts plus whatever is currently in the editor, when it differs from all of them
+  const batchSystemPromptOptions = useMemo(() => {
+    const options = [...availableSystemPrompts];
+    if (systemPrompt.trim() && !options.some(p => p.content === systemPrompt)) {
+      options.unshift({ id: EDITOR_PROMPT_ID, name: "Current editor prompt", content: systemPrompt });
+    }
+    return options;
+  }, [availableSystemPrompts, systemPrompt]);
+  const batchUserPromptOptions = useMemo(() => {
+    const options = [...availableUserPrompts];
+    if (userPrompt.trim() && !options.some(p => p.content === userPrompt)) {
+      options.unshift({ id: EDITOR_PROMPT_ID, name: "Current editor prompt", content: userPrompt });
+    }
+    return options;
+  }, [availableUserPrompts, userPrompt]);
+
   // Guardrail state
   const [guardrailsEnabled, setGuardrailsEnabled] = useState(savedFormState.guardrailsEnabled);
   const [guardrailsInitialized, setGuardrailsInitialized] = useState(false);
@@ -201,11 +291,16 @@ function App() {
       const saved = localStorage.getItem('promptatron_collapsed_sections');
       const defaults = {
         modelSelector: false,
+        inferenceSettings: false,
         scenarioSelector: false,
         datasetSelector: false,
         promptEditor: false,
         executionSettings: false,
-        guardrails: false
+        guardrails: false,
+        exampleSuite: false,
+        guardrailProbes: false,
+        rowRun: false,
+        datasetGenerator: false
       };
       if (saved) {
         const parsed = JSON.parse(saved);
@@ -217,11 +312,16 @@ function App() {
       console.warn('Failed to load collapsed sections from localStorage:', error);
       return {
         modelSelector: false,
+        inferenceSettings: false,
         scenarioSelector: false,
         datasetSelector: false,
         promptEditor: false,
         executionSettings: false,
-        guardrails: false
+        guardrails: false,
+        exampleSuite: false,
+        guardrailProbes: false,
+        rowRun: false,
+        datasetGenerator: false
       };
     }
   });
@@ -241,7 +341,7 @@ function App() {
   } = useDeterminismSettings();
 
   // Use the history hook for managing test history
-  const { saveTestResult } = useHistory();
+  const { saveTestResult, updateTestResult } = useHistory();
 
   // Use model output manager for state persistence and error recovery
   const {
@@ -655,7 +755,7 @@ function App() {
     // Scenario-based validation
     if (selectedScenario) {
       // If scenario requires datasets, check dataset selection
-      if (scenarioConfig.showDatasetSelector) {
+      if (scenarioConfig.requiresDataset) {
         hasRequiredFields = hasRequiredFields &&
           selectedDataset.id &&
           selectedDataset.content;
@@ -821,6 +921,7 @@ function App() {
       // Reset to default configuration when no scenario is selected
       setScenarioConfig({
         showDatasetSelector: false,
+        requiresDataset: false,
         showSystemPromptSelector: false,
         showUserPromptSelector: false,
         showToolSettings: false,
@@ -832,6 +933,7 @@ function App() {
       });
       setAvailableSystemPrompts([]);
       setAvailableUserPrompts([]);
+      setAvailablePromptVariables([]);
       setSelectedSystemPromptId('');
       setSelectedUserPromptId('');
       setScenarioConfigLoaded(false);
@@ -887,6 +989,7 @@ function App() {
 
       setAvailableSystemPrompts(systemPrompts);
       setAvailableUserPrompts(userPrompts);
+      setAvailablePromptVariables(await scenarioService.getPromptVariables(selectedScenario));
 
       // Auto-select first prompts if available and current prompts are empty
       if (systemPrompts.length > 0 && !systemPrompt.trim()) {
@@ -1041,6 +1144,8 @@ function App() {
       streamingEnabled,
       useToolsEnabled,
       maxIterations,
+      inferenceParams,
+      templateBindings,
       guardrailsEnabled,
     };
 
@@ -1058,6 +1163,8 @@ function App() {
     streamingEnabled,
     useToolsEnabled,
     maxIterations,
+    inferenceParams,
+    templateBindings,
     guardrailsEnabled,
     debouncedSave,
   ]);
@@ -1353,6 +1460,11 @@ function App() {
       return errors;
     }
 
+    const unboundVariables = getUnboundVariables(templateVariableNames, effectiveTemplateBindings);
+    if (unboundVariables.length > 0) {
+      return [`Template variables: provide a value for ${unboundVariables.map(name => `{{${name}}}`).join(', ')}`];
+    }
+
     return [];
   };
 
@@ -1402,6 +1514,17 @@ function App() {
       return;
     }
 
+    const currentBudgetStatus = costTrackingService.checkBudget();
+    if (currentBudgetStatus.isBlocked) {
+      setError(`${currentBudgetStatus.message} Raise the budget or switch it to warn-only in Settings → Cost & Budget.`);
+      return;
+    }
+
+    // Resolve {{variable}} placeholders once so every request in this run sees the same text
+    const runSystemPrompt = resolvePromptTemplate(systemPrompt, effectiveTemplateBindings);
+    const runUserPrompt = resolvePromptTemplate(userPrompt, effectiveTemplateBindings);
+    const promptTemplate = createPromptTemplateRecord(systemPrompt, userPrompt, effectiveTemplateBindings);
+
     setIsLoading(true);
     setError(null);
     setRetryCount(0);
@@ -1413,8 +1536,8 @@ function App() {
     const outputInitialized = initializeOutput(testId, {
       streamingEnabled,
       modelId: selectedModel,
-      systemPrompt,
-      userPrompt,
+      systemPrompt: runSystemPrompt,
+      userPrompt: runUserPrompt,
     });
 
     if (!outputInitialized) {
@@ -1424,6 +1547,13 @@ function App() {
     }
 
     try {
+      // Recorded model turns of a tool workflow, stored separately from the history entry
+      let workflowCassette = null;
+      // Converse messages of a tool workflow, so the run can be continued as a chat
+      let chatState = null;
+      // Scenario tool state at the end of a tool workflow, saved with the history entry
+      let finalState = null;
+
       // Use retry with backoff for the test execution
       const testResult = await retryWithBackoff(
         async () => {
@@ -1564,18 +1694,20 @@ function App() {
             setStreamingError(null);
 
             try {
-              // Execute tool workflow with streaming updates
-              const workflowResult = await toolExecutionService.executeWorkflow(
+              // Execute tool workflow with streaming updates, starting from the scenario's seed state
+              const isolatedRun = await worldStateService.runIsolated(selectedScenario, () => toolExecutionService.executeWorkflow(
                 selectedModel,
-                systemPrompt,
-                userPrompt,
+                runSystemPrompt,
+                runUserPrompt,
                 selectedDataset.content,
                 toolConfig,
                 {
                   maxIterations: maxIterations,
                   executionId: executionId,
                   datasetType: selectedDataset.id,
+                  scenarioId: selectedScenario,
                   guardrailConfig: guardrailConfig, // Pass guardrail configuration to tool execution
+                  inferenceParams: inferenceParams, // Pass sampling settings to every Converse call
                   onStreamUpdate: (update) => {
                     // Update streaming content with workflow progress
                     setStreamingContent(prevContent => {
@@ -1616,7 +1748,9 @@ function App() {
                     }
                   }
                 }
-              );
+              ));
+              const workflowResult = isolatedRun.result;
+              finalState = isolatedRun.finalState;
 
               // Extract response and workflow data
               console.log('[App] Processing workflow result:', {
@@ -1628,7 +1762,7 @@ function App() {
                 guardrailConfig: !!guardrailConfig
               });
 
-              let responseText = workflowResult.results.text || '';
+              let responseText = workflowResult.results.finalResponse || workflowResult.results.text || '';
 
               // Check if guardrail intervened and provide appropriate message
               if (!responseText && workflowResult.results.guardrailResults?.hasViolations) {
@@ -1644,7 +1778,10 @@ function App() {
 
               response = {
                 text: responseText,
-                usage: workflowResult.metadata?.usage || null,
+                usage: workflowResult.metadata?.usage ||
+                  batchRunService.sumWorkflowUsage(
+                    (workflowResult.workflow || []).filter((step) => step.type === "llm_response")
+                  ),
                 toolUsage: {
                   hasToolUsage: true, // UI expects this property name
                   detected: true,
@@ -1656,6 +1793,7 @@ function App() {
                       input: execution.parameters, // Map parameters to input
                       result: execution.result,
                       success: execution.success,
+                      stateChanges: execution.stateChanges || [], // World state records this call created or changed
                       timestamp: execution.timestamp,
                       extractionSuccess: execution.success,
                       wasToolAvailable: true, // Tools were available since execution happened
@@ -1686,7 +1824,10 @@ function App() {
                 executionId: workflowResult.executionId,
                 workflow: workflowResult.workflow || [],
                 metadata: workflowResult.metadata || {},
+                hasCassette: !!workflowResult.cassette,
               };
+              workflowCassette = workflowResult.cassette || null;
+              chatState = chatSessionService.createChat(workflowResult);
 
               completeToolExecution("completed");
 
@@ -1813,8 +1954,8 @@ function App() {
 
             response = await bedrockService.invokeModelStream(
               selectedModel,
-              systemPrompt,
-              userPrompt,
+              runSystemPrompt,
+              runUserPrompt,
               selectedDataset.content,
               // onToken callback
               (token, fullText, metadata = {}) => {
@@ -1928,18 +2069,20 @@ function App() {
                 setIsStreaming(false);
               },
               toolConfig, // Pass tool configuration to streaming method
-              guardrailConfig // Pass guardrail configuration to streaming method
+              guardrailConfig, // Pass guardrail configuration to streaming method
+              inferenceParams // Pass inference parameters to streaming method
             );
           } else {
             // Tool detection mode without streaming
 
             response = await bedrockService.invokeModel(
               selectedModel,
-              systemPrompt,
-              userPrompt,
+              runSystemPrompt,
+              runUserPrompt,
               selectedDataset.content,
               toolConfig, // Pass tool configuration to standard method
-              guardrailConfig // Pass guardrail configuration to standard method
+              guardrailConfig, // Pass guardrail configuration to standard method
+              inferenceParams // Pass inference parameters to standard method
             );
 
             // Update output manager with complete response
@@ -1968,15 +2111,18 @@ function App() {
           return {
             id: testId,
             modelId: selectedModel,
-            systemPrompt: systemPrompt,
-            userPrompt: userPrompt,
-            prompt: userPrompt, // Legacy field for backward compatibility
+            systemPrompt: runSystemPrompt,
+            userPrompt: runUserPrompt,
+            prompt: runUserPrompt, // Legacy field for backward compatibility
+            promptTemplate: promptTemplate, // Template text and bindings when the prompts use {{variables}}
             scenarioId: selectedScenario || null,
             datasetType: selectedDataset.id,
             datasetName: selectedDataset.name,
             datasetContent: selectedDataset.content, // Include dataset content for determinism evaluation
+            datasetSubset: selectedDataset.subset || null, // Filter, sample and columns the content was narrowed to
             response: response.text,
             usage: response.usage,
+            cost: response.cost || costTrackingService.estimateCost(response.usage, selectedModel), // Snapshot so later price edits don't rewrite history
             isStreamed: streamingEnabled && !useToolsEnabled, // Streaming not used in tool execution mode
             streamingMetrics: streamingMetrics,
             toolUsage: response.toolUsage || null, // Include tool usage data from response
@@ -1984,10 +2130,13 @@ function App() {
             toolConfigurationStatus: toolConfigurationStatus, // Include tool configuration status
             toolExecutionEnabled: useToolsEnabled, // Flag to indicate if tools were actually executed
             workflowData: workflowData, // Include workflow data for tool execution
+            chat: chatState, // Conversation state for follow-up messages in tool execution mode
+            finalState: finalState, // Scenario tool state snapshot after the run
             guardrailResults: response.guardrailResults || null, // Include guardrail evaluation results
             guardrailConfig: guardrailConfig, // Include guardrail configuration used
             guardrailsEnabled: guardrailsEnabled, // Flag to indicate if guardrails were enabled
             guardrailSnapshot: guardrailSnapshot, // Include guardrail state snapshot for history display
+            inferenceParams: inferenceParams, // Include inference parameters used for this run
             timestamp: new Date().toISOString(),
           };
         },
@@ -2003,15 +2152,35 @@ function App() {
       setProgressStatus("Saving results...");
       setProgressValue(90);
 
+      // Score the run's actions against the dataset labels in labelled evaluation mode
+      if (selectedDataset.labelled && selectedScenario) {
+        testResult.groundTruthScore = await scenarioService.scoreAgainstGroundTruth(
+          selectedScenario,
+          selectedDataset.id,
+          testResult.toolUsage,
+          { subset: selectedDataset.subset }
+        );
+      }
+
       setTestResults(testResult);
       setRetryCount(0);
 
       // Save to history using the history service
       await saveTestResult(testResult);
+      if (workflowCassette) {
+        await workflowCassetteService.saveCassette(testResult.id, workflowCassette);
+      }
 
       setProgressStatus("Complete!");
       setProgressValue(100);
 
+      // Score the run against the default rubric in the background when auto-grading is on
+      qualityGraderService.autoGradeRun(testResult).then((qualityGrade) => {
+        if (qualityGrade) {
+          handleQualityGraded(qualityGrade, testResult.id);
+        }
+      });
+
       // Trigger determinism evaluation if enabled (single-fire logic)
       if (determinismEnabled) {
         setShouldStartDeterminismEvaluation(true);
@@ -2113,10 +2282,17 @@ function App() {
       id: historyItem.datasetType,
       name: historyItem.datasetName || historyItem.datasetType,
       content: null, // Will be loaded when dataset selector processes this
+      labelled: !!historyItem.groundTruthScore, // Reload in labelled mode when the run was scored
+      subset: historyItem.datasetSubset || null, // Reload the same rows and columns the run was sent
     });
 
     // Load dual prompt format with backward compatibility
-    if (
+    if (historyItem.promptTemplate) {
+      // Templated run - restore the template text and its bindings rather than the resolved prompts
+      setSystemPrompt(historyItem.promptTemplate.systemPrompt || "");
+      setUserPrompt(historyItem.promptTemplate.userPrompt || "");
+      setTemplateBindings(historyItem.promptTemplate.bindings || {});
+    } else if (
       historyItem.systemPrompt !== undefined ||
       historyItem.userPrompt !== undefined
     ) {
@@ -2133,6 +2309,9 @@ function App() {
       setUserPrompt("");
     }
 
+    // Restore inference parameters (older entries fall back to defaults)
+    setInferenceParams(normalizeInferenceParams(historyItem.inferenceParams));
+
     // Mark all fields as touched when loading from history
     setTouchedFields({
       model: true,
@@ -2326,7 +2505,10 @@ function App() {
       // If we have a selected dataset, reload its content
       if (selectedDataset.id) {
         try {
-          const refreshedContent = await scenarioService.getDatasetContent(scenarioId, selectedDataset.id);
+          const refreshedContent = await scenarioService.getDatasetContent(scenarioId, selectedDataset.id, {
+            stripLabels: !!selectedDataset.labelled,
+            subset: selectedDataset.subset
+          });
           setSelectedDataset(prev => ({
             ...prev,
             content: refreshedContent
@@ -2349,6 +2531,27 @@ function App() {
     markFieldAsTouched("dataset");
   };
 
+  const handleDatasetGenerated = (dataset) => {
+    // A scenario without datasets of its own shows the selector once it has a generated one
+    setScenarioConfig(prev => ({ ...prev, showDatasetSelector: true }));
+    setDatasetListVersion(version => version + 1);
+    if (!batchModeEnabled) {
+      handleDatasetSelect({ id: dataset.id, name: dataset.name, content: null, labelled: false, subset: null });
+    }
+  };
+
+  // Imports made before the selector is shown; the selector takes over once the scenario has a dataset
+  const handleDatasetsImported = (datasets) => {
+    setScenarioConfig(prev => ({ ...prev, showDatasetSelector: true }));
+    setDatasetListVersion(version => version + 1);
+    if (batchModeEnabled) {
+      setBatchDatasets(prev => [...prev, ...datasets.map(dataset => ({ id: dataset.id, name: dataset.name }))]);
+    } else {
+      const latest = datasets[datasets.length - 1];
+      handleDatasetSelect({ id: latest.id, name: latest.name, content: null, labelled: false, subset: null });
+    }
+  };
+
   // ScenarioBuilder handlers
   const handleOpenScenarioBuilder = useCallback(() => {
     setEditingScenario(null);
@@ -2462,6 +2665,230 @@ function App() {
     setMaxIterations(iterations);
   };
 
+  // Batch matrix handlers
+  const handleBatchModeToggle = (enabled) => {
+    setBatchModeEnabled(enabled);
+
+    // Seed the batch selections from the single-run form so the first batch is one click away
+    if (enabled) {
+      if (batchModels.length === 0 && selectedModel) {
+        setBatchModels([selectedModel]);
+      }
+      if (batchDatasets.length === 0 && selectedDataset.id) {
+        setBatchDatasets([{ id: selectedDataset.id, name: selectedDataset.name }]);
+      }
+      if (batchSystemPromptIds.length === 0 && systemPrompt.trim()) {
+        setBatchSystemPromptIds([
+          availableSystemPrompts.some(p => p.id === selectedSystemPromptId && p.content === systemPrompt)
+            ? selectedSystemPromptId
+            : EDITOR_PROMPT_ID
+        ]);
+      }
+      if (batchUserPromptIds.length === 0 && userPrompt.trim()) {
+        setBatchUserPromptIds([
+          availableUserPrompts.some(p => p.id === selectedUserPromptId && p.content === userPrompt)
+            ? selectedUserPromptId
+            : EDITOR_PROMPT_ID
+        ]);
+      }
+    }
+  };
+
+  const batchValidationErrors = useMemo(() => {
+    const errors = [];
+    const systemPrompts = batchSystemPromptOptions.filter(p => batchSystemPromptIds.includes(p.id));
+    const userPrompts = batchUserPromptOptions.filter(p => batchUserPromptIds.includes(p.id));
+
+    if (batchModels.length === 0) {
+      errors.push("Select at least one model");
+    }
+    if (userPrompts.length === 0) {
+      errors.push("Select at least one user prompt");
+    }
+    if (selectedScenario && scenarioConfig.requiresDataset && batchDatasets.length === 0) {
+      errors.push("Select at least one dataset");
+    }
+
+    const variableNames = extractTemplateVariables(
+      ...systemPrompts.map(p => p.content),
+      ...userPrompts.map(p => p.content)
+    );
+    const unboundVariables = getUnboundVariables(
+      variableNames,
+      getEffectiveBindings(variableNames, templateBindings, getDefaultBindings(availablePromptVariables))
+    );
+    if (unboundVariables.length > 0) {
+      errors.push(`Provide a value for ${unboundVariables.map(name => `{{${name}}}`).join(", ")}`);
+    }
+
+    return errors;
+  }, [batchModels, batchDatasets, batchSystemPromptIds, batchUserPromptIds, batchSystemPromptOptions, batchUserPromptOptions, selectedScenario, scenarioConfig.requiresDataset, templateBindings, availablePromptVariables]);
+
+  const handleRunBatch = async () => {
+    if (batchValidationErrors.length > 0 || isBatchRunning) {
+      return;
+    }
+
+    setIsBatchRunning(true);
+    setError(null);
+    setSelectedBatchCellId(null);
+    setBatchRun(null);
+
+    try {
+      // Tool configuration and guardrails are shared by every cell in the batch
+      let toolConfig = null;
+      if (useToolsEnabled && selectedScenario) {
+        if (!scenarioService.isInitialized) {
+          await scenarioService.initialize();
+        }
+        const toolConfigResult = await scenarioToolIntegrationService.getToolConfigurationForScenario(selectedScenario);
+        if (toolConfigResult.hasToolConfig) {
+          toolConfig = toolConfigResult.toolConfig;
+        }
+      }
+
+      let guardrailConfig = null;
+      if (guardrailsEnabled && selectedScenario) {
+        try {
+          guardrailConfig = await getGuardrailConfigForTest();
+        } catch (guardrailError) {
+          console.warn('[App] Failed to configure guardrails for batch, proceeding without:', guardrailError);
+        }
+      }
+
+      const systemPrompts = batchSystemPromptOptions.filter(p => batchSystemPromptIds.includes(p.id));
+      const userPrompts = batchUserPromptOptions.filter(p => batchUserPromptIds.includes(p.id));
+
+      const summary = await batchRunService.runBatch(
+        {
+          scenarioId: selectedScenario,
+          models: batchModels,
+          systemPrompts,
+          userPrompts,
+          datasets: batchDatasets,
+          templateBindings,
+          templateDefaults: getDefaultBindings(availablePromptVariables),
+          inferenceParams,
+          toolConfig,
+          useTools: useToolsEnabled && !!toolConfig,
+          maxIterations,
+          guardrailConfig,
+        },
+        {
+          onCellUpdate: (cell) => {
+            setBatchRun((prev) => {
+              if (!prev || prev.batchId !== cell.batchId) {
+                return { batchId: cell.batchId, cells: [cell] };
+              }
+              const exists = prev.cells.some((c) => c.cellId === cell.cellId);
+              return {
+                ...prev,
+                cells: exists
+                  ? prev.cells.map((c) => (c.cellId === cell.cellId ? cell : c))
+                  : [...prev.cells, cell],
+              };
+            });
+          },
+          onProgress: (completed, total, failed) => {
+            setBatchProgress({ completed, total, failed });
+          },
+        }
+      );
+
+      if (summary.budgetStopMessage) {
+        setError(`Batch stopped before every run started. ${summary.budgetStopMessage}`);
+      } else if (summary.failed > 0) {
+        setError(`Batch finished with ${summary.failed} of ${summary.total} runs failed. Hover over a failed cell for details.`);
+      }
+    } catch (batchError) {
+      const errorInfo = handleError(batchError, {
+        component: "App",
+        action: "runBatch",
+      });
+      setError(errorInfo.userMessage);
+    } finally {
+      setIsBatchRunning(false);
+      setBatchProgress(null);
+    }
+  };
+
+  const handleCancelBatch = () => {
+    if (batchRun?.batchId) {
+      batchRunService.cancelBatch(batchRun.batchId);
+    }
+  };
+
+  const handleSelectBatchCell = (cell) => {
+    setSelectedBatchCellId(cell.cellId);
+    setTestResults(cell.result);
+  };
+
+  // Examples run with the current inference, tool and guardrail settings
+  const getExampleRunOptions = async () => {
+    let guardrailConfig = null;
+    if (guardrailsEnabled && selectedScenario) {
+      try {
+        guardrailConfig = await getGuardrailConfigForTest();
+      } catch (guardrailError) {
+        console.warn('[App] Failed to configure guardrails for examples, proceeding without:', guardrailError);
+      }
+    }
+
+    return {
+      inferenceParams,
+      guardrailConfig,
+      useTools: useToolsEnabled,
+      maxIterations,
+    };
+  };
+
+  // Row-wise runs use the editor's prompts and bindings with the current tool and guardrail settings
+  const getRowRunOptions = async () => {
+    let toolConfig = null;
+    if (useToolsEnabled && selectedScenario) {
+      const toolConfigResult = await scenarioToolIntegrationService.getToolConfigurationForScenario(selectedScenario);
+      if (toolConfigResult.hasToolConfig) {
+        toolConfig = toolConfigResult.toolConfig;
+      }
+    }
+
+    return {
+      ...(await getExampleRunOptions()),
+      templateBindings,
+      templateDefaults: getDefaultBindings(availablePromptVariables),
+      toolConfig,
+      useTools: useToolsEnabled && !!toolConfig,
+    };
+  };
+
+  const handleViewExampleResult = (result) => {
+    setSelectedBatchCellId(null);
+    setTestResults(result);
+  };
+
+  // Follow-up chat turns reuse the model, prompts, tools and guardrail of the original run
+  const handleSendChatMessage = async (message, onStreamUpdate) => {
+    const updatedResult = await chatSessionService.sendMessage(testResults, message, {
+      guardrailConfig: testResults.guardrailConfig || null,
+      maxIterations,
+      onStreamUpdate,
+    });
+
+    setTestResults(updatedResult);
+    await updateTestResult(updatedResult);
+  };
+
+  // Auto-grades finish in the background, so merge into whichever result is current and saved
+  const handleQualityGraded = async (qualityGrade, testId = testResults?.id) => {
+    setTestResults((prev) => (prev?.id === testId ? { ...prev, qualityGrade } : prev));
+
+    const savedHistory = await fileService.loadHistory();
+    const savedResult = savedHistory.find((item) => item.id === testId);
+    if (savedResult) {
+      await updateTestResult({ ...savedResult, qualityGrade });
+    }
+  };
+
   // Tool execution state management
   const initializeToolExecution = (executionId) => {
     setIsToolExecuting(true);
@@ -2543,6 +2970,15 @@ function App() {
       setStreamingEnabled(true);
       setUseToolsEnabled(false);
       setMaxIterations(10);
+      setInferenceParams({ ...DEFAULT_INFERENCE_PARAMS });
+      setTemplateBindings({});
+      setBatchModeEnabled(false);
+      setBatchModels([]);
+      setBatchDatasets([]);
+      setBatchSystemPromptIds([]);
+      setBatchUserPromptIds([]);
+      setBatchRun(null);
+      setSelectedBatchCellId(null);
       setIsToolExecuting(false);
       setToolExecutionId(null);
       setToolExecutionStatus("idle");
@@ -2668,6 +3104,17 @@ function App() {
                         externalError={error}
                         isCollapsed={collapsedSections.modelSelector}
                         onToggleCollapse={() => toggleSectionCollapse('modelSelector')}
+                        multiSelect={batchModeEnabled}
+                        selectedModels={batchModels}
+                        onSelectedModelsChange={setBatchModels}
+                      />
+
+                      <InferenceSettings
+                        inferenceParams={inferenceParams}
+                        onInferenceParamsChange={setInferenceParams}
+                        isExecuting={isLoading || isToolExecuting}
+                        isCollapsed={collapsedSections.inferenceSettings}
+                        onToggleCollapse={() => toggleSectionCollapse('inferenceSettings')}
                       />
 
                       <ScenarioSelector
@@ -2718,9 +3165,24 @@ function App() {
                           validationError={validationErrors.dataset}
                           isCollapsed={collapsedSections.datasetSelector}
                           onToggleCollapse={() => toggleSectionCollapse('datasetSelector')}
+                          multiSelect={batchModeEnabled}
+                          selectedDatasets={batchDatasets}
+                          onSelectedDatasetsChange={setBatchDatasets}
+                          listVersion={datasetListVersion}
+                          onDatasetsChange={() => setDatasetListVersion(version => version + 1)}
                         />
                       )}
 
+                      {selectedScenario && !scenarioConfig.showDatasetSelector && (
+                        <div className="card">
+                          <p className="text-sm font-medium text-gray-700 mb-2">Import Dataset</p>
+                          <DatasetImportZone
+                            scenarioId={selectedScenario}
+                            onImported={handleDatasetsImported}
+                          />
+                        </div>
+                      )}
+
                       <PromptEditor
                         systemPrompt={systemPrompt}
                         userPrompt={userPrompt}
@@ -2733,6 +3195,9 @@ function App() {
                         systemPromptWarning={validationWarnings.systemPrompt}
                         userPromptWarning={validationWarnings.userPrompt}
                         selectedDataset={selectedDataset}
+                        promptVariables={availablePromptVariables}
+                        templateBindings={templateBindings}
+                        onTemplateBindingsChange={setTemplateBindings}
                         isCollapsed={collapsedSections.promptEditor}
                         onToggleCollapse={() => toggleSectionCollapse('promptEditor')}
                       />
@@ -2751,7 +3216,9 @@ function App() {
                         onDeterminismToggle={handleDeterminismToggle}
                         streamingEnabled={streamingEnabled}
                         onStreamingToggle={setStreamingEnabled}
-                        isExecuting={isLoading || isToolExecuting}
+                        batchModeEnabled={batchModeEnabled}
+                        onBatchModeToggle={handleBatchModeToggle}
+                        isExecuting={isLoading || isToolExecuting || isBatchRunning}
                         conflictMessage={conflictMessage}
                         hasFormState={hasFormState()}
                         onClearSavedSettings={handleClearSavedSettings}
@@ -2761,7 +3228,7 @@ function App() {
                       />
 
                       {/* Enhanced Validation Summary with Dual Prompt Guidance */}
-                      {Object.keys(validationErrors).length > 0 && (
+                      {!batchModeEnabled && Object.keys(validationErrors).length > 0 && (
                         <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
                           <div className="flex">
                             <div className="flex-shrink-0">
@@ -2956,6 +3423,37 @@ function App() {
                         </div>
                       )}
 
+                      {budgetStatus.message && (
+                        <div
+                          className={`p-3 rounded-lg border text-sm ${
+                            budgetStatus.status === "exceeded"
+                              ? "bg-red-50 border-red-200 text-red-800"
+                              : "bg-yellow-50 border-yellow-200 text-yellow-800"
+                          }`}
+                          role="status"
+                        >
+                          {budgetStatus.message}
+                          {budgetStatus.isBlocked && " New runs are blocked until the budget is raised or the session spend is reset."}
+                        </div>
+                      )}
+
+                      {batchModeEnabled ? (
+                        <BatchRunPanel
+                          systemPrompts={batchSystemPromptOptions}
+                          userPrompts={batchUserPromptOptions}
+                          selectedSystemPromptIds={batchSystemPromptIds}
+                          selectedUserPromptIds={batchUserPromptIds}
+                          onSelectedSystemPromptIdsChange={setBatchSystemPromptIds}
+                          onSelectedUserPromptIdsChange={setBatchUserPromptIds}
+                          modelCount={batchModels.length}
+                          datasetCount={batchDatasets.length}
+                          isRunning={isBatchRunning}
+                          progress={batchProgress}
+                          validationErrors={batchValidationErrors}
+                          onRun={handleRunBatch}
+                          onCancel={handleCancelBatch}
+                        />
+                      ) : (
                       <div className="flex justify-center">
                         <button
                           onClick={handleRunTest}
@@ -2978,6 +3476,49 @@ function App() {
                           )}
                         </button>
                       </div>
+                      )}
+
+                      <ExampleSuiteRunner
+                        scenarioId={selectedScenario}
+                        modelId={batchModeEnabled ? batchModels[0] || null : selectedModel || null}
+                        getRunOptions={getExampleRunOptions}
+                        onViewResult={handleViewExampleResult}
+                        disabled={isLoading || isToolExecuting || isBatchRunning}
+                        isCollapsed={collapsedSections.exampleSuite}
+                        onToggleCollapse={() => toggleSectionCollapse('exampleSuite')}
+                      />
+
+                      <GuardrailProbeRunner
+                        scenarioId={selectedScenario}
+                        getGuardrailConfig={getGuardrailConfigForTest}
+                        disabled={isLoading || isToolExecuting || isBatchRunning}
+                        isCollapsed={collapsedSections.guardrailProbes}
+                        onToggleCollapse={() => toggleSectionCollapse('guardrailProbes')}
+                      />
+
+                      {!batchModeEnabled && (
+                        <RowRunPanel
+                          scenarioId={selectedScenario}
+                          modelId={selectedModel || null}
+                          dataset={selectedDataset}
+                          systemPrompt={systemPrompt}
+                          userPrompt={userPrompt}
+                          getRunOptions={getRowRunOptions}
+                          disabled={isLoading || isToolExecuting || isBatchRunning}
+                          isCollapsed={collapsedSections.rowRun}
+                          onToggleCollapse={() => toggleSectionCollapse('rowRun')}
+                        />
+                      )}
+
+                      <DatasetGeneratorPanel
+                        scenarioId={selectedScenario || null}
+                        modelId={selectedModel || null}
+                        listVersion={datasetListVersion}
+                        disabled={isLoading || isToolExecuting || isBatchRunning}
+                        isCollapsed={collapsedSections.datasetGenerator}
+                        onToggleCollapse={() => toggleSectionCollapse('datasetGenerator')}
+                        onGenerated={handleDatasetGenerated}
+                      />
                     </div>
 
                     {/* Right Column - Results */}
@@ -2985,6 +3526,13 @@ function App() {
                       className="animate-slide-up"
                       style={{ animationDelay: "0.1s" }}
                     >
+                      {batchModeEnabled && batchRun && (
+                        <BatchMatrixView
+                          batchRun={batchRun}
+                          selectedCellId={selectedBatchCellId}
+                          onSelectCell={handleSelectBatchCell}
+                        />
+                      )}
                       <Suspense fallback={<LoadingSpinner message="Loading results..." />}>
                       <TestResults
                         results={testResults}
@@ -2993,6 +3541,7 @@ function App() {
                         shouldStartDeterminismEvaluation={
                           shouldStartDeterminismEvaluation
                         }
+                        onQualityGraded={handleQualityGraded}
                         onEvaluationComplete={async (grade) => {
                           // Handle determinism evaluation completion
                           if (testResults && grade) {
@@ -3035,6 +3584,26 @@ function App() {
                         isToolExecuting={toolExecutionStatus === "executing"}
                       />
                       </Suspense>
+
+                      {!isLoading && chatSessionService.canContinue(testResults) && (
+                        <div className="mt-6">
+                          <ChatPanel
+                            testResult={testResults}
+                            onSendMessage={handleSendChatMessage}
+                            disabled={isToolExecuting || isBatchRunning}
+                          />
+                        </div>
+                      )}
+
+                      {!isLoading && testResults?.toolExecutionEnabled && (testResults.scenarioId || selectedScenario) && (
+                        <div className="mt-6">
+                          <WorldStateInspector
+                            scenarioId={testResults.scenarioId || selectedScenario}
+                            testResult={testResults}
+                            disabled={isToolExecuting || isBatchRunning}
+                          />
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,211 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-50 border-gray-200 text-gray-400',
+  running: 'bg-blue-50 border-blue-200 text-blue-700',
+  completed: 'bg-green-50 border-green-200 text-green-800',
+  error: 'bg-red-50 border-red-200 text-red-700',
+  cancelled: 'bg-gray-50 border-gray-200 text-gray-500'
+};
+
+/**
+ * Short display name for a model ID, e.g. "anthropic.claude-3-haiku-20240307-v1:0" -> "claude-3-haiku-20240307-v1:0"
+ */
+const shortModelName = (modelId) => {
+  const withoutRegion = modelId.replace(/^(us|eu|apac)\./, '');
+  const dotIndex = withoutRegion.indexOf('.');
+  return dotIndex >= 0 ? withoutRegion.slice(dotIndex + 1) : withoutRegion;
+};
+
+const getTotalTokens = (usage) => {
+  if (!usage) {
+    return null;
+  }
+  return usage.total_tokens || ((usage.input_tokens || 0) + (usage.output_tokens || 0)) || null;
+};
+
+const formatLatency = (ms) => {
+  if (typeof ms !== 'number') {
+    return '—';
+  }
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+};
+
+const MatrixCell = ({ cell, isSelected, onSelect }) => {
+  if (!cell) {
+    return <td className="p-1" />;
+  }
+
+  const result = cell.result;
+  const totalTokens = getTotalTokens(result?.usage);
+  const toolCallCount = result?.toolUsage?.toolCallCount;
+
+  return (
+    <td className="p-1 align-top">
+      <button
+        onClick={() => result && onSelect(cell)}
+        disabled={!result}
+        title={cell.error || undefined}
+        className={`w-full min-w-[120px] text-left border rounded-md px-2 py-1.5 text-xs transition-colors ${
+          STATUS_STYLES[cell.status] || STATUS_STYLES.pending
+        } ${isSelected ? 'ring-2 ring-primary-500' : ''} ${result ? 'hover:shadow-sm cursor-pointer' : 'cursor-default'}`}
+      >
+        {cell.status === 'completed' && result ? (
+          <div className="space-y-0.5">
+            <div className="font-medium truncate">{result.stopReason || 'completed'}</div>
+            <div className="flex items-center justify-between text-gray-600">
+              <span>{formatLatency(result.responseTime)}</span>
+              <span>{totalTokens !== null ? `${totalTokens.toLocaleString()} tok` : '—'}</span>
+            </div>
+            {result.toolExecutionEnabled && (
+              <div className="text-gray-600">
+                {toolCallCount || 0} tool call{toolCallCount !== 1 ? 's' : ''}
+              </div>
+            )}
+          </div>
+        ) : cell.status === 'running' ? (
+          <div className="flex items-center space-x-1">
+            <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-600"></div>
+            <span>Running</span>
+          </div>
+        ) : cell.status === 'error' ? (
+          <div className="space-y-0.5">
+            <div className="font-medium">Error</div>
+            <div className="truncate">{cell.error}</div>
+          </div>
+        ) : (
+          <span className="capitalize">{cell.status}</span>
+        )}
+      </button>
+    </td>
+  );
+};
+
+MatrixCell.propTypes = {
+  cell: PropTypes.object,
+  isSelected: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired
+};
+
+const BatchMatrixView = ({ batchRun, selectedCellId, onSelectCell }) => {
+  const { models, rows, cellLookup } = useMemo(() => {
+    const modelIds = [];
+    const rowMap = new Map();
+    const lookup = new Map();
+
+    (batchRun?.cells || []).forEach(cell => {
+      if (!modelIds.includes(cell.modelId)) {
+        modelIds.push(cell.modelId);
+      }
+      if (!rowMap.has(cell.rowKey)) {
+        rowMap.set(cell.rowKey, {
+          rowKey: cell.rowKey,
+          systemPromptName: cell.systemPrompt?.name || null,
+          userPromptName: cell.userPrompt?.name || cell.userPrompt?.id,
+          datasetName: cell.dataset?.name || null
+        });
+      }
+      lookup.set(`${cell.rowKey}|${cell.modelId}`, cell);
+    });
+
+    return { models: modelIds, rows: [...rowMap.values()], cellLookup: lookup };
+  }, [batchRun]);
+
+  if (!batchRun || rows.length === 0) {
+    return null;
+  }
+
+  const cells = batchRun.cells || [];
+  const finished = cells.filter(cell => cell.status === 'completed' || cell.status === 'error' || cell.status === 'cancelled').length;
+  const failed = cells.filter(cell => cell.status === 'error').length;
+
+  return (
+    <div className="card mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Batch Results</h3>
+          <p className="text-xs text-gray-500 font-mono">{batchRun.batchId}</p>
+        </div>
+        <div className="text-sm text-gray-600">
+          {finished}/{cells.length} finished
+          {failed > 0 && <span className="ml-2 text-red-600">{failed} failed</span>}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              <th className="p-1 text-left text-xs font-medium text-gray-500">Prompt / Dataset</th>
+              {models.map(modelId => (
+                <th key={modelId} className="p-1 text-left text-xs font-medium text-gray-500" title={modelId}>
+                  {shortModelName(modelId)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.rowKey} className="border-t border-gray-100">
+                <th className="p-1 pr-3 text-left align-top font-normal text-xs text-gray-700 max-w-[200px]">
+                  {row.systemPromptName && (
+                    <div className="truncate" title={row.systemPromptName}>
+                      <span className="text-gray-400">sys:</span> {row.systemPromptName}
+                    </div>
+                  )}
+                  <div className="truncate" title={row.userPromptName}>
+                    <span className="text-gray-400">user:</span> {row.userPromptName}
+                  </div>
+                  {row.datasetName && (
+                    <div className="truncate" title={row.datasetName}>
+                      <span className="text-gray-400">data:</span> {row.datasetName}
+                    </div>
+                  )}
+                </th>
+                {models.map(modelId => {
+                  const cell = cellLookup.get(`${row.rowKey}|${modelId}`);
+                  return (
+                    <MatrixCell
+                      key={modelId}
+                      cell={cell}
+                      isSelected={!!cell && cell.cellId === selectedCellId}
+                      onSelect={onSelectCell}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="mt-3 text-xs text-gray-500">
+        Click a finished cell to view its full response below. Every cell is also saved to History.
+      </p>
+    </div>
+  );
+};
+
+BatchMatrixView.propTypes = {
+  batchRun: PropTypes.shape({
+    batchId: PropTypes.string,
+    cells: PropTypes.arrayOf(PropTypes.shape({
+      cellId: PropTypes.string.isRequired,
+      rowKey: PropTypes.string.isRequired,
+      modelId: PropTypes.string.isRequired,
+      status: PropTypes.string,
+      result: PropTypes.object,
+      error: PropTypes.string
+    }))
+  }),
+  selectedCellId: PropTypes.string,
+  onSelectCell: PropTypes.func.isRequired
+};
+
+BatchMatrixView.defaultProps = {
+  batchRun: null,
+  selectedCellId: null
+};
+
+export default BatchMatrixView;
@@ -0,0 +1,210 @@
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import ProgressBar from './ProgressBar';
+import { MAX_BATCH_CELLS } from '../services/batchRunService';
+
+/**
+ * Identifier used for the prompt currently in the editor, alongside the scenario prompts
+ */
+export const EDITOR_PROMPT_ID = '__editor__';
+
+const PromptChecklist = ({ label, prompts, selectedIds, onChange, disabled }) => {
+  const handleToggle = (promptId) => {
+    if (selectedIds.includes(promptId)) {
+      onChange(selectedIds.filter(id => id !== promptId));
+    } else {
+      onChange([...selectedIds, promptId]);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <span className="block text-sm font-medium text-gray-700">{label}</span>
+      <div className="max-h-48 overflow-y-auto border border-gray-300 rounded-md divide-y divide-gray-100">
+        {prompts.map(prompt => (
+          <label
+            key={prompt.id}
+            className="flex items-start space-x-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer"
+          >
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(prompt.id)}
+              onChange={() => handleToggle(prompt.id)}
+              disabled={disabled}
+              className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+            />
+            <span className="min-w-0">
+              <span className="block">{prompt.name}</span>
+              <span className="block text-xs text-gray-500 truncate">{prompt.content}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+PromptChecklist.propTypes = {
+  label: PropTypes.string.isRequired,
+  prompts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    content: PropTypes.string
+  })).isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+const BatchRunPanel = ({
+  systemPrompts,
+  userPrompts,
+  selectedSystemPromptIds,
+  selectedUserPromptIds,
+  onSelectedSystemPromptIdsChange,
+  onSelectedUserPromptIdsChange,
+  modelCount,
+  datasetCount,
+  isRunning,
+  progress,
+  validationErrors,
+  onRun,
+  onCancel
+}) => {
+  const systemCount = Math.max(selectedSystemPromptIds.length, 1);
+  const cellCount = modelCount * systemCount * selectedUserPromptIds.length * Math.max(datasetCount, 1);
+  const isTooLarge = cellCount > MAX_BATCH_CELLS;
+  const canRun = !isRunning && cellCount > 0 && !isTooLarge && validationErrors.length === 0;
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center space-x-2">
+        <h3 className="text-lg font-semibold text-gray-900">Batch Matrix</h3>
+        <HelpTooltip
+          content="Select the prompts to include. The batch runs every combination of the selected models, prompt pairs and datasets, and saves each cell to history under one batch ID."
+          position="right"
+        />
+      </div>
+
+      {systemPrompts.length > 0 && (
+        <PromptChecklist
+          label="System Prompts"
+          prompts={systemPrompts}
+          selectedIds={selectedSystemPromptIds}
+          onChange={onSelectedSystemPromptIdsChange}
+          disabled={isRunning}
+        />
+      )}
+
+      <PromptChecklist
+        label="User Prompts"
+        prompts={userPrompts}
+        selectedIds={selectedUserPromptIds}
+        onChange={onSelectedUserPromptIdsChange}
+        disabled={isRunning}
+      />
+
+      <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+        <span className="font-medium">{modelCount}</span> model{modelCount !== 1 ? 's' : ''}
+        {' × '}
+        <span className="font-medium">{selectedSystemPromptIds.length || 'no'}</span> system
+        {' × '}
+        <span className="font-medium">{selectedUserPromptIds.length}</span> user
+        {' × '}
+        <span className="font-medium">{datasetCount || 'no'}</span> dataset{datasetCount !== 1 ? 's' : ''}
+        {' = '}
+        <span className={`font-semibold ${isTooLarge ? 'text-red-600' : 'text-gray-900'}`}>
+          {cellCount} run{cellCount !== 1 ? 's' : ''}
+        </span>
+        {isTooLarge && (
+          <p className="mt-1 text-xs text-red-600">
+            Batches are limited to {MAX_BATCH_CELLS} runs. Deselect some options to continue.
+          </p>
+        )}
+      </div>
+
+      {validationErrors.length > 0 && (
+        <ul className="text-sm text-yellow-700 space-y-1">
+          {validationErrors.map((message, index) => (
+            <li key={index}>• {message}</li>
+          ))}
+        </ul>
+      )}
+
+      {isRunning && progress && (
+        <ProgressBar
+          progress={progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0}
+          status={`${progress.completed} of ${progress.total} runs finished${progress.failed > 0 ? ` (${progress.failed} failed)` : ''}`}
+          color="primary"
+        />
+      )}
+
+      <div className="flex justify-center space-x-3">
+        <button
+          onClick={onRun}
+          disabled={!canRun}
+          className={`btn-primary px-8 py-3 text-lg transition-all duration-200 ${
+            !canRun ? 'opacity-50 cursor-not-allowed' : 'hover:shadow-lg'
+          }`}
+        >
+          {isRunning ? (
+            <LoadingSpinner
+              size="sm"
+              color="white"
+              text="Running Batch..."
+              inline
+            />
+          ) : (
+            `Run Batch (${cellCount})`
+          )}
+        </button>
+        {isRunning && onCancel && (
+          <button
+            onClick={onCancel}
+            className="btn-secondary px-4 py-3"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+BatchRunPanel.propTypes = {
+  systemPrompts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    content: PropTypes.string
+  })).isRequired,
+  userPrompts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    content: PropTypes.string
+  })).isRequired,
+  selectedSystemPromptIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selectedUserPromptIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelectedSystemPromptIdsChange: PropTypes.func.isRequired,
+  onSelectedUserPromptIdsChange: PropTypes.func.isRequired,
+  modelCount: PropTypes.number.isRequired,
+  datasetCount: PropTypes.number.isRequired,
+  isRunning: PropTypes.bool,
+  progress: PropTypes.shape({
+    completed: PropTypes.number,
+    total: PropTypes.number,
+    failed: PropTypes.number
+  }),
+  validationErrors: PropTypes.arrayOf(PropTypes.string),
+  onRun: PropTypes.func.isRequired,
+  onCancel: PropTypes.func
+};
+
+BatchRunPanel.defaultProps = {
+  isRunning: false,
+  progress: null,
+  validationErrors: [],
+  onCancel: null
+};
+
+export default BatchRunPanel;
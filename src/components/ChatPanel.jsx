@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import StreamingOutput from './StreamingOutput';
+import ToolUsageDisplay from './ToolUsageDisplay';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import { formatCost } from '../utils/costEstimation.js';
+
+/**
+ * Follow-up turns of a tool workflow run and a composer for the next message.
+ * Turn 1 is the original test, shown by TestResults above this panel.
+ */
+const ChatPanel = ({ testResult, onSendMessage, disabled }) => {
+  const [message, setMessage] = useState('');
+  const [pendingMessage, setPendingMessage] = useState(null);
+  const [liveContent, setLiveContent] = useState('');
+  const [error, setError] = useState(null);
+
+  const turns = testResult?.chat?.turns || [];
+  const isSending = pendingMessage !== null;
+  const canSend = !!message.trim() && !isSending && !disabled;
+
+  const handleSend = async () => {
+    if (!canSend) {
+      return;
+    }
+
+    const outgoing = message.trim();
+    setPendingMessage(outgoing);
+    setLiveContent('');
+    setError(null);
+    setMessage('');
+
+    try {
+      await onSendMessage(outgoing, (update) => {
+        const timestamp = new Date(update.timestamp).toLocaleTimeString();
+        setLiveContent(prev => `${prev}[${timestamp}] ${update.content}\n`);
+      });
+    } catch (sendError) {
+      setError(sendError.message);
+      setMessage(outgoing);
+    } finally {
+      setPendingMessage(null);
+      setLiveContent('');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      // Keep the global Ctrl/Cmd + Enter shortcut from re-running the whole test
+      e.preventDefault();
+      e.stopPropagation();
+      handleSend();
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-2 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Conversation</h3>
+        <HelpTooltip
+          content="Send follow-up messages that continue this tool workflow. The model sees every earlier turn and tool result, and tools keep executing between turns. The whole transcript is saved as one history entry."
+          position="right"
+        />
+        {turns.length > 0 && (
+          <span className="text-xs text-gray-500">{turns.length + 1} turns</span>
+        )}
+      </div>
+
+      <div className="space-y-6">
+        {turns.map((turn) => (
+          <div key={turn.turn} className="space-y-3">
+            <div className="flex justify-end">
+              <div className="max-w-[85%] bg-primary-50 border border-primary-200 rounded-lg px-3 py-2">
+                <p className="text-xs font-medium text-primary-700 mb-1">You · turn {turn.turn}</p>
+                <p className="text-sm text-gray-900 whitespace-pre-wrap">{turn.userMessage}</p>
+              </div>
+            </div>
+            <StreamingOutput
+              content={turn.response}
+              isStreaming={false}
+              isComplete
+            />
+            {turn.toolUsage?.toolCallCount > 0 && (
+              <ToolUsageDisplay toolUsage={turn.toolUsage} />
+            )}
+            {turn.cost && (
+              <p className="text-xs text-gray-500 text-right">Estimated cost {formatCost(turn.cost.totalCost)}</p>
+            )}
+          </div>
+        ))}
+
+        {isSending && (
+          <div className="space-y-3">
+            <div className="flex justify-end">
+              <div className="max-w-[85%] bg-primary-50 border border-primary-200 rounded-lg px-3 py-2">
+                <p className="text-xs font-medium text-primary-700 mb-1">You · turn {turns.length + 2}</p>
+                <p className="text-sm text-gray-900 whitespace-pre-wrap">{pendingMessage}</p>
+              </div>
+            </div>
+            <StreamingOutput
+              content={liveContent}
+              isStreaming
+              isComplete={false}
+            />
+          </div>
+        )}
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="chat-follow-up" className="block text-sm font-medium text-gray-700 mb-1">
+            Follow-up message
+          </label>
+          <textarea
+            id="chat-follow-up"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            onKeyDown={handleKeyDown}
+            rows={3}
+            disabled={isSending || disabled}
+            placeholder="Ask a follow-up question or give the agent new instructions..."
+            className="input-field resize-y"
+          />
+          <div className="mt-2 flex items-center justify-between">
+            <span className="text-xs text-gray-500">Ctrl/Cmd + Enter to send</span>
+            <button
+              onClick={handleSend}
+              disabled={!canSend}
+              className={`btn-primary px-4 py-2 ${!canSend ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {isSending ? (
+                <LoadingSpinner size="sm" color="white" text="Sending..." inline />
+              ) : (
+                'Send'
+              )}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ChatPanel.propTypes = {
+  testResult: PropTypes.shape({
+    chat: PropTypes.shape({
+      messages: PropTypes.array,
+      turns: PropTypes.arrayOf(PropTypes.shape({
+        turn: PropTypes.number,
+        userMessage: PropTypes.string,
+        response: PropTypes.string,
+        toolUsage: PropTypes.object,
+        cost: PropTypes.object
+      }))
+    })
+  }).isRequired,
+  onSendMessage: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+ChatPanel.defaultProps = {
+  disabled: false
+};
+
+export default ChatPanel;
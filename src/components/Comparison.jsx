@@ -5,10 +5,24 @@ import { oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import remarkGfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw';
 import ToolUsageDisplay from './ToolUsageDisplay';
+import PreferenceJudgePanel from './PreferenceJudgePanel';
+import DeterminismSignificance from './DeterminismSignificance';
+import { formatInferenceParams } from '../utils/inferenceParams';
+import { formatBindings } from '../utils/promptTemplates';
+import { chatSessionService } from '../services/chatSessionService';
+import { getQualityBand } from '../utils/qualityRubrics';
+import { calculateDeterminismStatistics } from '../utils/determinismStatistics';
+import { formatRatio } from '../utils/groundTruthScoring';
+
+const QUALITY_SCORE_COLORS = {
+  high: 'text-green-700',
+  medium: 'text-yellow-700',
+  low: 'text-red-700'
+};
 
 const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
   const [viewMode, setViewMode] = useState('side-by-side'); // 'side-by-side', 'stacked'
-  const [compareMode, setCompareMode] = useState('responses'); // 'responses', 'metadata', 'tools', 'all'
+  const [compareMode, setCompareMode] = useState('responses'); // 'responses', 'metadata', 'tools', 'all', 'conversation'
 
   const [highlightDifferences, setHighlightDifferences] = useState(true);
 
@@ -171,6 +185,34 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
     };
   };
 
+  // Get per-criterion quality scores side by side
+  const getQualityComparison = () => {
+    const grades = selectedTests.map(test => test.qualityGrade || null);
+    if (grades.every(grade => !grade)) return null;
+
+    // Union of criteria in first-seen order, so rubrics that differ still line up by id
+    const criteria = new Map();
+    grades.forEach(grade => {
+      grade?.criteria.forEach(criterion => {
+        if (!criteria.has(criterion.id)) {
+          criteria.set(criterion.id, criterion.name);
+        }
+      });
+    });
+
+    const rubricIds = new Set(grades.filter(Boolean).map(grade => grade.rubricId));
+
+    return {
+      grades,
+      criteria: [...criteria.entries()].map(([id, name]) => ({
+        id,
+        name,
+        scores: grades.map(grade => grade?.criteria.find(criterion => criterion.id === id)?.score ?? null)
+      })),
+      sameRubric: rubricIds.size === 1 && grades.every(Boolean)
+    };
+  };
+
   // Compare tool parameters and highlight differences
   const compareToolParameters = (param1, param2, key) => {
     if (typeof param1 !== typeof param2) {
@@ -320,6 +362,12 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
     ? calculateSimilarity(selectedTests[0].response, selectedTests[1].response)
     : null;
 
+  // Chat transcripts, with the original run as turn 1, for turn-by-turn comparison
+  const hasConversation = selectedTests.some(test => test.chat?.turns?.length > 0);
+  const isConversationMode = compareMode === 'conversation' && hasConversation;
+  const transcripts = selectedTests.map(test => chatSessionService.getTranscript(test));
+  const maxTurns = Math.max(0, ...transcripts.map(transcript => transcript.length));
+
   return (
     <div className="space-y-6">
       {/* Header and Controls */}
@@ -398,6 +446,17 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
             >
               All
             </button>
+            {hasConversation && (
+              <button
+                onClick={() => setCompareMode('conversation')}
+                className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${compareMode === 'conversation'
+                  ? 'bg-white text-gray-900 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-900'
+                  }`}
+              >
+                Conversation
+              </button>
+            )}
           </div>
 
           {/* Options */}
@@ -526,6 +585,132 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
           );
         })()}
 
+        {/* Quality Comparison */}
+        {(() => {
+          const qualityComparison = getQualityComparison();
+          if (!qualityComparison) return null;
+
+          return (
+            <div className="mb-4 p-3 bg-amber-50 rounded-lg border border-amber-200">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-amber-900">Quality Comparison</span>
+                {!qualityComparison.sameRubric && (
+                  <span className="text-xs text-amber-700">
+                    {qualityComparison.grades.every(Boolean)
+                      ? 'Graded with different rubrics; scores may not be comparable'
+                      : 'Not every test has been graded'}
+                  </span>
+                )}
+              </div>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-amber-800">
+                    <th className="pr-2 font-medium">Criterion</th>
+                    {selectedTests.map((test, index) => (
+                      <th key={test.id} className="pr-2 font-medium">
+                        Test {String.fromCharCode(65 + index)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {qualityComparison.criteria.map(criterion => {
+                    const scored = criterion.scores.filter(score => score !== null);
+                    const differs = highlightDifferences && new Set(scored).size > 1;
+
+                    return (
+                      <tr key={criterion.id} className={differs ? 'bg-amber-100' : ''}>
+                        <td className="pr-2 py-0.5 text-amber-900">{criterion.name}</td>
+                        {criterion.scores.map((score, index) => (
+                          <td key={selectedTests[index].id} className="pr-2 py-0.5 text-gray-900">
+                            {score ?? '—'}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                  <tr className="border-t border-amber-200 font-semibold">
+                    <td className="pr-2 pt-1 text-amber-900">Overall</td>
+                    {qualityComparison.grades.map((grade, index) => (
+                      <td
+                        key={selectedTests[index].id}
+                        className={`pr-2 pt-1 ${grade ? QUALITY_SCORE_COLORS[getQualityBand(grade.normalizedScore)] : 'text-gray-500'}`}
+                        title={grade ? `${grade.rubricName} · judged by ${grade.judgeModelId}` : 'Not graded'}
+                      >
+                        {grade ? `${grade.score} / ${grade.scale.max}` : '—'}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          );
+        })()}
+
+        {/* Detection Comparison */}
+        {selectedTests.some(test => test.groundTruthScore) && (
+          <div className="mb-4 p-3 bg-rose-50 rounded-lg border border-rose-200">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-rose-900">Detection vs. Labels</span>
+              {new Set(selectedTests.map(test => test.groundTruthScore?.datasetId)).size > 1 && (
+                <span className="text-xs text-rose-700">
+                  {selectedTests.every(test => test.groundTruthScore)
+                    ? 'Scored on different datasets; rates may not be comparable'
+                    : 'Not every test ran in labelled evaluation mode'}
+                </span>
+              )}
+            </div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-rose-800">
+                  <th className="pr-2 font-medium">Metric</th>
+                  {selectedTests.map((test, index) => (
+                    <th key={test.id} className="pr-2 font-medium">
+                      Test {String.fromCharCode(65 + index)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  { key: 'precision', label: 'Precision', format: formatRatio },
+                  { key: 'recall', label: 'Recall', format: formatRatio },
+                  { key: 'f1', label: 'F1', format: formatRatio },
+                  { key: 'falseNegatives', label: 'Missed', format: value => value },
+                  { key: 'falsePositives', label: 'False alarms', format: value => value }
+                ].map(metric => {
+                  const values = selectedTests.map(test => test.groundTruthScore?.[metric.key] ?? null);
+                  const differs = highlightDifferences && new Set(values.filter(value => value !== null)).size > 1;
+
+                  return (
+                    <tr key={metric.key} className={differs ? 'bg-rose-100' : ''}>
+                      <td className="pr-2 py-0.5 text-rose-900">{metric.label}</td>
+                      {values.map((value, index) => (
+                        <td key={selectedTests[index].id} className="pr-2 py-0.5 text-gray-900">
+                          {value === null ? '—' : metric.format(value)}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Determinism Significance */}
+        {selectedTests.length === 2 && selectedTests.every(test => test.determinismGrade?.metrics) && (
+          <div className="mb-4 p-3 bg-emerald-50 rounded-lg border border-emerald-200">
+            <h4 className="text-sm font-medium text-emerald-900 mb-2">Determinism Significance</h4>
+            <DeterminismSignificance
+              baseline={selectedTests[0].determinismGrade}
+              candidate={selectedTests[1].determinismGrade}
+              baselineLabel="Test A"
+              candidateLabel="Test B"
+            />
+          </div>
+        )}
+
         {/* Streaming Performance Comparison */}
         {selectedTests.length === 2 && selectedTests.every(test => test.isStreamed && test.streamingMetrics) && (
           <div className="mb-4 p-3 bg-blue-50 rounded-lg">
@@ -597,7 +782,68 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
         )}
       </div>
 
+      {/* Pairwise Preference Judging */}
+      <PreferenceJudgePanel selectedTests={selectedTests} />
+
+      {/* Turn-by-turn Conversation */}
+      {isConversationMode && (
+        <div className="card space-y-6">
+          {Array.from({ length: maxTurns }, (_, turnIndex) => {
+            const turnsAtIndex = transcripts.map(transcript => transcript[turnIndex] || null);
+            const presentTurns = turnsAtIndex.filter(Boolean);
+            const messagesDiffer = highlightDifferences &&
+              new Set(presentTurns.map(turn => turn.userMessage)).size > 1;
+            const turnSimilarity = selectedTests.length === 2 && turnsAtIndex[0] && turnsAtIndex[1]
+              ? calculateSimilarity(turnsAtIndex[0].response || '', turnsAtIndex[1].response || '')
+              : null;
+
+            return (
+              <div key={turnIndex} className={turnIndex > 0 ? 'pt-6 border-t border-gray-200' : ''}>
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="font-medium text-gray-900">Turn {turnIndex + 1}</h4>
+                  {turnSimilarity !== null && (
+                    <span className={`text-xs font-medium px-2 py-1 rounded-full ${turnSimilarity >= 80 ? 'bg-green-100 text-green-800' :
+                      turnSimilarity >= 60 ? 'bg-yellow-100 text-yellow-800' :
+                        turnSimilarity >= 40 ? 'bg-orange-100 text-orange-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                      {turnSimilarity}% similar
+                    </span>
+                  )}
+                </div>
+                <div className={`${viewMode === 'side-by-side' ? 'grid grid-cols-1 lg:grid-cols-2 gap-4' : 'space-y-4'}`}>
+                  {turnsAtIndex.map((turn, testIndex) => (
+                    <div key={selectedTests[testIndex].id} className="min-w-0">
+                      <p className="text-xs font-medium text-gray-500 mb-1">
+                        Test {String.fromCharCode(65 + testIndex)}
+                      </p>
+                      {turn ? (
+                        <div className="space-y-2">
+                          <div className={`rounded-lg p-2 border ${messagesDiffer ? 'bg-yellow-50 border-yellow-300' : 'bg-blue-50 border-blue-200'}`}>
+                            <pre className="text-xs text-blue-800 whitespace-pre-wrap">{turn.userMessage}</pre>
+                          </div>
+                          <div className="bg-white border border-gray-200 rounded-lg p-3 max-h-72 overflow-y-auto">
+                            {renderContent(turn.response || '', detectContentType(turn.response || ''))}
+                          </div>
+                          {turn.toolUsage?.toolCalls?.length > 0 && (
+                            <p className="text-xs text-gray-600">
+                              🔧 {turn.toolUsage.toolCalls.map(call => call.toolName).join(', ')}
+                            </p>
+                          )}
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-400 italic">No turn {turnIndex + 1} in this test</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Comparison Content */}
+      {!isConversationMode && (
       <div className={`${viewMode === 'side-by-side' ? 'grid grid-cols-1 lg:grid-cols-2 gap-6' : 'space-y-6'}`}>
         {selectedTests.map((test, index) => (
           <div key={test.id} className="card">
@@ -645,6 +891,58 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
                     <span className="font-medium text-gray-700">Response Length:</span>
                     <span className="ml-2 text-gray-600">{test.response.length} chars</span>
                   </div>
+                  {test.inferenceParams && (() => {
+                    const otherTest = selectedTests.find(t => t.id !== test.id);
+                    const paramsDiffer = selectedTests.length === 2 && highlightDifferences &&
+                      formatInferenceParams(otherTest?.inferenceParams) !== formatInferenceParams(test.inferenceParams);
+                    return (
+                      <div>
+                        <span className="font-medium text-gray-700">Inference:</span>
+                        <span className="ml-2 text-gray-600">{formatInferenceParams(test.inferenceParams)}</span>
+                        {test.inferenceParams.stopSequences?.length > 0 && (
+                          <span className="ml-1 text-xs text-gray-500" title="Stop sequences">
+                            ({test.inferenceParams.stopSequences.map(seq => JSON.stringify(seq)).join(', ')})
+                          </span>
+                        )}
+                        {paramsDiffer && (
+                          <span className="ml-2 text-xs text-red-600 font-medium">Differs</span>
+                        )}
+                      </div>
+                    );
+                  })()}
+                  {test.promptTemplate?.bindings && (() => {
+                    const otherTest = selectedTests.find(t => t.id !== test.id);
+                    const otherBindings = otherTest?.promptTemplate?.templateId === test.promptTemplate.templateId
+                      ? otherTest.promptTemplate.bindings || {}
+                      : null;
+                    return (
+                      <div>
+                        <span className="font-medium text-gray-700">Template Bindings:</span>
+                        {Object.keys(test.promptTemplate.bindings).length === 0 ? (
+                          <span className="ml-2 text-gray-600">none</span>
+                        ) : (
+                          Object.entries(test.promptTemplate.bindings).map(([name, value]) => {
+                            const bindingDiffers = selectedTests.length === 2 && highlightDifferences &&
+                              otherBindings && otherBindings[name] !== value;
+                            return (
+                              <span
+                                key={name}
+                                className={`ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-mono ${
+                                  bindingDiffers ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-700'
+                                }`}
+                                title={formatBindings(test.promptTemplate.bindings)}
+                              >
+                                {name}={value}
+                              </span>
+                            );
+                          })
+                        )}
+                        {selectedTests.length === 2 && otherTest?.promptTemplate && !otherBindings && (
+                          <span className="ml-2 text-xs text-gray-500">(different template)</span>
+                        )}
+                      </div>
+                    );
+                  })()}
                   {test.determinismGrade && (
                     <div>
                       <span className="font-medium text-gray-700">Determinism Grade:</span>
@@ -654,6 +952,14 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
                       {test.determinismGrade.fallbackAnalysis && (
                         <span className="ml-1 text-xs text-yellow-600" title="Statistical analysis">*</span>
                       )}
+                      {(() => {
+                        const warning = (test.determinismGrade.statistics || calculateDeterminismStatistics(test.determinismGrade)).sampleSizeWarning;
+                        return warning && (
+                          <span className="ml-2 text-xs text-yellow-700" title={warning.message}>
+                            ⚠️ small sample
+                          </span>
+                        );
+                      })()}
                     </div>
                   )}
 
@@ -933,6 +1239,7 @@ const Comparison = ({ selectedTests, onRemoveTest, onClearComparison }) => {
           </div>
         ))}
       </div>
+      )}
     </div>
   );
 };
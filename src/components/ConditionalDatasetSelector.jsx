@@ -7,7 +7,12 @@ const ConditionalDatasetSelector = ({
   onDatasetSelect,
   validationError,
   isCollapsed,
-  onToggleCollapse
+  onToggleCollapse,
+  multiSelect,
+  selectedDatasets,
+  onSelectedDatasetsChange,
+  listVersion,
+  onDatasetsChange
 }) => {
   // Use the new ScenarioDatasetSelector that loads datasets from the scenario's datasets property
   return (
@@ -18,6 +23,11 @@ const ConditionalDatasetSelector = ({
       validationError={validationError}
       isCollapsed={isCollapsed}
       onToggleCollapse={onToggleCollapse}
+      multiSelect={multiSelect}
+      selectedDatasets={selectedDatasets}
+      onSelectedDatasetsChange={onSelectedDatasetsChange}
+      listVersion={listVersion}
+      onDatasetsChange={onDatasetsChange}
     />
   )
 }
@@ -32,14 +42,27 @@ ConditionalDatasetSelector.propTypes = {
   onDatasetSelect: PropTypes.func.isRequired,
   validationError: PropTypes.string,
   isCollapsed: PropTypes.bool,
-  onToggleCollapse: PropTypes.func
+  onToggleCollapse: PropTypes.func,
+  multiSelect: PropTypes.bool,
+  selectedDatasets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })),
+  onSelectedDatasetsChange: PropTypes.func,
+  listVersion: PropTypes.number,
+  onDatasetsChange: PropTypes.func
 }
 
 ConditionalDatasetSelector.defaultProps = {
   scenario: null,
   validationError: null,
   isCollapsed: false,
-  onToggleCollapse: null
+  onToggleCollapse: null,
+  multiSelect: false,
+  selectedDatasets: [],
+  onSelectedDatasetsChange: () => {},
+  listVersion: 0,
+  onDatasetsChange: () => {}
 }
 
 export default ConditionalDatasetSelector
@@ -16,6 +16,8 @@ const ConditionalExecutionSettings = ({
   onDeterminismToggle,
   streamingEnabled,
   onStreamingToggle,
+  batchModeEnabled,
+  onBatchModeToggle,
   isExecuting,
   conflictMessage,
   hasFormState,
@@ -482,6 +484,51 @@ const ConditionalExecutionSettings = ({
           </button>
         </div>
 
+        {/* Batch Matrix Toggle */}
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <svg
+              className="w-5 h-5 text-primary-600"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z"
+              />
+            </svg>
+            <div>
+              <h4 className="text-sm font-medium text-gray-900">Batch Matrix</h4>
+              <p className="text-xs text-gray-500">
+                Run every combination of selected models, prompts and datasets
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => !isExecuting && onBatchModeToggle(!batchModeEnabled)}
+            disabled={isExecuting}
+            className={`relative inline-flex h-6 w-11 flex-shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
+              batchModeEnabled
+                ? 'bg-primary-600'
+                : 'bg-gray-200'
+            } ${
+              isExecuting ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+            role="switch"
+            aria-checked={batchModeEnabled}
+          >
+            <span
+              className={`pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out ${
+                batchModeEnabled ? 'translate-x-5' : 'translate-x-0'
+              }`}
+            />
+          </button>
+        </div>
+
         {/* Conflict message */}
         {conflictMessage && (
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
@@ -550,6 +597,8 @@ ConditionalExecutionSettings.propTypes = {
   onDeterminismToggle: PropTypes.func.isRequired,
   streamingEnabled: PropTypes.bool.isRequired,
   onStreamingToggle: PropTypes.func.isRequired,
+  batchModeEnabled: PropTypes.bool,
+  onBatchModeToggle: PropTypes.func,
   isExecuting: PropTypes.bool.isRequired,
   conflictMessage: PropTypes.string,
   hasFormState: PropTypes.bool.isRequired,
@@ -562,6 +611,8 @@ ConditionalExecutionSettings.propTypes = {
 ConditionalExecutionSettings.defaultProps = {
   scenario: null,
   conflictMessage: null,
+  batchModeEnabled: false,
+  onBatchModeToggle: () => {},
   isCollapsed: false,
   onToggleCollapse: null
 }
@@ -0,0 +1,450 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import ProgressBar from './ProgressBar';
+import { datasetGeneratorService } from '../services/datasetGeneratorService.js';
+import { scenarioService } from '../services/scenarioService.js';
+import { MAX_GENERATED_ROWS } from '../utils/syntheticDatasets.js';
+import { formatCost } from '../utils/costEstimation.js';
+
+// Issues listed under a result; the count covers all of them
+const MAX_LISTED_ISSUES = 10;
+
+const generateSeed = () => Math.random().toString(36).slice(2, 10);
+
+const formatLabelCounts = (labelCounts, total) =>
+  labelCounts.map(({ value, count }) => `${value}: ${count} (${Math.round((count / total) * 100)}%)`).join(', ');
+
+/**
+ * Synthetic dataset generator: a model writes a new labelled dataset in the schema of one of
+ * the scenario's datasets or its seed data, following a brief such as "200 transactions,
+ * 5% card-testing fraud, EU heavy". Generated datasets are saved to the scenario with the spec
+ * that produced them, and can be regenerated from it.
+ */
+const DatasetGeneratorPanel = ({
+  scenarioId,
+  modelId,
+  listVersion,
+  disabled,
+  isCollapsed,
+  onToggleCollapse,
+  onGenerated
+}) => {
+  const [sources, setSources] = useState([]);
+  const [generatedDatasets, setGeneratedDatasets] = useState([]);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [sourceKey, setSourceKey] = useState('');
+  const [brief, setBrief] = useState('');
+  const [rowCountInput, setRowCountInput] = useState('100');
+  const [generatorModelId, setGeneratorModelId] = useState('');
+  const [seed, setSeed] = useState(generateSeed);
+  const [labelColumn, setLabelColumn] = useState('');
+  const [name, setName] = useState('');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [generationId, setGenerationId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSources = async () => {
+      if (!scenarioId) {
+        setSources([]);
+        setGeneratedDatasets([]);
+        return;
+      }
+      const [nextSources, datasets] = await Promise.all([
+        datasetGeneratorService.getSchemaSources(scenarioId),
+        scenarioService.getDatasets(scenarioId)
+      ]);
+      if (cancelled) return;
+
+      setSources(nextSources);
+      setGeneratedDatasets(datasets.filter(dataset => dataset.generated));
+      setSourceKey(previous => (nextSources.some(source => source.key === previous) ? previous : nextSources[0]?.key || ''));
+    };
+
+    loadSources().catch(loadError => console.error('Failed to load dataset generator sources:', loadError));
+    return () => {
+      cancelled = true;
+    };
+  }, [scenarioId, listVersion, refreshCount]);
+
+  // A new scenario starts from a clean form
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+    setLabelColumn('');
+    setName('');
+  }, [scenarioId]);
+
+  const selectedSource = sources.find(source => source.key === sourceKey) || null;
+  const effectiveModelId = generatorModelId.trim() || modelId || '';
+
+  const spec = useMemo(() => ({
+    scenarioId,
+    modelId: effectiveModelId,
+    source: selectedSource?.source || null,
+    brief,
+    rowCount: Number(rowCountInput),
+    seed,
+    labelColumn: labelColumn.trim() || null,
+    name
+  }), [scenarioId, effectiveModelId, selectedSource, brief, rowCountInput, seed, labelColumn, name]);
+
+  const validationErrors = useMemo(() => datasetGeneratorService.validateSpec(spec), [spec]);
+  const canGenerate = !disabled && !isGenerating && validationErrors.length === 0;
+
+  const runGeneration = async (generate) => {
+    setIsGenerating(true);
+    setError(null);
+    setResult(null);
+    setProgress(null);
+
+    try {
+      const generation = await generate({
+        onStart: (started) => setGenerationId(started.generationId),
+        onProgress: setProgress
+      });
+      setResult(generation);
+      setRefreshCount(count => count + 1);
+      onGenerated?.(generation.dataset);
+    } catch (generationError) {
+      setError(generationError.message);
+    } finally {
+      setIsGenerating(false);
+      setGenerationId(null);
+      setProgress(null);
+    }
+  };
+
+  const handleGenerate = () => runGeneration(callbacks => datasetGeneratorService.generate(spec, callbacks));
+
+  const handleRegenerate = (dataset) =>
+    runGeneration(callbacks => datasetGeneratorService.regenerate(dataset.id, callbacks));
+
+  // Load a generated dataset's spec into the form, e.g. to change its seed or size
+  const handleEditSpec = (dataset) => {
+    const stored = dataset.generation.spec;
+    const key = stored.source.type === 'seed' ? 'seed' : `dataset:${stored.source.datasetId}`;
+    setSourceKey(sources.some(source => source.key === key) ? key : sourceKey);
+    setBrief(stored.brief);
+    setRowCountInput(String(stored.rowCount));
+    setGeneratorModelId(stored.modelId);
+    setSeed(stored.seed);
+    setLabelColumn(stored.labelColumn || '');
+    setName('');
+  };
+
+  if (!scenarioId || sources.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onToggleCollapse}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onToggleCollapse?.();
+              }
+            }}
+            className="collapsible-toggle-button group"
+            aria-expanded={!isCollapsed}
+            aria-controls="dataset-generator-panel-content"
+            aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} synthetic dataset section`}
+          >
+            <svg
+              className={`collapsible-chevron ${isCollapsed ? 'collapsed' : 'expanded'}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+            <span>Synthetic Datasets</span>
+          </button>
+          {!isCollapsed && (
+            <HelpTooltip
+              content="Has a model write a new labelled dataset in the shape of one of this scenario's datasets or its seed data. Rows are checked against the inferred schema before the dataset is saved. The seed is written into every prompt and the model runs at temperature 0, so the same spec regenerates the same dataset as far as the model is deterministic."
+              position="right"
+            />
+          )}
+        </div>
+        {generatedDatasets.length > 0 && (
+          <span className="text-sm text-gray-500">
+            {generatedDatasets.length} generated
+          </span>
+        )}
+      </div>
+
+      <div
+        id="dataset-generator-panel-content"
+        className={`collapsible-content ${isCollapsed ? 'collapsed' : 'expanded'}`}
+        role="region"
+        aria-hidden={isCollapsed}
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="generator-source" className="block text-sm font-medium text-gray-700 mb-1">
+                Schema from
+              </label>
+              <select
+                id="generator-source"
+                value={sourceKey}
+                onChange={(e) => setSourceKey(e.target.value)}
+                disabled={isGenerating}
+                className="select-field"
+              >
+                {sources.map(source => (
+                  <option key={source.key} value={source.key}>{source.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="generator-model" className="block text-sm font-medium text-gray-700 mb-1">
+                Generator model
+              </label>
+              <input
+                id="generator-model"
+                type="text"
+                value={generatorModelId}
+                onChange={(e) => setGeneratorModelId(e.target.value)}
+                placeholder={modelId ? `Selected model (${modelId})` : 'Model ID'}
+                disabled={isGenerating}
+                className="input-field font-mono text-xs"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="generator-brief" className="block text-sm font-medium text-gray-700 mb-1">
+              Brief
+            </label>
+            <textarea
+              id="generator-brief"
+              rows={3}
+              value={brief}
+              onChange={(e) => setBrief(e.target.value)}
+              placeholder="e.g. 200 transactions, 5% card-testing fraud, EU heavy"
+              disabled={isGenerating}
+              className="input-field"
+            />
+          </div>
+
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label htmlFor="generator-rows" className="block text-sm font-medium text-gray-700 mb-1">
+                Rows
+              </label>
+              <input
+                id="generator-rows"
+                type="number"
+                min={1}
+                max={MAX_GENERATED_ROWS}
+                value={rowCountInput}
+                onChange={(e) => setRowCountInput(e.target.value)}
+                disabled={isGenerating}
+                className="input-field w-24"
+              />
+            </div>
+            <div>
+              <label htmlFor="generator-seed" className="block text-sm font-medium text-gray-700 mb-1">
+                Seed
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  id="generator-seed"
+                  type="text"
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                  disabled={isGenerating}
+                  className="input-field w-32 font-mono text-xs"
+                />
+                <button
+                  type="button"
+                  onClick={() => setSeed(generateSeed())}
+                  disabled={isGenerating}
+                  className="btn-secondary px-2 py-1 text-xs"
+                >
+                  New seed
+                </button>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="generator-label" className="block text-sm font-medium text-gray-700 mb-1">
+                Label column
+              </label>
+              <input
+                id="generator-label"
+                type="text"
+                value={labelColumn}
+                onChange={(e) => setLabelColumn(e.target.value)}
+                placeholder={selectedSource?.labelColumn || 'label'}
+                disabled={isGenerating}
+                className="input-field w-36"
+              />
+            </div>
+            <div className="flex-1 min-w-[10rem]">
+              <label htmlFor="generator-name" className="block text-sm font-medium text-gray-700 mb-1">
+                Dataset name
+              </label>
+              <input
+                id="generator-name"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={`${selectedSource?.name || 'Dataset'} (synthetic)`}
+                disabled={isGenerating}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          {validationErrors.length > 0 && (
+            <ul className="text-xs text-yellow-700 space-y-1">
+              {validationErrors.map((message, index) => (
+                <li key={index}>• {message}</li>
+              ))}
+            </ul>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {isGenerating && progress && (
+            <ProgressBar
+              progress={Math.round((progress.generated / progress.total) * 100)}
+              status={`${progress.generated} of ${progress.total} rows after ${progress.batch} request${progress.batch !== 1 ? 's' : ''}${progress.rejected > 0 ? `, ${progress.rejected} rejected` : ''}`}
+              color="primary"
+            />
+          )}
+
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={handleGenerate}
+              disabled={!canGenerate}
+              className={`btn-secondary px-4 py-2 ${!canGenerate ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {isGenerating ? (
+                <LoadingSpinner size="sm" text="Generating rows..." inline />
+              ) : (
+                'Generate Dataset'
+              )}
+            </button>
+            {isGenerating && generationId && (
+              <button
+                onClick={() => datasetGeneratorService.cancelGeneration(generationId)}
+                className="btn-secondary px-4 py-2"
+              >
+                Stop
+              </button>
+            )}
+          </div>
+
+          {result && (
+            <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-700 space-y-1">
+              <p className="font-medium text-gray-900">
+                Saved “{result.dataset.name}” · {result.dataset.rowCount} rows · {formatCost(result.cost?.totalCost)} · {(result.duration / 1000).toFixed(1)}s
+              </p>
+              <p>Labels ({result.dataset.generation.spec.labelColumn}): {formatLabelCounts(result.labelCounts, result.dataset.rowCount)}</p>
+              {result.comparison && (
+                <p className={result.comparison.identical ? 'text-green-700' : 'text-yellow-700'}>
+                  {result.comparison.identical
+                    ? 'Identical to the original dataset.'
+                    : `${result.comparison.changedRows} of ${result.comparison.rowCount} rows differ from the original; the model did not reproduce its output exactly.`}
+                </p>
+              )}
+              {result.stopMessage && <p className="text-yellow-700">{result.stopMessage}</p>}
+              {result.droppedFields.length > 0 && (
+                <p>Dropped fields outside the schema: {result.droppedFields.join(', ')}</p>
+              )}
+              {result.issues.length > 0 && (
+                <div>
+                  <p>{result.issues.length} row{result.issues.length !== 1 ? 's' : ''} rejected:</p>
+                  <ul className="ml-3 space-y-0.5">
+                    {result.issues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+                      <li key={index}>• {issue.row ? `Row ${issue.row}: ` : ''}{issue.message}</li>
+                    ))}
+                  </ul>
+                  {result.issues.length > MAX_LISTED_ISSUES && (
+                    <p className="text-gray-500">…and {result.issues.length - MAX_LISTED_ISSUES} more</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {generatedDatasets.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Generated datasets</h4>
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {generatedDatasets.map(dataset => (
+                  <li key={dataset.id} className="flex items-center justify-between p-2 text-xs">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{dataset.name}</p>
+                      <p className="text-gray-500 truncate" title={dataset.generation.spec.brief}>
+                        {dataset.rowCount} rows · {dataset.generation.spec.modelId} · seed {dataset.generation.spec.seed} · from {dataset.generation.sourceName}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-3 flex-shrink-0">
+                      <button
+                        type="button"
+                        onClick={() => handleEditSpec(dataset)}
+                        disabled={isGenerating}
+                        className="btn-secondary px-2 py-1 text-xs"
+                      >
+                        Use spec
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRegenerate(dataset)}
+                        disabled={disabled || isGenerating}
+                        className="btn-secondary px-2 py-1 text-xs"
+                        title="Generate this dataset again from its stored spec and compare the result"
+                      >
+                        Regenerate
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+DatasetGeneratorPanel.propTypes = {
+  scenarioId: PropTypes.string,
+  modelId: PropTypes.string,
+  listVersion: PropTypes.number,
+  disabled: PropTypes.bool,
+  isCollapsed: PropTypes.bool,
+  onToggleCollapse: PropTypes.func,
+  onGenerated: PropTypes.func
+};
+
+DatasetGeneratorPanel.defaultProps = {
+  scenarioId: null,
+  modelId: null,
+  listVersion: 0,
+  disabled: false,
+  isCollapsed: false,
+  onToggleCollapse: null,
+  onGenerated: null
+};
+
+export default DatasetGeneratorPanel;
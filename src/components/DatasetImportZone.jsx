@@ -0,0 +1,109 @@
+import { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { userDatasetService } from '../services/userDatasetService.js';
+import { IMPORT_FORMATS, MAX_IMPORT_BYTES, describeImportSchema } from '../utils/datasetImport.js';
+
+const IMPORT_ACCEPT = Object.keys(IMPORT_FORMATS).map(extension => `.${extension}`).join(',');
+
+const DatasetImportZone = ({ scenarioId, onImported }) => {
+  const [isImporting, setIsImporting] = useState(false);
+  const [importMessage, setImportMessage] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const importInputRef = useRef(null);
+
+  // Files are imported one after another; the caller decides what to select from the saved records
+  const handleImportFiles = async (files) => {
+    if (!files?.length || !scenarioId) return;
+
+    setIsImporting(true);
+    setImportMessage(null);
+    const imported = [];
+    const failures = [];
+
+    for (const file of files) {
+      try {
+        imported.push(await userDatasetService.importFile(scenarioId, file));
+      } catch (err) {
+        console.error(`Error importing ${file.name}:`, err);
+        failures.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    if (imported.length > 0) {
+      await onImported(imported);
+    }
+    setIsImporting(false);
+
+    setImportMessage({
+      type: failures.length > 0 ? 'error' : 'success',
+      text: [
+        ...imported.map(dataset => `Imported ${dataset.fileName}: ${describeImportSchema(dataset.schema, dataset.rowCount)}`),
+        ...failures
+      ].join('\n')
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDragOver(false);
+          handleImportFiles([...e.dataTransfer.files]);
+        }}
+        className={`p-3 border-2 border-dashed rounded-lg text-center text-xs ${
+          isDragOver ? 'border-primary-400 bg-primary-50 text-primary-700' : 'border-gray-300 text-gray-500'
+        }`}
+      >
+        <input
+          type="file"
+          ref={importInputRef}
+          accept={IMPORT_ACCEPT}
+          multiple
+          onChange={(e) => {
+            handleImportFiles([...e.target.files]);
+            e.target.value = ''; // Reset file input
+          }}
+          className="hidden"
+        />
+        {isImporting ? (
+          <span className="text-blue-600">Importing...</span>
+        ) : (
+          <span>
+            Drop CSV, TSV, JSONL or XLSX files here, or{' '}
+            <button
+              type="button"
+              onClick={() => importInputRef.current?.click()}
+              className="text-primary-600 hover:text-primary-700 font-medium"
+            >
+              browse
+            </button>
+            {' '}(up to {MAX_IMPORT_BYTES / 1024 / 1024} MB). Imported datasets are kept in this browser.
+          </span>
+        )}
+      </div>
+      {importMessage && (
+        <p className={`text-xs whitespace-pre-line ${importMessage.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+          {importMessage.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+DatasetImportZone.propTypes = {
+  scenarioId: PropTypes.string,
+  onImported: PropTypes.func
+};
+
+DatasetImportZone.defaultProps = {
+  scenarioId: null,
+  onImported: () => {}
+};
+
+export default DatasetImportZone;
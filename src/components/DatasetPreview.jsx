@@ -0,0 +1,336 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import { parseDatasetRows } from '../utils/datasetRows.js';
+import {
+  selectRows,
+  getColumnStats,
+  isSubsetActive,
+  generateSampleSeed,
+  SAMPLE_MODES
+} from '../utils/datasetSubset.js';
+
+// The grid is a preview; the stats and row counts cover every row of the subset
+const PREVIEW_ROWS = 50;
+
+const FILTER_HELP = 'Compare columns with =, !=, >, >=, <, <=, CONTAINS or IN (\'a\', \'b\') and combine them with AND, OR, NOT and parentheses, e.g. amount > 1000 AND geo != \'US\'. Text comparisons ignore case; put column names with spaces in backticks.';
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+const describeStats = (stats) => {
+  if (stats.filled === 0) return 'empty';
+  if (stats.type === 'number') {
+    return `${formatNumber(stats.min)}–${formatNumber(stats.max)}, mean ${formatNumber(stats.mean)}`;
+  }
+  const top = stats.topValues[0];
+  return `${stats.distinct} distinct${top && top.count > 1 ? `, top ${top.value} (${top.count})` : ''}`;
+};
+
+const getDraftState = (subset) => ({
+  filter: subset?.filter || '',
+  sampleMode: subset?.sample?.mode || 'all',
+  sampleSize: String(subset?.sample?.size || 20),
+  sampleColumn: subset?.sample?.column || '',
+  seed: subset?.sample?.seed ?? generateSampleSeed(),
+  columns: Array.isArray(subset?.columns) ? subset.columns : null
+});
+
+/**
+ * Tabular preview of a dataset with column stats, and the controls that define the subset sent
+ * to the model: a row filter, a random or stratified sample, and the columns to include.
+ * Changes stay a draft until applied, so the dataset is only reloaded once per change.
+ */
+const DatasetPreview = ({ content, hiddenColumns, subset, onApply, disabled }) => {
+  const [draft, setDraft] = useState(() => getDraftState(subset));
+
+  // Follow subsets applied elsewhere, e.g. a run loaded from History
+  const subsetKey = JSON.stringify(subset || null);
+  useEffect(() => {
+    setDraft(getDraftState(subset));
+  }, [subsetKey]);
+
+  const parsed = useMemo(() => {
+    try {
+      return parseDatasetRows(content);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [content]);
+
+  const visibleColumns = useMemo(
+    () => (parsed.columns || []).filter(column => !hiddenColumns.includes(column)),
+    [parsed, hiddenColumns]
+  );
+
+  const sampleSize = Number(draft.sampleSize);
+  const sampleSizeError = draft.sampleMode !== 'all' && (!Number.isInteger(sampleSize) || sampleSize < 1)
+    ? 'Sample size must be a whole number of at least 1'
+    : null;
+
+  const draftSubset = useMemo(() => {
+    const next = {
+      filter: draft.filter.trim(),
+      sample: draft.sampleMode === 'all'
+        ? { mode: 'all' }
+        : {
+          mode: draft.sampleMode,
+          size: sampleSize,
+          ...(draft.sampleMode === 'stratified' && { column: draft.sampleColumn }),
+          seed: draft.seed
+        },
+      columns: draft.columns
+    };
+    return isSubsetActive(next) ? next : null;
+  }, [draft, sampleSize]);
+
+  const result = useMemo(() => {
+    if (parsed.error || sampleSizeError) {
+      return { rows: [], error: parsed.error || sampleSizeError };
+    }
+    try {
+      return { rows: selectRows(parsed, draftSubset), error: null };
+    } catch (error) {
+      return { rows: [], error: error.message };
+    }
+  }, [parsed, draftSubset, sampleSizeError]);
+
+  const columnStats = useMemo(() => getColumnStats(visibleColumns, result.rows), [visibleColumns, result.rows]);
+
+  const strata = useMemo(() => {
+    if (draft.sampleMode !== 'stratified' || !draft.sampleColumn) return [];
+    const counts = new Map();
+    result.rows.forEach(row => {
+      const value = formatCell(row.values[draft.sampleColumn]).trim() || '(empty)';
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  }, [result.rows, draft.sampleMode, draft.sampleColumn]);
+
+  if (parsed.error) {
+    return <p className="text-xs text-red-600">Preview unavailable: {parsed.error}</p>;
+  }
+
+  const includedColumns = draft.columns || visibleColumns;
+  const isDirty = JSON.stringify(draftSubset) !== subsetKey;
+  const canApply = isDirty && !result.error && result.rows.length > 0 && includedColumns.length > 0;
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleToggleColumn = (column) => {
+    const next = includedColumns.includes(column)
+      ? includedColumns.filter(name => name !== column)
+      : visibleColumns.filter(name => name === column || includedColumns.includes(name));
+    updateDraft({ columns: next.length === visibleColumns.length ? null : next });
+  };
+
+  const handleReset = () => {
+    setDraft(getDraftState(null));
+    if (subset) {
+      onApply(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <div className="flex items-center space-x-2 mb-1">
+          <label htmlFor="dataset-filter" className="text-xs font-medium text-gray-700">Filter rows</label>
+          <HelpTooltip content={FILTER_HELP} position="right" />
+        </div>
+        <input
+          id="dataset-filter"
+          type="text"
+          value={draft.filter}
+          onChange={(e) => updateDraft({ filter: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && canApply) {
+              onApply(draftSubset);
+            }
+          }}
+          placeholder="e.g. amount > 1000 AND geo != 'US'"
+          className="input-field font-mono text-xs"
+          disabled={disabled}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2">
+        <div>
+          <label htmlFor="dataset-sample-mode" className="block text-xs font-medium text-gray-700 mb-1">Sample</label>
+          <select
+            id="dataset-sample-mode"
+            value={draft.sampleMode}
+            onChange={(e) => updateDraft({
+              sampleMode: e.target.value,
+              sampleColumn: draft.sampleColumn || (parsed.columns.includes(hiddenColumns[0]) ? hiddenColumns[0] : '')
+            })}
+            className="select-field w-auto text-xs py-1"
+            disabled={disabled}
+          >
+            <option value="all">All rows</option>
+            <option value="random">Random sample</option>
+            <option value="stratified">Stratified sample</option>
+          </select>
+        </div>
+        {draft.sampleMode !== 'all' && (
+          <>
+            <div>
+              <label htmlFor="dataset-sample-size" className="block text-xs font-medium text-gray-700 mb-1">Rows</label>
+              <input
+                id="dataset-sample-size"
+                type="number"
+                min="1"
+                value={draft.sampleSize}
+                onChange={(e) => updateDraft({ sampleSize: e.target.value })}
+                className="input-field w-20 text-xs py-1"
+                disabled={disabled}
+              />
+            </div>
+            {draft.sampleMode === 'stratified' && (
+              <div>
+                <label htmlFor="dataset-sample-column" className="block text-xs font-medium text-gray-700 mb-1">By column</label>
+                <select
+                  id="dataset-sample-column"
+                  value={draft.sampleColumn}
+                  onChange={(e) => updateDraft({ sampleColumn: e.target.value })}
+                  className="select-field w-auto text-xs py-1"
+                  disabled={disabled}
+                >
+                  <option value="">Choose a column...</option>
+                  {parsed.columns.map(column => (
+                    <option key={column} value={column}>
+                      {column}{hiddenColumns.includes(column) ? ' (label)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => updateDraft({ seed: generateSampleSeed() })}
+              className="btn-secondary px-2 py-1 text-xs"
+              disabled={disabled}
+              title={`Seed ${draft.seed}; the same seed always picks the same rows`}
+            >
+              Reshuffle
+            </button>
+          </>
+        )}
+      </div>
+
+      {result.error ? (
+        <p className="text-xs text-red-600">{result.error}</p>
+      ) : (
+        <p className="text-xs text-gray-600">
+          Sending {result.rows.length} of {parsed.rows.length} rows · {includedColumns.length} of {visibleColumns.length} columns
+          {strata.length > 0 && ` · ${strata.map(([value, count]) => `${value}: ${count}`).join(', ')}`}
+          {hiddenColumns.length > 0 && ` · ${hiddenColumns.join(', ')} hidden from the model`}
+        </p>
+      )}
+
+      <div className="overflow-x-auto max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+        <table className="text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-gray-500 align-top">
+              {columnStats.map(stats => {
+                const isIncluded = includedColumns.includes(stats.column);
+                return (
+                  <th key={stats.column} className="px-2 py-2 font-medium whitespace-nowrap">
+                    <label className={`flex items-center space-x-1 cursor-pointer ${isIncluded ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                      <input
+                        type="checkbox"
+                        checked={isIncluded}
+                        onChange={() => handleToggleColumn(stats.column)}
+                        className="h-3 w-3 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                        disabled={disabled}
+                        aria-label={`Include column ${stats.column}`}
+                      />
+                      <span>{stats.column}</span>
+                    </label>
+                    <span className="block font-normal text-gray-500" title={`${stats.filled} of ${result.rows.length} filled`}>
+                      {stats.type} · {describeStats(stats)}
+                    </span>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {result.rows.slice(0, PREVIEW_ROWS).map(row => (
+              <tr key={row.index} className="border-t border-gray-100">
+                {visibleColumns.map(column => {
+                  const value = formatCell(row.values[column]);
+                  return (
+                    <td
+                      key={column}
+                      className={`px-2 py-1 whitespace-nowrap max-w-[12rem] truncate ${includedColumns.includes(column) ? 'text-gray-700' : 'text-gray-300'}`}
+                      title={value}
+                    >
+                      {value}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {result.rows.length > PREVIEW_ROWS && (
+        <p className="text-xs text-gray-500">Showing the first {PREVIEW_ROWS} rows.</p>
+      )}
+
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={() => onApply(draftSubset)}
+          className="btn-primary px-3 py-1 text-xs"
+          disabled={disabled || !canApply}
+        >
+          Apply subset
+        </button>
+        {(subset || isDirty) && (
+          <button
+            type="button"
+            onClick={handleReset}
+            className="btn-secondary px-3 py-1 text-xs"
+            disabled={disabled}
+          >
+            Use full dataset
+          </button>
+        )}
+        {isDirty && !result.error && (
+          <span className="text-xs text-yellow-700">Not applied yet</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+DatasetPreview.propTypes = {
+  content: PropTypes.string.isRequired,
+  hiddenColumns: PropTypes.arrayOf(PropTypes.string),
+  subset: PropTypes.shape({
+    filter: PropTypes.string,
+    sample: PropTypes.shape({
+      mode: PropTypes.oneOf(SAMPLE_MODES).isRequired,
+      size: PropTypes.number,
+      column: PropTypes.string,
+      seed: PropTypes.number
+    }),
+    columns: PropTypes.arrayOf(PropTypes.string)
+  }),
+  onApply: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+DatasetPreview.defaultProps = {
+  hiddenColumns: [],
+  subset: null,
+  disabled: false
+};
+
+export default DatasetPreview;
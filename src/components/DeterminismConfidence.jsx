@@ -0,0 +1,77 @@
+import PropTypes from 'prop-types';
+import { calculateDeterminismStatistics, DETERMINISM_METRICS } from '../utils/determinismStatistics.js';
+
+const formatRate = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Confidence intervals for a determinism evaluation's metrics, with a warning
+ * when too few runs were made to establish the claimed grade.
+ */
+const DeterminismConfidence = ({ grade }) => {
+  // Evaluations saved before intervals were recorded get them computed on the fly
+  const statistics = grade.statistics || calculateDeterminismStatistics(grade);
+  const rows = DETERMINISM_METRICS
+    .filter(({ key }) => statistics.intervals[key])
+    .map(metric => ({ ...metric, ...statistics.intervals[metric.key] }));
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <div>
+      {statistics.sampleSizeWarning && (
+        <div className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm font-medium text-yellow-800">Sample too small for grade {statistics.sampleSizeWarning.claimedGrade}</p>
+          <p className="text-xs text-yellow-700 mt-1">{statistics.sampleSizeWarning.message}</p>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={row.key}>
+            <div className="flex items-center justify-between text-xs">
+              <span className="text-gray-700">{row.label}</span>
+              <span className="text-gray-900">
+                <span className="font-semibold">{formatRate(row.value)}</span>
+                <span className="ml-2 text-gray-500">
+                  {formatRate(row.lower)} – {formatRate(row.upper)} · {row.n} runs
+                </span>
+              </span>
+            </div>
+            {/* Interval band with the point estimate marked */}
+            <div className="relative mt-1 w-full bg-gray-100 rounded-full h-2">
+              <div
+                className="absolute h-2 bg-blue-200 rounded-full"
+                style={{ left: `${row.lower * 100}%`, width: `${(row.upper - row.lower) * 100}%` }}
+              />
+              <div
+                className="absolute h-2 w-0.5 bg-blue-700"
+                style={{ left: `calc(${row.value * 100}% - 1px)` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {Math.round(statistics.confidenceLevel * 100)}% Wilson intervals over {statistics.sampleSize} runs.
+      </p>
+    </div>
+  );
+};
+
+DeterminismConfidence.propTypes = {
+  grade: PropTypes.shape({
+    grade: PropTypes.string,
+    score: PropTypes.number,
+    metrics: PropTypes.object,
+    statistics: PropTypes.shape({
+      sampleSize: PropTypes.number,
+      confidenceLevel: PropTypes.number,
+      intervals: PropTypes.object,
+      sampleSizeWarning: PropTypes.object
+    })
+  }).isRequired
+};
+
+export default DeterminismConfidence;
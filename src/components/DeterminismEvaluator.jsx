@@ -7,6 +7,10 @@ import { determinismService } from '../services/determinismService'
 import { handleDeterminismError, assessEvaluationHealth, generateDeterminismErrorMessage, createGracefulDegradationPlan } from '../utils/determinismErrorHandling'
 import { ErrorTypes } from '../utils/errorHandling'
 import { useDeterminismSettings } from '../hooks/useSettings'
+import { formatCost } from '../utils/costEstimation'
+import { calculateDeterminismStatistics } from '../utils/determinismStatistics'
+import DeterminismConfidence from './DeterminismConfidence'
+import ResponseClusters from './ResponseClusters'
 
 /**
  * Enhanced DeterminismEvaluator component with single-fire logic and improved UI
@@ -48,6 +52,11 @@ function DeterminismEvaluator({
   // Get determinism settings
   const { settings: determinismSettings } = useDeterminismSettings()
 
+  // Adaptive sampling may stop sooner, so its maximum is the most requests an evaluation makes
+  const sampleLimit = determinismSettings?.adaptiveSampling
+    ? determinismSettings.maxTestCount || 30
+    : determinismSettings?.testCount || 10
+
   // Reset state only when testResult ID actually changes (new test)
   const [lastTestId, setLastTestId] = useState(null)
 
@@ -64,7 +73,7 @@ function DeterminismEvaluator({
       setRetryCount(0)
       setShowRecoveryOptions(false)
       setCompletedRequests(0)
-      setTotalRequests(determinismSettings?.testCount || 10)
+      setTotalRequests(sampleLimit)
       setStartTime(null)
       setEstimatedTimeRemaining(null)
       setIsEvaluationRunning(false)
@@ -75,7 +84,7 @@ function DeterminismEvaluator({
       setDegradationPlan(null)
       setLastTestId(testResult.id)
     }
-  }, [testResult, enabled, lastTestId, determinismSettings?.testCount])
+  }, [testResult, enabled, lastTestId, sampleLimit])
 
   // Network monitoring not needed for main thread execution
 
@@ -110,7 +119,7 @@ function DeterminismEvaluator({
     setProgress(evaluationStatus.progress || 0)
     setCurrentPhase(phaseMessage)
     setCompletedRequests(evaluationStatus.completedRequests || 0)
-    setTotalRequests(evaluationStatus.totalRequests || determinismSettings?.testCount || 10)
+    setTotalRequests(evaluationStatus.totalRequests || sampleLimit)
     setEstimatedTimeRemaining(evaluationStatus.estimatedTimeRemaining)
 
     // Handle throttling information with enhanced statistics
@@ -147,7 +156,7 @@ function DeterminismEvaluator({
     // Update evaluation data for recovery options
     setEvaluationData({
       completedRequests: evaluationStatus.completedRequests || 0,
-      totalRequests: evaluationStatus.totalRequests || determinismSettings?.testCount || 10,
+      totalRequests: evaluationStatus.totalRequests || sampleLimit,
       responses: evaluationStatus.responses || [],
       throttlingStats: evaluationStatus.throttlingStats,
       progress: evaluationStatus.progress || 0
@@ -191,7 +200,7 @@ function DeterminismEvaluator({
         evaluationStatus: evaluationStatus.status,
         retryCount,
         completedRequests: evaluationStatus.completedRequests || 0,
-        totalRequests: evaluationStatus.totalRequests || determinismSettings?.testCount || 10,
+        totalRequests: evaluationStatus.totalRequests || sampleLimit,
         responses: evaluationStatus.responses || []
       })
 
@@ -200,7 +209,7 @@ function DeterminismEvaluator({
       // Create graceful degradation plan
       const plan = createGracefulDegradationPlan(evaluationData || {
         completedRequests: evaluationStatus.completedRequests || 0,
-        totalRequests: evaluationStatus.totalRequests || determinismSettings?.testCount || 10,
+        totalRequests: evaluationStatus.totalRequests || sampleLimit,
         responses: evaluationStatus.responses || []
       }, new Error(evaluationStatus.error))
 
@@ -211,7 +220,7 @@ function DeterminismEvaluator({
       setIsEvaluationRunning(false)
       setThrottlingInfo(null)
     }
-  }, [onEvaluationComplete, retryCount, status, grade, determinismSettings?.testCount, allResponses])
+  }, [onEvaluationComplete, retryCount, status, grade, sampleLimit, allResponses])
 
   // Start evaluation with single-fire logic
   const startEvaluation = useCallback(async () => {
@@ -234,7 +243,7 @@ function DeterminismEvaluator({
       setCurrentPhase('Starting evaluation...')
       setShowRecoveryOptions(false)
       setCompletedRequests(0)
-      setTotalRequests(determinismSettings?.testCount || 10)
+      setTotalRequests(sampleLimit)
       setStartTime(Date.now())
       setEstimatedTimeRemaining(null)
       setThrottlingInfo(null)
@@ -251,6 +260,13 @@ function DeterminismEvaluator({
         datasetType: testResult.datasetType,
         datasetOption: testResult.datasetOption,
         toolConfig: testResult.toolConfig, // Include tool configuration for consistent tool usage
+        scenarioId: testResult.scenarioId,
+        toolExecutionEnabled: !!testResult.toolExecutionEnabled, // Re-run the full tool workflow, each from the seed state
+        maxIterations: testResult.workflowData?.metadata?.maxIterations,
+        originalToolUsage: testResult.toolUsage || null,
+        originalFinalState: testResult.finalState || null,
+        inferenceParams: testResult.inferenceParams, // Re-run with the same sampling settings
+        originalCost: testResult.cost || null, // Used to estimate the run's cost against the budget
         customGraderPrompt: graderSystemPrompt,
         testCount: determinismSettings?.testCount || 10,
         maxRetryAttempts: determinismSettings?.maxRetryAttempts || 3,
@@ -650,7 +666,30 @@ function DeterminismEvaluator({
         </div>
       )}
 
-
+      {status === 'completed' && grade && (grade.costSummary || grade.budgetStopMessage || grade.adaptiveSampling) && (
+        <div className="space-y-2 text-xs animate-fade-in">
+          {grade.adaptiveSampling && (
+            <div className="p-2 bg-blue-50 border border-blue-200 rounded text-blue-800">
+              <span className="font-medium">
+                Adaptive sampling: {grade.adaptiveSampling.samplesSaved > 0
+                  ? `saved ${grade.adaptiveSampling.samplesSaved} of ${grade.adaptiveSampling.maxSamples} samples. `
+                  : 'no samples saved. '}
+              </span>
+              {grade.adaptiveSampling.message}
+            </div>
+          )}
+          {grade.costSummary && (
+            <div className="text-gray-600">
+              Estimated cost of {grade.costSummary.runCount} run{grade.costSummary.runCount !== 1 ? 's' : ''}: <span className="font-medium text-gray-800">{formatCost(grade.costSummary.totalCost)}</span>
+            </div>
+          )}
+          {grade.budgetStopMessage && (
+            <div className="p-2 bg-yellow-50 border border-yellow-200 rounded text-yellow-800">
+              Stopped early: {grade.budgetStopMessage}
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Detailed Breakdown Modal */}
       {showModal && grade && (
@@ -989,7 +1028,13 @@ function DeterminismModal({ grade, onClose }) {
       metrics: grade.metrics,
       allResponses: grade.allResponses,
       throttledCount: grade.throttledCount,
-      notable_variations: grade.notable_variations
+      costSummary: grade.costSummary,
+      notable_variations: grade.notable_variations,
+      stateComparison: grade.stateComparison,
+      outcomeDeterminism: grade.outcomeDeterminism,
+      adaptiveSampling: grade.adaptiveSampling,
+      responseClusters: grade.responseClusters,
+      statistics: grade.statistics || calculateDeterminismStatistics(grade)
     }
 
     const dataStr = JSON.stringify(exportObj, null, 2)
@@ -1125,6 +1170,24 @@ function DeterminismModal({ grade, onClose }) {
                 </div>
               </div>
 
+              {/* Response Clusters */}
+              {grade.responseClusters && (
+                <div className="mb-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Response Clusters</h4>
+                  <div className="bg-white border border-gray-200 rounded-lg p-4">
+                    <ResponseClusters clusters={grade.responseClusters} />
+                  </div>
+                </div>
+              )}
+
+              {/* Confidence Intervals */}
+              <div className="mb-6">
+                <h4 className="text-lg font-semibold text-gray-900 mb-4">Confidence Intervals</h4>
+                <div className="bg-white border border-gray-200 rounded-lg p-4">
+                  <DeterminismConfidence grade={grade} />
+                </div>
+              </div>
+
               {/* Consistency Breakdown */}
               {grade.metrics ? (
                 <div className="mb-6">
@@ -1133,6 +1196,21 @@ function DeterminismModal({ grade, onClose }) {
                   {/* Simple Visual Bar Chart */}
                   <div className="bg-white border border-gray-200 rounded-lg p-4 mb-4">
                     <div className="space-y-3">
+                      {grade.metrics.outcomeDeterminism !== undefined && (
+                        <>
+                          <div className="flex items-center justify-between">
+                            <span className="text-sm font-medium text-gray-700">Outcome Determinism</span>
+                            <span className="text-sm font-bold text-teal-600">{formatPercentage(grade.metrics.outcomeDeterminism)}</span>
+                          </div>
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                              className="bg-teal-500 h-2 rounded-full transition-all duration-500"
+                              style={{ width: `${(grade.metrics.outcomeDeterminism || 0) * 100}%` }}
+                            />
+                          </div>
+                        </>
+                      )}
+
                       <div className="flex items-center justify-between">
                         <span className="text-sm font-medium text-gray-700">Decision Consistency</span>
                         <span className="text-sm font-bold text-blue-600">{formatPercentage(grade.metrics.decisionConsistency)}</span>
@@ -1266,6 +1344,96 @@ function DeterminismModal({ grade, onClose }) {
                 </div>
               )}
 
+              {/* Outcome Determinism */}
+              {grade.outcomeDeterminism && (
+                <div className="mb-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Outcome Determinism</h4>
+                  <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm">
+                    <p className="text-sm text-gray-700">
+                      {formatPercentage(grade.outcomeDeterminism.score)} of runs had the same side effects: {grade.outcomeDeterminism.distinctOutcomes} distinct outcome{grade.outcomeDeterminism.distinctOutcomes === 1 ? '' : 's'} across {grade.outcomeDeterminism.runCount} runs, covering {grade.outcomeDeterminism.entityCount} affected record{grade.outcomeDeterminism.entityCount === 1 ? '' : 's'}.
+                    </p>
+
+                    {grade.outcomeDeterminism.inconsistentEntities.length > 0 ? (
+                      <div className="mt-4 space-y-2">
+                        <div className="text-sm font-medium text-gray-700">
+                          Handled inconsistently ({grade.outcomeDeterminism.inconsistentEntityCount})
+                        </div>
+                        {grade.outcomeDeterminism.inconsistentEntities.map(entity => (
+                          <div key={`${entity.store}/${entity.key}`} className="p-2 bg-gray-50 border border-gray-200 rounded text-xs">
+                            <div className="font-mono text-gray-800">{entity.store}/{entity.key}</div>
+                            <ul className="mt-1 space-y-1">
+                              {entity.outcomes.map(outcome => (
+                                <li key={outcome.runs.join(',')} className="flex justify-between space-x-4">
+                                  <span className="text-gray-700 break-all">
+                                    {outcome.tools.length > 0 ? outcome.tools.join(', ') : 'not touched'}
+                                    {outcome.values === null
+                                      ? ' → no record'
+                                      : Object.keys(outcome.values).length > 0 && (
+                                        <span className="font-mono"> → {Object.entries(outcome.values).map(([field, value]) => `${field}: ${value === undefined ? '—' : JSON.stringify(value)}`).join(', ')}</span>
+                                      )}
+                                  </span>
+                                  <span className="text-gray-500 whitespace-nowrap">run{outcome.runs.length === 1 ? '' : 's'} {outcome.runs.join(', ')}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="mt-2 text-xs text-green-700">Every run affected the same records in the same way.</p>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Final State Comparison */}
+              {grade.stateComparison && (
+                <div className="mb-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4 flex items-center space-x-2">
+                    <svg className="w-5 h-5 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+                    </svg>
+                    <span>Final State Consistency</span>
+                  </h4>
+                  <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-medium text-gray-700">Runs ending in the same scenario state</span>
+                      <span className="text-sm font-bold text-teal-600">{formatPercentage(grade.stateComparison.consistency)}</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-gradient-to-r from-teal-500 to-teal-600 h-2 rounded-full transition-all duration-500"
+                        style={{ width: `${(grade.stateComparison.consistency || 0) * 100}%` }}
+                      ></div>
+                    </div>
+                    <p className="mt-2 text-xs text-gray-500">
+                      {grade.stateComparison.distinctStates} distinct final state{grade.stateComparison.distinctStates === 1 ? '' : 's'} across {grade.stateComparison.runCount} runs. Every run started from the scenario's seed data; timestamps and generated IDs are ignored.
+                    </p>
+
+                    {grade.stateComparison.variations.length > 0 && (
+                      <div className="mt-4 space-y-2">
+                        <div className="text-sm font-medium text-gray-700">Fields that differ between runs</div>
+                        {grade.stateComparison.variations.map(variation => (
+                          <div key={`${variation.store}/${variation.key}/${variation.field}`} className="p-2 bg-gray-50 border border-gray-200 rounded text-xs">
+                            <div className="font-mono text-gray-800">
+                              {variation.store}/{variation.key}{variation.field ? `.${variation.field}` : ''}
+                            </div>
+                            <ul className="mt-1 space-y-0.5">
+                              {variation.values.map(entry => (
+                                <li key={entry.runs.join(',')} className="flex justify-between space-x-4">
+                                  <span className="font-mono text-gray-700 break-all">{entry.value === undefined ? '—' : JSON.stringify(entry.value)}</span>
+                                  <span className="text-gray-500 whitespace-nowrap">run{entry.runs.length === 1 ? '' : 's'} {entry.runs.join(', ')}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Advanced Metrics Section */}
               {grade.metrics && (grade.metrics.tool_consistency_rate !== undefined || grade.metrics.semantic_similarity_variance !== undefined) && (
                 <div className="mb-6">
@@ -1462,8 +1630,26 @@ function DeterminismModal({ grade, onClose }) {
                   <div className="text-xs text-orange-600 font-medium">Throttled</div>
                   <div className="text-lg font-bold text-orange-900">{grade.throttledCount || 0}</div>
                 </div>
+                {grade.costSummary && (
+                  <div className="bg-gradient-to-br from-gray-50 to-gray-100 border border-gray-200 p-3 rounded-lg text-center shadow-sm">
+                    <div className="text-xs text-gray-600 font-medium">Estimated Cost</div>
+                    <div className="text-lg font-bold text-gray-900">{formatCost(grade.costSummary.totalCost)}</div>
+                  </div>
+                )}
+                {grade.adaptiveSampling && (
+                  <div className="bg-gradient-to-br from-blue-50 to-blue-100 border border-blue-200 p-3 rounded-lg text-center shadow-sm" title={grade.adaptiveSampling.message}>
+                    <div className="text-xs text-blue-600 font-medium">Samples Saved</div>
+                    <div className="text-lg font-bold text-blue-900">
+                      {grade.adaptiveSampling.samplesSaved} / {grade.adaptiveSampling.maxSamples}
+                    </div>
+                  </div>
+                )}
               </div>
 
+              {grade.adaptiveSampling && (
+                <p className="mb-6 text-sm text-gray-600">{grade.adaptiveSampling.message}</p>
+              )}
+
               {/* Search and Filter Controls */}
               {grade.allResponses?.length > 10 && (
                 <div className="mb-6 flex flex-col sm:flex-row gap-4">
@@ -1602,6 +1788,15 @@ DeterminismModal.propTypes = {
     reasoning: PropTypes.string.isRequired,
     allResponses: PropTypes.array,
     throttledCount: PropTypes.number,
+    costSummary: PropTypes.object,
+    budgetStopMessage: PropTypes.string,
+    adaptiveSampling: PropTypes.shape({
+      stopReason: PropTypes.string,
+      message: PropTypes.string,
+      sampleCount: PropTypes.number,
+      maxSamples: PropTypes.number,
+      samplesSaved: PropTypes.number
+    }),
     metrics: PropTypes.object,
     notable_variations: PropTypes.array,
     variance: PropTypes.shape({
@@ -1625,4 +1820,5 @@ ErrorRecoveryOptions.propTypes = {
   retryCount: PropTypes.number.isRequired
 }
 
+export { DeterminismModal }
 export default DeterminismEvaluator
@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import ProgressBar from './ProgressBar';
+import { DeterminismModal } from './DeterminismEvaluator';
+import { determinismJobService, MAX_JOB_VARIANTS } from '../services/determinismJobService.js';
+import { formatCost } from '../utils/costEstimation.js';
+
+const GRADE_COLORS = {
+  A: 'bg-green-100 text-green-800 border-green-200',
+  B: 'bg-blue-100 text-blue-800 border-blue-200',
+  C: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  D: 'bg-orange-100 text-orange-800 border-orange-200',
+  F: 'bg-red-100 text-red-800 border-red-200'
+};
+
+const parseList = (text) => text.split(/[\n,]+/).map(item => item.trim()).filter(Boolean);
+
+const formatTemperature = (temperature) => (temperature === null ? 'Test settings' : `Temp ${temperature}`);
+
+/**
+ * Launch one determinism job against several models and temperatures with the same prompts,
+ * and compare the grades side by side. Each cell opens its stored evaluation.
+ */
+const DeterminismJobPanel = ({ testResult, disabled }) => {
+  const [modelsText, setModelsText] = useState(testResult.modelId || '');
+  const [temperaturesText, setTemperaturesText] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [jobId, setJobId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [variants, setVariants] = useState([]);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [openEvaluation, setOpenEvaluation] = useState(null);
+
+  // Show the latest job launched from this test
+  useEffect(() => {
+    const [latestJob] = determinismJobService.getJobs(testResult.id);
+    setJob(latestJob || null);
+    setVariants(latestJob?.variants || []);
+    setModelsText(latestJob ? latestJob.modelIds.join('\n') : testResult.modelId || '');
+    setTemperaturesText(latestJob ? latestJob.temperatures.join(', ') : '');
+    setError(null);
+  }, [testResult.id, testResult.modelId]);
+
+  const models = parseList(modelsText);
+  const temperatures = parseList(temperaturesText).map(Number);
+  const validationErrors = determinismJobService.validateJobConfig({ models, temperatures });
+  const variantCount = models.length * Math.max(temperatures.length, 1);
+  const canRun = !disabled && !isRunning && validationErrors.length === 0;
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    setJob(null);
+    setVariants(determinismJobService.buildVariants({ models, temperatures }));
+    setProgress({ completed: 0, total: 0 });
+
+    try {
+      const result = await determinismJobService.runJob(testResult, { models, temperatures }, {
+        onVariantUpdate: (variant) => {
+          setJobId(variant.jobId);
+          setVariants(previous => previous.map(existing => (existing.index === variant.index ? variant : existing)));
+        },
+        onProgress: (completed, total) => setProgress({ completed, total })
+      });
+      setJob(result);
+      setVariants(result.variants);
+    } catch (jobError) {
+      setError(jobError.message);
+    } finally {
+      setIsRunning(false);
+      setJobId(null);
+      setProgress(null);
+    }
+  };
+
+  const handleOpenVariant = async (variant) => {
+    try {
+      const evaluation = await determinismJobService.getVariantEvaluation(variant.evaluationId);
+      if (!evaluation?.grade) {
+        setError(`The stored evaluation for ${variant.modelId} was not found`);
+        return;
+      }
+      setOpenEvaluation(evaluation);
+    } catch (loadError) {
+      setError(`Failed to load the evaluation: ${loadError.message}`);
+    }
+  };
+
+  const modelRows = [...new Set(variants.map(variant => variant.modelId))];
+  const temperatureColumns = [...new Set(variants.map(variant => variant.temperature))];
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 mb-3">
+        <h4 className="text-md font-semibold text-gray-900">Multi-model Determinism Job</h4>
+        <HelpTooltip
+          content="Evaluate these prompts, data and tools against several models and temperatures in one job. Each variant runs the configured number of determinism tests; models run side by side, each within its own rate limits."
+          position="right"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+        <div>
+          <label htmlFor="determinism-job-models" className="block text-xs font-medium text-gray-700 mb-1">
+            Model IDs (one per line)
+          </label>
+          <textarea
+            id="determinism-job-models"
+            value={modelsText}
+            onChange={(e) => setModelsText(e.target.value)}
+            disabled={isRunning}
+            rows={3}
+            className="input-field font-mono text-xs"
+          />
+        </div>
+        <div>
+          <label htmlFor="determinism-job-temperatures" className="block text-xs font-medium text-gray-700 mb-1">
+            Temperatures (comma separated, optional)
+          </label>
+          <input
+            id="determinism-job-temperatures"
+            type="text"
+            value={temperaturesText}
+            onChange={(e) => setTemperaturesText(e.target.value)}
+            disabled={isRunning}
+            placeholder="e.g. 0, 0.5, 1"
+            className="input-field text-xs"
+          />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to keep the test&apos;s own temperature.</p>
+        </div>
+      </div>
+
+      {validationErrors.length > 0 && modelsText.trim() && (
+        <ul className="mb-3 text-xs text-yellow-700 space-y-1">
+          {validationErrors.map((message, index) => (
+            <li key={index}>• {message}</li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {isRunning && progress && progress.total > 0 && (
+        <div className="mb-3">
+          <ProgressBar
+            progress={Math.round((progress.completed / progress.total) * 100)}
+            status={`${progress.completed} of ${progress.total} runs finished`}
+            color="primary"
+          />
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2 mb-4">
+        <button
+          onClick={handleRun}
+          disabled={!canRun}
+          className={`btn-primary px-3 py-1 text-sm ${!canRun ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {isRunning ? (
+            <LoadingSpinner size="sm" color="white" text="Running job..." inline />
+          ) : (
+            `Run Job (${variantCount} variant${variantCount !== 1 ? 's' : ''}, max ${MAX_JOB_VARIANTS})`
+          )}
+        </button>
+        {isRunning && jobId && (
+          <button
+            onClick={() => determinismJobService.cancelJob(jobId)}
+            className="btn-secondary px-3 py-1 text-sm"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="pr-3 pb-2 font-medium">Model</th>
+                {temperatureColumns.map(temperature => (
+                  <th key={String(temperature)} className="pr-3 pb-2 font-medium text-center">
+                    {formatTemperature(temperature)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {modelRows.map(modelId => (
+                <tr key={modelId} className="border-t border-gray-100">
+                  <td className="pr-3 py-2 font-mono text-xs text-gray-900 break-all">{modelId}</td>
+                  {temperatureColumns.map(temperature => {
+                    const variant = variants.find(item => item.modelId === modelId && item.temperature === temperature);
+                    return (
+                      <td key={String(temperature)} className="pr-3 py-2 text-center">
+                        {variant?.status === 'completed' ? (
+                          <button
+                            onClick={() => handleOpenVariant(variant)}
+                            className={`inline-flex items-center space-x-1 px-2 py-1 rounded border font-medium hover:shadow ${GRADE_COLORS[variant.grade] || 'bg-gray-100 text-gray-800 border-gray-200'}`}
+                            title="Open the stored evaluation"
+                          >
+                            <span className="text-base font-bold">{variant.grade}</span>
+                            <span className="text-xs">{variant.score}% · {variant.responseCount} runs</span>
+                          </button>
+                        ) : variant?.status === 'running' ? (
+                          <LoadingSpinner size="sm" text="Running" inline />
+                        ) : variant?.status === 'error' ? (
+                          <span className="text-xs text-red-600" title={variant.error}>Failed</span>
+                        ) : (
+                          <span className="text-xs text-gray-400">{variant?.status === 'cancelled' ? 'Skipped' : 'Pending'}</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {job && (
+            <p className="mt-2 text-xs text-gray-500">
+              {job.runsPerVariant} runs per variant
+              {job.cost && <> · {formatCost(job.cost.totalCost)}</>}
+              {job.budgetStopMessage && <> · Stopped early: {job.budgetStopMessage}</>}
+            </p>
+          )}
+        </div>
+      )}
+
+      {openEvaluation && (
+        <DeterminismModal grade={openEvaluation.grade} onClose={() => setOpenEvaluation(null)} />
+      )}
+    </div>
+  );
+};
+
+DeterminismJobPanel.propTypes = {
+  testResult: PropTypes.shape({
+    id: PropTypes.string,
+    modelId: PropTypes.string,
+    systemPrompt: PropTypes.string,
+    userPrompt: PropTypes.string,
+    datasetContent: PropTypes.string,
+    inferenceParams: PropTypes.object,
+    cost: PropTypes.object
+  }).isRequired,
+  disabled: PropTypes.bool
+};
+
+DeterminismJobPanel.defaultProps = {
+  disabled: false
+};
+
+export default DeterminismJobPanel;
@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import { compareDeterminismEvaluations, SIGNIFICANCE_LEVEL } from '../utils/determinismStatistics.js';
+
+const formatRate = (value) => `${(value * 100).toFixed(1)}%`;
+
+const formatPValue = (pValue) => (pValue < 0.001 ? '< 0.001' : pValue.toFixed(3));
+
+/**
+ * Metric-by-metric significance test between two determinism evaluations,
+ * e.g. before and after a prompt change.
+ */
+const DeterminismSignificance = ({ baseline, candidate, baselineLabel, candidateLabel }) => {
+  const comparison = compareDeterminismEvaluations(baseline, candidate);
+
+  if (comparison.metrics.length === 0) {
+    return (
+      <p className="text-xs text-gray-500">
+        These evaluations share no metrics with a known run count to compare.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="pr-2 font-medium">Metric</th>
+            <th className="pr-2 font-medium text-right">{baselineLabel}</th>
+            <th className="pr-2 font-medium text-right">{candidateLabel}</th>
+            <th className="pr-2 font-medium text-right">Change</th>
+            <th className="pr-2 font-medium text-right">p-value</th>
+            <th className="font-medium text-right">Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.metrics.map(metric => (
+            <tr key={metric.key} className="border-t border-gray-100">
+              <td className="pr-2 py-1 text-gray-900">{metric.label}</td>
+              <td className="pr-2 py-1 text-right text-gray-700" title={`${metric.nA} runs`}>{formatRate(metric.valueA)}</td>
+              <td className="pr-2 py-1 text-right text-gray-700" title={`${metric.nB} runs`}>{formatRate(metric.valueB)}</td>
+              <td className={`pr-2 py-1 text-right ${metric.difference > 0 ? 'text-green-700' : metric.difference < 0 ? 'text-red-700' : 'text-gray-500'}`}>
+                {metric.difference > 0 ? '+' : ''}{(metric.difference * 100).toFixed(1)} pts
+              </td>
+              <td className="pr-2 py-1 text-right font-mono text-gray-700">{formatPValue(metric.pValue)}</td>
+              <td className="py-1 text-right">
+                <span className={`px-2 py-0.5 rounded font-medium ${
+                  metric.significant ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'
+                }`}>
+                  {metric.significant ? 'Significant' : 'Not significant'}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs text-gray-500">
+        Two-proportion z-test at p &lt; {SIGNIFICANCE_LEVEL}, treating each metric as the share of runs that agree.
+        {!comparison.anySignificant && ' No change is larger than run-to-run noise at these sample sizes.'}
+      </p>
+    </div>
+  );
+};
+
+DeterminismSignificance.propTypes = {
+  baseline: PropTypes.shape({
+    score: PropTypes.number,
+    metrics: PropTypes.object
+  }).isRequired,
+  candidate: PropTypes.shape({
+    score: PropTypes.number,
+    metrics: PropTypes.object
+  }).isRequired,
+  baselineLabel: PropTypes.string,
+  candidateLabel: PropTypes.string
+};
+
+DeterminismSignificance.defaultProps = {
+  baselineLabel: 'Before',
+  candidateLabel: 'After'
+};
+
+export default DeterminismSignificance;
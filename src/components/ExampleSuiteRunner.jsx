@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import { scenarioService } from '../services/scenarioService.js';
+import { exampleSuiteService } from '../services/exampleSuiteService.js';
+import { describeAssertion } from '../utils/exampleAssertions.js';
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-600' },
+  running: { label: 'Running', className: 'bg-blue-100 text-blue-700' },
+  passed: { label: 'Passed', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-500' }
+};
+
+const ExampleSuiteRunner = ({
+  scenarioId,
+  modelId,
+  getRunOptions,
+  onViewResult,
+  disabled,
+  isCollapsed,
+  onToggleCollapse
+}) => {
+  const [examples, setExamples] = useState([]);
+  const [exampleStates, setExampleStates] = useState([]);
+  const [runId, setRunId] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    setExampleStates([]);
+    setError(null);
+
+    const loadExamples = async () => {
+      if (!scenarioId) {
+        setExamples([]);
+        return;
+      }
+      if (!scenarioService.isInitialized) {
+        await scenarioService.initialize();
+      }
+      const scenarioExamples = await scenarioService.getExamples(scenarioId);
+      if (isCurrent) {
+        setExamples(scenarioExamples);
+      }
+    };
+
+    loadExamples();
+    return () => {
+      isCurrent = false;
+    };
+  }, [scenarioId]);
+
+  if (examples.length === 0) {
+    return null;
+  }
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    setExampleStates([]);
+
+    try {
+      const runOptions = getRunOptions ? await getRunOptions() : {};
+      await exampleSuiteService.runExamples(scenarioId, modelId, {
+        ...runOptions,
+        onExampleUpdate: (state) => {
+          setRunId(state.runId);
+          setExampleStates(prev => {
+            const next = [...prev];
+            next[state.index] = state;
+            return next;
+          });
+        }
+      });
+    } catch (runError) {
+      setError(runError.message);
+    } finally {
+      setIsRunning(false);
+      setRunId(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (runId) {
+      exampleSuiteService.cancelRun(runId);
+    }
+  };
+
+  const finishedStates = exampleStates.filter(state => state && ['passed', 'failed', 'error'].includes(state.status));
+  const passedCount = finishedStates.filter(state => state.status === 'passed').length;
+  const canRun = !!modelId && !isRunning && !disabled;
+
+  return (
+    <div className="card">
+      <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onToggleCollapse}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onToggleCollapse?.();
+              }
+            }}
+            className="collapsible-toggle-button group"
+            aria-expanded={!isCollapsed}
+            aria-controls="example-suite-runner-content"
+            aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} scenario examples section`}
+          >
+            <svg
+              className={`collapsible-chevron ${isCollapsed ? 'collapsed' : 'expanded'}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+            <span>Scenario Examples</span>
+          </button>
+          {!isCollapsed && (
+            <HelpTooltip
+              content="Runs every example defined in the scenario against the selected model, using each example's own prompts, dataset and variable bindings, and checks its assertions."
+              position="right"
+            />
+          )}
+        </div>
+        {finishedStates.length > 0 && (
+          <span className={`text-sm font-medium ${passedCount === finishedStates.length ? 'text-green-700' : 'text-red-700'}`}>
+            {passedCount}/{finishedStates.length} passed
+          </span>
+        )}
+      </div>
+
+      <div
+        id="example-suite-runner-content"
+        className={`collapsible-content ${isCollapsed ? 'collapsed' : 'expanded'}`}
+        role="region"
+        aria-hidden={isCollapsed}
+      >
+        <div className="space-y-3">
+          {examples.map((example, index) => {
+            const state = exampleStates[index];
+            const badge = state ? STATUS_BADGES[state.status] : null;
+            const assertionResults = state?.evaluation?.results;
+
+            return (
+              <div key={`${example.name}-${index}`} className="p-3 border border-gray-200 rounded-lg">
+                <div className="flex items-start justify-between space-x-2">
+                  <div className="min-w-0">
+                    <h4 className="text-sm font-medium text-gray-900">{example.name}</h4>
+                    <p className="text-xs text-gray-500">{example.description}</p>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {badge && (
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${badge.className}`}>
+                        {badge.label}
+                      </span>
+                    )}
+                    {state?.result && onViewResult && (
+                      <button
+                        onClick={() => onViewResult(state.result)}
+                        className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        View response
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {state?.error && (
+                  <p className="mt-2 text-xs text-red-600">{state.error}</p>
+                )}
+
+                {(example.assertions || []).length > 0 ? (
+                  <ul className="mt-2 space-y-1">
+                    {example.assertions.map((assertion, assertionIndex) => {
+                      const assertionResult = assertionResults?.[assertionIndex];
+                      return (
+                        <li key={assertionIndex} className="flex items-start space-x-2 text-xs">
+                          <span className={
+                            !assertionResult ? 'text-gray-400' : assertionResult.passed ? 'text-green-600' : 'text-red-600'
+                          }>
+                            {!assertionResult ? '○' : assertionResult.passed ? '✓' : '✗'}
+                          </span>
+                          <span className="text-gray-700">
+                            {describeAssertion(assertion)}
+                            {assertionResult && !assertionResult.passed && (
+                              <span className="text-gray-500"> — {assertionResult.message}</span>
+                            )}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                ) : (
+                  <p className="mt-2 text-xs text-gray-400 italic">No assertions defined</p>
+                )}
+              </div>
+            );
+          })}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={handleRun}
+              disabled={!canRun}
+              className={`btn-secondary px-4 py-2 ${!canRun ? 'opacity-50 cursor-not-allowed' : ''}`}
+              title={!modelId ? 'Select a model first' : undefined}
+            >
+              {isRunning ? (
+                <LoadingSpinner
+                  size="sm"
+                  text="Running Examples..."
+                  inline
+                />
+              ) : (
+                `Run ${examples.length} Example${examples.length !== 1 ? 's' : ''}`
+              )}
+            </button>
+            {isRunning && (
+              <button
+                onClick={handleCancel}
+                className="btn-secondary px-4 py-2"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ExampleSuiteRunner.propTypes = {
+  scenarioId: PropTypes.string,
+  modelId: PropTypes.string,
+  getRunOptions: PropTypes.func,
+  onViewResult: PropTypes.func,
+  disabled: PropTypes.bool,
+  isCollapsed: PropTypes.bool,
+  onToggleCollapse: PropTypes.func
+};
+
+ExampleSuiteRunner.defaultProps = {
+  scenarioId: null,
+  modelId: null,
+  getRunOptions: null,
+  onViewResult: null,
+  disabled: false,
+  isCollapsed: false,
+  onToggleCollapse: null
+};
+
+export default ExampleSuiteRunner;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatRatio } from '../utils/groundTruthScoring.js';
+
+const formatCategory = (category) => category.replace(/_/g, ' ');
+
+const getRatioColor = (value) => {
+  if (value === null || value === undefined) return 'text-gray-500';
+  if (value >= 0.8) return 'text-green-700';
+  if (value >= 0.5) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+const getBarColor = (value) => {
+  if (value >= 0.8) return 'bg-green-500';
+  if (value >= 0.5) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+/**
+ * Detection quality of a labelled run: precision, recall and F1 of the rows the model acted on,
+ * recall per label category, and the rows it missed or wrongly acted on.
+ */
+const GroundTruthScore = ({ score }) => {
+  const [showRows, setShowRows] = useState(false);
+
+  const hasRowDetails = score.missedIds.length > 0 || score.falseAlarmIds.length > 0 || score.unknownIds.length > 0;
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        {[
+          { label: 'Precision', value: score.precision, hint: `${score.truePositives} of ${score.predictedCount} actioned rows were labelled positive` },
+          { label: 'Recall', value: score.recall, hint: `${score.truePositives} of ${score.positiveCount} positive rows were actioned` },
+          { label: 'F1', value: score.f1, hint: 'Harmonic mean of precision and recall' }
+        ].map(metric => (
+          <div key={metric.label} className="bg-white border border-gray-200 rounded-lg p-3 text-center" title={metric.hint}>
+            <div className={`text-2xl font-bold ${getRatioColor(metric.value)}`}>{formatRatio(metric.value)}</div>
+            <div className="text-xs text-gray-600">{metric.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-600 mb-3">
+        {score.labelledCount} labelled rows, {score.positiveCount} positive ·
+        {' '}{score.truePositives} caught, {score.falseNegatives} missed, {score.falsePositives} false alarm{score.falsePositives !== 1 ? 's' : ''}
+        {' '}· scored from {score.actions.join(' and ')} calls
+      </p>
+
+      {score.categories.length > 0 && (
+        <div className="mb-3">
+          <div className="text-xs font-medium text-gray-700 mb-2">
+            Recall by {score.categoryColumn ? formatCategory(score.categoryColumn) : 'category'}
+          </div>
+          <div className="space-y-2">
+            {score.categories.map(entry => (
+              <div key={entry.category} className="flex items-center text-xs">
+                <span className="w-56 truncate text-gray-700" title={entry.category}>{formatCategory(entry.category)}</span>
+                <div className="flex-1 mx-2 h-2 bg-gray-200 rounded">
+                  <div
+                    className={`h-2 rounded ${getBarColor(entry.recall)}`}
+                    style={{ width: `${Math.round(entry.recall * 100)}%` }}
+                  />
+                </div>
+                <span className="w-20 text-right text-gray-700">{entry.detected}/{entry.total} ({formatRatio(entry.recall)})</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {hasRowDetails && (
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowRows(!showRows)}
+            className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {showRows ? 'Hide rows' : 'Show missed and false alarm rows'}
+          </button>
+          {showRows && (
+            <div className="mt-2 space-y-1 text-xs font-mono break-all">
+              {score.missedIds.length > 0 && (
+                <p><span className="font-sans font-medium text-red-700">Missed:</span> {score.missedIds.join(', ')}</p>
+              )}
+              {score.falseAlarmIds.length > 0 && (
+                <p><span className="font-sans font-medium text-yellow-700">False alarms:</span> {score.falseAlarmIds.join(', ')}</p>
+              )}
+              {score.unknownIds.length > 0 && (
+                <p><span className="font-sans font-medium text-gray-700">Not in dataset (not scored):</span> {score.unknownIds.join(', ')}</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+GroundTruthScore.propTypes = {
+  score: PropTypes.shape({
+    precision: PropTypes.number,
+    recall: PropTypes.number,
+    f1: PropTypes.number,
+    truePositives: PropTypes.number.isRequired,
+    falsePositives: PropTypes.number.isRequired,
+    falseNegatives: PropTypes.number.isRequired,
+    labelledCount: PropTypes.number.isRequired,
+    positiveCount: PropTypes.number.isRequired,
+    predictedCount: PropTypes.number.isRequired,
+    missedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    falseAlarmIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    unknownIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    categoryColumn: PropTypes.string,
+    actions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    categories: PropTypes.arrayOf(PropTypes.shape({
+      category: PropTypes.string.isRequired,
+      total: PropTypes.number.isRequired,
+      detected: PropTypes.number.isRequired,
+      recall: PropTypes.number
+    })).isRequired
+  }).isRequired
+};
+
+export default GroundTruthScore;
@@ -406,8 +406,8 @@ function GuardrailEditModal({ isOpen, guardrailId, onClose, onSave }) {
       // Topics: build from editor if provided, else apply actions to existing
       if (formData.activeConfigurations.TOPIC_POLICY) {
         if (Array.isArray(formData.topics) && formData.topics.length > 0) {
-          const topicsConfig = formData.topics.map(t => ({
-            name: t.name || 'topic',
+          const topicsConfig = formData.topics.map((t, index) => ({
+            name: t.name || `topic-${index + 1}`,
             definition: t.definition || '',
             examples: Array.isArray(t.examples) ? t.examples : [],
             type: 'DENY',
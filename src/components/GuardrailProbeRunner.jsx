@@ -0,0 +1,338 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import { scenarioService } from '../services/scenarioService.js';
+import { guardrailProbeService } from '../services/guardrailProbeService.js';
+import { PROBE_SOURCES, buildConfusionMatrix } from '../utils/guardrailProbes.js';
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-600' },
+  running: { label: 'Running', className: 'bg-blue-100 text-blue-700' },
+  correct: { label: 'Correct', className: 'bg-green-100 text-green-800' },
+  incorrect: { label: 'Wrong', className: 'bg-red-100 text-red-800' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-500' }
+};
+
+const formatRatio = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+const ConfusionMatrix = ({ matrix, title }) => (
+  <div>
+    {title && <h5 className="text-xs font-medium text-gray-700 mb-1">{title}</h5>}
+    <table className="text-xs border border-gray-200">
+      <thead>
+        <tr className="bg-gray-50">
+          <th className="px-2 py-1 text-left font-medium text-gray-500">Expected \ Actual</th>
+          <th className="px-2 py-1 font-medium text-gray-500">Blocked</th>
+          <th className="px-2 py-1 font-medium text-gray-500">Passed</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <th className="px-2 py-1 text-left font-medium text-gray-700">Should block</th>
+          <td className="px-2 py-1 text-center bg-green-50 text-green-800">{matrix.truePositive}</td>
+          <td className="px-2 py-1 text-center bg-red-50 text-red-800">{matrix.falseNegative}</td>
+        </tr>
+        <tr>
+          <th className="px-2 py-1 text-left font-medium text-gray-700">Should pass</th>
+          <td className="px-2 py-1 text-center bg-red-50 text-red-800">{matrix.falsePositive}</td>
+          <td className="px-2 py-1 text-center bg-green-50 text-green-800">{matrix.trueNegative}</td>
+        </tr>
+      </tbody>
+    </table>
+    <p className="mt-1 text-xs text-gray-500">
+      Precision {formatRatio(matrix.precision)} · Recall {formatRatio(matrix.recall)} · Accuracy {formatRatio(matrix.accuracy)}
+    </p>
+  </div>
+);
+
+ConfusionMatrix.propTypes = {
+  matrix: PropTypes.shape({
+    truePositive: PropTypes.number,
+    falsePositive: PropTypes.number,
+    trueNegative: PropTypes.number,
+    falseNegative: PropTypes.number,
+    precision: PropTypes.number,
+    recall: PropTypes.number,
+    accuracy: PropTypes.number
+  }).isRequired,
+  title: PropTypes.string
+};
+
+ConfusionMatrix.defaultProps = {
+  title: null
+};
+
+const GuardrailProbeRunner = ({
+  scenarioId,
+  getGuardrailConfig,
+  disabled,
+  isCollapsed,
+  onToggleCollapse
+}) => {
+  const [probes, setProbes] = useState([]);
+  const [cases, setCases] = useState([]);
+  const [selectedSources, setSelectedSources] = useState(PROBE_SOURCES);
+  const [runId, setRunId] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    setCases([]);
+    setError(null);
+
+    const loadProbes = async () => {
+      if (!scenarioId) {
+        setProbes([]);
+        return;
+      }
+      if (!scenarioService.isInitialized) {
+        await scenarioService.initialize();
+      }
+      const scenarioProbes = await scenarioService.getGuardrailProbes(scenarioId);
+      if (isCurrent) {
+        setProbes(scenarioProbes);
+      }
+    };
+
+    loadProbes();
+    return () => {
+      isCurrent = false;
+    };
+  }, [scenarioId]);
+
+  if (probes.length === 0) {
+    return null;
+  }
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    setCases([]);
+
+    try {
+      const guardrailConfig = getGuardrailConfig ? await getGuardrailConfig() : null;
+      if (!guardrailConfig) {
+        throw new Error('Enable guardrails for this scenario to run its probes');
+      }
+
+      await guardrailProbeService.runProbes(scenarioId, guardrailConfig, {
+        sources: selectedSources,
+        onCaseUpdate: (probeCase) => {
+          setRunId(probeCase.runId);
+          setCases(prev => {
+            const next = [...prev];
+            next[probeCase.index] = probeCase;
+            return next;
+          });
+        }
+      });
+    } catch (runError) {
+      setError(runError.message);
+    } finally {
+      setIsRunning(false);
+      setRunId(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (runId) {
+      guardrailProbeService.cancelRun(runId);
+    }
+  };
+
+  const toggleSource = (source) => {
+    setSelectedSources(prev => (
+      prev.includes(source)
+        ? prev.filter(s => s !== source)
+        : PROBE_SOURCES.filter(s => s === source || prev.includes(s))
+    ));
+  };
+
+  const evaluatedCases = cases.filter(probeCase => probeCase?.actual);
+  const matrix = buildConfusionMatrix(evaluatedCases);
+  const sourcesInRun = PROBE_SOURCES.filter(source => evaluatedCases.some(probeCase => probeCase.source === source));
+  const canRun = selectedSources.length > 0 && !isRunning && !disabled;
+
+  return (
+    <div className="card">
+      <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onToggleCollapse}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onToggleCollapse?.();
+              }
+            }}
+            className="collapsible-toggle-button group"
+            aria-expanded={!isCollapsed}
+            aria-controls="guardrail-probe-runner-content"
+            aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} guardrail probes section`}
+          >
+            <svg
+              className={`collapsible-chevron ${isCollapsed ? 'collapsed' : 'expanded'}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+            <span>Guardrail Probes</span>
+          </button>
+          {!isCollapsed && (
+            <HelpTooltip
+              content="Sends the scenario's labelled red-team prompts straight to its guardrail with ApplyGuardrail, as user input and as model output, without calling a model. Use the confusion matrix to tune filter strengths before rolling the guardrail out."
+              position="right"
+            />
+          )}
+        </div>
+        {evaluatedCases.length > 0 && (
+          <span className={`text-sm font-medium ${matrix.accuracy === 1 ? 'text-green-700' : 'text-red-700'}`}>
+            {matrix.truePositive + matrix.trueNegative}/{matrix.total} correct
+          </span>
+        )}
+      </div>
+
+      <div
+        id="guardrail-probe-runner-content"
+        className={`collapsible-content ${isCollapsed ? 'collapsed' : 'expanded'}`}
+        role="region"
+        aria-hidden={isCollapsed}
+      >
+        <div className="space-y-3">
+          <div className="flex items-center space-x-4 text-sm text-gray-700">
+            <span className="font-medium">Evaluate as:</span>
+            {PROBE_SOURCES.map(source => (
+              <label key={source} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={selectedSources.includes(source)}
+                  onChange={() => toggleSource(source)}
+                  disabled={isRunning}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span>{source === 'INPUT' ? 'User input' : 'Model output'}</span>
+              </label>
+            ))}
+          </div>
+
+          {evaluatedCases.length > 0 && (
+            <div className="flex flex-wrap gap-4 p-3 bg-gray-50 rounded-lg">
+              <ConfusionMatrix matrix={matrix} title={sourcesInRun.length > 1 ? 'All sources' : null} />
+              {sourcesInRun.length > 1 && sourcesInRun.map(source => (
+                <ConfusionMatrix
+                  key={source}
+                  matrix={buildConfusionMatrix(evaluatedCases.filter(probeCase => probeCase.source === source))}
+                  title={source === 'INPUT' ? 'User input' : 'Model output'}
+                />
+              ))}
+            </div>
+          )}
+
+          {(cases.length > 0 ? cases : probes.map(probe => ({ ...probe, source: null }))).map((probeCase, index) => {
+            if (!probeCase) {
+              return null;
+            }
+            const badge = probeCase.status ? STATUS_BADGES[probeCase.status] : null;
+            const firedViolations = (probeCase.violations || []).filter(violation => violation.action !== 'NONE');
+
+            return (
+              <div key={`${probeCase.source}-${index}`} className="p-3 border border-gray-200 rounded-lg">
+                <div className="flex items-start justify-between space-x-2">
+                  <p className="text-sm text-gray-900 min-w-0 break-words">{probeCase.prompt}</p>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {probeCase.source && (
+                      <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600">
+                        {probeCase.source}
+                      </span>
+                    )}
+                    {badge && (
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${badge.className}`}>
+                        {badge.label}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  Should {probeCase.expect}
+                  {probeCase.category && ` · ${probeCase.category}`}
+                  {probeCase.actual && ` · ${probeCase.actual === 'block' ? 'blocked' : 'passed'}`}
+                </p>
+
+                {probeCase.error && (
+                  <p className="mt-2 text-xs text-red-600">{probeCase.error}</p>
+                )}
+
+                {firedViolations.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {firedViolations.map((violation, violationIndex) => (
+                      <li key={violationIndex} className="text-xs text-gray-700">
+                        <span className="font-medium">{violation.type.replace('_', ' ')}</span>
+                        <span className="text-gray-500"> — {violation.message}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={handleRun}
+              disabled={!canRun}
+              className={`btn-secondary px-4 py-2 ${!canRun ? 'opacity-50 cursor-not-allowed' : ''}`}
+              title={selectedSources.length === 0 ? 'Select at least one source' : undefined}
+            >
+              {isRunning ? (
+                <LoadingSpinner
+                  size="sm"
+                  text="Running Probes..."
+                  inline
+                />
+              ) : (
+                `Run ${probes.length} Probe${probes.length !== 1 ? 's' : ''}`
+              )}
+            </button>
+            {isRunning && (
+              <button
+                onClick={handleCancel}
+                className="btn-secondary px-4 py-2"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+GuardrailProbeRunner.propTypes = {
+  scenarioId: PropTypes.string,
+  getGuardrailConfig: PropTypes.func,
+  disabled: PropTypes.bool,
+  isCollapsed: PropTypes.bool,
+  onToggleCollapse: PropTypes.func
+};
+
+GuardrailProbeRunner.defaultProps = {
+  scenarioId: null,
+  getGuardrailConfig: null,
+  disabled: false,
+  isCollapsed: false,
+  onToggleCollapse: null
+};
+
+export default GuardrailProbeRunner;
@@ -1,6 +1,28 @@
 import React, { useState, useRef } from "react";
 import { useHistory } from "../hooks/useHistory.js";
 import GuardrailHistoryDisplay from "./GuardrailHistoryDisplay.jsx";
+import WorkflowReplayDialog from "./WorkflowReplayDialog.jsx";
+import {
+  normalizeInferenceParams,
+  validateInferenceParams,
+  formatInferenceParams,
+} from "../utils/inferenceParams.js";
+import { formatBindings } from "../utils/promptTemplates.js";
+import { getResultCost, formatCost } from "../utils/costEstimation.js";
+import { costTrackingService } from "../services/costTrackingService.js";
+import { getQualityBand } from "../utils/qualityRubrics.js";
+import DeterminismConfidence from "./DeterminismConfidence.jsx";
+import DeterminismSignificance from "./DeterminismSignificance.jsx";
+import ResponseClusters from "./ResponseClusters.jsx";
+import GroundTruthScore from "./GroundTruthScore.jsx";
+import { formatRatio } from "../utils/groundTruthScoring.js";
+import { describeDatasetSubset } from "../utils/datasetSubset.js";
+
+const QUALITY_BADGE_STYLES = {
+  high: "bg-green-100 text-green-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-red-100 text-red-800",
+};
 
 const History = ({
   onLoadFromHistory,
@@ -15,6 +37,7 @@ const History = ({
     exportHistory,
     importHistory,
     getHistoryStats,
+    saveTestResult,
   } = useHistory();
 
   const [selectedItem, setSelectedItem] = useState(null);
@@ -22,9 +45,14 @@ const History = ({
   const [filterModel, setFilterModel] = useState("");
   const [filterToolUsage, setFilterToolUsage] = useState("");
   const [filterToolExecution, setFilterToolExecution] = useState("");
+  const [filterTemplate, setFilterTemplate] = useState("");
+  const [filterBatch, setFilterBatch] = useState("");
+  const [filterQuality, setFilterQuality] = useState("");
+  const [filterRubric, setFilterRubric] = useState("");
   const [showStats, setShowStats] = useState(false);
   const [showManagement, setShowManagement] = useState(false);
   const [rerunDialog, setRerunDialog] = useState(null);
+  const [replayItem, setReplayItem] = useState(null);
   const [comparisonMode, setComparisonMode] = useState(false);
   const [determinismModal, setDeterminismModal] = useState(null);
   const [expandedGuardrails, setExpandedGuardrails] = useState(new Set());
@@ -70,6 +98,68 @@ const History = ({
     }
   }, [cleanedHistory]);
 
+  // Get prompt templates shared by templated runs, for grouping by template
+  const uniqueTemplates = React.useMemo(() => {
+    const templates = new Map();
+    cleanedHistory.forEach((item) => {
+      const template = item.promptTemplate;
+      if (!template?.templateId) return;
+      if (!templates.has(template.templateId)) {
+        const label = (template.userPrompt || template.systemPrompt || "")
+          .replace(/\s+/g, " ")
+          .trim();
+        templates.set(template.templateId, {
+          templateId: template.templateId,
+          label: label.length > 50 ? `${label.substring(0, 50)}...` : label,
+          count: 0,
+        });
+      }
+      templates.get(template.templateId).count++;
+    });
+    return [...templates.values()];
+  }, [cleanedHistory]);
+
+  // Get batch runs present in history, newest first
+  const uniqueBatches = React.useMemo(() => {
+    const batches = new Map();
+    cleanedHistory.forEach((item) => {
+      if (!item.batchId) return;
+      if (!batches.has(item.batchId)) {
+        batches.set(item.batchId, {
+          batchId: item.batchId,
+          timestamp: item.timestamp,
+          count: 0,
+        });
+      }
+      const batch = batches.get(item.batchId);
+      batch.count++;
+      if (item.timestamp < batch.timestamp) {
+        batch.timestamp = item.timestamp;
+      }
+    });
+    return [...batches.values()].sort((a, b) =>
+      b.timestamp.localeCompare(a.timestamp)
+    );
+  }, [cleanedHistory]);
+
+  // Get rubrics that graded runs in history
+  const uniqueRubrics = React.useMemo(() => {
+    const rubrics = new Map();
+    cleanedHistory.forEach((item) => {
+      const grade = item.qualityGrade;
+      if (!grade?.rubricId) return;
+      if (!rubrics.has(grade.rubricId)) {
+        rubrics.set(grade.rubricId, {
+          rubricId: grade.rubricId,
+          name: grade.rubricName || grade.rubricId,
+          count: 0,
+        });
+      }
+      rubrics.get(grade.rubricId).count++;
+    });
+    return [...rubrics.values()];
+  }, [cleanedHistory]);
+
   // Filter history based on search, model filter, and tool usage filter (with error handling)
   const filteredHistory = React.useMemo(() => {
     try {
@@ -110,23 +200,49 @@ const History = ({
           (filterToolExecution === "detected" &&
             (!item.toolExecutionEnabled || !item.workflowData));
 
+        const matchesTemplate =
+          !filterTemplate ||
+          item.promptTemplate?.templateId === filterTemplate;
+
+        const matchesBatch = !filterBatch || item.batchId === filterBatch;
+
+        const qualityGrade = item.qualityGrade;
+        const matchesQuality =
+          !filterQuality ||
+          (filterQuality === "graded" && qualityGrade) ||
+          (filterQuality === "ungraded" && !qualityGrade) ||
+          (qualityGrade &&
+            getQualityBand(qualityGrade.normalizedScore) === filterQuality);
+
+        const matchesRubric =
+          !filterRubric || qualityGrade?.rubricId === filterRubric;
+
         return (
           matchesSearch &&
           matchesModel &&
           matchesToolUsage &&
-          matchesToolExecution
+          matchesToolExecution &&
+          matchesTemplate &&
+          matchesBatch &&
+          matchesQuality &&
+          matchesRubric
         );
       });
     } catch (error) {
       console.error("Error filtering history:", error);
       return [];
     }
-  }, [cleanedHistory, searchTerm, filterModel, filterToolUsage]);
+  }, [cleanedHistory, searchTerm, filterModel, filterToolUsage, filterToolExecution, filterTemplate, filterBatch, filterQuality, filterRubric]);
 
   const formatTimestamp = (timestamp) => {
     return new Date(timestamp).toLocaleString();
   };
 
+  // Entries saved before cost tracking are priced with the current table
+  const getItemCost = (item) => {
+    return getResultCost(item, costTrackingService.getPricingTable());
+  };
+
   const truncateText = (text, maxLength = 100) => {
     return text.length > maxLength
       ? text.substring(0, maxLength) + "..."
@@ -569,6 +685,99 @@ const History = ({
               <option value="detected">Tool detection only</option>
             </select>
           </div>
+          <div>
+            <label
+              htmlFor="quality-filter"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Filter by Quality
+            </label>
+            <select
+              id="quality-filter"
+              value={filterQuality}
+              onChange={(e) => setFilterQuality(e.target.value)}
+              className="select-field"
+            >
+              <option value="">All tests</option>
+              <option value="graded">Graded</option>
+              <option value="ungraded">Not graded</option>
+              <option value="high">High quality (80%+)</option>
+              <option value="medium">Medium quality (50-80%)</option>
+              <option value="low">Low quality (below 50%)</option>
+            </select>
+          </div>
+          {uniqueRubrics.length > 0 && (
+            <div>
+              <label
+                htmlFor="rubric-filter"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Filter by Rubric
+              </label>
+              <select
+                id="rubric-filter"
+                value={filterRubric}
+                onChange={(e) => setFilterRubric(e.target.value)}
+                className="select-field"
+              >
+                <option value="">All rubrics</option>
+                {uniqueRubrics.map((rubric) => (
+                  <option key={rubric.rubricId} value={rubric.rubricId}>
+                    {rubric.name} ({rubric.count} run
+                    {rubric.count !== 1 ? "s" : ""})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {uniqueTemplates.length > 0 && (
+            <div>
+              <label
+                htmlFor="template-filter"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Filter by Prompt Template
+              </label>
+              <select
+                id="template-filter"
+                value={filterTemplate}
+                onChange={(e) => setFilterTemplate(e.target.value)}
+                className="select-field"
+              >
+                <option value="">All prompts</option>
+                {uniqueTemplates.map((template) => (
+                  <option key={template.templateId} value={template.templateId}>
+                    {template.label} ({template.count} run
+                    {template.count !== 1 ? "s" : ""})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {uniqueBatches.length > 0 && (
+            <div>
+              <label
+                htmlFor="batch-filter"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Filter by Batch
+              </label>
+              <select
+                id="batch-filter"
+                value={filterBatch}
+                onChange={(e) => setFilterBatch(e.target.value)}
+                className="select-field"
+              >
+                <option value="">All runs</option>
+                {uniqueBatches.map((batch) => (
+                  <option key={batch.batchId} value={batch.batchId}>
+                    {formatTimestamp(batch.timestamp)} ({batch.count} run
+                    {batch.count !== 1 ? "s" : ""})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
 
         <div className="text-sm text-gray-600">
@@ -731,6 +940,29 @@ const History = ({
                       onClick={() => handleDeterminismGradeClick(item)}
                     />
                   )}
+                  {/* Quality grade indicator */}
+                  {item.qualityGrade && (
+                    <button
+                      onClick={() => setFilterRubric(item.qualityGrade.rubricId)}
+                      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium hover:opacity-80 transition-opacity ${
+                        QUALITY_BADGE_STYLES[getQualityBand(item.qualityGrade.normalizedScore)]
+                      }`}
+                      title={`${item.qualityGrade.rubricName}: ${item.qualityGrade.criteria
+                        .map((criterion) => `${criterion.name} ${criterion.score ?? "—"}`)
+                        .join(", ")}\nClick to show all runs graded with this rubric`}
+                    >
+                      ★ {item.qualityGrade.score}/{item.qualityGrade.scale.max}
+                    </button>
+                  )}
+                  {/* Ground-truth detection indicator */}
+                  {item.groundTruthScore && (
+                    <span
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-rose-100 text-rose-800"
+                      title={`Precision ${formatRatio(item.groundTruthScore.precision)}, recall ${formatRatio(item.groundTruthScore.recall)} against ${item.groundTruthScore.labelColumn}`}
+                    >
+                      🎯 F1 {formatRatio(item.groundTruthScore.f1)}
+                    </span>
+                  )}
                   {/* Streaming indicator */}
                   {item.isStreamed && (
                     <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
@@ -753,6 +985,44 @@ const History = ({
                       )}
                     </>
                   )}
+                  {/* Prompt template indicator */}
+                  {item.promptTemplate?.templateId && (
+                    <button
+                      onClick={() => setFilterTemplate(item.promptTemplate.templateId)}
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800 hover:bg-indigo-200 transition-colors"
+                      title={`Bindings: ${formatBindings(item.promptTemplate.bindings)}\nClick to show all runs of this template`}
+                    >
+                      {"{{ }}"} Template
+                    </button>
+                  )}
+                  {/* Re-execution indicator */}
+                  {item.replayOf && (
+                    <span
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+                      title={`Re-executed from iteration ${item.replayOf.liveFromTurn} of run ${item.replayOf.testId}`}
+                    >
+                      ⏪ Re-executed
+                    </span>
+                  )}
+                  {/* Chat indicator */}
+                  {item.chat?.turns?.length > 0 && (
+                    <span
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800"
+                      title="Conversation continued with follow-up messages"
+                    >
+                      💬 {item.chat.turns.length + 1} turns
+                    </span>
+                  )}
+                  {/* Batch indicator */}
+                  {item.batchId && (
+                    <button
+                      onClick={() => setFilterBatch(item.batchId)}
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-teal-100 text-teal-800 hover:bg-teal-200 transition-colors"
+                      title={`Batch ${item.batchId}\nClick to show all runs of this batch`}
+                    >
+                      ▦ Batch
+                    </button>
+                  )}
                   {/* Guardrail indicator */}
                   {(item.guardrailResults || item.stopReason === 'guardrail_intervened') && (
                     <button
@@ -780,6 +1050,14 @@ const History = ({
                   <span className="text-sm text-gray-500">
                     {formatTimestamp(item.timestamp)}
                   </span>
+                  {getItemCost(item) && (
+                    <span
+                      className="text-xs text-gray-500"
+                      title="Estimated cost of this run"
+                    >
+                      {formatCost(getItemCost(item).totalCost)}
+                    </span>
+                  )}
                   {item.id && (
                     <span className="text-xs text-gray-400 font-mono">
                       ID: {item.id.slice(-8)}
@@ -922,10 +1200,50 @@ const History = ({
                               {item.datasetType}/{item.datasetOption}
                             </p>
                           )}
+                          {item.datasetSubset && (
+                            <p className="break-words">
+                              <span className="font-medium">Dataset Subset:</span>{" "}
+                              {describeDatasetSubset(item.datasetSubset)}
+                            </p>
+                          )}
                           <p>
                             <span className="font-medium">Timestamp:</span>{" "}
                             {formatTimestamp(item.timestamp)}
                           </p>
+                          {item.promptTemplate?.bindings &&
+                            Object.keys(item.promptTemplate.bindings).length > 0 && (
+                              <p>
+                                <span className="font-medium">
+                                  Template Bindings:
+                                </span>{" "}
+                                <span className="font-mono text-xs">
+                                  {formatBindings(item.promptTemplate.bindings)}
+                                </span>
+                              </p>
+                            )}
+                          {item.batchId && (
+                            <p>
+                              <span className="font-medium">Batch:</span>{" "}
+                              <span className="font-mono text-xs">{item.batchId}</span>
+                              {item.batchCell?.userPromptName && (
+                                <span className="text-gray-500">
+                                  {" "}({[item.batchCell.systemPromptName, item.batchCell.userPromptName]
+                                    .filter(Boolean)
+                                    .join(" / ")})
+                                </span>
+                              )}
+                            </p>
+                          )}
+                          {item.inferenceParams && (
+                            <p>
+                              <span className="font-medium">Inference:</span>{" "}
+                              {formatInferenceParams(item.inferenceParams)}
+                              {item.inferenceParams.stopSequences?.length > 0 &&
+                                ` (stop: ${item.inferenceParams.stopSequences
+                                  .map((seq) => JSON.stringify(seq))
+                                  .join(", ")})`}
+                            </p>
+                          )}
 
                           {/* Streaming Information */}
                           <div className="pt-2 border-t border-gray-300">
@@ -1007,6 +1325,12 @@ const History = ({
                                     item.usage.totalTokens ||
                                     "N/A"}
                                 </p>
+                                {getItemCost(item) && (
+                                  <p className="text-xs">
+                                    <span className="font-medium">Est. Cost:</span>{" "}
+                                    {formatCost(getItemCost(item).totalCost)}
+                                  </p>
+                                )}
                               </div>
                             )}
                           </div>
@@ -1025,6 +1349,17 @@ const History = ({
                       </div>
                     </div>
 
+                    {item.groundTruthScore && (
+                      <div>
+                        <h5 className="font-medium text-gray-700 mb-1">
+                          Detection vs. Labels:
+                        </h5>
+                        <div className="bg-gray-50 border border-gray-200 rounded p-3">
+                          <GroundTruthScore score={item.groundTruthScore} />
+                        </div>
+                      </div>
+                    )}
+
                     {/* Tool Usage Section */}
                     <div>
                       <h5 className="font-medium text-gray-700 mb-1">
@@ -1147,6 +1482,15 @@ const History = ({
                     >
                       Rerun Test
                     </button>
+                    {item.toolExecutionEnabled && item.workflowData?.hasCassette && (
+                      <button
+                        onClick={() => setReplayItem(item)}
+                        className="text-sm text-purple-600 hover:text-purple-700 font-medium"
+                        title="Step through the recorded workflow or re-execute it from a chosen iteration"
+                      >
+                        Replay
+                      </button>
+                    )}
                   </>
                 )}
               </div>
@@ -1165,6 +1509,10 @@ const History = ({
                 setSearchTerm("");
                 setFilterModel("");
                 setFilterToolUsage("");
+                setFilterTemplate("");
+                setFilterBatch("");
+                setFilterQuality("");
+                setFilterRubric("");
               }}
               className="text-sm text-primary-600 hover:text-primary-700 font-medium mt-2"
             >
@@ -1187,6 +1535,11 @@ const History = ({
         <DeterminismGradeModal
           testItem={determinismModal.testItem}
           grade={determinismModal.grade}
+          evaluations={history.filter(
+            (item) =>
+              item.id !== determinismModal.testItem.id &&
+              item.determinismGrade?.metrics
+          )}
           onClose={() => setDeterminismModal(null)}
         />
       )}
@@ -1229,6 +1582,15 @@ const History = ({
           onCancel={handleCancelRerun}
         />
       )}
+
+      {/* Workflow Replay Dialog */}
+      {replayItem && (
+        <WorkflowReplayDialog
+          testItem={replayItem}
+          onSaveResult={saveTestResult}
+          onClose={() => setReplayItem(null)}
+        />
+      )}
     </div>
   );
 };
@@ -1241,11 +1603,29 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
     userPrompt: testItem.userPrompt || testItem.prompt || "", // Handle legacy prompt field
     datasetType: testItem.datasetType || "",
     datasetOption: testItem.datasetOption || "",
+    inferenceParams: normalizeInferenceParams(testItem.inferenceParams),
   });
   const [showAdvanced, setShowAdvanced] = useState(false);
 
+  // Inputs hold raw values while editing; normalize before comparing or confirming
+  const resolvedInferenceParams = normalizeInferenceParams(
+    modifiedItem.inferenceParams
+  );
+  const inferenceErrors = validateInferenceParams(resolvedInferenceParams);
+  const hasInferenceErrors = Object.keys(inferenceErrors).length > 0;
+
   const handleConfirm = () => {
-    onConfirm(modifiedItem);
+    onConfirm({ ...modifiedItem, inferenceParams: resolvedInferenceParams });
+  };
+
+  const handleInferenceParamChange = (field, value) => {
+    setModifiedItem((prev) => ({
+      ...prev,
+      inferenceParams: {
+        ...prev.inferenceParams,
+        [field]: value,
+      },
+    }));
   };
 
   const handleSystemPromptChange = (e) => {
@@ -1269,7 +1649,9 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
       modifiedItem.userPrompt !==
         (testItem.userPrompt || testItem.prompt || "") ||
       modifiedItem.datasetType !== testItem.datasetType ||
-      modifiedItem.datasetOption !== testItem.datasetOption
+      modifiedItem.datasetOption !== testItem.datasetOption ||
+      JSON.stringify(resolvedInferenceParams) !==
+        JSON.stringify(normalizeInferenceParams(testItem.inferenceParams))
     );
   };
 
@@ -1317,6 +1699,10 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
                   <span className="font-medium">Date:</span>{" "}
                   {new Date(testItem.timestamp).toLocaleString()}
                 </p>
+                <p>
+                  <span className="font-medium">Inference:</span>{" "}
+                  {formatInferenceParams(testItem.inferenceParams)}
+                </p>
               </div>
             </div>
 
@@ -1342,6 +1728,9 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
                       userPrompt: testItem.userPrompt || testItem.prompt || "",
                       datasetType: testItem.datasetType || "",
                       datasetOption: testItem.datasetOption || "",
+                      inferenceParams: normalizeInferenceParams(
+                        testItem.inferenceParams
+                      ),
                     })
                   }
                   className="p-3 text-left border border-gray-200 rounded-lg hover:bg-gray-50"
@@ -1359,6 +1748,9 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
                       userPrompt: testItem.userPrompt || testItem.prompt || "",
                       datasetType: testItem.datasetType || "",
                       datasetOption: testItem.datasetOption || "",
+                      inferenceParams: normalizeInferenceParams(
+                        testItem.inferenceParams
+                      ),
                     })
                   }
                   className="p-3 text-left border border-gray-200 rounded-lg hover:bg-gray-50"
@@ -1454,6 +1846,83 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
                       placeholder="Enter your prompt"
                     />
                   </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Temperature
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={modifiedItem.inferenceParams.temperature ?? ""}
+                        onChange={(e) =>
+                          handleInferenceParamChange("temperature", e.target.value)
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Top P
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={modifiedItem.inferenceParams.topP ?? ""}
+                        onChange={(e) =>
+                          handleInferenceParamChange("topP", e.target.value)
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        placeholder="Default"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Max Tokens
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={modifiedItem.inferenceParams.maxTokens ?? ""}
+                        onChange={(e) =>
+                          handleInferenceParamChange("maxTokens", e.target.value)
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Stop Sequences
+                    </label>
+                    <textarea
+                      value={(modifiedItem.inferenceParams.stopSequences || []).join("\n")}
+                      onChange={(e) =>
+                        handleInferenceParamChange(
+                          "stopSequences",
+                          e.target.value.split("\n")
+                        )
+                      }
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      placeholder="One per line"
+                    />
+                  </div>
+
+                  {hasInferenceErrors && (
+                    <div className="text-sm text-red-600 space-y-1">
+                      {Object.values(inferenceErrors).map((message) => (
+                        <p key={message}>{message}</p>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -1493,7 +1962,8 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
             </button>
             <button
               onClick={handleConfirm}
-              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+              disabled={hasInferenceErrors}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isModified()
                 ? "Load Modified Configuration"
@@ -1507,7 +1977,10 @@ const RerunDialog = ({ testItem, onConfirm, onCancel }) => {
 };
 
 // Determinism Grade Modal Component
-const DeterminismGradeModal = ({ testItem, grade, onClose }) => {
+const DeterminismGradeModal = ({ testItem, grade, evaluations = [], onClose }) => {
+  const [compareWithId, setCompareWithId] = useState("");
+  const compareWith = evaluations.find((item) => item.id === compareWithId);
+
   const formatTimestamp = (timestamp) => {
     return new Date(timestamp).toLocaleString();
   };
@@ -1604,6 +2077,49 @@ const DeterminismGradeModal = ({ testItem, grade, onClose }) => {
             )}
           </div>
 
+          {/* Confidence Intervals */}
+          <div className="mb-6">
+            <h4 className="text-lg font-semibold text-gray-900 mb-4">
+              Confidence Intervals
+            </h4>
+            <DeterminismConfidence grade={grade} />
+            {grade.adaptiveSampling && (
+              <p className="mt-2 text-xs text-gray-500">
+                {grade.adaptiveSampling.message}
+              </p>
+            )}
+          </div>
+
+          {/* Significance against another evaluation */}
+          {evaluations.length > 0 && (
+            <div className="mb-6">
+              <h4 className="text-lg font-semibold text-gray-900 mb-2">
+                Compare with Another Evaluation
+              </h4>
+              <select
+                value={compareWithId}
+                onChange={(e) => setCompareWithId(e.target.value)}
+                className="select-field text-sm mb-3"
+              >
+                <option value="">Select an evaluation...</option>
+                {evaluations.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {formatTimestamp(item.timestamp)} · {item.modelId} · Grade{" "}
+                    {item.determinismGrade.grade}
+                  </option>
+                ))}
+              </select>
+              {compareWith && (
+                <DeterminismSignificance
+                  baseline={compareWith.determinismGrade}
+                  candidate={grade}
+                  baselineLabel="Other"
+                  candidateLabel="This"
+                />
+              )}
+            </div>
+          )}
+
           {/* Consistency Metrics */}
           {grade.metrics ? (
             <div className="mb-6">
@@ -1770,6 +2286,16 @@ const DeterminismGradeModal = ({ testItem, grade, onClose }) => {
               </div>
             )}
 
+          {/* Response Clusters */}
+          {grade.responseClusters && (
+            <div className="mb-6">
+              <h4 className="text-lg font-semibold text-gray-900 mb-4">
+                Response Clusters
+              </h4>
+              <ResponseClusters clusters={grade.responseClusters} />
+            </div>
+          )}
+
           {/* Notable Variations */}
           {grade.notable_variations && grade.notable_variations.length > 0 && (
             <div className="mb-6">
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import HelpTooltip from './HelpTooltip'
+import {
+  DEFAULT_INFERENCE_PARAMS,
+  INFERENCE_PARAM_LIMITS,
+  normalizeInferenceParams,
+  validateInferenceParams,
+  formatInferenceParams
+} from '../utils/inferenceParams'
+
+const toInputValues = (params) => ({
+  temperature: params.temperature.toString(),
+  topP: params.topP !== null ? params.topP.toString() : '',
+  maxTokens: params.maxTokens.toString(),
+  stopSequences: params.stopSequences.join('\n')
+})
+
+const parseInputValues = (inputs) => ({
+  temperature: inputs.temperature === '' ? NaN : Number(inputs.temperature),
+  topP: inputs.topP === '' ? null : Number(inputs.topP),
+  maxTokens: inputs.maxTokens === '' ? NaN : Number(inputs.maxTokens),
+  stopSequences: inputs.stopSequences
+    .split('\n')
+    .filter(seq => seq.length > 0)
+})
+
+const InferenceSettings = ({ inferenceParams, onInferenceParamsChange, isExecuting, isCollapsed, onToggleCollapse }) => {
+  const normalizedParams = normalizeInferenceParams(inferenceParams)
+  const [inputs, setInputs] = useState(() => toInputValues(normalizedParams))
+  const [errors, setErrors] = useState({})
+
+  // Keep inputs in sync when parameters change externally (history load, reset)
+  useEffect(() => {
+    const parsed = parseInputValues(inputs)
+    if (JSON.stringify(normalizeInferenceParams(parsed)) !== JSON.stringify(normalizedParams)) {
+      setInputs(toInputValues(normalizedParams))
+      setErrors({})
+    }
+  }, [JSON.stringify(normalizedParams)])
+
+  const handleInputChange = (field, value) => {
+    const nextInputs = { ...inputs, [field]: value }
+    setInputs(nextInputs)
+
+    const parsed = parseInputValues(nextInputs)
+    const validationErrors = validateInferenceParams(parsed)
+    setErrors(validationErrors)
+
+    if (Object.keys(validationErrors).length === 0) {
+      onInferenceParamsChange(parsed)
+    }
+  }
+
+  const handleReset = () => {
+    setInputs(toInputValues(DEFAULT_INFERENCE_PARAMS))
+    setErrors({})
+    onInferenceParamsChange({ ...DEFAULT_INFERENCE_PARAMS })
+  }
+
+  const inputClassName = (field) => `w-24 px-2 py-1 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 ${
+    errors[field]
+      ? 'border-red-300 focus:border-red-500 focus:ring-red-500'
+      : 'border-gray-300'
+  } ${
+    isExecuting ? 'bg-gray-100 cursor-not-allowed' : 'bg-white'
+  }`
+
+  return (
+    <div className="card">
+      <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onToggleCollapse}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onToggleCollapse();
+              }
+            }}
+            className="collapsible-toggle-button group"
+            aria-expanded={!isCollapsed}
+            aria-controls="inference-settings-content"
+            aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} inference parameters section`}
+          >
+            <svg
+              className={`collapsible-chevron ${
+                isCollapsed ? 'collapsed' : 'expanded'
+              }`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M9 5l7 7-7 7"
+              />
+            </svg>
+            <span id="inference-settings-header">Inference Parameters</span>
+          </button>
+        </div>
+        <div className="flex items-center space-x-2 min-w-0">
+          {isCollapsed && (
+            <span className="text-sm text-gray-500 truncate max-w-[220px] sm:max-w-[280px]">
+              {formatInferenceParams(normalizedParams)}
+            </span>
+          )}
+          {!isCollapsed && (
+            <button
+              onClick={handleReset}
+              disabled={isExecuting}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Reset
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div
+        id="inference-settings-content"
+        className={`collapsible-content ${
+          isCollapsed ? 'collapsed' : 'expanded'
+        }`}
+        role="region"
+        aria-labelledby="inference-settings-header"
+        aria-hidden={isCollapsed}
+      >
+        <div className="space-y-4">
+          {/* Temperature */}
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <label htmlFor="inference-temperature" className="text-sm font-medium text-gray-700">
+                Temperature
+              </label>
+              <HelpTooltip
+                content="Controls randomness. Lower values make responses more focused and repeatable, higher values make them more varied."
+                position="right"
+              />
+            </div>
+            <input
+              id="inference-temperature"
+              type="number"
+              min={INFERENCE_PARAM_LIMITS.temperature.min}
+              max={INFERENCE_PARAM_LIMITS.temperature.max}
+              step="0.05"
+              value={inputs.temperature}
+              onChange={(e) => handleInputChange('temperature', e.target.value)}
+              disabled={isExecuting}
+              className={inputClassName('temperature')}
+            />
+          </div>
+          {errors.temperature && (
+            <p className="text-sm text-red-600">{errors.temperature}</p>
+          )}
+
+          {/* Top P */}
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <label htmlFor="inference-top-p" className="text-sm font-medium text-gray-700">
+                Top P
+              </label>
+              <HelpTooltip
+                content="Nucleus sampling: only tokens within this cumulative probability are considered. Leave empty to use the model default (some models do not accept Top P together with Temperature)."
+                position="right"
+              />
+            </div>
+            <input
+              id="inference-top-p"
+              type="number"
+              min={INFERENCE_PARAM_LIMITS.topP.min}
+              max={INFERENCE_PARAM_LIMITS.topP.max}
+              step="0.05"
+              placeholder="Default"
+              value={inputs.topP}
+              onChange={(e) => handleInputChange('topP', e.target.value)}
+              disabled={isExecuting}
+              className={inputClassName('topP')}
+            />
+          </div>
+          {errors.topP && (
+            <p className="text-sm text-red-600">{errors.topP}</p>
+          )}
+
+          {/* Max Tokens */}
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <label htmlFor="inference-max-tokens" className="text-sm font-medium text-gray-700">
+                Max Tokens
+              </label>
+              <HelpTooltip
+                content="The maximum number of tokens the model may generate in a single response."
+                position="right"
+              />
+            </div>
+            <input
+              id="inference-max-tokens"
+              type="number"
+              min={INFERENCE_PARAM_LIMITS.maxTokens.min}
+              max={INFERENCE_PARAM_LIMITS.maxTokens.max}
+              step="1"
+              value={inputs.maxTokens}
+              onChange={(e) => handleInputChange('maxTokens', e.target.value)}
+              disabled={isExecuting}
+              className={inputClassName('maxTokens')}
+            />
+          </div>
+          {errors.maxTokens && (
+            <p className="text-sm text-red-600">{errors.maxTokens}</p>
+          )}
+
+          {/* Stop Sequences */}
+          <div className="space-y-2">
+            <div className="flex items-center space-x-2">
+              <label htmlFor="inference-stop-sequences" className="text-sm font-medium text-gray-700">
+                Stop Sequences
+              </label>
+              <HelpTooltip
+                content={`Generation stops when the model produces any of these strings. Enter one per line (up to ${INFERENCE_PARAM_LIMITS.maxStopSequences}).`}
+                position="right"
+              />
+            </div>
+            <textarea
+              id="inference-stop-sequences"
+              rows={2}
+              value={inputs.stopSequences}
+              onChange={(e) => handleInputChange('stopSequences', e.target.value)}
+              disabled={isExecuting}
+              placeholder="One per line"
+              className={`input-field font-mono text-sm ${
+                errors.stopSequences ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
+              }`}
+            />
+            {errors.stopSequences && (
+              <p className="text-sm text-red-600">{errors.stopSequences}</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+InferenceSettings.propTypes = {
+  inferenceParams: PropTypes.shape({
+    temperature: PropTypes.number,
+    topP: PropTypes.number,
+    maxTokens: PropTypes.number,
+    stopSequences: PropTypes.arrayOf(PropTypes.string)
+  }),
+  onInferenceParamsChange: PropTypes.func.isRequired,
+  isExecuting: PropTypes.bool,
+  isCollapsed: PropTypes.bool,
+  onToggleCollapse: PropTypes.func
+}
+
+InferenceSettings.defaultProps = {
+  inferenceParams: DEFAULT_INFERENCE_PARAMS,
+  isExecuting: false,
+  isCollapsed: false,
+  onToggleCollapse: null
+}
+
+export default InferenceSettings
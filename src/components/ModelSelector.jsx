@@ -1,14 +1,17 @@
 import React, { useState, useEffect } from 'react'
 import PropTypes from 'prop-types'
 import { bedrockService } from '../services/bedrockService'
+import { useAWSSettings } from '../hooks/useSettings'
 import LoadingSpinner from './LoadingSpinner'
 import Tooltip from './Tooltip'
 
-const ModelSelector = ({ selectedModel, onModelSelect, validationError, externalError, isCollapsed, onToggleCollapse }) => {
+const ModelSelector = ({ selectedModel, onModelSelect, validationError, externalError, isCollapsed, onToggleCollapse, multiSelect, selectedModels, onSelectedModelsChange }) => {
   const [models, setModels] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [credentialStatus, setCredentialStatus] = useState(null)
+  const { settings: awsSettings, isInitialized: settingsInitialized } = useAWSSettings()
+  const isMockProvider = awsSettings.provider === 'mock'
 
   // Fallback models in case AWS API is not available
   const fallbackModels = [
@@ -20,9 +23,12 @@ const ModelSelector = ({ selectedModel, onModelSelect, validationError, external
     { id: 'meta.llama3-2-11b-instruct-v1:0', name: 'Llama 3.2 11B', provider: 'Meta' }
   ]
 
+  // Wait for settings so the first load uses the selected provider, and reload when it changes
   useEffect(() => {
-    loadModels()
-  }, [])
+    if (settingsInitialized) {
+      loadModels()
+    }
+  }, [settingsInitialized, awsSettings.provider])
 
   const loadModels = async () => {
     setIsLoading(true)
@@ -60,6 +66,14 @@ const ModelSelector = ({ selectedModel, onModelSelect, validationError, external
     }
   }
 
+  const handleToggleModel = (modelId) => {
+    if (selectedModels.includes(modelId)) {
+      onSelectedModelsChange(selectedModels.filter(id => id !== modelId))
+    } else {
+      onSelectedModelsChange([...selectedModels, modelId])
+    }
+  }
+
   return (
     <div className="card">
       <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
@@ -94,6 +108,16 @@ const ModelSelector = ({ selectedModel, onModelSelect, validationError, external
             </svg>
             <span id="model-selector-header">Select Model</span>
           </button>
+          {isMockProvider && (
+            <Tooltip
+              content="Mock provider: responses are replayed from scenario fixtures. Switch to AWS Bedrock in Settings → AWS."
+              position="bottom"
+            >
+              <span className="px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800 cursor-help">
+                Mock
+              </span>
+            </Tooltip>
+          )}
           {/* AWS Credential Status Icon */}
           {credentialStatus === 'valid' && !externalError ? (
             <Tooltip
@@ -145,7 +169,12 @@ Credential validation will occur when loading models."
           )}
         </div>
         <div className="flex items-center space-x-2 min-w-0">
-          {isCollapsed && selectedModel && (
+          {isCollapsed && multiSelect && (
+            <span className="text-sm text-gray-500 truncate max-w-[220px] sm:max-w-[280px]">
+              {selectedModels.length} model{selectedModels.length !== 1 ? 's' : ''} selected
+            </span>
+          )}
+          {isCollapsed && !multiSelect && selectedModel && (
             <span className="text-sm text-gray-500 truncate max-w-[220px] sm:max-w-[280px]" title={(() => {
               const m = models.find(m => m.id === selectedModel);
               return m ? `${m.name}${m.provider ? ` (${m.provider})` : ''}` : selectedModel;
@@ -185,28 +214,71 @@ Credential validation will occur when loading models."
             </div>
           )}
 
-          <div className="space-y-2">
-            <label htmlFor="model-select" className="block text-sm font-medium text-gray-700">
-              Foundation Model
-            </label>
-            <select
-              id="model-select"
-              value={selectedModel}
-              onChange={(e) => onModelSelect(e.target.value)}
-              className={`select-field ${
-                validationError ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
-              }`}
-              disabled={isLoading}
-            >
-              <option value="">Choose a model...</option>
-              {models.map((model) => (
-                <option key={model.id} value={model.id}>
-                  {model.name} {model.provider && `(${model.provider})`}
-                  {bedrockService.isStreamingSupported(model.id) ? ' ⚡' : ''}
-                </option>
-              ))}
-            </select>
-          </div>
+          {multiSelect ? (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="block text-sm font-medium text-gray-700">
+                  Foundation Models
+                </span>
+                {selectedModels.length > 0 && (
+                  <button
+                    onClick={() => onSelectedModelsChange([])}
+                    className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+              <div className={`max-h-60 overflow-y-auto border rounded-md divide-y divide-gray-100 ${
+                validationError ? 'border-red-300' : 'border-gray-300'
+              }`}>
+                {models.map((model) => (
+                  <label
+                    key={model.id}
+                    className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedModels.includes(model.id)}
+                      onChange={() => handleToggleModel(model.id)}
+                      disabled={isLoading}
+                      className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    <span>
+                      {model.name} {model.provider && `(${model.provider})`}
+                      {bedrockService.isStreamingSupported(model.id) ? ' ⚡' : ''}
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <div className="text-xs text-gray-500">
+                {selectedModels.length} model{selectedModels.length !== 1 ? 's' : ''} selected for the batch
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <label htmlFor="model-select" className="block text-sm font-medium text-gray-700">
+                Foundation Model
+              </label>
+              <select
+                id="model-select"
+                value={selectedModel}
+                onChange={(e) => onModelSelect(e.target.value)}
+                className={`select-field ${
+                  validationError ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
+                }`}
+                disabled={isLoading}
+              >
+                <option value="">Choose a model...</option>
+                {models.map((model) => (
+                  <option key={model.id} value={model.id}>
+                    {model.name} {model.provider && `(${model.provider})`}
+                    {bedrockService.isStreamingSupported(model.id) ? ' ⚡' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
           {/* Validation Error */}
           {validationError && (
@@ -241,7 +313,16 @@ ModelSelector.propTypes = {
   validationError: PropTypes.string,
   externalError: PropTypes.string,
   isCollapsed: PropTypes.bool,
-  onToggleCollapse: PropTypes.func
+  onToggleCollapse: PropTypes.func,
+  multiSelect: PropTypes.bool,
+  selectedModels: PropTypes.arrayOf(PropTypes.string),
+  onSelectedModelsChange: PropTypes.func
+}
+
+ModelSelector.defaultProps = {
+  multiSelect: false,
+  selectedModels: [],
+  onSelectedModelsChange: () => {}
 }
 
 export default ModelSelector
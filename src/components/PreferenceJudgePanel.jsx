@@ -0,0 +1,229 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import { preferenceJudgeService } from '../services/preferenceJudgeService.js';
+import { qualityGraderService } from '../services/qualityGraderService.js';
+import { INITIAL_RATING } from '../utils/preferenceRatings.js';
+import { formatCost, sumCosts } from '../utils/costEstimation.js';
+
+const getTestLabel = (tests, testId) => {
+  const index = tests.findIndex(test => test.id === testId);
+  return index === -1 ? testId : `Test ${String.fromCharCode(65 + index)}`;
+};
+
+/**
+ * Pairwise "which is better" judging of the compared tests, and the scenario's Elo leaderboard
+ * of model/prompt combinations built from every judgment so far.
+ */
+const PreferenceJudgePanel = ({ selectedTests }) => {
+  const [judgeModelId, setJudgeModelId] = useState(() => qualityGraderService.judgeModel);
+  const [isJudging, setIsJudging] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [judgments, setJudgments] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [leaderboardVersion, setLeaderboardVersion] = useState(0);
+
+  const scenarioIds = new Set(selectedTests.map(test => test.scenarioId || test.datasetType || null));
+  const scenarioId = scenarioIds.size === 1 ? [...scenarioIds][0] : null;
+  const selectionKey = selectedTests.map(test => test.id).join(',');
+  const pairCount = (selectedTests.length * (selectedTests.length - 1)) / 2;
+
+  // Judgments shown belong to the current selection
+  useEffect(() => {
+    setJudgments([]);
+    setErrors([]);
+  }, [selectionKey]);
+
+  // Re-read after judging or clearing; judgments live in localStorage, not React state
+  const leaderboard = useMemo(
+    () => (scenarioId ? preferenceJudgeService.getLeaderboard(scenarioId) : []),
+    [scenarioId, leaderboardVersion]
+  );
+
+  const handleJudge = async () => {
+    setIsJudging(true);
+    setErrors([]);
+    setJudgments([]);
+    setProgress({ completed: 0, total: pairCount });
+
+    try {
+      const result = await preferenceJudgeService.judgeTests(selectedTests, {
+        judgeModelId: judgeModelId.trim() || undefined,
+        onProgress: (completed, total) => setProgress({ completed, total })
+      });
+      setJudgments(result.judgments);
+      setErrors(result.errors);
+    } catch (judgeError) {
+      setErrors([{ testIds: [], message: judgeError.message }]);
+    } finally {
+      setIsJudging(false);
+      setProgress(null);
+      setLeaderboardVersion(version => version + 1);
+    }
+  };
+
+  const handleClearLeaderboard = () => {
+    const confirmed = window.confirm(
+      'Clear every recorded judgment for this scenario? The leaderboard starts over.'
+    );
+    if (!confirmed) {
+      return;
+    }
+    preferenceJudgeService.clearJudgments(scenarioId);
+    setLeaderboardVersion(version => version + 1);
+  };
+
+  const canJudge = !isJudging && !!judgeModelId.trim();
+  const judgingCost = sumCosts(judgments.map(judgment => judgment.cost));
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div className="flex items-center space-x-2">
+          <h3 className="text-lg font-semibold text-gray-900">Preference Judging</h3>
+          <HelpTooltip
+            content="A judge model compares every pair of selected tests and picks the better response, or a tie, with a rationale. Each pair is shown in random order to counter position bias. Judgments accumulate into an Elo leaderboard of model and prompt combinations per scenario."
+            position="right"
+          />
+        </div>
+        <div className="flex items-center space-x-2">
+          <label htmlFor="preference-judge-model" className="sr-only">Judge model</label>
+          <input
+            id="preference-judge-model"
+            type="text"
+            value={judgeModelId}
+            onChange={(e) => setJudgeModelId(e.target.value)}
+            disabled={isJudging}
+            placeholder="Judge model ID"
+            className="input-field font-mono text-xs py-1 w-64"
+          />
+          <button
+            onClick={handleJudge}
+            disabled={!canJudge}
+            className={`btn-primary px-3 py-1 text-sm whitespace-nowrap ${!canJudge ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {isJudging ? (
+              <LoadingSpinner
+                size="sm"
+                color="white"
+                text={`Judging ${progress?.completed || 0}/${progress?.total || pairCount}...`}
+                inline
+              />
+            ) : (
+              `Judge these (${pairCount} pair${pairCount !== 1 ? 's' : ''})`
+            )}
+          </button>
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg space-y-1">
+          {errors.map((error, index) => (
+            <p key={index} className="text-sm text-red-800">
+              {error.testIds.length > 0 && (
+                <span className="font-medium">
+                  {error.testIds.map(testId => getTestLabel(selectedTests, testId)).join(' vs ')}:{' '}
+                </span>
+              )}
+              {error.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {judgments.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {judgments.map(judgment => {
+            const [labelA, labelB] = judgment.testIds.map(testId => getTestLabel(selectedTests, testId));
+            const verdict = judgment.outcome === 'tie'
+              ? 'Tie'
+              : `${judgment.outcome === 'A' ? labelA : labelB} wins`;
+
+            return (
+              <div key={judgment.id} className="p-2 border border-gray-200 rounded">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-700">{labelA} vs {labelB}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    judgment.outcome === 'tie' ? 'bg-gray-100 text-gray-800' : 'bg-green-100 text-green-800'
+                  }`}>
+                    {verdict}
+                  </span>
+                </div>
+                <p className="mt-1 text-xs text-gray-600">{judgment.rationale}</p>
+                <p className="mt-1 text-xs text-gray-400">
+                  Shown first: {getTestLabel(selectedTests, judgment.presentedFirstId)}
+                </p>
+              </div>
+            );
+          })}
+          <p className="text-xs text-gray-500">
+            Judged by <span className="font-mono">{judgments[0].judgeModelId}</span>
+            {judgingCost && <> · {formatCost(judgingCost.totalCost)}</>}
+          </p>
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-700">
+            Leaderboard{scenarioId && <span className="ml-1 font-normal text-gray-500">({scenarioId})</span>}
+          </h4>
+          {leaderboard.length > 0 && (
+            <button
+              onClick={handleClearLeaderboard}
+              disabled={isJudging}
+              className="text-xs text-red-600 hover:text-red-700 font-medium"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+        {!scenarioId ? (
+          <p className="text-xs text-gray-500">
+            The selected tests come from different scenarios, so their judgments don&apos;t count toward a leaderboard.
+          </p>
+        ) : leaderboard.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No judgments between different model/prompt combinations yet. Everyone starts at {INITIAL_RATING}.
+          </p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pr-2 font-medium">#</th>
+                <th className="pr-2 font-medium">Model</th>
+                <th className="pr-2 font-medium">Prompt</th>
+                <th className="pr-2 font-medium text-right">Rating</th>
+                <th className="font-medium text-right">W-L-T</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map((row, index) => (
+                <tr key={row.key} className="border-t border-gray-100">
+                  <td className="pr-2 py-1 text-gray-500">{index + 1}</td>
+                  <td className="pr-2 py-1 font-mono text-gray-900 break-all">{row.modelId}</td>
+                  <td className="pr-2 py-1 text-gray-700" title={row.promptId}>{row.promptLabel || row.promptId}</td>
+                  <td className="pr-2 py-1 text-right font-semibold text-gray-900">{row.rating}</td>
+                  <td className="py-1 text-right text-gray-700">{row.wins}-{row.losses}-{row.ties}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+PreferenceJudgePanel.propTypes = {
+  selectedTests: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    modelId: PropTypes.string,
+    scenarioId: PropTypes.string,
+    datasetType: PropTypes.string,
+    response: PropTypes.string
+  })).isRequired
+};
+
+export default PreferenceJudgePanel;
@@ -1,8 +1,15 @@
 import { useState, useRef, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import HelpTooltip from './HelpTooltip';
+import PromptVariableBindings from './PromptVariableBindings';
 import { uiErrorRecovery } from '../utils/uiErrorRecovery';
 import { datasetToolIntegrationService } from '../services/datasetToolIntegrationService';
+import {
+  extractTemplateVariables,
+  getDefaultBindings,
+  getEffectiveBindings,
+  resolvePromptTemplate
+} from '../utils/promptTemplates';
 
 const PromptEditor = ({
   systemPrompt = '',
@@ -17,6 +24,10 @@ const PromptEditor = ({
   systemPromptWarning,
   userPromptWarning,
   selectedDataset,
+  // Template variables
+  promptVariables = [],
+  templateBindings = {},
+  onTemplateBindingsChange,
   // Legacy props for backward compatibility
   prompt,
   onPromptChange,
@@ -61,6 +72,39 @@ const PromptEditor = ({
     }
   }, [selectedDataset?.type]);
 
+  // Detect {{variable}} placeholders and resolve them for the preview
+  const templateVariableNames = useMemo(
+    () => extractTemplateVariables(systemPrompt, userPrompt),
+    [systemPrompt, userPrompt]
+  );
+
+  const templateDefaults = useMemo(() => getDefaultBindings(promptVariables), [promptVariables]);
+
+  const templateDescriptions = useMemo(() => {
+    return (promptVariables || []).reduce((descriptions, variable) => {
+      if (variable?.name && variable.description) {
+        descriptions[variable.name] = variable.description;
+      }
+      return descriptions;
+    }, {});
+  }, [promptVariables]);
+
+  const effectiveBindings = getEffectiveBindings(templateVariableNames, templateBindings, templateDefaults);
+  const resolvedSystemPrompt = resolvePromptTemplate(systemPrompt, effectiveBindings);
+  const resolvedUserPrompt = resolvePromptTemplate(userPrompt, effectiveBindings);
+
+  const handleBindingChange = (name, value) => {
+    onTemplateBindingsChange?.({ ...templateBindings, [name]: value });
+  };
+
+  const handleResetBindings = () => {
+    const remaining = { ...templateBindings };
+    templateVariableNames.forEach(name => {
+      delete remaining[name];
+    });
+    onTemplateBindingsChange?.(remaining);
+  };
+
   // Handle system prompt change
   const handleSystemPromptChange = (e) => {
     onSystemPromptChange?.(e.target.value);
@@ -630,7 +674,7 @@ const PromptEditor = ({
                   </div>
                   <div className="text-sm text-blue-800 max-h-32 overflow-y-auto">
                     <div className="font-mono bg-white p-2 rounded border border-blue-200 system-prompt-display text-safe">
-                      {systemPrompt}
+                      {resolvedSystemPrompt}
                     </div>
                   </div>
                 </div>
@@ -647,8 +691,8 @@ const PromptEditor = ({
                   </div>
                   <div className="text-sm text-green-800 max-h-32 overflow-y-auto">
                     <div className="font-mono bg-white p-2 rounded border border-green-200 test-results-prompt text-safe">
-                      {userPrompt}
-                      {userPrompt && !userPrompt.endsWith('\n') && '\n'}
+                      {resolvedUserPrompt}
+                      {resolvedUserPrompt && !resolvedUserPrompt.endsWith('\n') && '\n'}
                       <span className="text-gray-400 italic">[Dataset content will be inserted here]</span>
                     </div>
                   </div>
@@ -673,6 +717,18 @@ const PromptEditor = ({
           )}
         </div>
       )}
+
+          {/* Template variable bindings (shown for every tab while placeholders exist) */}
+          {onTemplateBindingsChange && (
+            <PromptVariableBindings
+              variableNames={templateVariableNames}
+              bindings={templateBindings}
+              defaults={templateDefaults}
+              descriptions={templateDescriptions}
+              onBindingChange={handleBindingChange}
+              onResetBindings={handleResetBindings}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -690,6 +746,15 @@ PromptEditor.propTypes = {
   userPromptWarning: PropTypes.string,
   selectedDataset: PropTypes.object,
 
+  // Template variables declared by the scenario and the current bindings
+  promptVariables: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    default: PropTypes.string,
+    description: PropTypes.string
+  })),
+  templateBindings: PropTypes.objectOf(PropTypes.string),
+  onTemplateBindingsChange: PropTypes.func,
+
   // Scenario-provided prompts
   scenarioSystemPrompts: PropTypes.arrayOf(PropTypes.shape({
     id: PropTypes.string.isRequired,
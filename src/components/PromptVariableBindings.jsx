@@ -0,0 +1,80 @@
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+
+const PromptVariableBindings = ({
+  variableNames,
+  bindings = {},
+  defaults = {},
+  descriptions = {},
+  onBindingChange,
+  onResetBindings
+}) => {
+  if (!variableNames || variableNames.length === 0) {
+    return null;
+  }
+
+  const hasOverrides = variableNames.some(name => bindings[name] !== undefined && bindings[name] !== '');
+
+  return (
+    <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <span className="text-sm font-medium text-gray-700">Template Variables</span>
+          <HelpTooltip
+            content="Values for the {{variable}} placeholders detected in your prompts. Empty fields use the scenario default when one is declared."
+            position="right"
+          />
+        </div>
+        {hasOverrides && onResetBindings && (
+          <button
+            onClick={onResetBindings}
+            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Use defaults
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {variableNames.map(name => {
+          const value = bindings[name] ?? '';
+          const defaultValue = defaults[name];
+          const isUnbound = value === '' && (defaultValue === undefined || defaultValue === '');
+
+          return (
+            <div key={name} className="space-y-1">
+              <label htmlFor={`prompt-variable-${name}`} className="block text-xs font-medium text-gray-600 font-mono">
+                {`{{${name}}}`}
+              </label>
+              <input
+                id={`prompt-variable-${name}`}
+                type="text"
+                value={value}
+                onChange={(e) => onBindingChange(name, e.target.value)}
+                placeholder={defaultValue !== undefined ? defaultValue : 'Required'}
+                title={descriptions[name] || undefined}
+                className={`input-field text-sm ${
+                  isUnbound ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
+                }`}
+              />
+              {descriptions[name] && (
+                <p className="text-xs text-gray-500">{descriptions[name]}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+PromptVariableBindings.propTypes = {
+  variableNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+  bindings: PropTypes.objectOf(PropTypes.string),
+  defaults: PropTypes.objectOf(PropTypes.string),
+  descriptions: PropTypes.objectOf(PropTypes.string),
+  onBindingChange: PropTypes.func.isRequired,
+  onResetBindings: PropTypes.func
+};
+
+export default PromptVariableBindings;
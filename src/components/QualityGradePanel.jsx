@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import { qualityGraderService } from '../services/qualityGraderService.js';
+import { getQualityBand } from '../utils/qualityRubrics.js';
+import { formatCost } from '../utils/costEstimation.js';
+
+const BAND_STYLES = {
+  high: { bar: 'bg-green-500', badge: 'bg-green-100 text-green-800' },
+  medium: { bar: 'bg-yellow-500', badge: 'bg-yellow-100 text-yellow-800' },
+  low: { bar: 'bg-red-500', badge: 'bg-red-100 text-red-800' }
+};
+
+const normalize = (score, scale) => (score - scale.min) / (scale.max - scale.min);
+
+/**
+ * Rubric-based quality score of a single run, judged criterion by criterion by an LLM.
+ */
+const QualityGradePanel = ({ testResult, onGraded, disabled }) => {
+  const [rubrics, setRubrics] = useState([]);
+  const [selectedRubricId, setSelectedRubricId] = useState('');
+  const [isGrading, setIsGrading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const qualityGrade = testResult?.qualityGrade || null;
+  const scenarioId = testResult?.scenarioId || null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRubrics = async () => {
+      const available = await qualityGraderService.getRubrics(scenarioId);
+      const preferred = await qualityGraderService.resolveRubric(scenarioId, qualityGrade?.rubricId);
+      if (!cancelled) {
+        setRubrics(available);
+        setSelectedRubricId(preferred?.id || '');
+      }
+    };
+
+    loadRubrics().catch(loadError => {
+      console.error('Failed to load quality rubrics:', loadError);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scenarioId, qualityGrade?.rubricId]);
+
+  useEffect(() => {
+    setError(null);
+  }, [testResult?.id]);
+
+  const handleGrade = async () => {
+    const rubric = rubrics.find(candidate => candidate.id === selectedRubricId);
+    if (!rubric) {
+      return;
+    }
+
+    setIsGrading(true);
+    setError(null);
+    try {
+      const grade = await qualityGraderService.gradeRun(testResult, rubric);
+      await onGraded(grade);
+    } catch (gradeError) {
+      setError(gradeError.message);
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  const canGrade = !!selectedRubricId && !!testResult?.response && !isGrading && !disabled;
+  const band = qualityGrade ? getQualityBand(qualityGrade.normalizedScore) : null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex items-center space-x-2">
+          <h4 className="text-sm font-medium text-gray-700">Quality</h4>
+          <HelpTooltip
+            content="A judge model scores this run against a rubric, one criterion at a time, and explains each score. Rubrics come from the scenario or from Settings → Grading; the judge model is set there too."
+            position="right"
+          />
+          {qualityGrade && (
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${BAND_STYLES[band].badge}`}>
+              {qualityGrade.score} / {qualityGrade.scale.max}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <label htmlFor="quality-rubric" className="sr-only">Rubric</label>
+          <select
+            id="quality-rubric"
+            value={selectedRubricId}
+            onChange={(e) => setSelectedRubricId(e.target.value)}
+            disabled={isGrading}
+            className="select-field text-sm py-1"
+          >
+            {rubrics.map(rubric => (
+              <option key={rubric.id} value={rubric.id}>
+                {rubric.name}{rubric.source === 'scenario' ? ' (scenario)' : ''}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleGrade}
+            disabled={!canGrade}
+            className={`btn-secondary px-3 py-1 text-sm whitespace-nowrap ${!canGrade ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {isGrading ? (
+              <LoadingSpinner size="sm" text="Grading..." inline />
+            ) : (
+              qualityGrade ? 'Re-grade' : 'Grade quality'
+            )}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {qualityGrade && (
+        <div className="space-y-3">
+          {qualityGrade.summary && (
+            <p className="text-sm text-gray-700">{qualityGrade.summary}</p>
+          )}
+          <div className="space-y-2">
+            {qualityGrade.criteria.map(criterion => {
+              const hasScore = Number.isFinite(criterion.score);
+              const criterionBand = hasScore ? getQualityBand(normalize(criterion.score, qualityGrade.scale)) : null;
+
+              return (
+                <div key={criterion.id} className="p-2 border border-gray-200 rounded">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-medium text-gray-900">
+                      {criterion.name}
+                      <span className="ml-1 text-xs font-normal text-gray-500">×{criterion.weight}</span>
+                    </span>
+                    <span className="text-gray-700">
+                      {hasScore ? `${criterion.score} / ${qualityGrade.scale.max}` : '—'}
+                    </span>
+                  </div>
+                  {hasScore && (
+                    <div className="mt-1 w-full bg-gray-200 rounded-full h-1.5">
+                      <div
+                        className={`h-1.5 rounded-full ${BAND_STYLES[criterionBand].bar}`}
+                        style={{ width: `${Math.max(0, normalize(criterion.score, qualityGrade.scale)) * 100}%` }}
+                      />
+                    </div>
+                  )}
+                  <p className="mt-1 text-xs text-gray-600">{criterion.reasoning}</p>
+                </div>
+              );
+            })}
+          </div>
+          <p className="text-xs text-gray-500">
+            {qualityGrade.rubricName} · judged by <span className="font-mono">{qualityGrade.judgeModelId}</span>
+            {qualityGrade.cost && <> · {formatCost(qualityGrade.cost.totalCost)}</>}
+            {' · '}{new Date(qualityGrade.gradedAt).toLocaleString()}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+QualityGradePanel.propTypes = {
+  testResult: PropTypes.shape({
+    id: PropTypes.string,
+    scenarioId: PropTypes.string,
+    response: PropTypes.string,
+    qualityGrade: PropTypes.shape({
+      rubricId: PropTypes.string,
+      rubricName: PropTypes.string,
+      scale: PropTypes.shape({
+        min: PropTypes.number,
+        max: PropTypes.number
+      }),
+      judgeModelId: PropTypes.string,
+      criteria: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        weight: PropTypes.number,
+        score: PropTypes.number,
+        reasoning: PropTypes.string
+      })),
+      score: PropTypes.number,
+      normalizedScore: PropTypes.number,
+      summary: PropTypes.string,
+      cost: PropTypes.object,
+      gradedAt: PropTypes.string
+    })
+  }).isRequired,
+  onGraded: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+QualityGradePanel.defaultProps = {
+  disabled: false
+};
+
+export default QualityGradePanel;
@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { CLUSTER_DIMENSIONS } from '../utils/responseClustering.js';
+
+const DIFF_LINE_STYLES = {
+  same: 'text-gray-600',
+  removed: 'bg-red-50 text-red-800',
+  added: 'bg-green-50 text-green-800'
+};
+
+const DIFF_LINE_PREFIXES = {
+  same: ' ',
+  removed: '-',
+  added: '+'
+};
+
+const formatRuns = (indexes) => indexes.map(index => `#${index + 1}`).join(', ');
+
+/**
+ * A determinism evaluation's responses grouped by tool-call sequence or by decision,
+ * with each minority cluster diffed against the majority.
+ */
+const ResponseClusters = ({ clusters }) => {
+  const [dimension, setDimension] = useState('toolCalls');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const dimensionClusters = clusters[dimension] || [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-xs text-gray-500">
+          {dimensionClusters.length === 1
+            ? `All ${clusters.responseCount} runs fall into one cluster.`
+            : `${clusters.responseCount} runs in ${dimensionClusters.length} clusters. Run #1 is the original test.`}
+        </p>
+        <div className="flex rounded-md border border-gray-300 overflow-hidden text-xs">
+          {Object.entries(CLUSTER_DIMENSIONS).map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => {
+                setDimension(key);
+                setExpandedId(null);
+              }}
+              className={`px-3 py-1 ${dimension === key ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {dimensionClusters.map(cluster => {
+          const isExpanded = expandedId === cluster.id;
+
+          return (
+            <div
+              key={cluster.id}
+              className={`border rounded-lg ${cluster.isMajority ? 'border-gray-200' : 'border-amber-300 bg-amber-50'}`}
+            >
+              <button
+                type="button"
+                onClick={() => setExpandedId(isExpanded ? null : cluster.id)}
+                className="w-full flex items-center justify-between p-3 text-left"
+              >
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900 truncate" title={cluster.label}>
+                    {cluster.label}
+                  </div>
+                  <div className="text-xs text-gray-500">Runs {formatRuns(cluster.responseIndexes)}</div>
+                </div>
+                <div className="flex items-center space-x-2 ml-3 flex-shrink-0">
+                  {cluster.isMajority && (
+                    <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">Majority</span>
+                  )}
+                  <span className="text-sm font-semibold text-gray-900">
+                    {cluster.size}/{clusters.responseCount}
+                  </span>
+                  <span className="text-xs text-gray-500">({Math.round(cluster.share * 100)}%)</span>
+                </div>
+              </button>
+
+              {isExpanded && (
+                <div className="px-3 pb-3 space-y-3">
+                  <div>
+                    <div className="text-xs font-medium text-gray-700 mb-1">
+                      Representative response (run #{cluster.representative.index + 1})
+                    </div>
+                    {cluster.representative.toolCalls.length > 0 && (
+                      <ol className="mb-2 text-xs font-mono text-gray-700 list-decimal list-inside">
+                        {cluster.representative.toolCalls.map((call, index) => (
+                          <li key={index} className="break-all">
+                            {call.toolName}({JSON.stringify(call.input)})
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                    <pre className="text-xs text-gray-800 whitespace-pre-wrap bg-white border border-gray-200 rounded p-2 max-h-48 overflow-y-auto">
+                      {cluster.representative.text || '(empty response)'}
+                    </pre>
+                  </div>
+
+                  {cluster.diff && (
+                    <div>
+                      <div className="text-xs font-medium text-gray-700 mb-1">Diff against the majority cluster</div>
+                      {cluster.diff.some(line => line.type !== 'same') ? (
+                        <pre className="text-xs font-mono whitespace-pre-wrap bg-white border border-gray-200 rounded p-2 max-h-48 overflow-y-auto">
+                          {cluster.diff.map((line, index) => (
+                            <div key={index} className={DIFF_LINE_STYLES[line.type]}>
+                              {DIFF_LINE_PREFIXES[line.type]} {line.text}
+                            </div>
+                          ))}
+                        </pre>
+                      ) : (
+                        <p className="text-xs text-gray-500">
+                          Same {dimension === 'toolCalls' ? 'tool calls' : 'sentences'} as the majority; the difference is in wording only.
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const clusterShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  size: PropTypes.number.isRequired,
+  share: PropTypes.number.isRequired,
+  responseIndexes: PropTypes.arrayOf(PropTypes.number).isRequired,
+  isMajority: PropTypes.bool,
+  representative: PropTypes.shape({
+    index: PropTypes.number,
+    text: PropTypes.string,
+    toolCalls: PropTypes.array
+  }).isRequired,
+  diff: PropTypes.arrayOf(PropTypes.shape({
+    type: PropTypes.oneOf(['same', 'removed', 'added']),
+    text: PropTypes.string
+  }))
+});
+
+ResponseClusters.propTypes = {
+  clusters: PropTypes.shape({
+    responseCount: PropTypes.number.isRequired,
+    toolCalls: PropTypes.arrayOf(clusterShape),
+    decision: PropTypes.arrayOf(clusterShape)
+  }).isRequired
+};
+
+export default ResponseClusters;
@@ -0,0 +1,483 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import ProgressBar from './ProgressBar';
+import GroundTruthScore from './GroundTruthScore';
+import { rowRunService, MAX_CHUNK_SIZE } from '../services/rowRunService.js';
+import { formatCost } from '../utils/costEstimation.js';
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-600' },
+  running: { label: 'Running', className: 'bg-blue-100 text-blue-700' },
+  completed: { label: 'Done', className: 'bg-green-100 text-green-800' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Skipped', className: 'bg-gray-100 text-gray-500' }
+};
+
+// Rendering thousands of table rows at once freezes the page; filter or export to see the rest
+const MAX_VISIBLE_ROWS = 200;
+
+const SORT_KEYS = {
+  rowIndex: row => row.rowIndex,
+  rowKey: row => row.rowKey,
+  status: row => row.status,
+  toolCalls: row => row.toolCalls.length,
+  latency: row => row.latency ?? -1
+};
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Row-wise dataset execution: run the prompt once per dataset row, or per chunk of rows,
+ * and review each row's output and tool calls in a sortable, filterable table.
+ */
+const RowRunPanel = ({
+  scenarioId,
+  modelId,
+  dataset,
+  systemPrompt,
+  userPrompt,
+  getRunOptions,
+  disabled,
+  isCollapsed,
+  onToggleCollapse
+}) => {
+  const [chunkSizeInput, setChunkSizeInput] = useState('1');
+  const [isRunning, setIsRunning] = useState(false);
+  const [runId, setRunId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [toolFilter, setToolFilter] = useState('all');
+  const [searchText, setSearchText] = useState('');
+  const [sort, setSort] = useState({ key: 'rowIndex', direction: 'asc' });
+  const [expandedRow, setExpandedRow] = useState(null);
+
+  const chunkSize = Number(chunkSizeInput);
+  const content = dataset?.content || null;
+
+  const plan = useMemo(() => {
+    if (!content || !Number.isInteger(chunkSize) || chunkSize < 1) {
+      return null;
+    }
+    try {
+      return rowRunService.planRun(content, chunkSize);
+    } catch (planError) {
+      return { error: planError.message };
+    }
+  }, [content, chunkSize]);
+
+  const validationErrors = useMemo(
+    () => rowRunService.validateRunConfig({ modelId, userPrompt, content, chunkSize }, plan?.chunks ? plan : null),
+    [modelId, userPrompt, content, chunkSize, plan]
+  );
+  const canRun = !disabled && !isRunning && validationErrors.length === 0;
+
+  const toolNames = useMemo(
+    () => [...new Set(rows.flatMap(row => (row ? row.toolCalls.map(call => call.toolName) : [])))].sort(),
+    [rows]
+  );
+
+  const filteredRows = useMemo(() => {
+    const search = searchText.trim().toLowerCase();
+    const accessor = SORT_KEYS[sort.key];
+
+    return rows
+      .filter(Boolean)
+      .filter(row => statusFilter === 'all' || row.status === statusFilter)
+      .filter(row => {
+        if (toolFilter === 'all') return true;
+        if (toolFilter === 'none') return row.toolCalls.length === 0;
+        return row.toolCalls.some(call => call.toolName === toolFilter);
+      })
+      .filter(row => !search ||
+        row.rowKey.toLowerCase().includes(search) ||
+        row.response.toLowerCase().includes(search) ||
+        (row.error || '').toLowerCase().includes(search))
+      .sort((a, b) => {
+        const valueA = accessor(a);
+        const valueB = accessor(b);
+        const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return sort.direction === 'asc' ? order : -order;
+      });
+  }, [rows, statusFilter, toolFilter, searchText, sort]);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    setSummary(null);
+    setRows([]);
+    setExpandedRow(null);
+
+    try {
+      const runOptions = getRunOptions ? await getRunOptions() : {};
+      const result = await rowRunService.runRows({
+        ...runOptions,
+        scenarioId,
+        modelId,
+        systemPrompt,
+        userPrompt,
+        dataset: { id: dataset.id, name: dataset.name, labelled: !!dataset.labelled },
+        content,
+        chunkSize
+      }, {
+        onStart: (run) => {
+          setRunId(run.runId);
+          setRows(run.rows);
+          setProgress({ completed: 0, total: run.total, failed: 0 });
+        },
+        onChunkUpdate: (chunk, chunkRows) => {
+          setRows(previous => {
+            const next = [...previous];
+            chunkRows.forEach(row => {
+              next[row.rowIndex] = row;
+            });
+            return next;
+          });
+        },
+        onProgress: (completed, total, failed) => setProgress({ completed, total, failed })
+      });
+
+      setRows(result.rows);
+      setSummary(result);
+      if (result.budgetStopMessage) {
+        setError(`Stopped before every row ran. ${result.budgetStopMessage}`);
+      }
+    } catch (runError) {
+      setError(runError.message);
+    } finally {
+      setIsRunning(false);
+      setRunId(null);
+      setProgress(null);
+    }
+  };
+
+  const handleSort = (key) => {
+    setSort(previous => ({
+      key,
+      direction: previous.key === key && previous.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const handleExport = (format) => {
+    const exportContent = rowRunService.exportRows(summary, format, filteredRows);
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(
+      exportContent,
+      `row-run-${summary.datasetId || 'dataset'}-${date}.${format}`,
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+  };
+
+  const renderSortHeader = (key, label, className = '') => (
+    <th className={`pr-3 pb-2 font-medium ${className}`}>
+      <button type="button" onClick={() => handleSort(key)} className="hover:text-gray-900">
+        {label}
+        {sort.key === key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+      </button>
+    </th>
+  );
+
+  if (!content) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onToggleCollapse}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onToggleCollapse?.();
+              }
+            }}
+            className="collapsible-toggle-button group"
+            aria-expanded={!isCollapsed}
+            aria-controls="row-run-panel-content"
+            aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} row-wise execution section`}
+          >
+            <svg
+              className={`collapsible-chevron ${isCollapsed ? 'collapsed' : 'expanded'}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+            <span>Row-wise Execution</span>
+          </button>
+          {!isCollapsed && (
+            <HelpTooltip
+              content="Runs the prompt once per dataset row, or per chunk of rows, instead of sending the whole file at once. Use it for datasets too large for one context window, and to see exactly which rows were mishandled."
+              position="right"
+            />
+          )}
+        </div>
+        {summary && (
+          <span className={`text-sm font-medium ${summary.failed > 0 ? 'text-red-700' : 'text-green-700'}`}>
+            {summary.completed}/{summary.total} requests
+          </span>
+        )}
+      </div>
+
+      <div
+        id="row-run-panel-content"
+        className={`collapsible-content ${isCollapsed ? 'collapsed' : 'expanded'}`}
+        role="region"
+        aria-hidden={isCollapsed}
+      >
+        <div className="space-y-4">
+          <div className="flex items-end space-x-3">
+            <div>
+              <label htmlFor="row-run-chunk-size" className="block text-sm font-medium text-gray-700 mb-1">
+                Rows per request
+              </label>
+              <input
+                id="row-run-chunk-size"
+                type="number"
+                min={1}
+                max={MAX_CHUNK_SIZE}
+                value={chunkSizeInput}
+                onChange={(e) => setChunkSizeInput(e.target.value)}
+                disabled={isRunning}
+                className="input-field w-28"
+              />
+            </div>
+            <p className="text-xs text-gray-500 pb-2">
+              {plan?.error
+                ? plan.error
+                : plan && `${plan.rowCount} rows of ${dataset.name || dataset.id} → ${plan.chunks.length} request${plan.chunks.length !== 1 ? 's' : ''}`}
+            </p>
+          </div>
+
+          {validationErrors.length > 0 && !plan?.error && (
+            <ul className="text-xs text-yellow-700 space-y-1">
+              {validationErrors.map((message, index) => (
+                <li key={index}>• {message}</li>
+              ))}
+            </ul>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {isRunning && progress && progress.total > 0 && (
+            <ProgressBar
+              progress={Math.round((progress.completed / progress.total) * 100)}
+              status={`${progress.completed} of ${progress.total} requests finished${progress.failed > 0 ? `, ${progress.failed} failed` : ''}`}
+              color="primary"
+            />
+          )}
+
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={handleRun}
+              disabled={!canRun}
+              className={`btn-secondary px-4 py-2 ${!canRun ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {isRunning ? (
+                <LoadingSpinner size="sm" text="Running rows..." inline />
+              ) : (
+                `Run ${plan?.chunks?.length || 0} Request${plan?.chunks?.length !== 1 ? 's' : ''}`
+              )}
+            </button>
+            {isRunning && runId && (
+              <button
+                onClick={() => rowRunService.cancelRun(runId)}
+                className="btn-secondary px-4 py-2"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+
+          {summary && (
+            <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-700 space-y-1">
+              <p>
+                {summary.rowCount} rows in {summary.total} request{summary.total !== 1 ? 's' : ''} ·
+                {' '}{summary.completed} completed{summary.failed > 0 && `, ${summary.failed} failed`} ·
+                {' '}{formatCost(summary.cost?.totalCost)} · {(summary.duration / 1000).toFixed(1)}s
+              </p>
+              <p>
+                Tool calls:{' '}
+                {Object.keys(summary.toolCallCounts).length > 0
+                  ? Object.entries(summary.toolCallCounts).map(([name, count]) => `${name} ×${count}`).join(', ')
+                  : 'none'}
+              </p>
+            </div>
+          )}
+
+          {summary?.groundTruthScore && (
+            <div className="p-3 border border-gray-200 rounded-lg">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Detection vs. Labels</h4>
+              <GroundTruthScore score={summary.groundTruthScore} />
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <div>
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="select-field w-auto text-xs py-1"
+                  aria-label="Filter by status"
+                >
+                  <option value="all">All statuses</option>
+                  {Object.entries(STATUS_BADGES).map(([status, badge]) => (
+                    <option key={status} value={status}>{badge.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={toolFilter}
+                  onChange={(e) => setToolFilter(e.target.value)}
+                  className="select-field w-auto text-xs py-1"
+                  aria-label="Filter by tool call"
+                >
+                  <option value="all">Any tool calls</option>
+                  <option value="none">No tool calls</option>
+                  {toolNames.map(name => (
+                    <option key={name} value={name}>Called {name}</option>
+                  ))}
+                </select>
+                <input
+                  type="search"
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
+                  placeholder="Search key or response"
+                  className="input-field w-auto flex-1 min-w-[8rem] text-xs py-1"
+                />
+                {summary && (
+                  <>
+                    <button onClick={() => handleExport('csv')} className="btn-secondary px-2 py-1 text-xs">
+                      Export CSV
+                    </button>
+                    <button onClick={() => handleExport('json')} className="btn-secondary px-2 py-1 text-xs">
+                      Export JSON
+                    </button>
+                  </>
+                )}
+              </div>
+
+              <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr className="text-left text-gray-500">
+                      {renderSortHeader('rowIndex', '#', 'pl-3')}
+                      {renderSortHeader('rowKey', 'Key')}
+                      {renderSortHeader('status', 'Status')}
+                      {renderSortHeader('toolCalls', 'Tool calls')}
+                      {renderSortHeader('latency', 'Latency')}
+                      <th className="pr-3 pb-2 font-medium">Response</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredRows.slice(0, MAX_VISIBLE_ROWS).map(row => {
+                      const badge = STATUS_BADGES[row.status];
+                      const isExpanded = expandedRow === row.rowIndex;
+
+                      return (
+                        <tr
+                          key={row.rowIndex}
+                          onClick={() => setExpandedRow(isExpanded ? null : row.rowIndex)}
+                          className="border-t border-gray-100 align-top cursor-pointer hover:bg-gray-50"
+                        >
+                          <td className="pl-3 pr-3 py-1 text-gray-500">{row.rowIndex + 1}</td>
+                          <td className="pr-3 py-1 font-mono text-gray-900">{row.rowKey}</td>
+                          <td className="pr-3 py-1">
+                            <span className={`px-1.5 py-0.5 rounded font-medium ${badge.className}`} title={row.error || undefined}>
+                              {badge.label}
+                            </span>
+                          </td>
+                          <td className="pr-3 py-1 text-gray-700">
+                            {row.toolCalls.length > 0
+                              ? row.toolCalls.map(call => call.toolName).join(', ')
+                              : <span className="text-gray-400">none</span>}
+                            {row.sharedToolCalls.length > 0 && (
+                              <span className="text-gray-400" title="Calls in this request that name none of its rows">
+                                {' '}(+{row.sharedToolCalls.length} shared)
+                              </span>
+                            )}
+                            {isExpanded && row.toolCalls.length > 0 && (
+                              <pre className="mt-1 font-mono whitespace-pre-wrap break-all text-gray-600">
+                                {row.toolCalls.map(call => `${call.toolName}(${JSON.stringify(call.input)})`).join('\n')}
+                              </pre>
+                            )}
+                          </td>
+                          <td className="pr-3 py-1 text-gray-700">{row.latency !== null ? `${row.latency}ms` : '—'}</td>
+                          <td className="pr-3 py-1 text-gray-700">
+                            {row.error ? (
+                              <span className="text-red-600">{row.error}</span>
+                            ) : (
+                              <span className={isExpanded ? 'whitespace-pre-wrap' : 'line-clamp-2'}>
+                                {row.response || '—'}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                {filteredRows.length > MAX_VISIBLE_ROWS
+                  ? `Showing ${MAX_VISIBLE_ROWS} of ${filteredRows.length} matching rows; filter or export to see the rest.`
+                  : `${filteredRows.length} of ${rows.filter(Boolean).length} rows`}
+                {summary?.chunkSize > 1 && ' · Rows sent in the same request share its response.'}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+RowRunPanel.propTypes = {
+  scenarioId: PropTypes.string,
+  modelId: PropTypes.string,
+  dataset: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+    content: PropTypes.string,
+    labelled: PropTypes.bool
+  }),
+  systemPrompt: PropTypes.string,
+  userPrompt: PropTypes.string,
+  getRunOptions: PropTypes.func,
+  disabled: PropTypes.bool,
+  isCollapsed: PropTypes.bool,
+  onToggleCollapse: PropTypes.func
+};
+
+RowRunPanel.defaultProps = {
+  scenarioId: null,
+  modelId: null,
+  dataset: null,
+  systemPrompt: '',
+  userPrompt: '',
+  getRunOptions: null,
+  disabled: false,
+  isCollapsed: false,
+  onToggleCollapse: null
+};
+
+export default RowRunPanel;
@@ -1,12 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import HelpTooltip from './HelpTooltip';
+import DatasetPreview from './DatasetPreview';
+import DatasetImportZone from './DatasetImportZone';
 import { scenarioService } from '../services/scenarioService.js';
+import { userDatasetService } from '../services/userDatasetService.js';
+import { describeDatasetSubset } from '../utils/datasetSubset.js';
 
-const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetSelect, validationError, isCollapsed, onToggleCollapse }) => {
+const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetSelect, validationError, isCollapsed, onToggleCollapse, multiSelect, selectedDatasets, onSelectedDatasetsChange, listVersion, onDatasetsChange }) => {
   const [datasets, setDatasets] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [sourceContent, setSourceContent] = useState(null);
 
   useEffect(() => {
     if (selectedScenario) {
@@ -15,7 +21,7 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
       setDatasets([]);
       setError(null);
     }
-  }, [selectedScenario]);
+  }, [selectedScenario, listVersion]);
 
   // Auto-load content when dataset is selected from history (has id but no content)
   useEffect(() => {
@@ -24,6 +30,22 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
     }
   }, [selectedScenario, selectedDataset.id, selectedDataset.content]);
 
+  // The preview works on the whole file, labels included, so subsets can filter and stratify on them
+  useEffect(() => {
+    setSourceContent(null);
+    if (!showPreview || !selectedScenario || !selectedDataset.id) return;
+
+    let cancelled = false;
+    scenarioService.getDatasetContent(selectedScenario, selectedDataset.id)
+      .then(content => {
+        if (!cancelled) setSourceContent(content);
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Failed to load dataset preview: ${err.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [showPreview, selectedScenario, selectedDataset.id]);
+
   const loadDatasets = async () => {
     if (!selectedScenario) return;
 
@@ -57,14 +79,17 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
     }
   };
 
-  const loadDatasetContent = async (datasetId) => {
+  const loadDatasetContent = async (datasetId, labelled = !!selectedDataset.labelled, subset = selectedDataset.subset || null) => {
     if (!selectedScenario || !datasetId) return;
 
     try {
       setError(null);
 
-      // Get the dataset content from the scenario service
-      const content = await scenarioService.getDatasetContent(selectedScenario, datasetId);
+      // Labelled evaluation only applies to datasets the scenario has labels for
+      const isLabelled = labelled && !!scenarioService.getGroundTruth(selectedScenario, datasetId);
+
+      // Get the dataset content from the scenario service, narrowed to the subset and without label columns in labelled mode
+      const content = await scenarioService.getDatasetContent(selectedScenario, datasetId, { stripLabels: isLabelled, subset });
 
       // Find the dataset info for the selected dataset
       const dataset = datasets.find(d => d.id === datasetId);
@@ -73,7 +98,9 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
       onDatasetSelect({
         id: datasetId,
         name: dataset?.name || datasetId,
-        content: content
+        content: content,
+        labelled: isLabelled,
+        subset
       });
 
       console.log(`[ScenarioDatasetSelector] Loaded content for dataset: ${datasetId}`);
@@ -86,7 +113,8 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
       onDatasetSelect({
         id: datasetId,
         name: datasets.find(d => d.id === datasetId)?.name || datasetId,
-        content: `Error loading dataset: ${err.message}`
+        content: `Error loading dataset: ${err.message}`,
+        subset
       });
     }
   };
@@ -109,11 +137,62 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
     onDatasetSelect({
       id: datasetId,
       name: dataset?.name || datasetId,
-      content: null // Will be loaded by loadDatasetContent
+      content: null, // Will be loaded by loadDatasetContent
+      labelled: !!selectedDataset.labelled,
+      subset: null // Subsets name columns of the previous dataset
     });
 
     // Load the content
-    await loadDatasetContent(datasetId);
+    await loadDatasetContent(datasetId, !!selectedDataset.labelled, null);
+  };
+
+  const handleToggleDataset = (dataset) => {
+    if (selectedDatasets.some(d => d.id === dataset.id)) {
+      onSelectedDatasetsChange(selectedDatasets.filter(d => d.id !== dataset.id));
+    } else {
+      onSelectedDatasetsChange([...selectedDatasets, { id: dataset.id, name: dataset.name }]);
+    }
+  };
+
+  // Clearing the content reloads it through the auto-load effect with the new mode
+  const handleLabelledChange = (labelled) => {
+    onDatasetSelect({ ...selectedDataset, content: null, labelled });
+  };
+
+  // Same reload path for a new subset; the preview only applies subsets that keep rows
+  const handleSubsetApply = (subset) => {
+    onDatasetSelect({ ...selectedDataset, content: null, subset });
+  };
+
+  // Label columns are removed from what the model sees in labelled mode, so the preview hides them too
+  const hiddenColumns = useMemo(() => {
+    if (!selectedScenario || !selectedDataset.id || !selectedDataset.labelled) return [];
+    return scenarioService.getGroundTruth(selectedScenario, selectedDataset.id)?.stripColumns || [];
+  }, [selectedScenario, selectedDataset.id, selectedDataset.labelled]);
+
+  // In single-select mode the last imported file becomes the selection
+  const handleImported = async (imported) => {
+    await loadDatasets();
+    onDatasetsChange();
+
+    if (multiSelect) {
+      onSelectedDatasetsChange([...selectedDatasets, ...imported.map(dataset => ({ id: dataset.id, name: dataset.name }))]);
+    } else {
+      const latest = imported[imported.length - 1];
+      onDatasetSelect({ id: latest.id, name: latest.name, content: null, labelled: false, subset: null });
+    }
+  };
+
+  const handleDeleteImported = async () => {
+    const confirmed = window.confirm(
+      `Delete the ${selectedInfo?.generated ? 'generated' : 'imported'} dataset "${selectedDataset.name}"? Runs in History keep their copy of its content.`
+    );
+    if (!confirmed) return;
+
+    await userDatasetService.deleteDataset(selectedDataset.id);
+    onDatasetSelect({ id: '', name: '', content: null });
+    await loadDatasets();
+    onDatasetsChange();
   };
 
   const handleRetry = () => {
@@ -125,6 +204,12 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
     return null; // Don't render if no scenario is selected
   }
 
+  const groundTruth = !multiSelect && selectedDataset.id
+    ? scenarioService.getGroundTruth(selectedScenario, selectedDataset.id)
+    : null;
+  const subsetDescription = describeDatasetSubset(selectedDataset.subset);
+  const selectedInfo = datasets.find(d => d.id === selectedDataset.id);
+
   return (
     <div className="card">
       <div className={`flex items-center justify-between ${isCollapsed ? 'mb-0' : 'mb-4'}`}>
@@ -160,7 +245,12 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
           )}
         </div>
         <div className="min-w-0">
-          {isCollapsed && selectedDataset?.id && (
+          {isCollapsed && multiSelect && (
+            <span className="text-sm text-gray-500 truncate max-w-[240px]">
+              {selectedDatasets.length} dataset{selectedDatasets.length !== 1 ? 's' : ''} selected
+            </span>
+          )}
+          {isCollapsed && !multiSelect && selectedDataset?.id && (
             <span className="text-sm text-gray-500 truncate max-w-[240px]" title={selectedDataset.name || selectedDataset.id}>
               {selectedDataset.name || selectedDataset.id}
             </span>
@@ -189,66 +279,167 @@ const ScenarioDatasetSelector = ({ selectedScenario, selectedDataset, onDatasetS
         aria-hidden={isCollapsed}
       >
       <div className="space-y-4">
-        {/* Dataset Selection */}
-        <div>
-          <label htmlFor="dataset-select" className="block text-sm font-medium text-gray-700 mb-2">
-            Available Datasets
-            {isLoading && (
-              <span className="ml-2 text-xs text-blue-600">Loading datasets...</span>
-            )}
-          </label>
-          <select
-            id="dataset-select"
-            value={selectedDataset.id || ''}
-            onChange={(e) => handleDatasetChange(e.target.value)}
-            className={`select-field ${
-              validationError ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
-            }`}
-            disabled={isLoading || datasets.length === 0}
-          >
-            <option value="">
-              {isLoading ? 'Loading datasets...' :
-               datasets.length === 0 ? 'No datasets available' :
-               'Choose a dataset...'}
-            </option>
-            {datasets.map((dataset) => (
-              <option key={dataset.id} value={dataset.id}>
-                {dataset.name}
-              </option>
-            ))}
-          </select>
-          {isLoading && (
-            <div className="mt-2 flex items-center text-sm text-blue-600">
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
-              Loading scenario datasets...
-            </div>
-          )}
-        </div>
-
-        {/* Dataset Information */}
-        {selectedDataset.id && (
-          <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-lg">
-            <h4 className="text-sm font-medium text-gray-900 mb-2">
-              {selectedDataset.name}
-            </h4>
-            {(() => {
-              const dataset = datasets.find(d => d.id === selectedDataset.id);
-              return dataset?.description && (
-                <p className="text-xs text-gray-600 mb-2">
-                  {dataset.description}
+        {multiSelect ? (
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-2">
+              Datasets for Batch
+              {isLoading && (
+                <span className="ml-2 text-xs text-blue-600">Loading datasets...</span>
+              )}
+            </span>
+            {datasets.length > 0 ? (
+              <div className="border border-gray-300 rounded-md divide-y divide-gray-100">
+                {datasets.map((dataset) => (
+                  <label
+                    key={dataset.id}
+                    className="flex items-start space-x-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedDatasets.some(d => d.id === dataset.id)}
+                      onChange={() => handleToggleDataset(dataset)}
+                      className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    <span>
+                      <span className="block">{dataset.name}{dataset.imported ? (dataset.generated ? ' (generated)' : ' (imported)') : ''}</span>
+                      {dataset.description && (
+                        <span className="block text-xs text-gray-500">{dataset.description}</span>
+                      )}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              !isLoading && (
+                <p className="text-sm text-gray-500">
+                  This scenario has no datasets; batch cells will run without dataset content.
                 </p>
-              );
-            })()}
-            <div className="flex items-center space-x-4 text-xs text-gray-500">
-              <span>Dataset ID: {selectedDataset.id}</span>
-              {selectedDataset.content && (
-                <span>
-                  Size: {(selectedDataset.content.length / 1024).toFixed(1)}KB
-                </span>
+              )
+            )}
+          </div>
+        ) : (
+          <>
+            {/* Dataset Selection */}
+            <div>
+              <label htmlFor="dataset-select" className="block text-sm font-medium text-gray-700 mb-2">
+                Available Datasets
+                {isLoading && (
+                  <span className="ml-2 text-xs text-blue-600">Loading datasets...</span>
+                )}
+              </label>
+              <select
+                id="dataset-select"
+                value={selectedDataset.id || ''}
+                onChange={(e) => handleDatasetChange(e.target.value)}
+                className={`select-field ${
+                  validationError ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
+                }`}
+                disabled={isLoading || datasets.length === 0}
+              >
+                <option value="">
+                  {isLoading ? 'Loading datasets...' :
+                   datasets.length === 0 ? 'No datasets available' :
+                   'Choose a dataset...'}
+                </option>
+                {datasets.map((dataset) => (
+                  <option key={dataset.id} value={dataset.id}>
+                    {dataset.name}{dataset.imported ? (dataset.generated ? ' (generated)' : ' (imported)') : ''}
+                  </option>
+                ))}
+              </select>
+              {isLoading && (
+                <div className="mt-2 flex items-center text-sm text-blue-600">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
+                  Loading scenario datasets...
+                </div>
               )}
             </div>
-          </div>
+
+            {/* Dataset Information */}
+            {selectedDataset.id && (
+              <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                <h4 className="text-sm font-medium text-gray-900 mb-2">
+                  {selectedDataset.name}
+                </h4>
+                {selectedInfo?.description && (
+                  <p className="text-xs text-gray-600 mb-2">
+                    {selectedInfo.description}
+                  </p>
+                )}
+                {selectedInfo?.schema && (
+                  <p className="text-xs text-gray-500 mb-2 break-words">
+                    Columns: {selectedInfo.schema.columns.map(column => `${column.name} (${column.type})`).join(', ')}
+                  </p>
+                )}
+                <div className="flex items-center space-x-4 text-xs text-gray-500">
+                  <span>Dataset ID: {selectedDataset.id}</span>
+                  {selectedDataset.content && (
+                    <span>
+                      Size: {(selectedDataset.content.length / 1024).toFixed(1)}KB
+                    </span>
+                  )}
+                </div>
+                {subsetDescription && (
+                  <p className="mt-1 text-xs text-primary-700 break-words">Subset: {subsetDescription}</p>
+                )}
+                {groundTruth && (
+                  <label className="mt-3 flex items-start space-x-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={!!selectedDataset.labelled}
+                      onChange={(e) => handleLabelledChange(e.target.checked)}
+                      className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    <span>
+                      <span className="block font-medium">Labelled evaluation</span>
+                      <span className="block text-xs text-gray-500">
+                        Hide the {groundTruth.stripColumns.join(', ')} columns from the model and score its
+                        {' '}{groundTruth.actions.map(action => action.tool).join(' / ')} calls against them.
+                      </span>
+                    </span>
+                  </label>
+                )}
+                <div className="mt-3 flex items-center space-x-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowPreview(!showPreview)}
+                    className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                    aria-expanded={showPreview}
+                  >
+                    {showPreview ? 'Hide preview' : 'Preview, filter and sample rows'}
+                  </button>
+                  {selectedInfo?.imported && (
+                    <button
+                      type="button"
+                      onClick={handleDeleteImported}
+                      className="text-xs text-red-600 hover:text-red-700 font-medium"
+                    >
+                      Delete {selectedInfo.generated ? 'generated' : 'imported'} dataset
+                    </button>
+                  )}
+                </div>
+                {showPreview && (
+                  <div className="mt-3">
+                    {sourceContent ? (
+                      <DatasetPreview
+                        content={sourceContent}
+                        hiddenColumns={hiddenColumns}
+                        subset={selectedDataset.subset || null}
+                        onApply={handleSubsetApply}
+                        disabled={selectedDataset.content === null}
+                      />
+                    ) : (
+                      <p className="text-xs text-gray-500">Loading preview...</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
         )}
+
+        {/* Import */}
+        <DatasetImportZone scenarioId={selectedScenario} onImported={handleImported} />
       </div>
 
       {/* Validation Error */}
@@ -265,19 +456,34 @@ ScenarioDatasetSelector.propTypes = {
   selectedDataset: PropTypes.shape({
     id: PropTypes.string,
     name: PropTypes.string,
-    content: PropTypes.string
+    content: PropTypes.string,
+    labelled: PropTypes.bool,
+    subset: PropTypes.object
   }).isRequired,
   onDatasetSelect: PropTypes.func.isRequired,
   validationError: PropTypes.string,
   isCollapsed: PropTypes.bool,
-  onToggleCollapse: PropTypes.func
+  onToggleCollapse: PropTypes.func,
+  multiSelect: PropTypes.bool,
+  selectedDatasets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })),
+  onSelectedDatasetsChange: PropTypes.func,
+  listVersion: PropTypes.number,
+  onDatasetsChange: PropTypes.func
 };
 
 ScenarioDatasetSelector.defaultProps = {
   selectedScenario: null,
   validationError: null,
   isCollapsed: false,
-  onToggleCollapse: null
+  onToggleCollapse: null,
+  multiSelect: false,
+  selectedDatasets: [],
+  onSelectedDatasetsChange: () => {},
+  listVersion: 0,
+  onDatasetsChange: () => {}
 };
 
 export default ScenarioDatasetSelector;
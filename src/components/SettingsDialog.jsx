@@ -6,7 +6,10 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { useSettings, useDeterminismSettings, useUISettings, useAWSSettings } from '../hooks/useSettings.js';
+import { useSettings, useDeterminismSettings, useUISettings, useAWSSettings, useCostSettings, useGradingSettings } from '../hooks/useSettings.js';
+import { costTrackingService } from '../services/costTrackingService.js';
+import { DEFAULT_MODEL_PRICING, formatCost } from '../utils/costEstimation.js';
+import { DEFAULT_RUBRIC, validateRubric } from '../utils/qualityRubrics.js';
 import LoadingSpinner from './LoadingSpinner.jsx';
 import HelpTooltip from './HelpTooltip.jsx';
 import AboutTab from './AboutTab.jsx';
@@ -203,6 +206,8 @@ function SettingsDialog({
     { id: 'determinism', label: 'Determinism' },
     { id: 'ui', label: 'Interface' },
     { id: 'aws', label: 'AWS' },
+    { id: 'cost', label: 'Cost & Budget' },
+    { id: 'grading', label: 'Grading' },
     { id: 'guardrails', label: 'Guardrails' },
     { id: 'about', label: 'About' }
   ];
@@ -360,6 +365,26 @@ function SettingsDialog({
                   <AWSSettingsTab onSettingsChange={() => setHasUnsavedChanges(true)} />
                 </div>
               )}
+              {activeTab === 'cost' && (
+                <div
+                  id="cost-panel"
+                  role="tabpanel"
+                  aria-labelledby="cost-tab"
+                  className="animate-fade-in"
+                >
+                  <CostSettingsTab onSettingsChange={() => setHasUnsavedChanges(true)} />
+                </div>
+              )}
+              {activeTab === 'grading' && (
+                <div
+                  id="grading-panel"
+                  role="tabpanel"
+                  aria-labelledby="grading-tab"
+                  className="animate-fade-in"
+                >
+                  <GradingSettingsTab onSettingsChange={() => setHasUnsavedChanges(true)} />
+                </div>
+              )}
               {activeTab === 'guardrails' && (
                 <div
                   id="guardrails-panel"
@@ -713,6 +738,48 @@ function DeterminismSettingsTab({ onSettingsChange }) {
           )}
         </div>
 
+        {/* Adaptive Sampling */}
+        <div>
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={localSettings.adaptiveSampling || false}
+              onChange={(e) => handleFieldChange('adaptiveSampling', e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <div>
+              <span className="text-sm font-medium text-gray-700">Adaptive Sampling</span>
+              <p className="text-xs text-gray-500">
+                Stop collecting once more responses can no longer change the grade, instead of always running the test count
+              </p>
+            </div>
+          </label>
+        </div>
+
+        {/* Max Test Runs (adaptive) */}
+        {localSettings.adaptiveSampling && (
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+              <span>Maximum Test Runs</span>
+              <HelpTooltip
+                content="Adaptive sampling checks the grade after every response and keeps going, up to this many, while it could still land in more than one grade."
+                position="bottom"
+              />
+            </label>
+            <input
+              type="number"
+              min="3"
+              max="50"
+              value={localSettings.maxTestCount || 30}
+              onChange={(e) => handleFieldChange('maxTestCount', parseInt(e.target.value))}
+              className={`input-field ${validationErrors.maxTestCount ? 'border-red-300' : ''}`}
+            />
+            {validationErrors.maxTestCount && (
+              <p className="mt-1 text-sm text-red-600">{validationErrors.maxTestCount}</p>
+            )}
+          </div>
+        )}
+
         {/* Enable Throttling Alerts */}
         <div>
           <label className="flex items-center space-x-3">
@@ -774,8 +841,18 @@ function DeterminismSettingsTab({ onSettingsChange }) {
             <h4 className="text-sm font-medium text-blue-800">Performance Impact</h4>
             <p className="text-sm text-blue-700 mt-1">
               Higher test counts and retry attempts will increase evaluation time and AWS API usage.
-              With {localSettings.testCount || 10} tests, expect evaluation to take approximately{' '}
-              {Math.ceil((localSettings.testCount || 10) * 2 / 60)} minutes.
+              {localSettings.adaptiveSampling ? (
+                <>
+                  With adaptive sampling, evaluation takes at most about{' '}
+                  {Math.ceil((localSettings.maxTestCount || 30) * 2 / 60)} minutes for {localSettings.maxTestCount || 30} tests,
+                  and less when the grade is clear early.
+                </>
+              ) : (
+                <>
+                  With {localSettings.testCount || 10} tests, expect evaluation to take approximately{' '}
+                  {Math.ceil((localSettings.testCount || 10) * 2 / 60)} minutes.
+                </>
+              )}
             </p>
           </div>
         </div>
@@ -979,6 +1056,30 @@ function AWSSettingsTab({ onSettingsChange }) {
       )}
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Provider */}
+        <div className="md:col-span-2">
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+            <span>Provider</span>
+            <HelpTooltip
+              content="Mock replays scripted Converse responses, tool calls and guardrail assessments from each scenario's mock-responses.json. No credentials, network access or tokens are needed."
+              position="bottom"
+            />
+          </label>
+          <select
+            value={localSettings.provider || 'aws'}
+            onChange={(e) => handleFieldChange('provider', e.target.value)}
+            className="input-field"
+          >
+            <option value="aws">AWS Bedrock</option>
+            <option value="mock">Mock (offline, scripted responses)</option>
+          </select>
+          {localSettings.provider === 'mock' && (
+            <p className="mt-1 text-xs text-gray-500">
+              Responses come from fixtures, so determinism grades, costs and guardrail results are for demonstration only.
+            </p>
+          )}
+        </div>
+
         {/* Region */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1073,6 +1174,503 @@ function AWSSettingsTab({ onSettingsChange }) {
   );
 }
 
+/**
+ * Cost & Budget Settings Tab Component
+ */
+function CostSettingsTab({ onSettingsChange }) {
+  const {
+    settings,
+    updateSettings,
+    validateSettings,
+    isLoading,
+    error
+  } = useCostSettings();
+
+  const [localSettings, setLocalSettings] = useState(settings);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [newModelId, setNewModelId] = useState('');
+  const [spend, setSpend] = useState(() => ({
+    sessionSpend: costTrackingService.getSessionSpend(),
+    dailySpend: costTrackingService.getDailySpend()
+  }));
+
+  // Update local settings when global settings change
+  useEffect(() => {
+    setLocalSettings(settings);
+  }, [settings]);
+
+  // Keep the spend summary current while the dialog is open
+  useEffect(() => costTrackingService.addChangeListener(setSpend), []);
+
+  // Validate and save the whole section
+  const saveSettings = useCallback(async (newSettings) => {
+    setLocalSettings(newSettings);
+
+    const validation = validateSettings(newSettings);
+    setValidationErrors(validation.errors || []);
+
+    if (validation.isValid) {
+      const result = await updateSettings(newSettings);
+      if (result.success) {
+        onSettingsChange();
+      }
+    } else {
+      onSettingsChange();
+    }
+  }, [validateSettings, updateSettings, onSettingsChange]);
+
+  // Handle field changes
+  const handleFieldChange = useCallback((field, value) => {
+    saveSettings({ ...localSettings, [field]: value });
+  }, [localSettings, saveSettings]);
+
+  // Handle a price change for one model
+  const handlePriceChange = useCallback((modelId, field, value) => {
+    const price = parseFloat(value);
+    if (Number.isNaN(price) || price < 0) {
+      return;
+    }
+    const modelPricing = {
+      ...localSettings.modelPricing,
+      [modelId]: { ...localSettings.modelPricing[modelId], [field]: price }
+    };
+    handleFieldChange('modelPricing', modelPricing);
+  }, [localSettings, handleFieldChange]);
+
+  const handleAddModel = useCallback(() => {
+    const modelId = newModelId.trim();
+    if (!modelId || localSettings.modelPricing?.[modelId]) {
+      return;
+    }
+    handleFieldChange('modelPricing', {
+      ...localSettings.modelPricing,
+      [modelId]: { inputPer1K: 0, outputPer1K: 0 }
+    });
+    setNewModelId('');
+  }, [newModelId, localSettings, handleFieldChange]);
+
+  const handleRemoveModel = useCallback((modelId) => {
+    const modelPricing = { ...localSettings.modelPricing };
+    delete modelPricing[modelId];
+    handleFieldChange('modelPricing', modelPricing);
+  }, [localSettings, handleFieldChange]);
+
+  if (isLoading) {
+    return <LoadingSpinner size="md" text="Loading cost settings..." />;
+  }
+
+  const pricingEntries = Object.entries(localSettings.modelPricing || {});
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Cost & Budget</h3>
+        <p className="text-sm text-gray-600 mb-6">
+          Estimate what each run costs from its token usage and cap how much a session or a day may spend.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {validationErrors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          {validationErrors.map((message) => (
+            <p key={message} className="text-sm text-red-700">{message}</p>
+          ))}
+        </div>
+      )}
+
+      {/* Current Spend */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <div className="text-xs text-gray-500">This Session</div>
+          <div className="text-lg font-semibold text-gray-900">{formatCost(spend.sessionSpend)}</div>
+          <button
+            type="button"
+            onClick={() => costTrackingService.resetSessionSpend()}
+            className="mt-1 text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Reset session spend
+          </button>
+        </div>
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <div className="text-xs text-gray-500">Today</div>
+          <div className="text-lg font-semibold text-gray-900">{formatCost(spend.dailySpend)}</div>
+        </div>
+      </div>
+
+      {/* Budget */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="md:col-span-2">
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={!!localSettings.budgetEnabled}
+              onChange={(e) => handleFieldChange('budgetEnabled', e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <div>
+              <span className="text-sm font-medium text-gray-700">Enable Spend Budget</span>
+              <p className="text-xs text-gray-500">Check estimated spend before starting new runs</p>
+            </div>
+          </label>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Session Budget (USD)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={localSettings.sessionBudget ?? 5}
+            onChange={(e) => handleFieldChange('sessionBudget', parseFloat(e.target.value) || 0)}
+            disabled={!localSettings.budgetEnabled}
+            className="input-field"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Daily Budget (USD)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={localSettings.dailyBudget ?? 20}
+            onChange={(e) => handleFieldChange('dailyBudget', parseFloat(e.target.value) || 0)}
+            disabled={!localSettings.budgetEnabled}
+            className="input-field"
+          />
+        </div>
+
+        <div>
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+            <span>When Exceeded</span>
+            <HelpTooltip
+              content="Warn shows a notice but lets runs continue. Block stops new runs, and stops determinism evaluations and batches from starting further requests."
+              position="bottom"
+            />
+          </label>
+          <select
+            value={localSettings.budgetAction || 'warn'}
+            onChange={(e) => handleFieldChange('budgetAction', e.target.value)}
+            disabled={!localSettings.budgetEnabled}
+            className="input-field"
+          >
+            <option value="warn">Warn</option>
+            <option value="block">Block new runs</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Pricing Table */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-900">Model Pricing (USD per 1K tokens)</h4>
+          <button
+            type="button"
+            onClick={() => handleFieldChange('modelPricing', { ...DEFAULT_MODEL_PRICING })}
+            className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Reset to defaults
+          </button>
+        </div>
+        <div className="border border-gray-200 rounded-lg overflow-hidden">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Model</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Input</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Output</th>
+                <th className="px-3 py-2"><span className="sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {pricingEntries.map(([modelId, pricing]) => (
+                <tr key={modelId}>
+                  <td className="px-3 py-2 font-mono text-xs text-gray-700 break-all">{modelId}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.0001"
+                      value={pricing.inputPer1K}
+                      onChange={(e) => handlePriceChange(modelId, 'inputPer1K', e.target.value)}
+                      className="input-field w-28"
+                      aria-label={`Input price for ${modelId}`}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.0001"
+                      value={pricing.outputPer1K}
+                      onChange={(e) => handlePriceChange(modelId, 'outputPer1K', e.target.value)}
+                      className="input-field w-28"
+                      aria-label={`Output price for ${modelId}`}
+                    />
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveModel(modelId)}
+                      className="text-xs text-red-600 hover:text-red-700"
+                      aria-label={`Remove pricing for ${modelId}`}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-3 flex space-x-2">
+          <input
+            type="text"
+            value={newModelId}
+            onChange={(e) => setNewModelId(e.target.value)}
+            placeholder="Model ID, e.g. amazon.nova-premier-v1:0"
+            className="input-field flex-1"
+          />
+          <button
+            type="button"
+            onClick={handleAddModel}
+            disabled={!newModelId.trim()}
+            className="btn-secondary px-3 py-2 text-sm"
+          >
+            Add Model
+          </button>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          Cross-region profiles (us., eu., apac.) use the price of the underlying model. Models without a price show no cost.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Grading Settings Tab Component
+ */
+function GradingSettingsTab({ onSettingsChange }) {
+  const {
+    settings,
+    updateSettings,
+    validateSettings,
+    isLoading,
+    error
+  } = useGradingSettings();
+
+  const [localSettings, setLocalSettings] = useState(settings);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [rubricsText, setRubricsText] = useState(() => JSON.stringify(settings.rubrics || [], null, 2));
+  const [rubricErrors, setRubricErrors] = useState([]);
+
+  // Update local settings when global settings change
+  useEffect(() => {
+    setLocalSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    setRubricsText(JSON.stringify(settings.rubrics || [], null, 2));
+  }, [settings.rubrics]);
+
+  // Validate and save the whole section
+  const saveSettings = useCallback(async (newSettings) => {
+    setLocalSettings(newSettings);
+
+    const validation = validateSettings(newSettings);
+    setValidationErrors(validation.errors || []);
+
+    if (validation.isValid) {
+      const result = await updateSettings(newSettings);
+      if (result.success) {
+        onSettingsChange();
+      }
+    } else {
+      onSettingsChange();
+    }
+  }, [validateSettings, updateSettings, onSettingsChange]);
+
+  // Handle field changes
+  const handleFieldChange = useCallback((field, value) => {
+    saveSettings({ ...localSettings, [field]: value });
+  }, [localSettings, saveSettings]);
+
+  // Parse and validate the rubric JSON before saving it
+  const handleApplyRubrics = useCallback(() => {
+    let rubrics;
+    try {
+      rubrics = JSON.parse(rubricsText || '[]');
+    } catch (parseError) {
+      setRubricErrors([`Invalid JSON: ${parseError.message}`]);
+      return;
+    }
+
+    if (!Array.isArray(rubrics)) {
+      setRubricErrors(['Rubrics must be a JSON array']);
+      return;
+    }
+
+    const errors = rubrics.flatMap((rubric, index) =>
+      validateRubric(rubric).map(message => `Rubric ${rubric?.id || index + 1}: ${message}`)
+    );
+    const ids = rubrics.map(rubric => rubric.id);
+    ids.filter((id, index) => ids.indexOf(id) !== index).forEach(id => {
+      errors.push(`Rubric id "${id}" is used more than once`);
+    });
+    setRubricErrors(errors);
+
+    if (errors.length === 0) {
+      const defaultStillExists = localSettings.defaultRubricId === DEFAULT_RUBRIC.id ||
+        rubrics.some(rubric => rubric.id === localSettings.defaultRubricId);
+      saveSettings({
+        ...localSettings,
+        rubrics,
+        defaultRubricId: defaultStillExists ? localSettings.defaultRubricId : DEFAULT_RUBRIC.id
+      });
+    }
+  }, [rubricsText, localSettings, saveSettings]);
+
+  if (isLoading) {
+    return <LoadingSpinner size="md" text="Loading grading settings..." />;
+  }
+
+  const rubricOptions = [DEFAULT_RUBRIC, ...(localSettings.rubrics || [])];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Grading</h3>
+        <p className="text-sm text-gray-600 mb-6">
+          Choose the judge model that grades determinism and run quality, and define the rubrics runs are scored against.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {validationErrors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          {validationErrors.map((message) => (
+            <p key={message} className="text-sm text-red-700">{message}</p>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="md:col-span-2">
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+            <span>Judge Model</span>
+            <HelpTooltip
+              content="Model ID or inference profile used for determinism grading and rubric quality grading. Pick a strong model from a different family than the one under test to avoid self-preference."
+              position="bottom"
+            />
+          </label>
+          <input
+            type="text"
+            value={localSettings.judgeModelId || ''}
+            onChange={(e) => handleFieldChange('judgeModelId', e.target.value.trim())}
+            placeholder="amazon.nova-pro-v1:0"
+            className="input-field font-mono"
+          />
+        </div>
+
+        <div className="md:col-span-2">
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={!!localSettings.autoGrade}
+              onChange={(e) => handleFieldChange('autoGrade', e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <div>
+              <span className="text-sm font-medium text-gray-700">Grade Every Run</span>
+              <p className="text-xs text-gray-500">Score single runs and batch cells as they finish. Each grade is one extra judge call, billed at the judge model's price; turn this off to grade runs only on request</p>
+            </div>
+          </label>
+        </div>
+
+        <div>
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+            <span>Default Rubric</span>
+            <HelpTooltip
+              content="Used for runs whose scenario defines no rubrics of its own. Scenario rubrics always take precedence."
+              position="bottom"
+            />
+          </label>
+          <select
+            value={localSettings.defaultRubricId || DEFAULT_RUBRIC.id}
+            onChange={(e) => handleFieldChange('defaultRubricId', e.target.value)}
+            className="input-field"
+          >
+            {rubricOptions.map(rubric => (
+              <option key={rubric.id} value={rubric.id}>{rubric.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Custom Rubrics */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-900">Custom Rubrics (JSON)</h4>
+          <button
+            type="button"
+            onClick={() => setRubricsText(JSON.stringify([...(localSettings.rubrics || []), {
+              ...DEFAULT_RUBRIC,
+              id: `custom-${(localSettings.rubrics || []).length + 1}`,
+              name: 'Custom rubric'
+            }], null, 2))}
+            className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Add rubric from template
+          </button>
+        </div>
+        <textarea
+          value={rubricsText}
+          onChange={(e) => setRubricsText(e.target.value)}
+          rows={12}
+          spellCheck={false}
+          className="input-field font-mono text-xs resize-y"
+          aria-label="Custom rubrics JSON"
+        />
+        {rubricErrors.length > 0 && (
+          <div className="mt-2 bg-red-50 border border-red-200 rounded-lg p-3">
+            {rubricErrors.map((message) => (
+              <p key={message} className="text-xs text-red-700">{message}</p>
+            ))}
+          </div>
+        )}
+        <div className="mt-2 flex items-center justify-between">
+          <p className="text-xs text-gray-500">
+            Each rubric needs an id, a name and criteria with id, name, description and a relative weight. The scale defaults to 1-5.
+          </p>
+          <button
+            type="button"
+            onClick={handleApplyRubrics}
+            className="btn-secondary px-3 py-2 text-sm"
+          >
+            Apply Rubrics
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 SettingsDialog.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
@@ -1098,4 +1696,12 @@ AWSSettingsTab.propTypes = {
   onSettingsChange: PropTypes.func.isRequired
 };
 
+CostSettingsTab.propTypes = {
+  onSettingsChange: PropTypes.func.isRequired
+};
+
+GradingSettingsTab.propTypes = {
+  onSettingsChange: PropTypes.func.isRequired
+};
+
 export default SettingsDialog;
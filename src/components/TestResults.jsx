@@ -10,9 +10,15 @@ import ToolUsageDisplay from './ToolUsageDisplay';
 import ToolConfigurationStatus from './ToolConfigurationStatus';
 import WorkflowTimeline from './WorkflowTimeline';
 import GuardrailResults from './GuardrailResults';
+import QualityGradePanel from './QualityGradePanel';
+import DeterminismJobPanel from './DeterminismJobPanel';
+import GroundTruthScore from './GroundTruthScore';
 import { uiErrorRecovery } from '../utils/uiErrorRecovery';
 import { useModelOutput } from '../hooks/useModelOutput';
 import { useDeterminismSettings } from '../hooks/useSettings';
+import { normalizeInferenceParams } from '../utils/inferenceParams';
+import { getResultCost, formatCost } from '../utils/costEstimation';
+import { costTrackingService } from '../services/costTrackingService';
 
 import PropTypes from 'prop-types';
 
@@ -110,6 +116,7 @@ const TestResults = ({
   isLoading,
   determinismEnabled,
   onEvaluationComplete,
+  onQualityGraded = null,
   shouldStartDeterminismEvaluation = false,
   isStreaming = false,
   streamingContent = '',
@@ -244,6 +251,7 @@ const TestResults = ({
 
   const displayOutput = getDisplayOutput();
   const displayResults = getDisplayResults();
+  const resultCost = getResultCost(displayResults, costTrackingService.getPricingTable());
 
   // Debug logging for guardrail results
   useEffect(() => {
@@ -972,6 +980,16 @@ const TestResults = ({
             </>
           )}
 
+          {/* Estimated Cost */}
+          {resultCost && (
+            <div className="text-center">
+              <div className="text-lg font-semibold text-gray-900">
+                {formatCost(resultCost.totalCost)}
+              </div>
+              <div className="text-xs text-gray-500">Est. Cost</div>
+            </div>
+          )}
+
           {/* Stop Reason */}
           {displayResults.stopReason && (
             <div className="text-center">
@@ -1038,6 +1056,50 @@ const TestResults = ({
           )}
         </div>
 
+        {/* Inference Parameters */}
+        {displayResults.inferenceParams && (() => {
+          const params = normalizeInferenceParams(displayResults.inferenceParams);
+          return (
+            <div className="mt-4 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600">
+              <span className="font-medium text-gray-700">Inference:</span>
+              <span>Temperature {params.temperature}</span>
+              <span>Top P {params.topP !== null ? params.topP : 'default'}</span>
+              <span>Max Tokens {params.maxTokens.toLocaleString()}</span>
+              {params.stopSequences.length > 0 && (
+                <span>
+                  Stop: {params.stopSequences.map(seq => (
+                    <code key={seq} className="bg-gray-100 px-1 py-0.5 rounded font-mono ml-1">{JSON.stringify(seq)}</code>
+                  ))}
+                </span>
+              )}
+            </div>
+          );
+        })()}
+
+        {/* Ground-truth Detection Score */}
+        {results?.groundTruthScore && !isStreaming && (
+          <div className="mt-4 border-t border-gray-200 pt-4">
+            <h4 className="text-md font-semibold text-gray-900 mb-3">
+              Detection vs. Labels
+              <span className="ml-2 text-xs font-normal text-gray-500">
+                {results.groundTruthScore.labelColumn} hidden from the model
+              </span>
+            </h4>
+            <GroundTruthScore score={results.groundTruthScore} />
+          </div>
+        )}
+
+        {/* Quality Grade */}
+        {results && onQualityGraded && !isStreaming && (
+          <div className="mt-4 border-t border-gray-200 pt-4">
+            <QualityGradePanel
+              testResult={results}
+              onGraded={onQualityGraded}
+              disabled={isLoading || isToolExecuting}
+            />
+          </div>
+        )}
+
         {/* Determinism Evaluation */}
         {determinismEnabled && (
           <div className="mt-4 border-t border-gray-200 pt-4">
@@ -1049,6 +1111,16 @@ const TestResults = ({
             />
           </div>
         )}
+
+        {/* Multi-model Determinism Job */}
+        {determinismEnabled && results && !isStreaming && (
+          <div className="mt-4 border-t border-gray-200 pt-4">
+            <DeterminismJobPanel
+              testResult={results}
+              disabled={isLoading || isToolExecuting}
+            />
+          </div>
+        )}
       </div>
 
 
@@ -1097,11 +1169,26 @@ TestResults.propTypes = {
       PropTypes.arrayOf(PropTypes.object)
     ]),
     guardrailConfig: PropTypes.object,
-    guardrailsEnabled: PropTypes.bool
+    guardrailsEnabled: PropTypes.bool,
+    cost: PropTypes.shape({
+      inputCost: PropTypes.number,
+      outputCost: PropTypes.number,
+      totalCost: PropTypes.number,
+      currency: PropTypes.string
+    }),
+    inferenceParams: PropTypes.shape({
+      temperature: PropTypes.number,
+      topP: PropTypes.number,
+      maxTokens: PropTypes.number,
+      stopSequences: PropTypes.arrayOf(PropTypes.string)
+    }),
+    qualityGrade: PropTypes.object,
+    groundTruthScore: PropTypes.object
   }),
   isLoading: PropTypes.bool,
   determinismEnabled: PropTypes.bool,
   onEvaluationComplete: PropTypes.func,
+  onQualityGraded: PropTypes.func,
   shouldStartDeterminismEvaluation: PropTypes.bool,
   isStreaming: PropTypes.bool,
   streamingContent: PropTypes.string,
@@ -1151,6 +1238,7 @@ TestResults.defaultProps = {
   isLoading: false,
   determinismEnabled: false,
   onEvaluationComplete: null,
+  onQualityGraded: null,
   isStreaming: false,
   streamingContent: '',
   streamingProgress: null,
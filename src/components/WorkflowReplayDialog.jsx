@@ -0,0 +1,447 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import WorkflowTimeline from './WorkflowTimeline';
+import ToolUsageDisplay from './ToolUsageDisplay';
+import LoadingSpinner from './LoadingSpinner';
+import { workflowCassetteService } from '../services/workflowCassetteService.js';
+import { toolExecutionService } from '../services/toolExecutionService.js';
+import { batchRunService } from '../services/batchRunService.js';
+import { costTrackingService } from '../services/costTrackingService.js';
+import { worldStateService } from '../services/worldStateService.js';
+
+/**
+ * Delay between steps while playing a recording
+ */
+const PLAYBACK_INTERVAL_MS = 800;
+
+/**
+ * Readable labels for workflow step types
+ */
+const STEP_LABELS = {
+  iteration_start: 'Iteration start',
+  llm_response: 'Model response',
+  tool_call: 'Tool call',
+  tool_result: 'Tool result',
+  completion: 'Completion',
+  iteration_limit_reached: 'Iteration limit reached',
+  cancellation: 'Cancelled',
+  error: 'Error'
+};
+
+const WorkflowReplayDialog = ({ testItem, onSaveResult, onClose }) => {
+  const [cassette, setCassette] = useState(null);
+  const [isLoadingCassette, setIsLoadingCassette] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [steps, setSteps] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [liveFromTurn, setLiveFromTurn] = useState(1);
+  const [isReexecuting, setIsReexecuting] = useState(false);
+  const [reexecutionLog, setReexecutionLog] = useState([]);
+  const [reexecutionError, setReexecutionError] = useState(null);
+  const [reexecution, setReexecution] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const loadCassette = async () => {
+      setIsLoadingCassette(true);
+      setLoadError(null);
+      try {
+        const loaded = await workflowCassetteService.loadCassette(testItem.id);
+        if (!isCurrent) return;
+
+        const validation = workflowCassetteService.validateCassette(loaded);
+        if (!validation.isValid) {
+          setLoadError(loaded
+            ? `This recording cannot be replayed: ${validation.errors.join(', ')}`
+            : 'No recording was found for this run. Only tool execution runs made after recording was added can be replayed.');
+          return;
+        }
+
+        setCassette(loaded);
+        setSteps(loaded.workflow);
+        setPosition(0);
+        setLiveFromTurn(loaded.turns.length);
+      } catch (error) {
+        if (isCurrent) {
+          setLoadError(`Failed to load recording: ${error.message}`);
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoadingCassette(false);
+        }
+      }
+    };
+
+    loadCassette();
+    return () => {
+      isCurrent = false;
+    };
+  }, [testItem.id]);
+
+  // Advance one step at a time while playing
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (position >= steps.length) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setPosition(prev => prev + 1), PLAYBACK_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, position, steps.length]);
+
+  const visibleSteps = useMemo(() => steps.slice(0, position), [steps, position]);
+  const toolUsage = useMemo(() => workflowCassetteService.buildToolUsage(visibleSteps), [visibleSteps]);
+  const turnSummaries = useMemo(() => workflowCassetteService.getTurnSummaries(cassette), [cassette]);
+  const currentStep = visibleSteps[visibleSteps.length - 1] || null;
+
+  const handleTogglePlay = () => {
+    if (!isPlaying && position >= steps.length) {
+      setPosition(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleStep = (delta) => {
+    setIsPlaying(false);
+    setPosition(prev => Math.min(steps.length, Math.max(0, prev + delta)));
+  };
+
+  const handleShowRecording = () => {
+    setIsPlaying(false);
+    setSteps(cassette.workflow);
+    setPosition(0);
+    setReexecution(null);
+  };
+
+  const handleReexecute = async () => {
+    setIsPlaying(false);
+    setIsReexecuting(true);
+    setReexecutionError(null);
+    setReexecutionLog([]);
+
+    try {
+      costTrackingService.assertWithinBudget();
+
+      if (!toolExecutionService.isInitialized) {
+        await toolExecutionService.initialize({
+          region: import.meta.env.VITE_AWS_REGION || 'us-east-1',
+          accessKeyId: import.meta.env.VITE_AWS_ACCESS_KEY_ID,
+          secretAccessKey: import.meta.env.VITE_AWS_SECRET_ACCESS_KEY,
+          sessionToken: import.meta.env.VITE_AWS_SESSION_TOKEN
+        });
+      }
+
+      const scenarioId = cassette.options.scenarioId || testItem.scenarioId || null;
+      // Like the recorded run, the re-execution starts from the scenario's seed state; replayed
+      // tool calls re-run their handlers, so live turns continue from the recorded run's state
+      const { result: workflowResult, finalState } = await worldStateService.runIsolated(scenarioId, () => toolExecutionService.executeWorkflow(
+        cassette.modelId,
+        cassette.systemPrompt,
+        cassette.userPrompt,
+        cassette.content,
+        cassette.toolConfig,
+        {
+          ...cassette.options,
+          scenarioId,
+          cassette,
+          replayTurns: liveFromTurn - 1,
+          onStreamUpdate: (update) => {
+            setReexecutionLog(prev => [...prev, update.content.split('\n')[0]]);
+          }
+        }
+      ));
+
+      const workflow = workflowResult.workflow || [];
+      // Only the live turns were billed; replayed turns came from the recording
+      const usage = batchRunService.sumWorkflowUsage(
+        workflow.filter(step => step.type === 'llm_response' && !step.content.replayed)
+      );
+
+      const result = {
+        id: Date.now().toString(),
+        modelId: cassette.modelId,
+        systemPrompt: cassette.systemPrompt,
+        userPrompt: cassette.userPrompt,
+        prompt: cassette.userPrompt, // Legacy field for backward compatibility
+        promptTemplate: testItem.promptTemplate || null,
+        scenarioId: testItem.scenarioId || null,
+        datasetType: testItem.datasetType,
+        datasetName: testItem.datasetName,
+        datasetContent: cassette.content,
+        response: workflowResult.results.finalResponse ||
+          workflowResult.results.guardrailResults?.outputText ||
+          'Tool execution completed without final response',
+        usage,
+        cost: costTrackingService.estimateCost(usage, cassette.modelId),
+        isStreamed: false,
+        toolUsage: workflowCassetteService.buildToolUsage(workflow),
+        toolConfig: cassette.toolConfig,
+        toolExecutionEnabled: true,
+        workflowData: {
+          executionId: workflowResult.executionId,
+          workflow,
+          metadata: workflowResult.metadata || {},
+          hasCassette: true
+        },
+        finalState,
+        guardrailResults: workflowResult.results.guardrailResults || null,
+        guardrailConfig: cassette.options.guardrailConfig || null,
+        guardrailsEnabled: !!cassette.options.guardrailConfig,
+        inferenceParams: cassette.options.inferenceParams || null,
+        replayOf: { testId: testItem.id, liveFromTurn },
+        timestamp: new Date().toISOString()
+      };
+
+      const saved = await onSaveResult(result);
+      if (saved) {
+        await workflowCassetteService.saveCassette(result.id, workflowResult.cassette);
+      }
+
+      // Start the player at the first live iteration, where the runs can diverge
+      const branchIndex = workflow.findIndex(step => (step.iteration || 0) >= liveFromTurn);
+      setSteps(workflow);
+      setPosition(branchIndex === -1 ? workflow.length : branchIndex);
+      setReexecution({ finalResponse: result.response, saved });
+    } catch (error) {
+      setReexecutionError(error.message);
+    } finally {
+      setIsReexecuting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                Replay Tool Workflow
+              </h3>
+              <p className="text-sm text-gray-500">
+                {testItem.modelId} • {new Date(testItem.timestamp).toLocaleString()}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+              aria-label="Close replay"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {isLoadingCassette && (
+            <LoadingSpinner message="Loading recording..." />
+          )}
+
+          {loadError && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              {loadError}
+            </div>
+          )}
+
+          {cassette && (
+            <div className="space-y-4">
+              {/* Player controls */}
+              <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                <div className="flex flex-wrap items-center gap-2">
+                  <button
+                    onClick={() => handleStep(-steps.length)}
+                    disabled={position === 0 || isReexecuting}
+                    className="px-2 py-1 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+                    title="Back to the first step"
+                  >
+                    ⏮
+                  </button>
+                  <button
+                    onClick={() => handleStep(-1)}
+                    disabled={position === 0 || isReexecuting}
+                    className="px-2 py-1 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+                    title="Previous step"
+                  >
+                    ◀
+                  </button>
+                  <button
+                    onClick={handleTogglePlay}
+                    disabled={steps.length === 0 || isReexecuting}
+                    className="px-3 py-1 text-sm bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    {isPlaying ? 'Pause' : 'Play'}
+                  </button>
+                  <button
+                    onClick={() => handleStep(1)}
+                    disabled={position >= steps.length || isReexecuting}
+                    className="px-2 py-1 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+                    title="Next step"
+                  >
+                    ▶
+                  </button>
+                  <button
+                    onClick={() => handleStep(steps.length)}
+                    disabled={position >= steps.length || isReexecuting}
+                    className="px-2 py-1 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+                    title="Jump to the last step"
+                  >
+                    ⏭
+                  </button>
+                  <input
+                    type="range"
+                    min={0}
+                    max={steps.length}
+                    value={position}
+                    onChange={(e) => {
+                      setIsPlaying(false);
+                      setPosition(parseInt(e.target.value, 10));
+                    }}
+                    disabled={isReexecuting}
+                    className="flex-1 min-w-[8rem]"
+                    aria-label="Replay position"
+                  />
+                  <span className="text-sm text-gray-600 whitespace-nowrap">
+                    Step {position} of {steps.length}
+                  </span>
+                </div>
+
+                <div className="mt-2 text-xs text-gray-500">
+                  {reexecution ? (
+                    <span>
+                      Showing the re-executed run (live from iteration {liveFromTurn}).{' '}
+                      <button
+                        onClick={handleShowRecording}
+                        className="text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        Show original recording
+                      </button>
+                    </span>
+                  ) : (
+                    <span>
+                      Showing the recorded run: {cassette.turns.length} model turn{cassette.turns.length !== 1 ? 's' : ''}, recorded {new Date(cassette.recordedAt).toLocaleString()}.
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {/* Current step */}
+              {currentStep && (
+                <div className="p-3 border border-gray-200 rounded-lg">
+                  <div className="text-sm font-medium text-gray-900">
+                    Iteration {currentStep.iteration || 0} • {STEP_LABELS[currentStep.type] || currentStep.type}
+                    {currentStep.content?.toolName && `: ${currentStep.content.toolName}`}
+                  </div>
+                  {currentStep.type === 'llm_response' && currentStep.content?.response && (
+                    <pre className="mt-2 text-sm text-gray-700 whitespace-pre-wrap bg-gray-50 p-2 rounded border max-h-48 overflow-y-auto">
+                      {currentStep.content.response}
+                    </pre>
+                  )}
+                  {currentStep.type === 'error' && (
+                    <p className="mt-1 text-sm text-red-700">{currentStep.content?.error}</p>
+                  )}
+                </div>
+              )}
+
+              <WorkflowTimeline
+                workflow={visibleSteps}
+                isExecuting={isPlaying}
+                followLatestStep
+              />
+
+              <div>
+                <h5 className="text-sm font-medium text-gray-600 mb-2">Tool Calls So Far:</h5>
+                {toolUsage.toolCalls.length > 0 ? (
+                  <ToolUsageDisplay
+                    toolUsage={toolUsage}
+                    toolExecutionEnabled
+                    workflowData={visibleSteps}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500">No tool calls yet at this step.</p>
+                )}
+              </div>
+
+              {/* Re-execution */}
+              <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                <h4 className="font-medium text-gray-900 mb-1">Re-execute From a Step</h4>
+                <p className="text-sm text-gray-600 mb-3">
+                  Reuse the recorded model responses and tool results before the chosen iteration, then call the live model from that iteration on. The new run is saved to history.
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={liveFromTurn}
+                    onChange={(e) => setLiveFromTurn(parseInt(e.target.value, 10))}
+                    disabled={isReexecuting}
+                    className="input-field flex-1 min-w-[12rem]"
+                    aria-label="Iteration to resume live execution from"
+                  >
+                    {turnSummaries.map(summary => (
+                      <option key={summary.turn} value={summary.turn}>
+                        Iteration {summary.turn}: {summary.toolNames.length > 0
+                          ? `called ${summary.toolNames.join(', ')}`
+                          : summary.stopReason || 'response'}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleReexecute}
+                    disabled={isReexecuting}
+                    className="px-3 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {isReexecuting ? (
+                      <LoadingSpinner size="sm" color="white" text="Re-executing..." inline />
+                    ) : (
+                      `Re-execute from iteration ${liveFromTurn}`
+                    )}
+                  </button>
+                </div>
+
+                {reexecutionLog.length > 0 && (
+                  <pre className="mt-3 text-xs text-gray-700 bg-white p-2 rounded border max-h-32 overflow-y-auto whitespace-pre-wrap">
+                    {reexecutionLog.join('\n')}
+                  </pre>
+                )}
+
+                {reexecutionError && (
+                  <div className="mt-3 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                    {reexecutionError}
+                  </div>
+                )}
+
+                {reexecution && (
+                  <div className="mt-3 text-sm text-gray-700">
+                    <p className="font-medium">Final response:</p>
+                    <pre className="mt-1 whitespace-pre-wrap bg-white p-2 rounded border max-h-40 overflow-y-auto">
+                      {reexecution.finalResponse}
+                    </pre>
+                    {!reexecution.saved && (
+                      <p className="mt-1 text-xs text-red-600">The re-executed run could not be saved to history.</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+WorkflowReplayDialog.propTypes = {
+  testItem: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    modelId: PropTypes.string,
+    timestamp: PropTypes.string,
+    promptTemplate: PropTypes.object,
+    scenarioId: PropTypes.string,
+    datasetType: PropTypes.string,
+    datasetName: PropTypes.string
+  }).isRequired,
+  onSaveResult: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default WorkflowReplayDialog;
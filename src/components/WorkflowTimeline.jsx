@@ -4,11 +4,12 @@ import PropTypes from 'prop-types';
 const WorkflowTimeline = ({
   workflow = [],
   isExecuting = false,
+  followLatestStep = false,
   onStepExpand,
   onCopyStep
 }) => {
   const [expandedSteps, setExpandedSteps] = useState(new Set());
-  const [isTimelineCollapsed, setIsTimelineCollapsed] = useState(true);
+  const [isTimelineCollapsed, setIsTimelineCollapsed] = useState(!followLatestStep);
   const [collapsedIterations, setCollapsedIterations] = useState(new Set());
 
   const toggleStepExpansion = (stepId) => {
@@ -49,13 +50,21 @@ const WorkflowTimeline = ({
     return grouped;
   }, [workflow]);
 
-  // Initialize all iterations as collapsed when workflow changes
+  const latestStepId = workflow.length > 0 ? workflow[workflow.length - 1].id : null;
+
+  // Initialize all iterations as collapsed when workflow changes.
+  // When following the latest step (replay), keep only the newest iteration open.
   useEffect(() => {
     if (workflow.length > 0) {
-      const allIterations = new Set(Object.keys(workflowByIteration).map(k => parseInt(k)));
-      setCollapsedIterations(allIterations);
+      const iterations = Object.keys(workflowByIteration).map(k => parseInt(k));
+      if (followLatestStep) {
+        const latestIteration = Math.max(...iterations);
+        setCollapsedIterations(new Set(iterations.filter(iteration => iteration !== latestIteration)));
+      } else {
+        setCollapsedIterations(new Set(iterations));
+      }
     }
-  }, [workflowByIteration, workflow.length]);
+  }, [workflowByIteration, workflow.length, followLatestStep]);
 
   // Get iteration statistics
   const getIterationStats = (steps) => {
@@ -374,7 +383,7 @@ const WorkflowTimeline = ({
                             <div className={`flex items-start space-x-3 p-3 rounded-lg transition-colors duration-200 ${step.status === 'error'
                               ? 'bg-red-50 border border-red-200'
                               : 'bg-gray-50 hover:bg-gray-100'
-                              }`}>
+                              } ${followLatestStep && step.id === latestStepId ? 'ring-2 ring-primary-300' : ''}`}>
                               {/* Step icon */}
                               <div className="flex items-center justify-center w-12 h-12 rounded-full bg-white border-2 border-gray-200">
                                 {getStepIcon(step)}
@@ -388,6 +397,14 @@ const WorkflowTimeline = ({
                                       {getStepTitle(step)}
                                     </h4>
                                     {getStatusIndicator(step)}
+                                    {step.content?.replayed && (
+                                      <span
+                                        className="inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-gray-200 text-gray-700"
+                                        title="Served from the recorded run instead of a live call"
+                                      >
+                                        Replayed
+                                      </span>
+                                    )}
                                   </div>
                                   <div className="flex items-center space-x-2">
                                     <span className="text-xs text-gray-500">
@@ -485,6 +502,7 @@ WorkflowTimeline.propTypes = {
     status: PropTypes.oneOf(['pending', 'in_progress', 'completed', 'error']).isRequired
   })),
   isExecuting: PropTypes.bool,
+  followLatestStep: PropTypes.bool,
   onStepExpand: PropTypes.func,
   onCopyStep: PropTypes.func
 };
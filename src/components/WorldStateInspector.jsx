@@ -0,0 +1,264 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import HelpTooltip from './HelpTooltip';
+import LoadingSpinner from './LoadingSpinner';
+import { worldStateService } from '../services/worldStateService.js';
+
+const CHANGE_BADGES = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-yellow-100 text-yellow-800',
+  deleted: 'bg-red-100 text-red-800'
+};
+
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+/**
+ * Tool calls of the most recent run: the latest chat turn, or the test itself
+ */
+const getLastRunToolCalls = (testResult) => {
+  const turns = testResult?.chat?.turns || [];
+  const toolUsage = turns.length > 0 ? turns[turns.length - 1].toolUsage : testResult?.toolUsage;
+  return toolUsage?.toolCalls || [];
+};
+
+const ChangeDiff = ({ change }) => (
+  <div className="p-2 border border-gray-200 rounded">
+    <div className="flex items-center space-x-2 text-xs">
+      <span className={`px-2 py-0.5 rounded font-medium ${CHANGE_BADGES[change.type]}`}>{change.type}</span>
+      <span className="font-mono text-gray-700">{change.store}/{change.key}</span>
+    </div>
+    <table className="mt-2 w-full text-xs">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="pr-2 font-medium">Field</th>
+          <th className="pr-2 font-medium">Before</th>
+          <th className="font-medium">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {change.fields.map(field => (
+          <tr key={field.field} className="align-top">
+            <td className="pr-2 font-mono text-gray-700">{field.field}</td>
+            <td className="pr-2 font-mono text-red-700 break-all">{formatValue(field.before)}</td>
+            <td className="font-mono text-green-700 break-all">{formatValue(field.after)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+ChangeDiff.propTypes = {
+  change: PropTypes.shape({
+    store: PropTypes.string,
+    key: PropTypes.string,
+    type: PropTypes.oneOf(['created', 'updated', 'deleted']),
+    fields: PropTypes.arrayOf(PropTypes.shape({
+      field: PropTypes.string
+    }))
+  }).isRequired
+};
+
+/**
+ * Records the scenario's tool handlers keep in IndexedDB, with the changes
+ * each tool call of the last run made to them.
+ */
+const WorldStateInspector = ({ scenarioId, testResult, disabled }) => {
+  const [snapshot, setSnapshot] = useState(null);
+  const [isLive, setIsLive] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResetting, setIsResetting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSnapshot = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setSnapshot(await worldStateService.captureSnapshot(scenarioId));
+      setIsLive(true);
+    } catch (loadError) {
+      setError(`Failed to read scenario state: ${loadError.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [scenarioId]);
+
+  // Show the state the run ended in; later runs may have changed the live database since
+  const finalState = testResult?.finalState || null;
+  const runKey = `${testResult?.id}:${testResult?.chat?.turns?.length || 0}`;
+  useEffect(() => {
+    if (finalState) {
+      setSnapshot(finalState);
+      setIsLive(false);
+      setError(null);
+    } else {
+      loadSnapshot();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loadSnapshot, runKey]);
+
+  if (!snapshot && !error) {
+    return null;
+  }
+
+  const handleReset = async () => {
+    const confirmed = window.confirm(
+      'Reset this scenario\'s tool state? Every change the agent made will be discarded.'
+    );
+    if (!confirmed) {
+      return;
+    }
+
+    setIsResetting(true);
+    setError(null);
+    try {
+      await worldStateService.resetState(scenarioId);
+      await loadSnapshot();
+    } catch (resetError) {
+      setError(`Failed to reset scenario state: ${resetError.message}`);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  const toolCallsWithChanges = getLastRunToolCalls(testResult)
+    .map((call, index) => ({ ...call, callNumber: index + 1 }))
+    .filter(call => call.stateChanges?.length > 0);
+
+  // Latest tool call to touch each record during the last run
+  const changedBy = new Map();
+  toolCallsWithChanges.forEach(call => {
+    call.stateChanges.forEach(change => {
+      changedBy.set(`${change.store}/${change.key}`, { toolName: call.toolName, type: change.type });
+    });
+  });
+
+  const storeNames = snapshot ? Object.keys(snapshot.stores) : [];
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <h3 className="text-lg font-semibold text-gray-900">Scenario State</h3>
+          <HelpTooltip
+            content="Records the scenario's tools read and write, as they were when this run ended. Every run starts from the scenario's seed data. Records the last run created or changed are highlighted, and each tool call lists its before/after values. Refresh shows the live state; reset discards the agent's changes."
+            position="right"
+          />
+          {snapshot?.dbName && (
+            <span className="text-xs font-mono text-gray-500">{snapshot.dbName}</span>
+          )}
+          {snapshot && (
+            <span className="text-xs text-gray-500">
+              {isLive ? 'live' : `end of run, ${new Date(snapshot.capturedAt).toLocaleTimeString()}`}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={loadSnapshot}
+            disabled={isLoading || isResetting}
+            className={`btn-secondary px-3 py-1 text-sm ${isLoading || isResetting ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            Refresh
+          </button>
+          <button
+            onClick={handleReset}
+            disabled={disabled || isResetting}
+            className={`btn-secondary px-3 py-1 text-sm ${disabled || isResetting ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {isResetting ? (
+              <LoadingSpinner size="sm" text="Resetting..." inline />
+            ) : (
+              'Reset scenario state'
+            )}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {toolCallsWithChanges.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Changes in the last run</h4>
+            <div className="space-y-3">
+              {toolCallsWithChanges.map(call => (
+                <div key={call.toolUseId || call.callNumber}>
+                  <p className="text-xs font-medium text-gray-600 mb-1">
+                    #{call.callNumber} {call.toolName}
+                    {call.success === false && <span className="text-red-600"> (failed)</span>}
+                  </p>
+                  <div className="space-y-2">
+                    {call.stateChanges.map(change => (
+                      <ChangeDiff key={`${change.store}/${change.key}`} change={change} />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {storeNames.map(storeName => {
+          const records = Object.entries(snapshot.stores[storeName].records);
+
+          return (
+            <div key={storeName}>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">
+                {storeName} <span className="text-xs text-gray-500">({records.length})</span>
+              </h4>
+              {records.length === 0 ? (
+                <p className="text-xs text-gray-500">No records</p>
+              ) : (
+                <div className="space-y-1">
+                  {records.map(([key, record]) => {
+                    const change = changedBy.get(`${storeName}/${key}`);
+
+                    return (
+                      <details
+                        key={key}
+                        className={`px-2 py-1 rounded border ${change ? 'bg-yellow-50 border-yellow-300' : 'border-gray-200'}`}
+                      >
+                        <summary className="text-xs cursor-pointer">
+                          <span className="font-mono text-gray-900">{key}</span>
+                          {change && (
+                            <span className="ml-2 text-yellow-800">{change.type} by {change.toolName}</span>
+                          )}
+                        </summary>
+                        <pre className="mt-2 text-xs bg-gray-100 p-2 rounded overflow-auto">
+                          {JSON.stringify(record, null, 2)}
+                        </pre>
+                      </details>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+WorldStateInspector.propTypes = {
+  scenarioId: PropTypes.string.isRequired,
+  testResult: PropTypes.shape({
+    id: PropTypes.string,
+    toolUsage: PropTypes.object,
+    finalState: PropTypes.object,
+    chat: PropTypes.object
+  }),
+  disabled: PropTypes.bool
+};
+
+WorldStateInspector.defaultProps = {
+  testResult: null,
+  disabled: false
+};
+
+export default WorldStateInspector;
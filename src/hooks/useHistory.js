@@ -97,6 +97,26 @@ export function useHistory() {
     }
   }, [loadHistory]);
 
+  /**
+   * Update an existing test result in history, e.g. when a chat gains a turn
+   */
+  const updateTestResult = useCallback(async (testResult) => {
+    setError(null);
+
+    try {
+      const updated = await fileService.updateTestResult(testResult);
+      if (!updated) {
+        await fileService.saveTestResult(testResult);
+      }
+      await loadHistory();
+      return true;
+    } catch (err) {
+      setError(`Failed to update test result: ${err.message}`);
+      console.error('Error updating test result:', err);
+      return false;
+    }
+  }, [loadHistory]);
+
   /**
    * Clear all history
    */
@@ -173,6 +193,11 @@ export function useHistory() {
         record.datasetType?.toLowerCase().includes(term) ||
         record.datasetOption?.toLowerCase().includes(term) ||
         record.response?.toLowerCase().includes(term) ||
+        // Include follow-up chat turns in search
+        (record.chat?.turns?.some(turn =>
+          turn.userMessage?.toLowerCase().includes(term) ||
+          turn.response?.toLowerCase().includes(term)
+        )) ||
         // Include tool usage in search
         (record.toolUsage?.toolCalls?.some(call =>
           call.toolName?.toLowerCase().includes(term) ||
@@ -323,6 +348,7 @@ export function useHistory() {
     // Actions
     loadHistory,
     saveTestResult,
+    updateTestResult,
     clearHistory,
     exportHistory,
     importHistory,
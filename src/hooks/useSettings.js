@@ -377,4 +377,82 @@ export function useAWSSettings() {
   };
 }
 
+/**
+ * Hook specifically for cost and budget settings
+ */
+export function useCostSettings() {
+  const {
+    settings: costSettings,
+    updateSection,
+    validateSection,
+    getSetting,
+    updateSetting,
+    isLoading,
+    error,
+    isInitialized
+  } = useSettings('cost');
+
+  const updateCostSettings = useCallback((newSettings) => {
+    return updateSection('cost', newSettings);
+  }, [updateSection]);
+
+  const updateCostSetting = useCallback((key, value) => {
+    return updateSetting(`cost.${key}`, value);
+  }, [updateSetting]);
+
+  const validateCostSettings = useCallback((settingsData) => {
+    return validateSection('cost', settingsData);
+  }, [validateSection]);
+
+  return {
+    settings: costSettings || {},
+    updateSettings: updateCostSettings,
+    updateSetting: updateCostSetting,
+    validateSettings: validateCostSettings,
+    getSetting: (key, fallback) => getSetting(`cost.${key}`, fallback),
+    isLoading,
+    error,
+    isInitialized
+  };
+}
+
+/**
+ * Hook specifically for grading settings (judge model and quality rubrics)
+ */
+export function useGradingSettings() {
+  const {
+    settings: gradingSettings,
+    updateSection,
+    validateSection,
+    getSetting,
+    updateSetting,
+    isLoading,
+    error,
+    isInitialized
+  } = useSettings('grading');
+
+  const updateGradingSettings = useCallback((newSettings) => {
+    return updateSection('grading', newSettings);
+  }, [updateSection]);
+
+  const updateGradingSetting = useCallback((key, value) => {
+    return updateSetting(`grading.${key}`, value);
+  }, [updateSetting]);
+
+  const validateGradingSettings = useCallback((settingsData) => {
+    return validateSection('grading', settingsData);
+  }, [validateSection]);
+
+  return {
+    settings: gradingSettings || {},
+    updateSettings: updateGradingSettings,
+    updateSetting: updateGradingSetting,
+    validateSettings: validateGradingSettings,
+    getSetting: (key, fallback) => getSetting(`grading.${key}`, fallback),
+    isLoading,
+    error,
+    isInitialized
+  };
+}
+
 export default useSettings;
@@ -5,7 +5,7 @@
 export class HandlerUtils {
   static dbName = 'FraudToolsDB';
   static dbVersion = 1;
-  statb = null;
+  static db = null;
 
   /**
    * Initialize IndexedDB storage for fraud detection handlers
@@ -144,10 +144,11 @@ export async function escalateToManager(parameters, context) {
     await HandlerUtils.saveToStorage(db, 'actions', actionData);
 
     // Update order status
-    orderData.status = 'escalated';
-    orderData.lastAction = actionId;
-    orderData.updated = timestamp;
-    await HandlerUtils.saveToStorage(db, 'orders', orderData);
+    await HandlerUtils.updateOrderState(db, order_id, {
+      actionId,
+      orderStatus: 'escalated',
+      timestamp
+    });
 
     // 5. Build response with escalation tracking information
     const responseTimeMap = {
@@ -69,22 +69,17 @@ export async function getExpediteQuote(parameters, context) {
       );
     }
 
-    const quotes = {
-      overnight: {
-        cost: 47,
-        eta: '2025-10-01T18:00:00Z', // RFC3339 format
-        carrier: 'PremiumAir',
-        service: 'Next-Flight-Out'
-      },
-      same_day: {
-        cost: 95,
-        eta: '2025-09-30T15:00:00Z', // RFC3339 format
-        carrier: 'PremiumAir',
-        service: 'Rush-Direct'
-      }
-    };
-
-    const quote = quotes[speed];
+    const quote = (orderData.expediteOptions || []).find(option => option.speed === speed);
+    if (!quote) {
+      return createErrorResponse(
+        '/errors/not_found',
+        'Expedite Option Unavailable',
+        404,
+        `No ${speed} expedite option is available for order ${order_id}`,
+        'Request a quote for a different speed or choose another action for this order',
+        'getExpediteQuote'
+      );
+    }
 
     // 5. Build response with standardized meta fields and proper formatting
     const businessResult = {
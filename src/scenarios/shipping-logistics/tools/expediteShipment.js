@@ -130,7 +130,7 @@ export async function expediteShipment(parameters, context) {
     const quoteResponse = await getExpediteQuote({ order_id, speed }, context);
 
     // Handle error response from getExpediteQuote
-    if (!quoteResponse.success && quoteResponse.error) {
+    if (!quoteResponse.quote) {
       return quoteResponse;
     }
 
@@ -152,11 +152,23 @@ export async function expediteShipment(parameters, context) {
 
     await HandlerUtils.saveToStorage(db, 'actions', actionData);
 
-    // Update order status
-    orderData.status = 'expedited';
-    orderData.lastAction = actionId;
-    orderData.updated = new Date().toISOString();
-    await HandlerUtils.saveToStorage(db, 'orders', orderData);
+    const slaData = await HandlerUtils.getFromStorage(db, 'slas', order_id);
+    const meetsSla = !!slaData && new Date(quoteResponse.quote.eta) <= new Date(slaData.promisedDeliveryBy);
+    const newTrackingNumber = `PA-${speed === 'overnight' ? 'OVN' : 'SD'}-${quoteResponse.quote.carrier.name}-${Date.now().toString().slice(-8)}`;
+
+    // Update order, carrier and SLA state so later reads see the expedite
+    await HandlerUtils.updateOrderState(db, order_id, {
+      actionId,
+      orderStatus: 'expedited',
+      timestamp: actionData.timestamp,
+      carrier: {
+        name: quoteResponse.quote.carrier.name,
+        trackingNumber: newTrackingNumber,
+        status: 'expedited',
+        exceptionNote: `Expedited ${speed} via ${quoteResponse.quote.carrier.name}: ${reason}`
+      },
+      sla: meetsSla ? { currentStatus: 'on_track' } : null
+    });
 
     // 5. Build response with standardized meta
     const response = {
@@ -164,7 +176,7 @@ export async function expediteShipment(parameters, context) {
       action_id: actionId,
       order_id: order_id,
       shipping_details: {
-        new_tracking_number: `PA-${speed === 'overnight' ? 'OVN' : 'SD'}-${quoteResponse.quote.carrier.name}-${Date.now().toString().slice(-8)}`,
+        new_tracking_number: newTrackingNumber,
         new_carrier: quoteResponse.quote.carrier.name,
         new_eta: quoteResponse.quote.eta,
         cost: {
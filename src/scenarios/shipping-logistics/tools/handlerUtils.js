@@ -1,10 +1,18 @@
+import seedData from '../seed-data.json' with { type: 'json' };
+
+// Stores derived from seed-data.json; cleared and re-seeded on reset
+const WORLD_STORES = ['orders', 'carriers', 'packages', 'customers', 'slas'];
+
 /**
  * Shipping logistics handler utilities
- * Provides storage initialization and helper methods for shipping handlers
+ * Provides storage initialization and helper methods for shipping handlers.
+ * The IndexedDB database is the scenario's world state: it is seeded from
+ * seed-data.json, every handler reads from it, and action handlers mutate it
+ * so later reads see the effect of earlier actions.
  */
 export class HandlerUtils {
   static dbName = 'ShippingToolsDB';
-  static dbVersion = 1;
+  static dbVersion = 2;
   static db = null;
 
   /**
@@ -23,7 +31,7 @@ export class HandlerUtils {
 
       request.onsuccess = (event) => {
         this.db = event.target.result;
-        this.seedDemoData().then(() => resolve(this.db));
+        this.seedWorldState().then(() => resolve(this.db), reject);
       };
 
       request.onupgradeneeded = (event) => {
@@ -59,72 +67,97 @@ export class HandlerUtils {
           actionStore.createIndex('orderId', 'orderId', { unique: false });
           actionStore.createIndex('actionType', 'actionType', { unique: false });
         }
+
+        // Version 1 was seeded with a hardcoded B456 record; drop it so the
+        // stores are re-seeded from seed-data.json
+        if (event.oldVersion > 0 && event.oldVersion < 2) {
+          const transaction = event.target.transaction;
+          [...WORLD_STORES, 'actions'].forEach(storeName => transaction.objectStore(storeName).clear());
+        }
       };
     });
   }
 
   /**
-   * Seed demo data for Order B456
+   * Seed the world state from seed-data.json unless it is already seeded
+   * @returns {Promise<void>}
    */
-  static async seedDemoData() {
+  static async seedWorldState() {
     if (!this.db) {
       throw new Error('Database not initialized');
     }
 
-    // Check if data already exists
-    const existingOrder = await this.getFromStorage(this.db, 'orders', 'B456');
-    if (existingOrder) {
+    const existingOrders = await this.getAllFromStorage(this.db, 'orders');
+    if (existingOrders.length > 0) {
       return; // Data already seeded
     }
 
-    const demoData = {
+    for (const seedOrder of Object.values(seedData.orders || {})) {
+      const records = this.buildSeedRecords(seedOrder);
+      await this.saveToStorage(this.db, 'orders', records.order);
+      await this.saveToStorage(this.db, 'customers', records.customer);
+      await this.saveToStorage(this.db, 'carriers', records.carrier);
+      await this.saveToStorage(this.db, 'packages', records.package);
+      await this.saveToStorage(this.db, 'slas', records.sla);
+    }
+  }
+
+  /**
+   * Split one seed-data.json order into the records each store holds
+   * @param {Object} seedOrder - Order entry from seed-data.json
+   * @returns {Object} Records keyed by store: order, customer, carrier, package, sla
+   */
+  static buildSeedRecords(seedOrder) {
+    const { orderId, customerId, carrier, customer, sla } = seedOrder;
+    const packageData = seedOrder.package;
+
+    return {
       order: {
-        orderId: 'B456',
-        created: '2025-09-28T14:22:00Z',
-        customerId: 'C8821',
-        status: 'exception'
-      },
-      customer: {
-        customerId: 'C8821',
-        name: 'Margaret Thompson',
-        tier: 'VIP',
-        accountValue: 12400,
-        joinDate: '2019-03-15',
-        satisfactionScore: 4.8
+        orderId,
+        created: seedOrder.created,
+        customerId,
+        status: carrier.currentStatus,
+        destination: seedOrder.destination,
+        expediteOptions: seedOrder.expediteOptions || [],
+        operationalNotes: seedOrder.operationalNotes || []
       },
+      customer: { ...customer, customerId },
       carrier: {
-        orderId: 'B456',
-        name: 'RegionalExpress',
-        trackingNumber: 'RX8829912847',
-        status: 'delivery_exception',
-        lastUpdate: '2025-09-30T11:15:00Z',
-        exceptionNote: 'Box felt warm to touch. Customer not home. Returned to depot.',
-        attemptsRemaining: 1
+        orderId,
+        name: carrier.name,
+        trackingNumber: carrier.trackingNumber,
+        status: carrier.currentStatus,
+        lastUpdate: carrier.lastUpdate,
+        exceptionNote: carrier.exceptionNote,
+        attemptsRemaining: carrier.attemptsRemaining
       },
       package: {
-        orderId: 'B456',
-        contents: ['Wagyu Beef Steaks (qty: 2)'],
-        isPerishable: true,
-        isHazmat: false,
-        requiresRefrigeration: true,
-        weight: 3.2,
-        declaredValue: 340
+        orderId,
+        contents: packageData.contents.map(item => `${item.name} (qty: ${item.quantity})`),
+        isPerishable: packageData.isPerishable,
+        isHazmat: packageData.isHazmat,
+        requiresRefrigeration: packageData.contents.some(item => item.requiresRefrigeration),
+        weight: packageData.weight,
+        declaredValue: packageData.declared_value
       },
-      sla: {
-        orderId: 'B456',
-        tier: '2-day',
-        promisedDeliveryBy: '2025-09-30T20:00:00Z',
-        currentStatus: 'at_risk',
-        hoursUntilDeadline: 8,
-        penaltyPerDay: 200
-      }
+      sla: { orderId, ...sla }
     };
+  }
 
-    await this.saveToStorage(this.db, 'orders', demoData.order);
-    await this.saveToStorage(this.db, 'customers', demoData.customer);
-    await this.saveToStorage(this.db, 'carriers', demoData.carrier);
-    await this.saveToStorage(this.db, 'packages', demoData.package);
-    await this.saveToStorage(this.db, 'slas', demoData.sla);
+  /**
+   * Reset the world state to seed-data.json, discarding every recorded action
+   * @returns {Promise<void>}
+   */
+  static async resetWorldState() {
+    const db = await this.initializeStorage();
+
+    for (const storeName of [...WORLD_STORES, 'actions']) {
+      await this.clearStorage(db, storeName);
+    }
+    await this.seedWorldState();
+
+    // Cached read responses describe the state being discarded
+    await this.flushCache();
   }
 
   /**
@@ -173,6 +206,92 @@ export class HandlerUtils {
     });
   }
 
+  /**
+   * Get all records from an IndexedDB store
+   * @param {IDBDatabase} db - Database instance
+   * @param {string} storeName - Store name
+   * @returns {Promise<Array>} All records in the store
+   */
+  static async getAllFromStorage(db, storeName) {
+    return new Promise((resolve, reject) => {
+      if (!db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = db.transaction([storeName], 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(new Error(`Failed to get all from ${storeName}`));
+    });
+  }
+
+  /**
+   * Clear all records from an IndexedDB store
+   * @param {IDBDatabase} db - Database instance
+   * @param {string} storeName - Store name
+   * @returns {Promise<void>}
+   */
+  static async clearStorage(db, storeName) {
+    return new Promise((resolve, reject) => {
+      if (!db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to clear ${storeName}`));
+    });
+  }
+
+  /**
+   * Apply an action's effect to an order and its carrier record
+   * @param {IDBDatabase} db - Database instance
+   * @param {string} orderId - Order ID
+   * @param {Object} changes - State changes
+   * @param {string} changes.actionId - ID of the action causing the change
+   * @param {string} changes.orderStatus - New order status
+   * @param {Object} [changes.carrier] - Carrier fields to overwrite (status, name, exceptionNote, ...)
+   * @param {Object} [changes.sla] - SLA fields to overwrite
+   * @param {string} [changes.timestamp] - Change timestamp
+   * @returns {Promise<void>}
+   */
+  static async updateOrderState(db, orderId, changes) {
+    const { actionId, orderStatus, carrier, sla, timestamp = new Date().toISOString() } = changes;
+
+    const orderData = await this.getFromStorage(db, 'orders', orderId);
+    if (orderData) {
+      orderData.status = orderStatus;
+      orderData.lastAction = actionId;
+      orderData.updated = timestamp;
+      await this.saveToStorage(db, 'orders', orderData);
+    }
+
+    if (carrier) {
+      const carrierData = await this.getFromStorage(db, 'carriers', orderId);
+      if (carrierData) {
+        await this.saveToStorage(db, 'carriers', { ...carrierData, ...carrier, lastUpdate: timestamp });
+      }
+    }
+
+    if (sla) {
+      const slaData = await this.getFromStorage(db, 'slas', orderId);
+      if (slaData) {
+        await this.saveToStorage(db, 'slas', { ...slaData, ...sla });
+      }
+    }
+
+    // Cached reads for this order no longer reflect its state
+    const { invalidateOrderCache } = await import('./sharedUtils.js');
+    await invalidateOrderCache(orderId);
+  }
+
   /**
    * Generate unique ID with prefix
    * @param {string} prefix - ID prefix
@@ -227,35 +346,6 @@ export class HandlerUtils {
     });
   }
 
-  /**
-   * Reset demo data (for testing different iterations)
-   * @param {IDBDatabase} db - Database instance
-   * @returns {Promise<void>}
-   */
-  static async resetDemoData(db) {
-    if (!db) {
-      throw new Error('Database not initialized');
-    }
-
-    // Clear actions only, preserve core data
-    const transaction = db.transaction(['actions'], 'readwrite');
-    const store = transaction.objectStore('actions');
-    await new Promise((resolve, reject) => {
-      const request = store.clear();
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(new Error('Failed to clear actions'));
-    });
-
-    // Reset order status
-    const orderData = await this.getFromStorage(db, 'orders', 'B456');
-    if (orderData) {
-      orderData.status = 'exception';
-      orderData.lastAction = null;
-      orderData.updated = new Date().toISOString();
-      await this.saveToStorage(db, 'orders', orderData);
-    }
-  }
-
   /**
    * Create metadata object for responses
    * @param {Object} options - Metadata options
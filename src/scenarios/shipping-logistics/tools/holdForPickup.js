@@ -128,11 +128,17 @@ export async function holdForPickup(parameters, context) {
 
     await HandlerUtils.saveToStorage(db, 'actions', actionData);
 
-    // Update order status
-    orderData.status = 'held_for_pickup';
-    orderData.lastAction = actionId;
-    orderData.updated = timestamp;
-    await HandlerUtils.saveToStorage(db, 'orders', orderData);
+    // Update order and carrier state so later reads see the hold
+    await HandlerUtils.updateOrderState(db, order_id, {
+      actionId,
+      orderStatus: 'held_for_pickup',
+      timestamp,
+      carrier: {
+        status: 'held_for_pickup',
+        exceptionNote: `Held for customer pickup: ${reason}`,
+        attemptsRemaining: 0
+      }
+    });
 
     // 5. Build response with action confirmation details
     const response = {
@@ -1,93 +1,48 @@
-import { createMockResponse, generateEtag, handleConditionalRequest } from '../../../utils/toolHelpers.js'
-import { trackRateLimit } from '../../../utils/rateLimiting.js'
-
-// Mock data for orders with various statuses
-const mockOrders = [
-  {
-    order_id: 'B456',
-    status: 'delivery_exception',
-    customer_tier: 'vip',
-    has_hazmat: false,
-    is_perishable: true,
-    sla_at_risk: true,
-    exception_note: 'Box felt warm to touch. Customer not home. Returned to depot.',
-    created_date: '2025-09-30',
-    carrier: 'RegionalExpress'
-  },
-  {
-    order_id: 'A123',
-    status: 'delivery_exception',
-    customer_tier: 'standard',
-    has_hazmat: true,
-    is_perishable: false,
-    sla_at_risk: false,
-    exception_note: 'Hazmat package - requires special handling',
-    created_date: '2025-09-30',
-    carrier: 'SafetyFirst'
-  },
-  {
-    order_id: 'C789',
-    status: 'in_transit',
-    customer_tier: 'premium',
-    has_hazmat: false,
-    is_perishable: true,
-    sla_at_risk: true,
-    exception_note: null,
-    created_date: '2025-09-29',
-    carrier: 'FastTrack'
-  },
-  {
-    order_id: 'D999',
-    status: 'held',
-r_tier: 'vip',
-    has_hazmat: true,
-    is_perishable: false,
-    sla_at_risk: false,
-    exception_note: 'Held for pickup - hazmat restrictions',
-    created_date: '2025-09-29',
-    carrier: 'SafetyFirst'
-  },
-  {
-    order_id: 'E555',
-    status: 'expedited',
-    customer_tier: 'premium',
-    has_hazmat: false,
-    is_perishable: true,
-    sla_at_risk: false,
-    exception_note: 'Expedited due to temperature concerns',
-    created_date: '2025-09-30',
-    carrier: 'PriorityAir'
-  },
-  {
-    order_id: 'F111',
-    status: 'delivery_exception',
-    customer_tier: 'standard',
-    has_hazmat: false,
-    is_perishable: false,
-    sla_at_risk: false,
-    exception_note: 'Address not found - customer contacted',
-    created_date: '2025-09-30',
-    carrier: 'StandardShip'
-  },
-  {
-    order_id: 'G222',
-    status: 'delivered',
-    customer_tier: 'vip',
-    has_hazmat: false,
-    is_perishable: false,
-    sla_at_risk: false,
-    exception_note: null,
-    created_date: '2025-09-29',
-    carrier: 'RegionalExpress'
-  }
-]
+import { HandlerUtils } from './handlerUtils.js'
+import { checkRateLimit, createRateLimitError, createErrorResponse, generateEtag } from './sharedUtils.js'
+
+// Filter values that cover more than one stored status
+const STATUS_FILTER_ALIASES = {
+  held: ['held', 'held_for_pickup']
+}
+
+/**
+ * Build list summaries from the world state so listOrders agrees with the
+ * per-order tools and reflects actions taken earlier in the run
+ * @param {IDBDatabase} db - Database instance
+ * @returns {Promise<Array>} Order summaries
+ */
+async function loadOrderSummaries(db) {
+  const orders = await HandlerUtils.getAllFromStorage(db, 'orders')
+
+  return Promise.all(orders.map(async (order) => {
+    const [carrier, packageData, customer, sla] = await Promise.all([
+      HandlerUtils.getFromStorage(db, 'carriers', order.orderId),
+      HandlerUtils.getFromStorage(db, 'packages', order.orderId),
+      HandlerUtils.getFromStorage(db, 'customers', order.customerId),
+      HandlerUtils.getFromStorage(db, 'slas', order.orderId)
+    ])
+
+    return {
+      order_id: order.orderId,
+      status: carrier?.status || order.status,
+      customer_tier: customer?.tier?.toLowerCase() || null,
+      has_hazmat: !!packageData?.isHazmat,
+      is_perishable: !!packageData?.isPerishable,
+      sla_at_risk: ['at_risk', 'breached'].includes(sla?.currentStatus),
+      exception_note: carrier?.exceptionNote || null,
+      created_date: order.created.slice(0, 10),
+      carrier: carrier?.name || null
+    }
+  }))
+}
 
 function applyFilters(orders, filters) {
   if (!filters) return orders
 
   return orders.filter(order => {
     // Status filter
-    if (filters.status && order.status !== filters.status) {
+    if (filters.status && !(STATUS_FILTER_ALIASES[filters.status] || [filters.status]).includes(order.status)) {
       return false
     }
 
@@ -165,20 +120,28 @@ export async function listOrders(params) {
   const { filters, meta } = params
 
   // Check rate limiting
-  const rateLimitResult = await trackRateLimit()
+  const rateLimitResult = await checkRateLimit()
   if (rateLimitResult.exceeded) {
-    return {
-      type: '/errors/rate_limit',
-      title: 'Rate Limit Exceeded',
-      status: 429,
-      detail: `Exceeded 100 requests per minute limit. Current usage: ${101} requests`,
-      instance: `/shipping/list_orders/${Date.now()}`,
-      next_steps: `Wait ${rateLimitResult.info.reset_seconds} seconds before retrying. Consider implementing exponential backoff for automated systems.`
-    }
+    return createRateLimitError(rateLimitResult, 'listOrders')
   }
 
-  // Apply filters to get matching orders
-  const filteredOrders = applyFilters(mockOrders, filters)
+  // Apply filters to the current world state
+  let filteredOrders
+  try {
+    const db = await HandlerUtils.initializeStorage()
+    const orders = await loadOrderSummaries(db)
+    filteredOrders = applyFilters(orders, filters)
+      .sort((a, b) => a.order_id.localeCompare(b.order_id))
+  } catch (error) {
+    return createErrorResponse(
+      '/errors/internal',
+      'Internal Server Error',
+      500,
+      `Failed to list orders: ${error.message}`,
+      'Please try again or contact support if the issue persists',
+      'listOrders'
+    )
+  }
 
   // Apply pagination
   const paginationResult = paginateResults(filteredOrders, meta?.paging)
@@ -199,11 +162,8 @@ export async function listOrders(params) {
   }
 
   // Handle conditional requests
-  if (meta?.if_none_match) {
-    const conditionalResponse = handleConditionalRequest(responseData, meta.if_none_match)
-    if (conditionalResponse) {
-      return conditionalResponse
-    }
+  if (meta?.if_none_match && meta.if_none_match === responseData.meta.etag) {
+    return { status: 304, meta: responseData.meta }
   }
 
   return responseData
@@ -129,10 +129,11 @@ export async function noActionRequired(parameters, context) {
     await HandlerUtils.saveToStorage(db, 'actions', actionData);
 
     // Update order status
-    orderData.status = 'monitoring';
-    orderData.lastAction = actionId;
-    orderData.updated = timestamp;
-    await HandlerUtils.saveToStorage(db, 'orders', orderData);
+    await HandlerUtils.updateOrderState(db, order_id, {
+      actionId,
+      orderStatus: 'monitoring',
+      timestamp
+    });
 
     // 5. Build response with documentation confirmation
     const nextReviewTime = new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString();
@@ -280,6 +280,32 @@ export async function cacheResponse(key, response, ttlSeconds = 300) {
   }
 }
 
+/**
+ * Remove cached read responses for an order after its state changes
+ * @param {string} orderId - Order ID
+ * @returns {Promise<void>}
+ */
+export async function invalidateOrderCache(orderId) {
+  if (!MOMENTO_ENABLED || !momentoClient) {
+    return;
+  }
+
+  const keys = [
+    `shipping:carrier_status:${orderId}`,
+    `shipping:package_contents:${orderId}`,
+    `shipping:customer_tier:${orderId}`,
+    `shipping:sla:${orderId}`,
+    `shipping:expedite_quote:${orderId}:overnight`,
+    `shipping:expedite_quote:${orderId}:same_day`
+  ];
+
+  try {
+    await Promise.all(keys.map(key => momentoClient.delete(getCacheName(), key)));
+  } catch (error) {
+    console.warn('Cache invalidation failed:', error.message);
+  }
+}
+
 /**
  * Flush all cache data
  * @returns {Promise<Object>} Result of flush operation
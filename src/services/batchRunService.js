@@ -0,0 +1,464 @@
+import { bedrockService } from './bedrockService.js';
+import { toolExecutionService } from './toolExecutionService.js';
+import { throughputManager } from './throughputManager.js';
+import { scenarioService } from './scenarioService.js';
+import { fileService } from './fileService.js';
+import { costTrackingService } from './costTrackingService.js';
+import { worldStateService } from './worldStateService.js';
+import { qualityGraderService } from './qualityGraderService.js';
+import { handleError } from '../utils/errorHandling.js';
+import { sumCosts } from '../utils/costEstimation.js';
+import {
+  extractTemplateVariables,
+  getEffectiveBindings,
+  resolvePromptTemplate,
+  createPromptTemplateRecord
+} from '../utils/promptTemplates.js';
+
+/**
+ * Maximum number of cells allowed in a single batch.
+ * History keeps the most recent 100 entries, so larger batches would evict their own results.
+ */
+export const MAX_BATCH_CELLS = 60;
+
+/**
+ * Service for running the cartesian product of models × prompt pairs × datasets.
+ * Requests are grouped per model and dispatched through ThroughputManager so that
+ * each model's rate limits are respected independently.
+ */
+export class BatchRunService {
+  constructor() {
+    this.activeBatches = new Map();
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Generate a unique batch identifier
+   * @returns {string} Batch ID
+   */
+  generateBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Build the matrix cells for a batch configuration
+   * @param {Object} config - { models, systemPrompts, userPrompts, datasets }
+   * @returns {Array} Cells with a row key (prompt pair + dataset) and a model column
+   */
+  buildMatrix({ models = [], systemPrompts = [], userPrompts = [], datasets = [] }) {
+    // An empty dimension still contributes a single "none" entry so the product is not empty
+    const systemOptions = systemPrompts.length > 0 ? systemPrompts : [null];
+    const datasetOptions = datasets.length > 0 ? datasets : [null];
+    const cells = [];
+
+    systemOptions.forEach(systemPrompt => {
+      userPrompts.forEach(userPrompt => {
+        datasetOptions.forEach(dataset => {
+          const rowKey = [systemPrompt?.id || 'none', userPrompt.id, dataset?.id || 'none'].join('|');
+          models.forEach(modelId => {
+            cells.push({
+              index: cells.length,
+              cellId: `${rowKey}|${modelId}`,
+              rowKey,
+              modelId,
+              systemPrompt,
+              userPrompt,
+              dataset
+            });
+          });
+        });
+      });
+    });
+
+    return cells;
+  }
+
+  /**
+   * Validate a batch configuration before running it
+   * @param {Object} config - Batch configuration
+   * @returns {string[]} Validation error messages
+   */
+  validateBatchConfig(config) {
+    const errors = [];
+
+    if (!config.models || config.models.length === 0) {
+      errors.push('Select at least one model');
+    }
+
+    if (!config.userPrompts || config.userPrompts.length === 0) {
+      errors.push('Select at least one user prompt');
+    }
+
+    const cellCount = this.buildMatrix(config).length;
+    if (cellCount > MAX_BATCH_CELLS) {
+      errors.push(`Batch has ${cellCount} cells; the maximum is ${MAX_BATCH_CELLS}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run every cell of the batch matrix
+   * @param {Object} config - Batch configuration
+   * @param {string} config.scenarioId - Scenario the prompts and datasets belong to
+   * @param {string[]} config.models - Model IDs
+   * @param {Array} config.systemPrompts - [{ id, name, content }]
+   * @param {Array} config.userPrompts - [{ id, name, content }]
+   * @param {Array} config.datasets - [{ id, name }]
+   * @param {Object} [config.templateBindings] - Bindings for {{variables}} in the prompts
+   * @param {Object} [config.templateDefaults] - Scenario default bindings
+   * @param {Object} [config.inferenceParams] - Inference parameters applied to every cell
+   * @param {Object} [config.toolConfig] - Tool configuration for the scenario
+   * @param {boolean} [config.useTools] - Execute tools instead of a single model call
+   * @param {number} [config.maxIterations] - Tool execution iteration limit
+   * @param {Object} [config.guardrailConfig] - Guardrail configuration
+   * @param {Object} callbacks - { onCellUpdate(cell), onProgress(completed, total, failed) }
+   * @returns {Promise<Object>} { batchId, cells, completed, failed, total, cost, budgetStopMessage }
+   */
+  async runBatch(config, callbacks = {}) {
+    const { onCellUpdate = () => {}, onProgress = () => {} } = callbacks;
+
+    const errors = this.validateBatchConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    costTrackingService.assertWithinBudget();
+
+    const batchId = this.generateBatchId();
+    const cells = this.buildMatrix(config);
+    const batchState = {
+      batchId,
+      cells,
+      completed: 0,
+      failed: 0,
+      total: cells.length,
+      cancelled: false,
+      budgetStopMessage: null,
+      startTime: Date.now()
+    };
+    this.activeBatches.set(batchId, batchState);
+
+    cells.forEach(cell => {
+      cell.status = 'pending';
+      onCellUpdate({ ...cell, batchId });
+    });
+
+    if (!bedrockService.isReady()) {
+      const initResult = await bedrockService.initialize();
+      if (!initResult.success) {
+        throw new Error(`AWS Bedrock initialization failed: ${initResult.message}`);
+      }
+    }
+
+    if (config.useTools && !toolExecutionService.isInitialized) {
+      await toolExecutionService.initialize({
+        region: import.meta.env.VITE_AWS_REGION || 'us-east-1',
+        accessKeyId: import.meta.env.VITE_AWS_ACCESS_KEY_ID,
+        secretAccessKey: import.meta.env.VITE_AWS_SECRET_ACCESS_KEY,
+        sessionToken: import.meta.env.VITE_AWS_SESSION_TOKEN
+      });
+    }
+
+    const datasetContents = await this.loadDatasetContents(config.scenarioId, config.datasets || []);
+
+    // Group cells by model so each model is throttled against its own limits
+    const cellsByModel = new Map();
+    cells.forEach(cell => {
+      if (!cellsByModel.has(cell.modelId)) {
+        cellsByModel.set(cell.modelId, []);
+      }
+      cellsByModel.get(cell.modelId).push(cell);
+    });
+
+    await Promise.all([...cellsByModel.entries()].map(async ([modelId, modelCells]) => {
+      const requests = modelCells.map(cell => async () => {
+        if (batchState.cancelled) {
+          cell.status = 'cancelled';
+          onCellUpdate({ ...cell, batchId });
+          return null;
+        }
+
+        // Stop starting new cells once spend passes a blocking budget
+        const budgetStatus = costTrackingService.checkBudget();
+        if (budgetStatus.isBlocked) {
+          batchState.budgetStopMessage = budgetStatus.message;
+          cell.status = 'cancelled';
+          onCellUpdate({ ...cell, batchId });
+          return null;
+        }
+
+        cell.status = 'running';
+        onCellUpdate({ ...cell, batchId });
+
+        const result = await this.executeCell(cell, config, batchId, datasetContents);
+        cell.status = 'completed';
+        cell.result = result;
+        this.queueHistorySave(result);
+        batchState.completed++;
+        onCellUpdate({ ...cell, batchId });
+        onProgress(batchState.completed + batchState.failed, batchState.total, batchState.failed);
+
+        return result;
+      });
+
+      try {
+        const { errors: requestErrors } = await throughputManager.executeConcurrentRequests(requests, modelId);
+        requestErrors.forEach(({ index, error }) => {
+          const cell = modelCells[index];
+          cell.status = 'error';
+          cell.error = error.originalMessage || error.userMessage || 'Request failed';
+          batchState.failed++;
+          onCellUpdate({ ...cell, batchId });
+        });
+      } catch (error) {
+        handleError(error, {
+          component: 'BatchRunService',
+          operation: 'runBatch',
+          modelId
+        });
+        modelCells.filter(cell => cell.status === 'pending' || cell.status === 'running').forEach(cell => {
+          cell.status = 'error';
+          cell.error = error.message;
+          batchState.failed++;
+          onCellUpdate({ ...cell, batchId });
+        });
+      }
+
+      onProgress(batchState.completed + batchState.failed, batchState.total, batchState.failed);
+    }));
+
+    // Wait for every history write to land before reporting completion
+    await this.saveQueue;
+
+    batchState.endTime = Date.now();
+    this.activeBatches.delete(batchId);
+
+    return {
+      batchId,
+      cells,
+      completed: batchState.completed,
+      failed: batchState.failed,
+      total: batchState.total,
+      duration: batchState.endTime - batchState.startTime,
+      cost: sumCosts(cells.map(cell => cell.result?.cost)),
+      budgetStopMessage: batchState.budgetStopMessage
+    };
+  }
+
+  /**
+   * Cancel a running batch; cells that have not started yet are skipped
+   * @param {string} batchId - Batch ID
+   * @returns {boolean} True if the batch was found
+   */
+  cancelBatch(batchId) {
+    const batchState = this.activeBatches.get(batchId);
+    if (!batchState) {
+      return false;
+    }
+    batchState.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Load dataset content once per dataset
+   * @private
+   */
+  async loadDatasetContents(scenarioId, datasets) {
+    const contents = new Map();
+    for (const dataset of datasets) {
+      try {
+        contents.set(dataset.id, await scenarioService.getDatasetContent(scenarioId, dataset.id));
+      } catch (error) {
+        throw new Error(`Failed to load dataset ${dataset.name || dataset.id}: ${error.message}`);
+      }
+    }
+    return contents;
+  }
+
+  /**
+   * Execute a single matrix cell and tag the result with its batch coordinates
+   * ThroughputManager already retries throttled requests, so errors are thrown as-is
+   * @private
+   */
+  async executeCell(cell, config, batchId, datasetContents) {
+    const result = await this.executeRun({
+      modelId: cell.modelId,
+      systemTemplate: cell.systemPrompt?.content || '',
+      userTemplate: cell.userPrompt.content || '',
+      dataset: cell.dataset,
+      content: cell.dataset ? datasetContents.get(cell.dataset.id) || '' : ''
+    }, config);
+    const qualityGrade = await qualityGraderService.autoGradeRun(result);
+
+    return {
+      ...result,
+      ...(qualityGrade && { qualityGrade }),
+      id: `${batchId}_${cell.index}`,
+      batchId,
+      batchCell: {
+        cellId: cell.cellId,
+        rowKey: cell.rowKey,
+        systemPromptId: cell.systemPrompt?.id || null,
+        systemPromptName: cell.systemPrompt?.name || null,
+        userPromptId: cell.userPrompt.id,
+        userPromptName: cell.userPrompt.name,
+        datasetId: cell.dataset?.id || null
+      }
+    };
+  }
+
+  /**
+   * Resolve prompt templates, run one model call (or tool workflow) and build a
+   * history-compatible test result. Shared by batch cells and the example suite runner.
+   * @param {Object} run - { modelId, systemTemplate, userTemplate, dataset, content }
+   * @param {Object} config - Same run options as runBatch (scenarioId, templateBindings,
+   *   templateDefaults, inferenceParams, toolConfig, useTools, maxIterations, guardrailConfig), plus
+   *   onRunStart, called when a tool workflow gets its turn in the scenario's run queue
+   * @returns {Promise<Object>} Test result
+   */
+  async executeRun(run, config) {
+    const systemTemplate = run.systemTemplate || '';
+    const userTemplate = run.userTemplate || '';
+    const bindings = getEffectiveBindings(
+      extractTemplateVariables(systemTemplate, userTemplate),
+      config.templateBindings,
+      config.templateDefaults
+    );
+    const systemPrompt = resolvePromptTemplate(systemTemplate, bindings);
+    const userPrompt = resolvePromptTemplate(userTemplate, bindings);
+    const content = run.content || '';
+    const useTools = !!(config.useTools && config.toolConfig?.tools?.length > 0);
+
+    const startTime = performance.now();
+    let response;
+    let toolUsage = null;
+    let workflowData = null;
+    let finalState = null;
+
+    if (useTools) {
+      // Every run starts from the scenario's seed state so earlier runs' side effects don't leak in
+      const isolatedRun = await worldStateService.runIsolated(config.scenarioId, () => toolExecutionService.executeWorkflow(
+        run.modelId,
+        systemPrompt,
+        userPrompt,
+        content,
+        config.toolConfig,
+        {
+          maxIterations: config.maxIterations || 10,
+          datasetType: run.dataset?.id,
+          scenarioId: config.scenarioId,
+          guardrailConfig: config.guardrailConfig || null,
+          inferenceParams: config.inferenceParams || null
+        }
+      ), { onStart: config.onRunStart });
+      const workflowResult = isolatedRun.result;
+      finalState = isolatedRun.finalState;
+
+      const toolExecutions = workflowResult.results.toolExecutions || [];
+      const modelSteps = (workflowResult.workflow || []).filter(step => step.type === 'llm_response');
+      response = {
+        text: workflowResult.results.finalResponse ||
+          workflowResult.results.text ||
+          workflowResult.results.guardrailResults?.outputText ||
+          'Tool execution completed without final response',
+        usage: this.sumWorkflowUsage(modelSteps),
+        stopReason: workflowResult.results.stopReason || modelSteps[modelSteps.length - 1]?.content?.stopReason,
+        guardrailResults: workflowResult.results.guardrailResults || null
+      };
+      toolUsage = {
+        hasToolUsage: toolExecutions.length > 0,
+        toolCalls: toolExecutions.map(execution => ({
+          toolName: execution.toolName,
+          toolUseId: execution.toolUseId,
+          input: execution.parameters,
+          result: execution.result,
+          success: execution.success,
+          stateChanges: execution.stateChanges || [],
+          timestamp: execution.timestamp
+        })),
+        toolCallCount: workflowResult.results.totalToolCalls || 0,
+        iterationCount: workflowResult.metadata?.iterationCount || 0,
+        executionMode: 'execution'
+      };
+      workflowData = {
+        executionId: workflowResult.executionId,
+        workflow: workflowResult.workflow || [],
+        metadata: workflowResult.metadata || {}
+      };
+    } else {
+      response = await bedrockService.invokeModel(
+        run.modelId,
+        systemPrompt,
+        userPrompt,
+        content,
+        null,
+        config.guardrailConfig || null,
+        config.inferenceParams || null
+      );
+    }
+
+    const responseTime = performance.now() - startTime;
+
+    return {
+      id: Date.now().toString(),
+      modelId: run.modelId,
+      systemPrompt,
+      userPrompt,
+      prompt: userPrompt, // Legacy field for backward compatibility
+      scenarioId: config.scenarioId || null,
+      datasetType: run.dataset?.id || '',
+      datasetName: run.dataset?.name || '',
+      datasetContent: content,
+      response: response.text,
+      usage: response.usage,
+      cost: response.cost || costTrackingService.estimateCost(response.usage, run.modelId),
+      responseTime,
+      stopReason: response.stopReason,
+      isStreamed: false,
+      toolUsage,
+      toolConfig: useTools ? config.toolConfig : null,
+      toolExecutionEnabled: useTools,
+      workflowData,
+      finalState,
+      guardrailResults: response.guardrailResults || null,
+      guardrailConfig: config.guardrailConfig || null,
+      guardrailsEnabled: !!config.guardrailConfig,
+      inferenceParams: config.inferenceParams || null,
+      promptTemplate: createPromptTemplateRecord(systemTemplate, userTemplate, bindings),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Sum Converse usage across every model call of a tool workflow
+   * @param {Array} modelSteps - Workflow steps of type llm_response
+   * @returns {Object|null} Usage in the same shape bedrockService returns
+   */
+  sumWorkflowUsage(modelSteps) {
+    const usages = modelSteps.map(step => step.content?.usage).filter(Boolean);
+    if (usages.length === 0) {
+      return null;
+    }
+    return usages.reduce((total, usage) => ({
+      input_tokens: total.input_tokens + (usage.inputTokens || 0),
+      output_tokens: total.output_tokens + (usage.outputTokens || 0),
+      total_tokens: total.total_tokens + (usage.totalTokens || 0)
+    }), { input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+  }
+
+  /**
+   * Serialize history writes; fileService.saveTestResult reads and rewrites the whole history
+   * @private
+   */
+  queueHistorySave(result) {
+    this.saveQueue = this.saveQueue
+      .then(() => fileService.saveTestResult(result))
+      .catch(error => {
+        console.error('[BatchRunService] Failed to save batch result to history:', error);
+      });
+  }
+}
+
+// Export singleton instance
+export const batchRunService = new BatchRunService();
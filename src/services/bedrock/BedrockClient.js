@@ -1,5 +1,5 @@
-import { BedrockRuntimeClient, ConverseCommand, ConverseStreamCommand } from "@aws-sdk/client-bedrock-runtime";
-import { BedrockClient, ListFoundationModelsCommand } from "@aws-sdk/client-bedrock";
+import { ListFoundationModelsCommand } from "@aws-sdk/client-bedrock";
+import { BEDROCK_PROVIDERS, getActiveProvider, createRuntimeClient, createManagementClient } from './ClientFactory.js';
 
 /**
  * AWS Bedrock client initialization and credential management
@@ -10,6 +10,7 @@ export class BedrockClientManager {
     this.managementClient = null;
     this.isInitialized = false;
     this.credentialsValid = false;
+    this.provider = null;
   }
 
   /**
@@ -18,6 +19,17 @@ export class BedrockClientManager {
   detectCredentialSources() {
     const sources = [];
 
+    if (getActiveProvider() === BEDROCK_PROVIDERS.MOCK) {
+      sources.push({
+        type: 'mock',
+        description: 'Offline mock provider (scripted responses, no AWS calls)',
+        hasSessionToken: false,
+        region: 'mock',
+        source: 'Settings → AWS → Provider'
+      });
+      return sources;
+    }
+
     if (import.meta.env.VITE_AWS_ACCESS_KEY_ID) {
       sources.push({
         type: 'vite-env',
@@ -57,15 +69,21 @@ export class BedrockClientManager {
         })
       };
 
-      this.runtimeClient = new BedrockRuntimeClient(clientConfig);
-      this.managementClient = new BedrockClient(clientConfig);
+      this.provider = getActiveProvider();
+      this.runtimeClient = createRuntimeClient(clientConfig);
+      this.managementClient = createManagementClient(clientConfig);
 
       await this.validateCredentials();
 
       this.isInitialized = true;
       this.credentialsValid = true;
 
-      return { success: true, message: 'AWS Bedrock client initialized successfully' };
+      return {
+        success: true,
+        message: this.provider === BEDROCK_PROVIDERS.MOCK
+          ? 'Mock Bedrock provider initialized (offline, scripted responses)'
+          : 'AWS Bedrock client initialized successfully'
+      };
     } catch (error) {
       this.isInitialized = false;
       this.credentialsValid = false;
@@ -123,6 +141,7 @@ export class BedrockClientManager {
   }
 
   isReady() {
-    return this.isInitialized && this.credentialsValid;
+    // Switching provider in settings forces the clients to be recreated on the next call
+    return this.isInitialized && this.credentialsValid && this.provider === getActiveProvider();
   }
 }
@@ -0,0 +1,59 @@
+import { BedrockRuntimeClient } from "@aws-sdk/client-bedrock-runtime";
+import { BedrockClient } from "@aws-sdk/client-bedrock";
+import { settingsService } from '../settingsService.js';
+import { MockBedrockRuntimeClient, MockBedrockManagementClient } from './MockBedrockClient.js';
+
+/**
+ * Providers that can serve Bedrock requests
+ */
+export const BEDROCK_PROVIDERS = {
+  AWS: 'aws',
+  MOCK: 'mock'
+};
+
+// Mock clients are shared so guardrails created through one service are visible to the others
+let mockRuntimeClient = null;
+let mockManagementClient = null;
+
+/**
+ * Get the provider selected in settings
+ * @returns {string} One of BEDROCK_PROVIDERS
+ */
+export function getActiveProvider() {
+  // Before settings load, fall back to the build-time default instead of warning on every check
+  const provider = settingsService.isInitialized
+    ? settingsService.getSection('aws').provider
+    : import.meta.env.VITE_BEDROCK_PROVIDER;
+  return provider === BEDROCK_PROVIDERS.MOCK ? BEDROCK_PROVIDERS.MOCK : BEDROCK_PROVIDERS.AWS;
+}
+
+/**
+ * Check whether requests are served by the offline mock provider
+ */
+export function isMockProvider() {
+  return getActiveProvider() === BEDROCK_PROVIDERS.MOCK;
+}
+
+/**
+ * Create a runtime client (Converse, ConverseStream, ApplyGuardrail) for the active provider
+ * @param {Object} clientConfig - AWS client configuration, ignored by the mock provider
+ */
+export function createRuntimeClient(clientConfig) {
+  if (isMockProvider()) {
+    mockRuntimeClient = mockRuntimeClient || new MockBedrockRuntimeClient();
+    return mockRuntimeClient;
+  }
+  return new BedrockRuntimeClient(clientConfig);
+}
+
+/**
+ * Create a management client (models, guardrails) for the active provider
+ * @param {Object} clientConfig - AWS client configuration, ignored by the mock provider
+ */
+export function createManagementClient(clientConfig) {
+  if (isMockProvider()) {
+    mockManagementClient = mockManagementClient || new MockBedrockManagementClient();
+    return mockManagementClient;
+  }
+  return new BedrockClient(clientConfig);
+}
@@ -0,0 +1,232 @@
+import { ConverseCommand, ConverseStreamCommand, ApplyGuardrailCommand } from "@aws-sdk/client-bedrock-runtime";
+import {
+  ListFoundationModelsCommand,
+  ListGuardrailsCommand,
+  GetGuardrailCommand,
+  CreateGuardrailCommand,
+  UpdateGuardrailCommand,
+  DeleteGuardrailCommand
+} from "@aws-sdk/client-bedrock";
+import { MockResponseLibrary } from './MockResponseLibrary.js';
+
+/**
+ * Simulated latency so loading states and progress indicators behave like the real service
+ */
+const RESPONSE_DELAY_MS = 400;
+const STREAM_CHUNK_DELAY_MS = 30;
+
+/**
+ * Models reported by the mock ListFoundationModels call
+ */
+const MOCK_MODELS = [
+  { modelId: 'amazon.nova-pro-v1:0', providerName: 'Amazon' },
+  { modelId: 'amazon.nova-lite-v1:0', providerName: 'Amazon' },
+  { modelId: 'amazon.nova-micro-v1:0', providerName: 'Amazon' },
+  { modelId: 'anthropic.claude-3-5-sonnet-20241022-v2:0', providerName: 'Anthropic' },
+  { modelId: 'anthropic.claude-3-5-haiku-20241022-v1:0', providerName: 'Anthropic' },
+  { modelId: 'meta.llama3-1-70b-instruct-v1:0', providerName: 'Meta' },
+  { modelId: 'mistral.mistral-large-2407-v1:0', providerName: 'Mistral AI' }
+];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error in the shape the AWS SDK throws
+ */
+const createServiceError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  error.$metadata = { httpStatusCode: name === 'ResourceNotFoundException' ? 404 : 400 };
+  return error;
+};
+
+// The library is shared so tool use IDs stay unique across clients
+const responseLibrary = new MockResponseLibrary();
+
+/**
+ * Drop-in replacement for BedrockRuntimeClient that replays scripted responses
+ */
+export class MockBedrockRuntimeClient {
+  constructor(library = responseLibrary) {
+    this.library = library;
+  }
+
+  async send(command) {
+    if (command instanceof ConverseCommand) {
+      await delay(RESPONSE_DELAY_MS);
+      return {
+        $metadata: { httpStatusCode: 200 },
+        ...this.library.buildConverseResponse(command.input)
+      };
+    }
+
+    if (command instanceof ConverseStreamCommand) {
+      const response = this.library.buildConverseResponse(command.input);
+      return {
+        $metadata: { httpStatusCode: 200 },
+        stream: this.streamResponse(response)
+      };
+    }
+
+    if (command instanceof ApplyGuardrailCommand) {
+      await delay(RESPONSE_DELAY_MS / 2);
+      const text = (command.input.content || []).map(block => block.text?.text || '').join('\n');
+      return {
+        $metadata: { httpStatusCode: 200 },
+        ...this.library.applyGuardrail(text, command.input.source)
+      };
+    }
+
+    throw createServiceError('UnsupportedOperation', `The mock provider does not support ${command.constructor.name}`);
+  }
+
+  /**
+   * Emit a Converse response as ConverseStream events
+   * @private
+   */
+  async *streamResponse(response) {
+    yield { messageStart: { role: 'assistant' } };
+
+    const content = response.output.message.content;
+    for (let contentBlockIndex = 0; contentBlockIndex < content.length; contentBlockIndex++) {
+      const block = content[contentBlockIndex];
+
+      if (block.toolUse) {
+        yield {
+          contentBlockStart: {
+            contentBlockIndex,
+            start: { toolUse: { toolUseId: block.toolUse.toolUseId, name: block.toolUse.name } }
+          }
+        };
+        await delay(STREAM_CHUNK_DELAY_MS);
+        yield {
+          contentBlockDelta: {
+            contentBlockIndex,
+            delta: { toolUse: { input: JSON.stringify(block.toolUse.input) } }
+          }
+        };
+      } else {
+        // Stream word by word, keeping the whitespace with each chunk
+        const chunks = (block.text || '').match(/\S+\s*|\s+/g) || [];
+        for (const chunk of chunks) {
+          await delay(STREAM_CHUNK_DELAY_MS);
+          yield { contentBlockDelta: { contentBlockIndex, delta: { text: chunk } } };
+        }
+      }
+
+      yield { contentBlockStop: { contentBlockIndex } };
+    }
+
+    yield { messageStop: { stopReason: response.stopReason } };
+    yield {
+      metadata: {
+        usage: response.usage,
+        metrics: response.metrics,
+        ...(response.trace && { trace: response.trace })
+      }
+    };
+  }
+}
+
+/**
+ * Drop-in replacement for the Bedrock management client.
+ * Guardrails are kept in memory for the lifetime of the page.
+ */
+export class MockBedrockManagementClient {
+  constructor() {
+    this.guardrails = new Map();
+    this.guardrailCounter = 0;
+  }
+
+  async send(command) {
+    await delay(RESPONSE_DELAY_MS / 4);
+
+    if (command instanceof ListFoundationModelsCommand) {
+      return {
+        modelSummaries: MOCK_MODELS.map(model => ({
+          ...model,
+          modelArn: `arn:aws:bedrock:mock::foundation-model/${model.modelId}`,
+          inputModalities: ['TEXT'],
+          outputModalities: ['TEXT'],
+          responseStreamingSupported: true,
+          inferenceTypesSupported: ['ON_DEMAND']
+        }))
+      };
+    }
+
+    if (command instanceof ListGuardrailsCommand) {
+      return {
+        guardrails: [...this.guardrails.values()].map(guardrail => ({
+          id: guardrail.guardrailId,
+          arn: guardrail.guardrailArn,
+          name: guardrail.name,
+          description: guardrail.description,
+          status: guardrail.status,
+          version: guardrail.version,
+          createdAt: guardrail.createdAt,
+          updatedAt: guardrail.updatedAt
+        }))
+      };
+    }
+
+    if (command instanceof CreateGuardrailCommand) {
+      this.guardrailCounter++;
+      const guardrailId = `mockgr${String(this.guardrailCounter).padStart(6, '0')}`;
+      const now = new Date();
+      const guardrail = {
+        ...command.input,
+        guardrailId,
+        guardrailArn: `arn:aws:bedrock:mock:000000000000:guardrail/${guardrailId}`,
+        version: 'DRAFT',
+        status: 'READY',
+        createdAt: now,
+        updatedAt: now
+      };
+      this.guardrails.set(guardrailId, guardrail);
+      return {
+        guardrailId,
+        guardrailArn: guardrail.guardrailArn,
+        version: guardrail.version,
+        createdAt: now
+      };
+    }
+
+    if (command instanceof GetGuardrailCommand) {
+      return { ...this.getStoredGuardrail(command.input.guardrailIdentifier) };
+    }
+
+    if (command instanceof UpdateGuardrailCommand) {
+      const existing = this.getStoredGuardrail(command.input.guardrailIdentifier);
+      const { guardrailIdentifier, ...updates } = command.input;
+      const updated = { ...existing, ...updates, updatedAt: new Date() };
+      this.guardrails.set(existing.guardrailId, updated);
+      return {
+        guardrailId: updated.guardrailId,
+        guardrailArn: updated.guardrailArn,
+        version: updated.version,
+        updatedAt: updated.updatedAt
+      };
+    }
+
+    if (command instanceof DeleteGuardrailCommand) {
+      const existing = this.getStoredGuardrail(command.input.guardrailIdentifier);
+      this.guardrails.delete(existing.guardrailId);
+      return {};
+    }
+
+    throw createServiceError('UnsupportedOperation', `The mock provider does not support ${command.constructor.name}`);
+  }
+
+  /**
+   * Look up a guardrail by ID or ARN
+   * @private
+   */
+  getStoredGuardrail(identifier) {
+    const guardrailId = (identifier || '').split('/').pop();
+    const guardrail = this.guardrails.get(guardrailId);
+    if (!guardrail) {
+      throw createServiceError('ResourceNotFoundException', `Guardrail ${identifier} was not found`);
+    }
+    return guardrail;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Scripted responses for the offline mock provider.
+ * Fixtures live next to each scenario in mock-responses.json and are matched against
+ * the request's prompts, so any scenario can ship its own demo conversation.
+ */
+
+const fixtureModules = import.meta.glob('../../scenarios/*/mock-responses.json', { eager: true, import: 'default' });
+
+/**
+ * Returned when no fixture matches the request
+ */
+const DEFAULT_RESPONSE_TEXT = 'This is a scripted response from the offline mock provider. ' +
+  'No mock conversation matches this prompt; add one to the scenario\'s mock-responses.json to script the reply.';
+
+/**
+ * Message shown when a guardrail rule blocks content and the rule has no message of its own
+ */
+const DEFAULT_BLOCKED_MESSAGE = 'Sorry, the model cannot answer this question.';
+
+/**
+ * Rough token estimate used when a fixture turn does not script its usage
+ */
+const estimateTokens = (text) => Math.max(1, Math.ceil((text || '').length / 4));
+
+/**
+ * Collect the text blocks of a message content array
+ */
+const getContentText = (content) => (content || [])
+  .map(block => block.text || '')
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Check that every phrase appears in the text, ignoring case
+ */
+const includesAll = (text, phrases) => {
+  if (!phrases || phrases.length === 0) {
+    return true;
+  }
+  const haystack = (text || '').toLowerCase();
+  return phrases.every(phrase => haystack.includes(phrase.toLowerCase()));
+};
+
+/**
+ * Library of scripted Converse responses and guardrail rules loaded from scenario fixtures
+ */
+export class MockResponseLibrary {
+  constructor(modules = fixtureModules) {
+    this.fixtures = Object.entries(modules).map(([path, fixture]) => ({
+      path,
+      folder: path.split('/').slice(-2, -1)[0],
+      ...fixture
+    }));
+    this.toolUseCounter = 0;
+  }
+
+  /**
+   * Get the fixture files whose scope matches the request
+   * @param {Object} request - Converse request parameters
+   * @returns {Array} Matching fixtures in load order
+   */
+  getFixturesForRequest(request) {
+    const systemText = getContentText(request.system);
+    const promptText = this.getPromptText(request);
+
+    return this.fixtures.filter(fixture =>
+      includesAll(systemText, fixture.match?.systemIncludes) &&
+      includesAll(promptText, fixture.match?.promptIncludes)
+    );
+  }
+
+  /**
+   * Get the text of the first user message, which holds the prompt and dataset
+   */
+  getPromptText(request) {
+    const firstUserMessage = (request.messages || []).find(message => message.role === 'user');
+    return getContentText(firstUserMessage?.content);
+  }
+
+  /**
+   * Build a Converse response for a request
+   * @param {Object} request - Converse request parameters (modelId, system, messages, toolConfig, guardrailConfig)
+   * @returns {Object} Response in the Converse API shape: { output, stopReason, usage, metrics, trace? }
+   */
+  buildConverseResponse(request) {
+    const promptText = this.getPromptText(request);
+    const fixtures = this.getFixturesForRequest(request);
+
+    // Input guardrail rules run before the model sees the prompt
+    if (request.guardrailConfig) {
+      const inputRule = this.findGuardrailRule(fixtures, promptText, 'INPUT');
+      if (inputRule) {
+        return this.buildGuardrailResponse(request, inputRule, 'INPUT');
+      }
+    }
+
+    const turn = this.selectTurn(request, fixtures, promptText);
+    const content = this.buildContent(turn, request);
+    const text = getContentText(content);
+
+    if (request.guardrailConfig) {
+      const outputRule = this.findGuardrailRule(fixtures, text, 'OUTPUT');
+      if (outputRule) {
+        return this.buildGuardrailResponse(request, outputRule, 'OUTPUT');
+      }
+    }
+
+    const hasToolUse = content.some(block => block.toolUse);
+
+    return {
+      output: {
+        message: {
+          role: 'assistant',
+          content
+        }
+      },
+      stopReason: hasToolUse ? 'tool_use' : 'end_turn',
+      usage: this.buildUsage(request, text, turn?.usage),
+      metrics: { latencyMs: turn?.latencyMs || 0 }
+    };
+  }
+
+  /**
+   * Pick the scripted turn for the request.
+   * The turn index is the number of assistant messages already in the conversation,
+   * so a tool workflow walks through the script one model call at a time.
+   * @private
+   */
+  selectTurn(request, fixtures, promptText) {
+    const hasTools = !!request.toolConfig?.tools?.length;
+
+    for (const fixture of fixtures) {
+      const conversation = (fixture.conversations || []).find(candidate =>
+        includesAll(promptText, candidate.match?.promptIncludes) &&
+        includesAll(getContentText(request.system), candidate.match?.systemIncludes)
+      );
+
+      if (conversation?.turns?.length) {
+        // Without tools the model cannot call any, so it answers with the final turn directly
+        if (!hasTools) {
+          return conversation.turns[conversation.turns.length - 1];
+        }
+        const assistantTurns = (request.messages || []).filter(message => message.role === 'assistant').length;
+        return conversation.turns[Math.min(assistantTurns, conversation.turns.length - 1)];
+      }
+    }
+
+    const fallback = fixtures.find(fixture => fixture.fallback)?.fallback;
+    return fallback || { content: [{ text: DEFAULT_RESPONSE_TEXT }] };
+  }
+
+  /**
+   * Turn a scripted turn into Converse content blocks, dropping tool calls the request cannot make
+   * @private
+   */
+  buildContent(turn, request) {
+    const availableTools = new Set((request.toolConfig?.tools || []).map(tool => tool.toolSpec?.name));
+
+    const content = (turn.content || [])
+      .filter(block => block.text || (block.toolUse && availableTools.has(block.toolUse.name)))
+      .map(block => {
+        if (!block.toolUse) {
+          return { text: block.text };
+        }
+        this.toolUseCounter++;
+        return {
+          toolUse: {
+            toolUseId: block.toolUse.toolUseId || `tooluse_mock_${Date.now()}_${this.toolUseCounter}`,
+            name: block.toolUse.name,
+            input: block.toolUse.input || {}
+          }
+        };
+      });
+
+    return content.length > 0 ? content : [{ text: DEFAULT_RESPONSE_TEXT }];
+  }
+
+  /**
+   * Usage in Converse shape; scripted values win over the character-based estimate
+   * @private
+   */
+  buildUsage(request, outputText, scriptedUsage) {
+    const requestText = [
+      getContentText(request.system),
+      ...(request.messages || []).map(message => getContentText(message.content))
+    ].join('\n');
+
+    const inputTokens = scriptedUsage?.inputTokens ?? estimateTokens(requestText);
+    const outputTokens = scriptedUsage?.outputTokens ?? estimateTokens(outputText);
+
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * Find the first guardrail rule for the source whose pattern matches the text
+   * @private
+   */
+  findGuardrailRule(fixtures, text, source) {
+    for (const fixture of fixtures) {
+      for (const rule of fixture.guardrailRules || []) {
+        if ((rule.source || 'INPUT') !== source) {
+          continue;
+        }
+        try {
+          if (new RegExp(rule.pattern, 'i').test(text || '')) {
+            return rule;
+          }
+        } catch (error) {
+          console.warn(`[MockResponseLibrary] Invalid guardrail pattern in ${fixture.path}:`, rule.pattern);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a Converse response where the guardrail intervened
+   * @private
+   */
+  buildGuardrailResponse(request, rule, source) {
+    const blockedMessage = rule.blockedMessage || DEFAULT_BLOCKED_MESSAGE;
+    const assessmentKey = source === 'INPUT' ? 'inputAssessments' : 'outputAssessments';
+
+    return {
+      output: {
+        message: {
+          role: 'assistant',
+          content: [{ text: blockedMessage }]
+        }
+      },
+      stopReason: 'guardrail_intervened',
+      usage: this.buildUsage(request, source === 'INPUT' ? '' : blockedMessage),
+      metrics: { latencyMs: 0 },
+      trace: {
+        guardrail: {
+          action: 'INTERVENED',
+          outputs: [{ text: blockedMessage }],
+          [assessmentKey]: [rule.assessment || {}]
+        }
+      }
+    };
+  }
+
+  /**
+   * Evaluate content the way ApplyGuardrail does
+   * @param {string} text - Content to evaluate
+   * @param {string} source - 'INPUT' or 'OUTPUT'
+   * @returns {Object} ApplyGuardrail response shape
+   */
+  applyGuardrail(text, source = 'INPUT') {
+    const rule = this.findGuardrailRule(this.fixtures, text, source);
+
+    if (!rule) {
+      return {
+        action: 'NONE',
+        outputs: [],
+        assessments: [],
+        usage: { contentPolicyUnits: 1, topicPolicyUnits: 1, wordPolicyUnits: 1, sensitiveInformationPolicyUnits: 1 }
+      };
+    }
+
+    return {
+      action: 'GUARDRAIL_INTERVENED',
+      outputs: [{ text: rule.blockedMessage || DEFAULT_BLOCKED_MESSAGE }],
+      assessments: [rule.assessment || {}],
+      usage: { contentPolicyUnits: 1, topicPolicyUnits: 1, wordPolicyUnits: 1, sensitiveInformationPolicyUnits: 1 }
+    };
+  }
+}
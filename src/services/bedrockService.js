@@ -2,6 +2,8 @@ import { ConverseCommand, ConverseStreamCommand } from "@aws-sdk/client-bedrock-
 import { BedrockClientManager } from './bedrock/BedrockClient.js';
 import { ModelManager } from './bedrock/ModelManager.js';
 import { GuardrailManager } from './bedrock/GuardrailManager.js';
+import { buildInferenceConfig } from '../utils/inferenceParams.js';
+import { costTrackingService } from './costTrackingService.js';
 
 /**
  * Main Bedrock service that orchestrates all Bedrock operations
@@ -72,6 +74,7 @@ export class BedrockService {
    * @param {Function|null} onError - called with (error)
    * @param {Object|null} toolConfig - optional Bedrock toolConfig { tools: [...] }
    * @param {Object|null} guardrailConfig - optional guardrail configuration
+   * @param {Object|null} inferenceParams - optional { temperature, topP, maxTokens, stopSequences }
    */
   async invokeModelStream(
     modelId,
@@ -82,7 +85,8 @@ export class BedrockService {
     onComplete = null,
     onError = null,
     toolConfig = null,
-    guardrailConfig = null
+    guardrailConfig = null,
+    inferenceParams = null
   ) {
     if (!this.clientManager.isReady()) {
       const initResult = await this.clientManager.initialize();
@@ -107,10 +111,7 @@ export class BedrockService {
       const converseParams = {
         modelId: modelId,
         messages: messages,
-        inferenceConfig: {
-          maxTokens: 4000,
-          temperature: 0.7
-        }
+        inferenceConfig: buildInferenceConfig(inferenceParams)
       };
 
       // Add system prompt if provided
@@ -228,6 +229,7 @@ export class BedrockService {
       const result = {
         text: fullText || 'No response generated',
         usage,
+        cost: costTrackingService.recordUsage(modelId, usage),
         stopReason: stopReason || 'end_turn',
         guardrailResults,
         responseTime: performance.now() - startTime,
@@ -251,8 +253,10 @@ export class BedrockService {
 
   /**
    * Invoke a foundation model with the given prompts and content
+   *
+   * @param {Object|null} inferenceParams - optional { temperature, topP, maxTokens, stopSequences }
    */
-  async invokeModel(modelId, systemPrompt, userPrompt, content = '', toolConfig = null, guardrailConfig = null) {
+  async invokeModel(modelId, systemPrompt, userPrompt, content = '', toolConfig = null, guardrailConfig = null, inferenceParams = null) {
     if (!this.clientManager.isReady()) {
       const initResult = await this.clientManager.initialize();
       if (!initResult.success) {
@@ -286,10 +290,7 @@ export class BedrockService {
       const converseParams = {
         modelId: modelId,
         messages: messages,
-        inferenceConfig: {
-          maxTokens: 4000,
-          temperature: 0.7
-        }
+        inferenceConfig: buildInferenceConfig(inferenceParams)
       };
 
       // Add system prompt if provided
@@ -309,6 +310,7 @@ export class BedrockService {
       // Parse response
       const result = this.parseConverseResponse(response);
       result.responseTime = performance.now() - startTime;
+      result.cost = costTrackingService.recordUsage(modelId, result.usage);
 
       return result;
 
@@ -0,0 +1,164 @@
+import { toolExecutionService } from './toolExecutionService.js';
+import { workflowCassetteService } from './workflowCassetteService.js';
+import { batchRunService } from './batchRunService.js';
+import { costTrackingService } from './costTrackingService.js';
+import { worldStateService } from './worldStateService.js';
+
+/**
+ * Service for continuing a tool workflow run as a multi-turn chat.
+ * Follow-up messages are appended to the Converse messages the workflow already
+ * built, so tools keep executing between turns and the model sees every earlier
+ * turn and tool result. The transcript lives on the test result as `chat`.
+ */
+export class ChatSessionService {
+  /**
+   * Create chat state for a finished tool workflow run
+   * @param {Object} workflowResult - Result of ToolExecutionService.executeWorkflow
+   * @returns {Object|null} Chat state: { messages, turns }
+   */
+  createChat(workflowResult) {
+    if (!workflowResult?.messages?.length) {
+      return null;
+    }
+    return { messages: workflowResult.messages, turns: [] };
+  }
+
+  /**
+   * Check whether a test result has a conversation that can be continued
+   * @param {Object} testResult - Test result
+   * @returns {boolean} True when follow-up messages can be sent
+   */
+  canContinue(testResult) {
+    return !!testResult?.chat?.messages?.length;
+  }
+
+  /**
+   * Send a follow-up message and append the turn to the transcript
+   * @param {Object} testResult - Test result holding the chat
+   * @param {string} message - Follow-up user message
+   * @param {Object} options - Execution options
+   * @param {Object} [options.guardrailConfig] - Guardrail configuration
+   * @param {number} [options.maxIterations=10] - Tool execution iteration limit for this turn
+   * @param {Function} [options.onStreamUpdate] - Workflow progress callback
+   * @returns {Promise<Object>} Updated test result
+   */
+  async sendMessage(testResult, message, options = {}) {
+    const {
+      guardrailConfig = null,
+      maxIterations = 10,
+      onStreamUpdate = () => {}
+    } = options;
+
+    if (!this.canContinue(testResult)) {
+      throw new Error('This result has no conversation to continue');
+    }
+    if (!message || !message.trim()) {
+      throw new Error('Enter a message to send');
+    }
+
+    costTrackingService.assertWithinBudget();
+
+    if (!toolExecutionService.isInitialized) {
+      await toolExecutionService.initialize({
+        region: import.meta.env.VITE_AWS_REGION || 'us-east-1',
+        accessKeyId: import.meta.env.VITE_AWS_ACCESS_KEY_ID,
+        secretAccessKey: import.meta.env.VITE_AWS_SECRET_ACCESS_KEY,
+        sessionToken: import.meta.env.VITE_AWS_SESSION_TOKEN
+      });
+    }
+
+    // Pick up from the state this conversation left behind, not whatever later runs wrote
+    const { result: workflowResult, finalState } = await worldStateService.runIsolated(
+      testResult.scenarioId,
+      () => toolExecutionService.executeWorkflow(
+        testResult.modelId,
+        testResult.systemPrompt,
+        message.trim(),
+        '',
+        testResult.toolConfig,
+        {
+          messages: testResult.chat.messages,
+          maxIterations,
+          scenarioId: testResult.scenarioId,
+          guardrailConfig,
+          inferenceParams: testResult.inferenceParams || null,
+          onStreamUpdate
+        }
+      ),
+      { startFrom: testResult.finalState }
+    );
+
+    const turn = this.buildTurn(
+      testResult.chat.turns.length + 2,
+      message.trim(),
+      workflowResult,
+      testResult.modelId
+    );
+
+    return {
+      ...testResult,
+      finalState: finalState || testResult.finalState || null,
+      chat: {
+        messages: workflowResult.messages,
+        turns: [...testResult.chat.turns, turn]
+      }
+    };
+  }
+
+  /**
+   * Build a transcript turn from one workflow run
+   * @private
+   */
+  buildTurn(turnNumber, userMessage, workflowResult, modelId) {
+    const workflow = workflowResult.workflow || [];
+    const usage = batchRunService.sumWorkflowUsage(workflow.filter(step => step.type === 'llm_response'));
+    const guardrailResults = workflowResult.results.guardrailResults || null;
+
+    return {
+      turn: turnNumber,
+      userMessage,
+      response: workflowResult.results.finalResponse ||
+        (guardrailResults?.hasViolations ? guardrailResults.outputText || 'Content was filtered by guardrails' : ''),
+      toolUsage: workflowCassetteService.buildToolUsage(workflow),
+      usage,
+      cost: usage ? costTrackingService.estimateCost(usage, modelId) : null,
+      workflowData: {
+        executionId: workflowResult.executionId,
+        workflow,
+        metadata: workflowResult.metadata || {}
+      },
+      guardrailResults,
+      stopReason: workflowResult.results.stopReason || null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get every turn of a test result, with the original run as turn 1
+   * @param {Object} testResult - Test result
+   * @returns {Array} Turns: { turn, userMessage, response, toolUsage, usage, cost, workflowData, timestamp }
+   */
+  getTranscript(testResult) {
+    if (!testResult) {
+      return [];
+    }
+
+    const firstTurn = {
+      turn: 1,
+      userMessage: testResult.userPrompt,
+      response: testResult.response,
+      toolUsage: testResult.toolUsage || null,
+      usage: testResult.usage || null,
+      cost: testResult.cost || null,
+      workflowData: testResult.workflowData || null,
+      guardrailResults: testResult.guardrailResults || null,
+      stopReason: testResult.stopReason || null,
+      timestamp: testResult.timestamp
+    };
+
+    return [firstTurn, ...(testResult.chat?.turns || [])];
+  }
+}
+
+// Create and export singleton instance
+export const chatSessionService = new ChatSessionService();
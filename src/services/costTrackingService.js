@@ -0,0 +1,235 @@
+/**
+ * Cost Tracking Service
+ * Records the estimated cost of every Bedrock call and enforces the session/daily budget
+ */
+
+import { settingsService } from './settingsService.js';
+import { generateStorageKey } from '../utils/momentoConfig.js';
+import { calculateCost, formatCost } from '../utils/costEstimation.js';
+import { isMockProvider } from './bedrock/ClientFactory.js';
+
+/**
+ * Storage key for today's spend; the session spend lives in memory only
+ */
+const DAILY_SPEND_STORAGE_KEY = generateStorageKey('daily_spend');
+
+/**
+ * Fraction of a budget at which the status changes to "approaching"
+ */
+const APPROACHING_THRESHOLD = 0.8;
+
+/**
+ * Error code attached to errors thrown when a run is blocked by the budget
+ */
+export const BUDGET_EXCEEDED_CODE = 'BUDGET_EXCEEDED';
+
+/**
+ * CostTrackingService class for spend accounting and budget checks
+ */
+export class CostTrackingService {
+  constructor() {
+    this.sessionSpend = 0;
+    this.sessionCallCount = 0;
+    this.changeListeners = new Set();
+  }
+
+  /**
+   * Get the cost settings section (pricing table and budget)
+   */
+  getCostSettings() {
+    return settingsService.getSection('cost');
+  }
+
+  /**
+   * Get the current pricing table
+   */
+  getPricingTable() {
+    return this.getCostSettings().modelPricing;
+  }
+
+  /**
+   * Estimate the cost of a call using the current pricing table
+   * @param {Object} usage - Token usage in either bedrockService or Converse shape
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} Cost object or null when the model has no price
+   */
+  estimateCost(usage, modelId) {
+    return calculateCost(usage, modelId, this.getPricingTable());
+  }
+
+  /**
+   * Record the spend of a completed model call.
+   * Calls served by the mock provider are priced for display but cost nothing.
+   * @param {string} modelId - Model ID
+   * @param {Object} usage - Token usage
+   * @returns {Object|null} Cost of the call
+   */
+  recordUsage(modelId, usage) {
+    const cost = this.estimateCost(usage, modelId);
+    if (!cost || isMockProvider()) {
+      return cost;
+    }
+
+    this.sessionSpend += cost.totalCost;
+    this.sessionCallCount++;
+
+    const daily = this.loadDailySpend();
+    this.saveDailySpend({
+      date: daily.date,
+      amount: daily.amount + cost.totalCost,
+      callCount: daily.callCount + 1
+    });
+
+    this.notifyListeners();
+    return cost;
+  }
+
+  /**
+   * Get spend for this browser session
+   */
+  getSessionSpend() {
+    return this.sessionSpend;
+  }
+
+  /**
+   * Get spend for the current calendar day
+   */
+  getDailySpend() {
+    return this.loadDailySpend().amount;
+  }
+
+  /**
+   * Reset the session spend counter
+   */
+  resetSessionSpend() {
+    this.sessionSpend = 0;
+    this.sessionCallCount = 0;
+    this.notifyListeners();
+  }
+
+  /**
+   * Check spend against the configured budgets
+   * @param {number} [additionalCost=0] - Estimated cost of the run about to start
+   * @returns {Object} Budget status with spend, limits and a message when not "ok"
+   */
+  checkBudget(additionalCost = 0) {
+    const settings = this.getCostSettings();
+    const sessionSpend = this.sessionSpend;
+    const dailySpend = this.getDailySpend();
+
+    const status = {
+      enabled: !!settings.budgetEnabled,
+      action: settings.budgetAction || 'warn',
+      sessionSpend,
+      dailySpend,
+      sessionBudget: settings.sessionBudget,
+      dailyBudget: settings.dailyBudget,
+      status: 'ok',
+      isBlocked: false,
+      message: null
+    };
+
+    if (!status.enabled) {
+      return status;
+    }
+
+    const limits = [
+      { label: 'Session', spend: sessionSpend, budget: settings.sessionBudget },
+      { label: 'Daily', spend: dailySpend, budget: settings.dailyBudget }
+    ].filter(limit => typeof limit.budget === 'number' && limit.budget > 0);
+
+    const exceeded = limits.find(limit => limit.spend + additionalCost > limit.budget);
+    if (exceeded) {
+      status.status = 'exceeded';
+      status.isBlocked = status.action === 'block';
+      status.message = additionalCost > 0 && exceeded.spend <= exceeded.budget
+        ? `${exceeded.label} budget would be exceeded: ${formatCost(exceeded.spend)} spent plus an estimated ${formatCost(additionalCost)} for this run, budget ${formatCost(exceeded.budget)}.`
+        : `${exceeded.label} budget exceeded: ${formatCost(exceeded.spend)} spent of ${formatCost(exceeded.budget)}.`;
+      return status;
+    }
+
+    const approaching = limits.find(limit => limit.spend >= limit.budget * APPROACHING_THRESHOLD);
+    if (approaching) {
+      status.status = 'approaching';
+      status.message = `${approaching.label} spend is ${formatCost(approaching.spend)} of the ${formatCost(approaching.budget)} budget.`;
+    }
+
+    return status;
+  }
+
+  /**
+   * Throw when the budget is set to block and the run would exceed it
+   * @param {number} [additionalCost=0] - Estimated cost of the run about to start
+   * @returns {Object} Budget status when the run may proceed
+   */
+  assertWithinBudget(additionalCost = 0) {
+    const status = this.checkBudget(additionalCost);
+    if (status.isBlocked) {
+      const error = new Error(`${status.message} Raise the budget or switch it to warn-only in Settings → Cost & Budget.`);
+      error.code = BUDGET_EXCEEDED_CODE;
+      throw error;
+    }
+    return status;
+  }
+
+  /**
+   * Load today's spend, starting over when the stored date is not today
+   * @private
+   */
+  loadDailySpend() {
+    const today = new Date().toISOString().slice(0, 10);
+    try {
+      const stored = JSON.parse(localStorage.getItem(DAILY_SPEND_STORAGE_KEY) || 'null');
+      if (stored && stored.date === today && typeof stored.amount === 'number') {
+        return { date: today, amount: stored.amount, callCount: stored.callCount || 0 };
+      }
+    } catch (error) {
+      console.warn('Failed to load daily spend from localStorage:', error);
+    }
+    return { date: today, amount: 0, callCount: 0 };
+  }
+
+  /**
+   * Persist today's spend
+   * @private
+   */
+  saveDailySpend(daily) {
+    try {
+      localStorage.setItem(DAILY_SPEND_STORAGE_KEY, JSON.stringify(daily));
+    } catch (error) {
+      console.warn('Failed to save daily spend to localStorage:', error);
+    }
+  }
+
+  /**
+   * Add a change listener, called whenever spend changes
+   * @returns {Function} Unsubscribe function
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => {
+      this.changeListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Notify all change listeners
+   * @private
+   */
+  notifyListeners() {
+    const snapshot = {
+      sessionSpend: this.sessionSpend,
+      dailySpend: this.getDailySpend()
+    };
+    for (const listener of this.changeListeners) {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error('Error in cost tracking listener:', error);
+      }
+    }
+  }
+}
+
+// Create and export singleton instance
+export const costTrackingService = new CostTrackingService();
@@ -0,0 +1,381 @@
+import { bedrockService } from './bedrockService.js';
+import { scenarioService } from './scenarioService.js';
+import { userDatasetService } from './userDatasetService.js';
+import { costTrackingService } from './costTrackingService.js';
+import { analyzeError } from '../utils/errorHandling.js';
+import { sumCosts } from '../utils/costEstimation.js';
+import { DEFAULT_INFERENCE_PARAMS } from '../utils/inferenceParams.js';
+import { parseDatasetRows } from '../utils/datasetRows.js';
+import {
+  GENERATOR_SYSTEM_PROMPT,
+  MAX_GENERATED_ROWS,
+  getSeedRecords,
+  inferGenerationSchema,
+  getBatchSize,
+  buildGenerationPrompt,
+  parseGeneratedRows,
+  validateGeneratedRows,
+  formatGeneratedDataset,
+  countLabels
+} from '../utils/syntheticDatasets.js';
+
+/**
+ * Requests made beyond the planned batches to make up for rejected rows
+ */
+export const MAX_EXTRA_BATCHES = 2;
+
+// Sampling is fixed so a stored spec replays the same requests
+const GENERATION_INFERENCE_PARAMS = { ...DEFAULT_INFERENCE_PARAMS, temperature: 0 };
+
+const MAX_BRIEF_IN_DESCRIPTION = 80;
+
+/**
+ * Service for generating synthetic datasets for a scenario: a model writes rows in the schema of
+ * one of the scenario's datasets or its seed data, following a natural-language brief. Rows are
+ * requested in sequential batches, validated against the schema, and saved as a dataset of the
+ * scenario together with the spec that produced them, so the dataset can be regenerated.
+ */
+export class DatasetGeneratorService {
+  constructor() {
+    this.activeGenerations = new Map();
+  }
+
+  /**
+   * Generate a unique generation identifier
+   * @returns {string} Generation ID
+   */
+  generateGenerationId() {
+    return `gen_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * List what a scenario's datasets can be modelled on
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<Array<Object>>} Sources [{ key, name, source: { type, datasetId }, labelColumn }]
+   */
+  async getSchemaSources(scenarioId) {
+    const datasets = await scenarioService.getDatasets(scenarioId);
+    const sources = datasets.map(dataset => ({
+      key: `dataset:${dataset.id}`,
+      name: dataset.name,
+      source: { type: 'dataset', datasetId: dataset.id },
+      labelColumn: scenarioService.getGroundTruth(scenarioId, dataset.id)?.labelColumn || null
+    }));
+
+    if (scenarioService.getScenario(scenarioId)?.seedData?.dataFile) {
+      sources.push({
+        key: 'seed',
+        name: 'Seed data',
+        source: { type: 'seed', datasetId: null },
+        labelColumn: null
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Infer the schema generated rows must follow
+   * @param {string} scenarioId - Scenario ID
+   * @param {Object} source - { type: 'dataset', datasetId } or { type: 'seed' }
+   * @param {string|null} labelColumn - Label column; defaults to the dataset's ground-truth label
+   * @returns {Promise<Object>} Schema from inferGenerationSchema, plus { sourceName }
+   * @throws {Error} When the source can't be loaded or has no rows
+   */
+  async loadSchema(scenarioId, source, labelColumn = null) {
+    if (source?.type === 'seed') {
+      const seedData = await scenarioService.getSeedData(scenarioId);
+      if (!seedData) {
+        throw new Error(`Scenario ${scenarioId} has no seed data`);
+      }
+      const { collection, records } = getSeedRecords(seedData);
+      return {
+        ...inferGenerationSchema({ records }, { labelColumn }),
+        sourceName: `seed data (${collection})`
+      };
+    }
+
+    const datasetId = source?.datasetId;
+    const content = await scenarioService.getDatasetContent(scenarioId, datasetId);
+    if (!content) {
+      throw new Error(`Dataset ${datasetId} could not be loaded`);
+    }
+
+    const groundTruth = scenarioService.getGroundTruth(scenarioId, datasetId);
+    const dataset = (await scenarioService.getDatasets(scenarioId)).find(candidate => candidate.id === datasetId);
+    return {
+      ...inferGenerationSchema({ content }, {
+        idColumn: groundTruth?.idColumn,
+        labelColumn: labelColumn || groundTruth?.labelColumn
+      }),
+      sourceName: dataset?.name || datasetId
+    };
+  }
+
+  /**
+   * Ground-truth definition to keep with a generated dataset, so it can be evaluated as labelled
+   * @param {string} scenarioId - Scenario ID
+   * @param {Object} source - Source the schema was taken from
+   * @param {Object} schema - Schema from loadSchema
+   * @returns {Object|null} The source dataset's definition without its dataset list, or null when
+   *   the source is unlabelled or the generated rows use different ID or label columns
+   */
+  getGeneratedGroundTruth(scenarioId, source, schema) {
+    const groundTruth = source?.type === 'dataset' ? scenarioService.getGroundTruth(scenarioId, source.datasetId) : null;
+    if (!groundTruth || schema.idColumn !== groundTruth.idColumn || schema.labelColumn !== groundTruth.labelColumn) {
+      return null;
+    }
+
+    // The dataset's own ID is added when the definition is read back
+    const { datasets, ...definition } = groundTruth;
+    return definition;
+  }
+
+  /**
+   * Validate a generation spec before starting it
+   * @param {Object} spec - Generation spec
+   * @returns {string[]} Validation error messages
+   */
+  validateSpec(spec) {
+    const errors = [];
+
+    if (!spec.scenarioId) {
+      errors.push('Select a scenario');
+    }
+    if (!spec.modelId?.trim()) {
+      errors.push('Enter a model ID');
+    }
+    if (!spec.source?.type || (spec.source.type === 'dataset' && !spec.source.datasetId)) {
+      errors.push('Choose a dataset or the seed data to take the schema from');
+    }
+    if (!spec.brief?.trim()) {
+      errors.push('Describe the dataset to generate');
+    }
+    if (!Number.isInteger(spec.rowCount) || spec.rowCount < 1 || spec.rowCount > MAX_GENERATED_ROWS) {
+      errors.push(`Rows must be a whole number from 1 to ${MAX_GENERATED_ROWS}`);
+    }
+    if (!String(spec.seed ?? '').trim()) {
+      errors.push('Enter a seed');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generate a dataset and save it to the scenario
+   * @param {Object} spec - Generation spec
+   * @param {string} spec.scenarioId - Scenario the dataset is for
+   * @param {string} spec.modelId - Model that writes the rows
+   * @param {Object} spec.source - { type: 'dataset', datasetId } or { type: 'seed' }
+   * @param {string} spec.brief - What the dataset should contain, e.g. "200 transactions, 5% card-testing fraud"
+   * @param {number} spec.rowCount - Rows to generate
+   * @param {string} spec.seed - Seed written into every prompt; the same spec regenerates the same dataset
+   * @param {string|null} [spec.labelColumn] - Label column; defaults to the source's label or "label"
+   * @param {string} [spec.name] - Dataset name
+   * @param {Object} callbacks - { onStart({ generationId }), onProgress({ generated, total, rejected, batch }) }
+   * @returns {Promise<Object>} { dataset, issues, droppedFields, labelCounts, cost, stopMessage, duration }
+   * @throws {Error} When the spec is invalid or no valid rows were generated
+   */
+  async generate(spec, callbacks = {}) {
+    const { onStart = () => {}, onProgress = () => {} } = callbacks;
+
+    const errors = this.validateSpec(spec);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    costTrackingService.assertWithinBudget();
+
+    const schema = await this.loadSchema(spec.scenarioId, spec.source, spec.labelColumn || null);
+    const storedSpec = {
+      modelId: spec.modelId.trim(),
+      source: { type: spec.source.type, datasetId: spec.source.datasetId || null },
+      brief: spec.brief.trim(),
+      rowCount: spec.rowCount,
+      seed: String(spec.seed).trim(),
+      labelColumn: schema.labelColumn
+    };
+
+    const generationId = this.generateGenerationId();
+    const state = { cancelled: false, startTime: Date.now() };
+    this.activeGenerations.set(generationId, state);
+    onStart({ generationId });
+
+    const records = [];
+    const issues = [];
+    const droppedFields = new Set();
+    const seenIds = new Set();
+    const costs = [];
+    let batchSize = getBatchSize(schema);
+    let attemptsLeft = Math.ceil(spec.rowCount / batchSize) + MAX_EXTRA_BATCHES;
+    let stopMessage = null;
+    let batch = 0;
+
+    try {
+      while (records.length < spec.rowCount && attemptsLeft > 0) {
+        if (state.cancelled) {
+          stopMessage = 'Generation cancelled';
+          break;
+        }
+
+        const budgetStatus = costTrackingService.checkBudget();
+        if (budgetStatus.isBlocked) {
+          stopMessage = budgetStatus.message;
+          break;
+        }
+
+        attemptsLeft--;
+        batch++;
+        const range = { start: records.length, count: Math.min(batchSize, spec.rowCount - records.length) };
+
+        let response;
+        try {
+          response = await bedrockService.invokeModel(
+            storedSpec.modelId,
+            GENERATOR_SYSTEM_PROMPT,
+            buildGenerationPrompt(storedSpec, schema, range),
+            '',
+            null,
+            null,
+            GENERATION_INFERENCE_PARAMS
+          );
+        } catch (error) {
+          stopMessage = analyzeError(error, { component: 'DatasetGeneratorService', operation: 'generate' }).userMessage;
+          break;
+        }
+        costs.push(response.cost);
+
+        let rows;
+        try {
+          rows = parseGeneratedRows(response.text);
+        } catch (error) {
+          issues.push({ row: null, message: `Rows ${range.start + 1}–${range.start + range.count}: ${error.message}` });
+          // A smaller request changes the prompt and is less likely to hit the token limit
+          batchSize = Math.max(1, Math.floor(batchSize / 2));
+          onProgress({ generated: records.length, total: spec.rowCount, rejected: issues.length, batch });
+          continue;
+        }
+
+        const result = validateGeneratedRows(rows.slice(0, range.count), schema, { offset: range.start, seenIds });
+        records.push(...result.valid);
+        issues.push(...result.issues);
+        result.droppedFields.forEach(field => droppedFields.add(field));
+        onProgress({ generated: records.length, total: spec.rowCount, rejected: issues.length, batch });
+      }
+    } finally {
+      this.activeGenerations.delete(generationId);
+    }
+
+    if (records.length === 0) {
+      throw new Error(stopMessage || `The model returned no valid rows${issues.length > 0 ? `: ${issues[0].message}` : ''}`);
+    }
+
+    const labelCounts = countLabels(records, schema.labelColumn);
+    const groundTruth = this.getGeneratedGroundTruth(spec.scenarioId, spec.source, schema);
+    const cost = sumCosts(costs);
+    const brief = storedSpec.brief.length > MAX_BRIEF_IN_DESCRIPTION
+      ? `${storedSpec.brief.slice(0, MAX_BRIEF_IN_DESCRIPTION - 1)}…`
+      : storedSpec.brief;
+
+    const dataset = await userDatasetService.saveDataset(spec.scenarioId, {
+      name: spec.name?.trim() || `${schema.sourceName} (synthetic)`,
+      description: `Generated by ${storedSpec.modelId} · ${records.length} rows · "${brief}"`,
+      fileName: null,
+      format: schema.format === 'json' ? 'json' : 'csv',
+      schema: {
+        delimiter: schema.format === 'json' ? null : ',',
+        hasHeader: schema.format !== 'json',
+        sheet: null,
+        columns: schema.columns.map(column => ({ name: column.name, type: column.type }))
+      },
+      rowCount: records.length,
+      content: formatGeneratedDataset(schema, records),
+      groundTruth,
+      generation: {
+        spec: storedSpec,
+        sourceName: schema.sourceName,
+        generatedAt: new Date().toISOString(),
+        requestedRows: spec.rowCount,
+        issueCount: issues.length,
+        labelCounts,
+        cost
+      }
+    });
+
+    return {
+      dataset,
+      issues,
+      droppedFields: [...droppedFields],
+      labelCounts,
+      cost,
+      stopMessage: records.length < spec.rowCount
+        ? stopMessage || `Generated ${records.length} of ${spec.rowCount} rows; the rest were rejected`
+        : null,
+      duration: Date.now() - state.startTime
+    };
+  }
+
+  /**
+   * Generate a dataset again from the spec stored with it, saving the result as a new dataset
+   * @param {string} datasetId - ID of a generated dataset
+   * @param {Object} callbacks - Same as generate
+   * @returns {Promise<Object>} Result of generate, plus comparison: { identical, changedRows, rowCount }
+   * @throws {Error} When the dataset was not generated or can't be generated again
+   */
+  async regenerate(datasetId, callbacks = {}) {
+    const original = await userDatasetService.getDataset(datasetId);
+    if (!original?.generation) {
+      throw new Error('Only generated datasets can be regenerated');
+    }
+
+    const result = await this.generate({
+      ...original.generation.spec,
+      rowCount: original.generation.requestedRows || original.generation.spec.rowCount,
+      scenarioId: original.scenarioId,
+      name: `${original.name} (regenerated)`
+    }, callbacks);
+
+    return { ...result, comparison: this.compareContent(original.content, result.dataset.content) };
+  }
+
+  /**
+   * Compare two generated datasets row by row
+   * @param {string} original - Content of the first dataset
+   * @param {string} regenerated - Content of the second dataset
+   * @returns {Object} { identical, changedRows, rowCount }
+   */
+  compareContent(original, regenerated) {
+    if (original === regenerated) {
+      return { identical: true, changedRows: 0, rowCount: parseDatasetRows(original).rows.length };
+    }
+
+    const before = parseDatasetRows(original).rows.map(row => JSON.stringify(row.values));
+    const after = parseDatasetRows(regenerated).rows.map(row => JSON.stringify(row.values));
+    const rowCount = Math.max(before.length, after.length);
+    let changedRows = 0;
+    for (let index = 0; index < rowCount; index++) {
+      if (before[index] !== after[index]) {
+        changedRows++;
+      }
+    }
+
+    return { identical: false, changedRows, rowCount };
+  }
+
+  /**
+   * Stop a running generation after its current batch; the rows generated so far are kept
+   * @param {string} generationId - Generation ID
+   * @returns {boolean} True if the generation was found
+   */
+  cancelGeneration(generationId) {
+    const state = this.activeGenerations.get(generationId);
+    if (!state) {
+      return false;
+    }
+    state.cancelled = true;
+    return true;
+  }
+}
+
+// Create and export singleton instance
+export const datasetGeneratorService = new DatasetGeneratorService();
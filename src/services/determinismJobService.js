@@ -0,0 +1,381 @@
+/**
+ * Service for determinism jobs: one test configuration evaluated against several models
+ * and/or temperatures, each variant graded and stored as its own determinism evaluation
+ */
+
+import { bedrockService } from './bedrockService.js';
+import { determinismService } from './determinismService.js';
+import { determinismStorageService } from './determinismStorageService.js';
+import { throughputManager } from './throughputManager.js';
+import { costTrackingService } from './costTrackingService.js';
+import { handleError } from '../utils/errorHandling.js';
+import { sumCosts } from '../utils/costEstimation.js';
+import { generateStorageKey } from '../utils/momentoConfig.js';
+import { normalizeInferenceParams, INFERENCE_PARAM_LIMITS } from '../utils/inferenceParams.js';
+
+/**
+ * Maximum number of model × temperature variants in one job.
+ * Every variant runs the full determinism test count.
+ */
+export const MAX_JOB_VARIANTS = 12;
+
+/**
+ * Storage key for job summaries; the evaluations themselves live in determinismStorageService
+ */
+const JOBS_STORAGE_KEY = generateStorageKey('determinism_jobs');
+
+// Oldest jobs are dropped past this many so localStorage stays small
+const MAX_STORED_JOBS = 20;
+
+/**
+ * Determinism job service class
+ */
+export class DeterminismJobService {
+  constructor() {
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Generate a unique job identifier
+   * @returns {string} Job ID
+   */
+  generateJobId() {
+    return `detjob_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Build the model × temperature variants of a job
+   * @param {Object} config - { models, temperatures }; no temperatures keeps the test's own
+   * @returns {Array} Variants { index, variantId, modelId, temperature }
+   */
+  buildVariants({ models = [], temperatures = [] }) {
+    const temperatureOptions = temperatures.length > 0 ? temperatures : [null];
+    const variants = [];
+
+    models.forEach(modelId => {
+      temperatureOptions.forEach(temperature => {
+        variants.push({
+          index: variants.length,
+          variantId: `${modelId}|${temperature ?? 'test'}`,
+          modelId,
+          temperature
+        });
+      });
+    });
+
+    return variants;
+  }
+
+  /**
+   * Validate a job configuration before running it
+   * @param {Object} config - { models, temperatures }
+   * @returns {string[]} Validation error messages
+   */
+  validateJobConfig(config) {
+    const errors = [];
+    const { min, max } = INFERENCE_PARAM_LIMITS.temperature;
+
+    if (!config.models || config.models.length === 0) {
+      errors.push('Enter at least one model ID');
+    }
+
+    (config.temperatures || []).forEach(temperature => {
+      if (!Number.isFinite(temperature) || temperature < min || temperature > max) {
+        errors.push(`Temperature ${temperature} is outside ${min}-${max}`);
+      }
+    });
+
+    const variantCount = this.buildVariants(config).length;
+    if (variantCount > MAX_JOB_VARIANTS) {
+      errors.push(`Job has ${variantCount} variants; the maximum is ${MAX_JOB_VARIANTS}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate the determinism of a test's prompts under every variant
+   * Variants of one model run one after another through ThroughputManager with that model's
+   * limits; different models run side by side, each with its own concurrency budget
+   * @param {Object} testResult - Test whose prompts, data and tools every variant reuses
+   * @param {Object} config - { models, temperatures }
+   * @param {Object} callbacks - { onVariantUpdate(variant), onProgress(completedRuns, totalRuns) }
+   * @returns {Promise<Object>} Job summary { jobId, variants, runsPerVariant, cost, budgetStopMessage, ... }
+   */
+  async runJob(testResult, config, callbacks = {}) {
+    const { onVariantUpdate = () => {}, onProgress = () => {} } = callbacks;
+
+    const errors = this.validateJobConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const settings = determinismService.getSettings();
+    const runsPerVariant = settings.testCount;
+    const variants = this.buildVariants(config);
+
+    // Estimate from the original run's cost, like a single determinism evaluation
+    costTrackingService.assertWithinBudget((testResult.cost?.totalCost || 0) * runsPerVariant * variants.length);
+
+    if (!bedrockService.isReady()) {
+      const initResult = await bedrockService.initialize();
+      if (!initResult.success) {
+        throw new Error(`AWS Bedrock initialization failed: ${initResult.message}`);
+      }
+    }
+
+    const jobId = this.generateJobId();
+    const jobState = {
+      jobId,
+      cancelled: false,
+      budgetStopMessage: null,
+      completedRuns: 0,
+      totalRuns: variants.length * runsPerVariant,
+      startTime: Date.now()
+    };
+    this.activeJobs.set(jobId, jobState);
+
+    variants.forEach(variant => {
+      variant.status = 'pending';
+      onVariantUpdate({ ...variant, jobId });
+    });
+
+    const variantsByModel = new Map();
+    variants.forEach(variant => {
+      if (!variantsByModel.has(variant.modelId)) {
+        variantsByModel.set(variant.modelId, []);
+      }
+      variantsByModel.get(variant.modelId).push(variant);
+    });
+
+    // Tool workflows of a scenario run one at a time in worldStateService.runIsolated, so parallel
+    // runs would only wait in that queue; tool tests run every variant in turn, one run at a time
+    const variantGroups = testResult.toolExecutionEnabled ? [variants] : [...variantsByModel.values()];
+
+    await Promise.all(variantGroups.map(async (groupVariants) => {
+      for (const variant of groupVariants) {
+        if (jobState.cancelled || jobState.budgetStopMessage) {
+          variant.status = 'cancelled';
+          onVariantUpdate({ ...variant, jobId });
+          continue;
+        }
+
+        try {
+          await this.runVariant(variant, testResult, jobState, runsPerVariant, onProgress);
+        } catch (error) {
+          handleError(error, {
+            component: 'DeterminismJobService',
+            operation: 'runVariant',
+            modelId: variant.modelId
+          });
+          variant.status = 'error';
+          variant.error = error.message;
+        }
+        onVariantUpdate({ ...variant, jobId });
+      }
+    }));
+
+    jobState.endTime = Date.now();
+    this.activeJobs.delete(jobId);
+
+    const job = {
+      jobId,
+      sourceTestId: testResult.id,
+      modelIds: [...variantsByModel.keys()],
+      temperatures: config.temperatures || [],
+      runsPerVariant,
+      variants: variants.map(variant => ({
+        index: variant.index,
+        variantId: variant.variantId,
+        modelId: variant.modelId,
+        temperature: variant.temperature,
+        status: variant.status,
+        error: variant.error || null,
+        evaluationId: variant.evaluationId || null,
+        grade: variant.grade || null,
+        score: variant.score ?? null,
+        responseCount: variant.responseCount || 0,
+        cost: variant.cost || null
+      })),
+      cost: sumCosts(variants.map(variant => variant.cost)),
+      budgetStopMessage: jobState.budgetStopMessage,
+      duration: jobState.endTime - jobState.startTime,
+      timestamp: new Date().toISOString()
+    };
+    this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Collect, grade and store one variant
+   * @private
+   */
+  async runVariant(variant, testResult, jobState, runsPerVariant, onProgress) {
+    const testConfig = this.buildTestConfig(testResult, variant);
+    variant.status = 'running';
+
+    const requests = Array.from({ length: runsPerVariant }, (_, runIndex) => async () => {
+      if (jobState.cancelled) {
+        return null;
+      }
+      const budgetStatus = costTrackingService.checkBudget();
+      if (budgetStatus.isBlocked) {
+        jobState.budgetStopMessage = budgetStatus.message;
+        return null;
+      }
+
+      const response = await determinismService.invokeRun(testConfig);
+      return {
+        ...response,
+        toolUsage: response.toolUsage || { hasToolUsage: false, toolCalls: [], toolCallCount: 0 },
+        requestIndex: runIndex + 1,
+        timestamp: new Date().toISOString(),
+        wasAbandoned: false
+      };
+    });
+
+    const { results } = await throughputManager.executeConcurrentRequests(requests, variant.modelId, {
+      maxConcurrency: testConfig.toolExecutionEnabled ? 1 : null,
+      onProgress: () => {
+        jobState.completedRuns++;
+        onProgress(jobState.completedRuns, jobState.totalRuns);
+      }
+    });
+
+    const responses = results.filter(Boolean);
+    if (responses.length < 2) {
+      throw new Error(jobState.cancelled
+        ? 'Job was cancelled'
+        : `Only ${responses.length} of ${runsPerVariant} runs succeeded; at least 2 are needed to grade`);
+    }
+
+    const gradeResult = await determinismService.gradeCollectedResponses(responses, testConfig);
+    const evaluationId = `eval_${jobState.jobId}_${variant.index}`;
+    const cost = sumCosts(responses.map(response => response.cost));
+    const grade = {
+      ...gradeResult,
+      allResponses: responses,
+      responsesUsedForGrading: responses,
+      costSummary: cost,
+      determinismJob: { jobId: jobState.jobId, modelId: variant.modelId, temperature: variant.temperature },
+      timestamp: Date.now()
+    };
+
+    // Each variant gets its own test ID so it never replaces the source test's evaluation in History
+    await determinismStorageService.saveEvaluationResult({
+      evaluationId,
+      testId: `${jobState.jobId}_${variant.index}`,
+      timestamp: grade.timestamp,
+      modelId: variant.modelId,
+      grade,
+      responses,
+      systemPrompt: testConfig.systemPrompt,
+      userPrompt: testConfig.userPrompt,
+      datasetType: testConfig.datasetType,
+      datasetOption: testConfig.datasetOption
+    });
+
+    Object.assign(variant, {
+      status: 'completed',
+      evaluationId,
+      grade: gradeResult.grade,
+      score: gradeResult.score,
+      responseCount: responses.length,
+      cost
+    });
+  }
+
+  /**
+   * Test configuration for one variant, in the shape DeterminismEvaluator builds
+   * @private
+   */
+  buildTestConfig(testResult, variant) {
+    const inferenceParams = variant.temperature === null
+      ? testResult.inferenceParams
+      : { ...normalizeInferenceParams(testResult.inferenceParams), temperature: variant.temperature };
+
+    return {
+      modelId: variant.modelId,
+      systemPrompt: testResult.systemPrompt,
+      userPrompt: testResult.userPrompt,
+      content: testResult.datasetContent,
+      datasetType: testResult.datasetType,
+      datasetOption: testResult.datasetOption,
+      toolConfig: testResult.toolConfig,
+      scenarioId: testResult.scenarioId,
+      toolExecutionEnabled: !!testResult.toolExecutionEnabled,
+      maxIterations: testResult.workflowData?.metadata?.maxIterations,
+      inferenceParams
+    };
+  }
+
+  /**
+   * Cancel a running job; runs that have not started yet are skipped
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was found
+   */
+  cancelJob(jobId) {
+    const jobState = this.activeJobs.get(jobId);
+    if (!jobState) {
+      return false;
+    }
+    jobState.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Get stored job summaries, newest first
+   * @param {string|null} sourceTestId - Only jobs launched from this test when set
+   * @returns {Array} Jobs
+   */
+  getJobs(sourceTestId = null) {
+    const jobs = this.loadJobs().slice().reverse();
+    return sourceTestId ? jobs.filter(job => job.sourceTestId === sourceTestId) : jobs;
+  }
+
+  /**
+   * Load a variant's stored evaluation
+   * @param {string} evaluationId - Evaluation ID recorded on the variant
+   * @returns {Promise<Object|null>} Stored evaluation
+   */
+  async getVariantEvaluation(evaluationId) {
+    return determinismStorageService.getEvaluationResult(evaluationId);
+  }
+
+  /**
+   * Append a job summary to storage
+   * @private
+   */
+  saveJob(job) {
+    this.storeJobs([...this.loadJobs(), job].slice(-MAX_STORED_JOBS));
+  }
+
+  /**
+   * Load job summaries from localStorage
+   * @private
+   */
+  loadJobs() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(JOBS_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Failed to load determinism jobs from localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist job summaries to localStorage
+   * @private
+   */
+  storeJobs(jobs) {
+    try {
+      localStorage.setItem(JOBS_STORAGE_KEY, JSON.stringify(jobs));
+    } catch (error) {
+      console.warn('Failed to save determinism jobs to localStorage:', error);
+    }
+  }
+}
+
+// Create and export singleton instance
+export const determinismJobService = new DeterminismJobService();
@@ -6,7 +6,19 @@
 import { bedrockService } from './bedrockService.js';
 import { graderService } from './graderService.js';
 import { settingsService } from './settingsService.js';
+import { costTrackingService } from './costTrackingService.js';
+import { batchRunService } from './batchRunService.js';
+import { worldStateService } from './worldStateService.js';
 import { handleError, retryWithBackoff } from '../utils/errorHandling.js';
+import { sumCosts } from '../utils/costEstimation.js';
+import { calculateDeterminismStatistics, jackknifeInterval, getGradeBandStatus } from '../utils/determinismStatistics.js';
+import { clusterDeterminismResponses } from '../utils/responseClustering.js';
+
+// Tool workflow iterations make several model calls and tool calls
+const TOOL_RUN_TIMEOUT_MS = 180000;
+
+// Adaptive sampling never stops on fewer responses than this, original included
+const ADAPTIVE_MIN_SAMPLES = 5;
 
 export class DeterminismService {
   constructor() {
@@ -32,12 +44,22 @@ export class DeterminismService {
         enableThrottlingAlerts: true,
         maxRetryAttempts: 3,
         showDetailedProgress: true,
-        enabled: true
+        enabled: true,
+        adaptiveSampling: false,
+        maxTestCount: 30
       };
     }
     return settingsService.getSection('determinism');
   }
 
+  /**
+   * Most responses an evaluation collects, original included
+   * Adaptive sampling may stop before its maximum; a fixed evaluation always runs testCount
+   */
+  getSampleLimit(settings) {
+    return settings.adaptiveSampling ? settings.maxTestCount : settings.testCount;
+  }
+
   /**
    * Check if an error is a throttling error
    */
@@ -131,6 +153,11 @@ export class DeterminismService {
         throw new Error('Determinism evaluation is disabled in settings');
       }
 
+      // Estimate the additional runs from the original run's cost and refuse to start if the budget blocks it
+      const sampleLimit = this.getSampleLimit(settings);
+      const estimatedCost = (testConfig.originalCost?.totalCost || 0) * Math.max(sampleLimit - 1, 0);
+      costTrackingService.assertWithinBudget(estimatedCost);
+
       // Generate evaluation ID
       const evaluationId = `eval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -144,7 +171,7 @@ export class DeterminismService {
         progress: 0,
         currentPhase: 'Starting evaluation...',
         completedRequests: 0,
-        totalRequests: settings.testCount,
+        totalRequests: sampleLimit,
         startTime: Date.now(),
         config: testConfig,
         responses: [],
@@ -217,7 +244,7 @@ export class DeterminismService {
       const originalResponse = typeof testConfig.originalResponse === 'string'
         ? {
             text: testConfig.originalResponse,
-            toolUsage: { hasToolUsage: false, toolCalls: [] },
+            toolUsage: testConfig.originalToolUsage || { hasToolUsage: false, toolCalls: [] },
             wasThrottled: false,
             retryCount: 0,
             timestamp: new Date().toISOString()
@@ -228,12 +255,14 @@ export class DeterminismService {
             retryCount: 0,
             timestamp: new Date().toISOString()
           };
+      originalResponse.cost = originalResponse.cost || testConfig.originalCost || null;
+      originalResponse.finalState = originalResponse.finalState || testConfig.originalFinalState || null;
 
       evaluation.responses.push(originalResponse);
       evaluation.completedRequests = 1;
 
       // Calculate additional requests needed (total - 1 for original)
-      const additionalRequests = settings.testCount - 1;
+      const additionalRequests = this.getSampleLimit(settings) - 1;
 
       // Execute requests with enhanced throttling management
       const batchResult = await this.executeBatchRequestsWithThrottling(
@@ -281,17 +310,7 @@ export class DeterminismService {
 
       console.log('Starting grading for evaluation:', evaluationId, 'with', responsesForGrading.length, 'responses (excluding', throttlingStats.abandonedCount, 'abandoned)');
 
-      // Pass filtered response objects to grader for tool usage evaluation with graceful degradation
-      const gradeResult = await graderService.gradeResponsesWithGracefulDegradation(
-        responsesForGrading,
-        testConfig,
-        testConfig.customGraderPrompt,
-        {
-          allowPartialAnalysis: true,
-          minResponsesForGrading: 2, // Allow analysis with as few as 2 responses
-          preferFallbackForSmallSets: responsesForGrading.length <= 3 // Use fallback for very small sets
-        }
-      );
+      const gradeResult = await this.gradeCollectedResponses(responsesForGrading, testConfig);
       console.log('Grading completed for evaluation:', evaluationId, gradeResult);
 
       // Phase 4: Complete with comprehensive results
@@ -315,6 +334,11 @@ export class DeterminismService {
             toolConfigurationProvided: !!testConfig.toolConfig,
             availableTools: testConfig.toolConfig ? testConfig.toolConfig.tools.map(tool => tool.toolSpec.name) : []
           } : null,
+          costSummary: sumCosts(evaluation.responses.map(response => response.cost)),
+          budgetStopMessage: batchResult.budgetStopMessage || null,
+          adaptiveSampling: settings.adaptiveSampling
+            ? this.summarizeAdaptiveSampling(evaluation.responses.length, settings, batchResult)
+            : null,
           evaluationSettings: settings
         },
         endTime: Date.now()
@@ -330,6 +354,45 @@ export class DeterminismService {
     }
   }
 
+  /**
+   * Grade a set of collected responses: grader analysis plus final-state comparison,
+   * confidence statistics and response clusters
+   * @param {Array<Object>} responses - Responses to grade, throttled and abandoned ones excluded
+   * @param {Object} testConfig - Configuration the responses were collected with
+   * @returns {Promise<Object>} Grade result
+   */
+  async gradeCollectedResponses(responses, testConfig) {
+    // Pass response objects to grader for tool usage evaluation with graceful degradation
+    const gradeResult = await graderService.gradeResponsesWithGracefulDegradation(
+      responses,
+      testConfig,
+      testConfig.customGraderPrompt,
+      {
+        allowPartialAnalysis: true,
+        minResponsesForGrading: 2, // Allow analysis with as few as 2 responses
+        preferFallbackForSmallSets: responses.length <= 3 // Use fallback for very small sets
+      }
+    );
+
+    // Each tool run started from the seed state, so differing final states mean the agent acted differently
+    const stateComparison = testConfig.toolExecutionEnabled
+      ? worldStateService.compareFinalStates(responses.map(response => response.finalState))
+      : null;
+    const metrics = stateComparison
+      ? { ...gradeResult.metrics, finalStateConsistency: stateComparison.consistency }
+      : gradeResult.metrics;
+
+    return {
+      ...gradeResult,
+      metrics,
+      stateComparison,
+      // Intervals and a sample size check, so small runs don't overstate the grade
+      statistics: calculateDeterminismStatistics({ ...gradeResult, metrics, stateComparison }),
+      // Indexes refer to the graded responses
+      responseClusters: clusterDeterminismResponses(responses)
+    };
+  }
+
   /**
    * Execute batch requests with enhanced throttling management
    */
@@ -346,7 +409,7 @@ export class DeterminismService {
         totalRequestsWithTools: 0,
         totalToolCalls: 0,
         uniqueToolsUsed: new Set(),
-eDetectionErrors: 0,
+        toolUsageDetectionErrors: 0,
         toolUsageDetectionSuccesses: 0
       }
     };
@@ -363,6 +426,14 @@ eDetectionErrors: 0,
           break;
         }
 
+        // Stop collecting once the budget blocks new requests; grading continues with what we have
+        const budgetStatus = costTrackingService.checkBudget();
+        if (budgetStatus.isBlocked) {
+          console.warn('Budget exceeded, stopping batch execution:', budgetStatus.message);
+          results.budgetStopMessage = budgetStatus.message;
+          break;
+        }
+
         // Execute single request with retry and throttling management
         const response = await this.executeRequestWithThrottling(
           evaluationId,
@@ -438,6 +509,17 @@ eDetectionErrors: 0,
           });
         }
 
+        // Stop as soon as more responses could no longer change the grade
+        if (settings.adaptiveSampling && !response.wasAbandoned) {
+          results.adaptiveCheck = this.checkAdaptiveStop(evaluationId, results) || results.adaptiveCheck;
+          if (results.adaptiveCheck?.settled) {
+            this.updateEvaluationStatus(evaluationId, {
+              currentPhase: `Grade is clear after ${results.adaptiveCheck.sampleCount} responses, stopping early...`
+            });
+            break;
+          }
+        }
+
         // Add delay between requests (conservative approach: 2 seconds)
         if (i < requestCount - 1) {
           await new Promise(resolve => setTimeout(resolve, 2000));
@@ -468,6 +550,75 @@ eDetectionErrors: 0,
     return results;
   }
 
+  /**
+   * Interim grade band for adaptive sampling
+   * The grader model only runs once collection ends, so this uses the grader's statistical
+   * score as a stand-in and a jackknife band to see whether another response could move it
+   * across a grade boundary
+   * @returns {Object|null} { sampleCount, score, lower, upper, lowerGrade, upperGrade, settled },
+   *   or null until there are enough responses
+   */
+  checkAdaptiveStop(evaluationId, results) {
+    const evaluation = this.activeEvaluations.get(evaluationId);
+    const collected = [
+      ...(evaluation?.responses || []),
+      ...results.responses.filter(response => !response.wasAbandoned)
+    ];
+    if (collected.length < ADAPTIVE_MIN_SAMPLES) {
+      return null;
+    }
+
+    const interval = jackknifeInterval(
+      collected,
+      samples => graderService.calculateStatisticalScore(samples) / 100
+    );
+    return {
+      sampleCount: collected.length,
+      score: interval.value,
+      lower: interval.lower,
+      upper: interval.upper,
+      ...getGradeBandStatus(interval)
+    };
+  }
+
+  /**
+   * Describe how many samples adaptive sampling saved and why it stopped
+   * @param {number} sampleCount - Responses collected, original included
+   * @param {Object} settings - Evaluation settings snapshot
+   * @param {Object} batchResult - Result of executeBatchRequestsWithThrottling
+   * @returns {Object} { stopReason, message, sampleCount, maxSamples, samplesSaved, interimBand }
+   */
+  summarizeAdaptiveSampling(sampleCount, settings, batchResult) {
+    const check = batchResult.adaptiveCheck || null;
+    const maxSamples = settings.maxTestCount;
+    const band = check ? `${Math.round(check.lower * 100)}-${Math.round(check.upper * 100)}%` : null;
+
+    let stopReason;
+    let message;
+    if (check?.settled) {
+      stopReason = 'grade_settled';
+      message = `Stopped after ${sampleCount} of up to ${maxSamples} responses: the interim score band (${band}) sits entirely within grade ${check.lowerGrade}.`;
+    } else if (batchResult.budgetStopMessage) {
+      stopReason = 'budget';
+      message = `Stopped after ${sampleCount} of up to ${maxSamples} responses because the cost budget blocked further requests.`;
+    } else if (check) {
+      stopReason = 'max_reached';
+      message = `Collected all ${maxSamples} responses: the interim score band (${band}) still spans grades ${check.upperGrade} to ${check.lowerGrade}.`;
+    } else {
+      stopReason = 'max_reached';
+      message = `Collected all ${maxSamples} responses; at least ${ADAPTIVE_MIN_SAMPLES} are needed before stopping early.`;
+    }
+
+    return {
+      stopReason,
+      message,
+      sampleCount,
+      maxSamples,
+      samplesSaved: Math.max(0, maxSamples - sampleCount),
+      interimBand: check
+    };
+  }
+
   /**
    * Execute a single request with throttling management and retry logic
    */
@@ -499,21 +650,7 @@ eDetectionErrors: 0,
           });
         }
 
-        // Execute the request with timeout
-        const requestPromise = bedrockService.invokeModel(
-          testConfig.modelId,
-          testConfig.systemPrompt,
-          testConfig.userPrompt,
-          testConfig.content,
-          testConfig.toolConfig
-        );
-
-        // Add timeout to prevent hanging requests
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Request timeout')), 60000); // 60 second timeout
-        });
-
-        const response = await Promise.race([requestPromise, timeoutPromise]);
+        const response = await this.invokeRun(testConfig);
 
         // Successful response - add metadata
         return {
@@ -632,6 +769,74 @@ eDetectionErrors: 0,
     throw lastError || new Error(`Request ${requestIndex} failed after ${maxRetries} attempts`);
   }
 
+  /**
+   * Run one iteration of the test configuration with a timeout, without retries
+   * @param {Object} testConfig - Configuration being evaluated
+   * @returns {Promise<Object>} Model response, or the tool run result for tool execution tests
+   */
+  async invokeRun(testConfig) {
+    if (testConfig.toolExecutionEnabled) {
+      // Tool workflows make several model calls and wait their turn in the scenario's run queue;
+      // the timeout starts once the run gets its turn, so queued runs don't time out unstarted
+      let startTimeout;
+      const started = new Promise(resolve => { startTimeout = resolve; });
+      const timeoutPromise = started.then(() => new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('Request timeout')), TOOL_RUN_TIMEOUT_MS);
+      }));
+
+      return Promise.race([this.executeToolRun(testConfig, startTimeout), timeoutPromise]);
+    }
+
+    const requestPromise = bedrockService.invokeModel(
+      testConfig.modelId,
+      testConfig.systemPrompt,
+      testConfig.userPrompt,
+      testConfig.content,
+      testConfig.toolConfig,
+      null,
+      testConfig.inferenceParams
+    );
+
+    // Add timeout to prevent hanging requests
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Request timeout')), 60000); // 60 second timeout
+    });
+
+    return Promise.race([requestPromise, timeoutPromise]);
+  }
+
+  /**
+   * Execute one iteration of a tool execution test: the full tool workflow,
+   * run against a fresh copy of the scenario's seed state
+   * @param {Object} testConfig - Configuration being evaluated
+   * @param {Function} [onStart] - Called when the run gets its turn in the scenario's run queue
+   */
+  async executeToolRun(testConfig, onStart = () => {}) {
+    const result = await batchRunService.executeRun({
+      modelId: testConfig.modelId,
+      systemTemplate: testConfig.systemPrompt,
+      userTemplate: testConfig.userPrompt,
+      dataset: testConfig.datasetType ? { id: testConfig.datasetType } : null,
+      content: testConfig.content
+    }, {
+      scenarioId: testConfig.scenarioId,
+      toolConfig: testConfig.toolConfig,
+      useTools: true,
+      maxIterations: testConfig.maxIterations,
+      inferenceParams: testConfig.inferenceParams,
+      onRunStart: onStart
+    });
+
+    return {
+      text: result.response,
+      usage: result.usage,
+      cost: result.cost,
+      stopReason: result.stopReason,
+      toolUsage: result.toolUsage,
+      finalState: result.finalState
+    };
+  }
+
   /**
    * Update evaluation status and notify callbacks
    */
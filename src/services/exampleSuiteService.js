@@ -0,0 +1,247 @@
+import { bedrockService } from './bedrockService.js';
+import { toolExecutionService } from './toolExecutionService.js';
+import { scenarioService } from './scenarioService.js';
+import { scenarioToolIntegrationService } from './scenarioToolIntegrationService.js';
+import { batchRunService } from './batchRunService.js';
+import { costTrackingService } from './costTrackingService.js';
+import { handleError } from '../utils/errorHandling.js';
+import { getDefaultBindings } from '../utils/promptTemplates.js';
+import { evaluateAssertions } from '../utils/exampleAssertions.js';
+
+/**
+ * Service for running a scenario's examples against one model and checking
+ * each example's declarative assertions. Examples run sequentially with their
+ * own prompts, dataset and bindings so results are comparable across runs.
+ */
+export class ExampleSuiteService {
+  constructor() {
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Generate a unique suite run identifier
+   * @returns {string} Suite run ID
+   */
+  generateRunId() {
+    return `examples_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Run every example of a scenario against a model
+   * @param {string} scenarioId - Scenario whose examples should run
+   * @param {string} modelId - Model to run the examples against
+   * @param {Object} options - Run options
+   * @param {Object} [options.inferenceParams] - Inference parameters applied to every example
+   * @param {Object} [options.guardrailConfig] - Guardrail configuration
+   * @param {boolean} [options.useTools=true] - Execute tools when the scenario supports it
+   * @param {number} [options.maxIterations] - Tool execution iteration limit
+   * @param {Function} [options.onExampleUpdate] - Called with each example's state as it changes
+   * @returns {Promise<Object>} { runId, examples, passed, failed, errored, total }
+   */
+  async runExamples(scenarioId, modelId, options = {}) {
+    const {
+      inferenceParams = null,
+      guardrailConfig = null,
+      useTools = true,
+      maxIterations = 10,
+      onExampleUpdate = () => {}
+    } = options;
+
+    if (!scenarioId) {
+      throw new Error('Select a scenario to run its examples');
+    }
+    if (!modelId) {
+      throw new Error('Select a model to run the examples against');
+    }
+
+    if (!scenarioService.isInitialized) {
+      await scenarioService.initialize();
+    }
+
+    const examples = await scenarioService.getExamples(scenarioId);
+    if (examples.length === 0) {
+      throw new Error('This scenario has no examples');
+    }
+
+    costTrackingService.assertWithinBudget();
+
+    const [systemPrompts, userPrompts, datasets, promptVariables] = await Promise.all([
+      scenarioService.getSystemPrompts(scenarioId),
+      scenarioService.getUserPrompts(scenarioId),
+      scenarioService.getDatasets(scenarioId),
+      scenarioService.getPromptVariables(scenarioId)
+    ]);
+
+    let toolConfig = null;
+    if (useTools) {
+      const toolConfigResult = await scenarioToolIntegrationService.getToolConfigurationForScenario(scenarioId);
+      if (toolConfigResult.hasToolConfig && toolConfigResult.executionMode === 'execution') {
+        toolConfig = toolConfigResult.toolConfig;
+      }
+    }
+
+    if (!bedrockService.isReady()) {
+      const initResult = await bedrockService.initialize();
+      if (!initResult.success) {
+        throw new Error(`AWS Bedrock initialization failed: ${initResult.message}`);
+      }
+    }
+
+    if (toolConfig && !toolExecutionService.isInitialized) {
+      await toolExecutionService.initialize({
+        region: import.meta.env.VITE_AWS_REGION || 'us-east-1',
+        accessKeyId: import.meta.env.VITE_AWS_ACCESS_KEY_ID,
+        secretAccessKey: import.meta.env.VITE_AWS_SECRET_ACCESS_KEY,
+        sessionToken: import.meta.env.VITE_AWS_SESSION_TOKEN
+      });
+    }
+
+    const runId = this.generateRunId();
+    const runState = { runId, cancelled: false };
+    this.activeRuns.set(runId, runState);
+
+    const states = examples.map((example, index) => ({
+      runId,
+      index,
+      name: example.name,
+      description: example.description,
+      status: 'pending',
+      assertionCount: example.assertions?.length || 0,
+      evaluation: null,
+      result: null,
+      error: null
+    }));
+    states.forEach(state => onExampleUpdate({ ...state }));
+
+    const templateDefaults = getDefaultBindings(promptVariables);
+
+    for (let index = 0; index < examples.length; index++) {
+      const example = examples[index];
+      const state = states[index];
+
+      if (runState.cancelled) {
+        state.status = 'cancelled';
+        onExampleUpdate({ ...state });
+        continue;
+      }
+
+      const budgetStatus = costTrackingService.checkBudget();
+      if (budgetStatus.isBlocked) {
+        state.status = 'cancelled';
+        state.error = budgetStatus.message;
+        onExampleUpdate({ ...state });
+        continue;
+      }
+
+      state.status = 'running';
+      onExampleUpdate({ ...state });
+
+      try {
+        const run = await this.buildExampleRun(example, scenarioId, modelId, {
+          systemPrompts,
+          userPrompts,
+          datasets
+        });
+
+        const result = await batchRunService.executeRun(run, {
+          scenarioId,
+          templateBindings: example.promptBindings || {},
+          templateDefaults,
+          inferenceParams,
+          toolConfig,
+          useTools: !!toolConfig,
+          maxIterations,
+          guardrailConfig
+        });
+
+        state.result = {
+          ...result,
+          id: `${runId}_${index}`,
+          exampleRun: { runId, exampleName: example.name }
+        };
+        state.evaluation = evaluateAssertions(example.assertions, state.result);
+        state.status = state.evaluation.passed ? 'passed' : 'failed';
+      } catch (error) {
+        const errorInfo = handleError(error, {
+          component: 'ExampleSuiteService',
+          operation: 'runExamples',
+          scenarioId,
+          modelId,
+          example: example.name
+        });
+        state.status = 'error';
+        state.error = errorInfo.userMessage || error.message;
+      }
+
+      onExampleUpdate({ ...state });
+    }
+
+    this.activeRuns.delete(runId);
+
+    return {
+      runId,
+      examples: states,
+      passed: states.filter(state => state.status === 'passed').length,
+      failed: states.filter(state => state.status === 'failed').length,
+      errored: states.filter(state => state.status === 'error').length,
+      total: states.length
+    };
+  }
+
+  /**
+   * Cancel a running suite; examples that have not started yet are skipped
+   * @param {string} runId - Suite run ID
+   * @returns {boolean} True if the run was found
+   */
+  cancelRun(runId) {
+    const runState = this.activeRuns.get(runId);
+    if (!runState) {
+      return false;
+    }
+    runState.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Resolve an example's prompt and dataset references into a run for BatchRunService.executeRun
+   * @private
+   */
+  async buildExampleRun(example, scenarioId, modelId, { systemPrompts, userPrompts, datasets }) {
+    const systemPrompt = example.systemPrompt
+      ? systemPrompts.find(prompt => prompt.id === example.systemPrompt)
+      : systemPrompts[0];
+    if (example.systemPrompt && !systemPrompt) {
+      throw new Error(`System prompt "${example.systemPrompt}" not found in scenario`);
+    }
+
+    const userPrompt = example.userPrompt
+      ? userPrompts.find(prompt => prompt.id === example.userPrompt)
+      : userPrompts[0];
+    if (!userPrompt) {
+      throw new Error(example.userPrompt
+        ? `User prompt "${example.userPrompt}" not found in scenario`
+        : 'Scenario has no user prompts');
+    }
+
+    let dataset = null;
+    let content = '';
+    if (example.dataset) {
+      dataset = datasets.find(d => d.id === example.dataset);
+      if (!dataset) {
+        throw new Error(`Dataset "${example.dataset}" not found in scenario`);
+      }
+      content = await scenarioService.getDatasetContent(scenarioId, dataset.id);
+    }
+
+    return {
+      modelId,
+      systemTemplate: systemPrompt?.content || '',
+      userTemplate: userPrompt.content,
+      dataset: dataset ? { id: dataset.id, name: dataset.name } : null,
+      content
+    };
+  }
+}
+
+// Export singleton instance
+export const exampleSuiteService = new ExampleSuiteService();
@@ -98,6 +98,11 @@ export class FileService {
               score: evaluation.grade.score,
               reasoning: evaluation.grade.reasoning,
               variance: evaluation.grade.variance,
+              metrics: evaluation.grade.metrics,
+              throttlingInfo: evaluation.grade.throttlingInfo,
+              statistics: evaluation.grade.statistics,
+              adaptiveSampling: evaluation.grade.adaptiveSampling,
+              responseClusters: evaluation.grade.responseClusters,
               timestamp: evaluation.timestamp,
               evaluationId: evaluation.evaluationId,
               fallbackAnalysis: evaluation.grade.fallbackAnalysis || false
@@ -202,26 +207,7 @@ export class FileService {
 
       // Try to save to localStorage
       if (this.isLocalStorageAvailable()) {
-        try {
-          const historyJson = JSON.stringify(trimmedHistory);
-
-          // Check if we're approaching localStorage limits
-          if (historyJson.length > 5 * 1024 * 1024) { // 5MB limit
-            console.warn('History approaching localStorage size limits, trimming to 50 records');
-            const furtherTrimmed = trimmedHistory.slice(0, 50);
-            localStorage.setItem('bedrock-test-history', JSON.stringify(furtherTrimmed));
-          } else {
-            localStorage.setItem('bedrock-test-history', historyJson);
-          }
-        } catch (storageError) {
-          if (storageError.name === 'QuotaExceededError') {
-            console.warn('localStorage quota exceeded, trimming history and retrying');
-            const trimmedForQuota = trimmedHistory.slice(0, 25);
-            localStorage.setItem('bedrock-test-history', JSON.stringify(trimmedForQuota));
-          } else {
-            throw storageError;
-          }
-        }
+        this.writeHistory(trimmedHistory);
       } else {
         // Fallback to in-memory storage
         console.warn('localStorage not available, using in-memory storage');
@@ -255,6 +241,65 @@ export class FileService {
     }
   }
 
+  /**
+   * Replace an existing history entry in place, keeping its position
+   * @param {Object} testResult - The updated test result; its ID must already be in history
+   * @returns {Promise<boolean>} True if the entry was found and updated
+   */
+  async updateTestResult(testResult) {
+    if (!this.validateTestResult(testResult)) {
+      const validationErrors = this.getValidationErrors(testResult);
+      throw new Error(`Invalid test result structure: ${validationErrors.join(', ')}`);
+    }
+
+    if (!this.isLocalStorageAvailable()) {
+      const index = this.getInMemoryHistory().findIndex(item => item.id === testResult.id);
+      if (index === -1) {
+        return false;
+      }
+      this._inMemoryHistory[index] = testResult;
+      return true;
+    }
+
+    const history = JSON.parse(localStorage.getItem('bedrock-test-history') || '[]');
+    const index = history.findIndex(item => item.id === testResult.id);
+    if (index === -1) {
+      return false;
+    }
+
+    history[index] = testResult;
+    this.writeHistory(history);
+    return true;
+  }
+
+  /**
+   * Write history to localStorage, dropping the oldest entries when it is too large
+   * @param {Array} history - History entries, most recent first
+   * @private
+   */
+  writeHistory(history) {
+    try {
+      const historyJson = JSON.stringify(history);
+
+      // Check if we're approaching localStorage limits
+      if (historyJson.length > 5 * 1024 * 1024) { // 5MB limit
+        console.warn('History approaching localStorage size limits, trimming to 50 records');
+        const furtherTrimmed = history.slice(0, 50);
+        localStorage.setItem('bedrock-test-history', JSON.stringify(furtherTrimmed));
+      } else {
+        localStorage.setItem('bedrock-test-history', historyJson);
+      }
+    } catch (storageError) {
+      if (storageError.name === 'QuotaExceededError') {
+        console.warn('localStorage quota exceeded, trimming history and retrying');
+        const trimmedForQuota = history.slice(0, 25);
+        localStorage.setItem('bedrock-test-history', JSON.stringify(trimmedForQuota));
+      } else {
+        throw storageError;
+      }
+    }
+  }
+
   /**
    * Save determinism evaluation result and associate it with test result
    * @param {string} testId - Test ID to associate evaluation with
@@ -801,6 +846,54 @@ export class FileService {
       }
     }
 
+    // Validate inference parameters if present
+    if (testResult.inferenceParams !== null && testResult.inferenceParams !== undefined) {
+      if (typeof testResult.inferenceParams !== 'object') {
+        errors.push('inferenceParams must be an object if provided');
+      } else {
+        ['temperature', 'topP', 'maxTokens'].forEach(field => {
+          const value = testResult.inferenceParams[field];
+          if (value !== undefined && value !== null && typeof value !== 'number') {
+            errors.push(`inferenceParams.${field} must be a number if provided`);
+          }
+        });
+
+        if (testResult.inferenceParams.stopSequences !== undefined && !Array.isArray(testResult.inferenceParams.stopSequences)) {
+          errors.push('inferenceParams.stopSequences must be an array if provided');
+        }
+      }
+    }
+
+    // Validate prompt template record if present
+    if (testResult.promptTemplate !== null && testResult.promptTemplate !== undefined) {
+      if (typeof testResult.promptTemplate !== 'object') {
+        errors.push('promptTemplate must be an object if provided');
+      } else {
+        if (typeof testResult.promptTemplate.templateId !== 'string') {
+          errors.push('promptTemplate.templateId must be a string');
+        }
+
+        if (testResult.promptTemplate.bindings !== undefined && typeof testResult.promptTemplate.bindings !== 'object') {
+          errors.push('promptTemplate.bindings must be an object if provided');
+        }
+      }
+    }
+
+    // Validate batch tagging if present
+    if (testResult.batchId !== null && testResult.batchId !== undefined && typeof testResult.batchId !== 'string') {
+      errors.push('batchId must be a string if provided');
+    }
+
+    if (testResult.batchCell !== null && testResult.batchCell !== undefined && typeof testResult.batchCell !== 'object') {
+      errors.push('batchCell must be an object if provided');
+    }
+
+    // Validate cost snapshot if present
+    if (testResult.cost !== null && testResult.cost !== undefined &&
+        (typeof testResult.cost !== 'object' || typeof testResult.cost.totalCost !== 'number')) {
+      errors.push('cost must be an object with a numeric totalCost if provided');
+    }
+
     return errors;
   }
 
@@ -1095,6 +1188,51 @@ export class FileService {
       }
     }
 
+    // Validate inference parameters if present
+    if (testResult.inferenceParams !== null && testResult.inferenceParams !== undefined) {
+      if (typeof testResult.inferenceParams !== 'object') {
+        return false;
+      }
+
+      const numericFields = ['temperature', 'topP', 'maxTokens'];
+      if (numericFields.some(field => {
+        const value = testResult.inferenceParams[field];
+        return value !== undefined && value !== null && typeof value !== 'number';
+      })) {
+        return false;
+      }
+
+      if (testResult.inferenceParams.stopSequences !== undefined && !Array.isArray(testResult.inferenceParams.stopSequences)) {
+        return false;
+      }
+    }
+
+    // Validate prompt template record if present
+    if (testResult.promptTemplate !== null && testResult.promptTemplate !== undefined) {
+      if (typeof testResult.promptTemplate !== 'object' || typeof testResult.promptTemplate.templateId !== 'string') {
+        return false;
+      }
+
+      if (testResult.promptTemplate.bindings !== undefined && typeof testResult.promptTemplate.bindings !== 'object') {
+        return false;
+      }
+    }
+
+    // Validate batch tagging if present
+    if (testResult.batchId !== null && testResult.batchId !== undefined && typeof testResult.batchId !== 'string') {
+      return false;
+    }
+
+    if (testResult.batchCell !== null && testResult.batchCell !== undefined && typeof testResult.batchCell !== 'object') {
+      return false;
+    }
+
+    // Validate cost snapshot if present
+    if (testResult.cost !== null && testResult.cost !== undefined &&
+        (typeof testResult.cost !== 'object' || typeof testResult.cost.totalCost !== 'number')) {
+      return false;
+    }
+
     return true;
   }
 
@@ -6,6 +6,13 @@
 
 import { bedrockService } from './bedrockService.js';
 import { analyzeError } from '../utils/errorHandling.js';
+import { worldStateService } from './worldStateService.js';
+import { settingsService } from './settingsService.js';
+
+export const DEFAULT_GRADER_MODEL = 'amazon.nova-pro-v1:0';
+
+// Cap on reported entities so one runaway run can't flood the grade
+const MAX_INCONSISTENT_ENTITIES = 20;
 
 /**
  * Enhanced grader system prompt with tool usage consistency as highest priority
@@ -66,11 +73,17 @@ Responses to analyze (excluding throttled responses):`;
  */
 export class GraderService {
   constructor() {
-    this.graderModel = 'amazon.nova-pro-v1:0';
     this.maxResponsesPerRequest = 30;
     this.maxPromptLength = 100000;
   }
 
+  /**
+   * Judge model configured in Settings → Grading
+   */
+  get graderModel() {
+    return settingsService.getSection('grading').judgeModelId || DEFAULT_GRADER_MODEL;
+  }
+
   /**
    * Grade responses using grader LLM with tool usage priority
    * @param {Array<string|Object>} responses - Array of responses to grade
@@ -99,7 +112,7 @@ export class GraderService {
       // Prepare grader prompt with tool usage emphasis
       const graderPrompt = this.buildGraderPrompt(responsesForGrading, config, customGraderPrompt);
 
-      // Use Nova Pro for grading
+      // Use the configured judge model for grading
       const graderResult = await this.invokeGrader(this.graderModel, graderPrompt);
 
       // Parse grader response with tool usage priority
@@ -141,11 +154,15 @@ export class GraderService {
       return r && !r.wasAbandoned && r.text && r.text.trim().length > 0;
     });
 
+    // Outcome determinism comes from recorded side effects, so it holds whichever grading path runs
+    const outcomeDeterminism = this.calculateOutcomeDeterminism(responses.filter(r => r && !r.wasAbandoned));
+    const withOutcome = (result) => this.attachOutcomeDeterminism(result, outcomeDeterminism);
+
     if (validResponses.length < minResponsesForGrading) {
       if (allowPartialAnalysis && validResponses.length > 0) {
         console.log(`Insufficient responses for full analysis (${validResponses.length} < ${minResponsesForGrading}), using fallback`);
-        return this.performEnhancedFallbackAnalysis(responses, config,
-          new Error(`Insufficient responses: ${validResponses.length} < ${minResponsesForGrading}`));
+        return withOutcome(this.performEnhancedFallbackAnalysis(responses, config,
+          new Error(`Insufficient responses: ${validResponses.length} < ${minResponsesForGrading}`)));
       } else {
         throw new Error(`Insufficient responses for analysis: ${validResponses.length} responses available, minimum ${minResponsesForGrading} required`);
       }
@@ -154,17 +171,17 @@ export class GraderService {
     // Use fallback for very small datasets if preferred
     if (preferFallbackForSmallSets && validResponses.length <= 5) {
       console.log('Using fallback analysis for small dataset');
-      return this.performEnhancedFallbackAnalysis(responses, config,
-        new Error('Small dataset - using statistical analysis'));
+      return withOutcome(this.performEnhancedFallbackAnalysis(responses, config,
+        new Error('Small dataset - using statistical analysis')));
     }
 
     // Attempt normal grading with fallback on failure
     try {
-      return await this.gradeResponses(responses, config, customGraderPrompt);
+      return withOutcome(await this.gradeResponses(responses, config, customGraderPrompt));
     } catch (error) {
       if (allowPartialAnalysis) {
         console.log('Grading failed, falling back to statistical analysis');
-        return this.performEnhancedFallbackAnalysis(responses, config, error);
+        return withOutcome(this.performEnhancedFallbackAnalysis(responses, config, error));
       } else {
         throw error;
       }
@@ -366,6 +383,35 @@ Prioritize OUTCOME determinism over text similarity. Analyze meaningful function
     return null;
   }
 
+  /**
+   * Parse the JSON verdict of a judge that must answer in JSON, such as the quality and preference judges
+   * @param {string} text - Raw judge response
+   * @returns {Object} Parsed verdict
+   * @throws {Error} When the response holds no JSON or the JSON is invalid
+   */
+  parseJudgeVerdict(text) {
+    const json = text ? this.extractJsonFromResponse(text) : null;
+    if (!json) {
+      throw new Error('No valid JSON found in judge response');
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Judge response is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cut text that goes into a judge prompt, marking where it was cut
+   * @param {string} text - Text to include in the prompt
+   * @param {number} maxLength - Maximum characters kept
+   * @returns {string} The text, truncated when longer than maxLength
+   */
+  truncateForJudge(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}\n...[truncated]` : text;
+  }
+
   /**
    * Fallback parsing for non-JSON grader responses
    * @param {string} response - Grader response
@@ -586,6 +632,162 @@ Prioritize OUTCOME determinism over text similarity. Analyze meaningful function
     }
   }
 
+  /**
+   * Calculate outcome determinism: whether every run left the scenario world in
+   * the same state. Each run's side-effect set is the records its tool calls
+   * created, changed or deleted plus its final store records, with timestamps
+   * and generated IDs masked.
+   * @param {Array<string|Object>} responses - Responses to analyze
+   * @returns {Object|null} { score, runCount, distinctOutcomes, entityCount, inconsistentEntities },
+   *   or null when fewer than two runs recorded side effects
+   */
+  calculateOutcomeDeterminism(responses) {
+    const runs = responses
+      .map((response, index) => ({ run: index + 1, response }))
+      .filter(({ response }) => typeof response === 'object' &&
+        (response.finalState?.stores || response.toolUsage?.toolCalls?.some(call => Array.isArray(call.stateChanges))));
+
+    if (runs.length < 2) {
+      return null;
+    }
+
+    // Only compare final records when every run captured them; otherwise missing
+    // snapshots would look like deleted records
+    const compareRecords = runs.every(({ response }) => response.finalState?.stores);
+    const sideEffects = runs.map(({ response }) => this.collectSideEffects(response, compareRecords));
+    const emptyOutcome = { tools: [], records: '[]', firstRecord: null };
+    const outcomeSignature = (outcome) => `${outcome.tools.join(',')}:${outcome.records}`;
+
+    // Entities no run touched and every run left alike are consistent by definition
+    const allEntities = new Set(sideEffects.flatMap(effects => Array.from(effects.keys())));
+    const entities = Array.from(allEntities).sort().filter(entity => {
+      const outcomes = sideEffects.map(effects => effects.get(entity) || emptyOutcome);
+      return outcomes.some(outcome => outcome.tools.length > 0) ||
+        new Set(outcomes.map(outcomeSignature)).size > 1;
+    });
+
+    const signatureCounts = new Map();
+    sideEffects.forEach(effects => {
+      const signature = entities
+        .map(entity => `${entity}=${outcomeSignature(effects.get(entity) || emptyOutcome)}`)
+        .join('\n');
+      signatureCounts.set(signature, (signatureCounts.get(signature) || 0) + 1);
+    });
+
+    const inconsistentEntities = [];
+    entities.forEach(entity => {
+      const outcomes = new Map();
+      sideEffects.forEach((effects, index) => {
+        const outcome = effects.get(entity) || emptyOutcome;
+        const signature = outcomeSignature(outcome);
+        if (!outcomes.has(signature)) {
+          outcomes.set(signature, { tools: outcome.tools, record: outcome.firstRecord, runs: [] });
+        }
+        outcomes.get(signature).runs.push(runs[index].run);
+      });
+
+      if (outcomes.size > 1) {
+        const [store, ...keyParts] = entity.split('/');
+        const groups = Array.from(outcomes.values());
+        const fields = this.findDifferingFields(groups.map(group => group.record));
+        inconsistentEntities.push({
+          store,
+          key: keyParts.join('/'),
+          fields,
+          outcomes: groups.map(group => ({
+            tools: group.tools,
+            values: group.record
+              ? Object.fromEntries(fields.map(field => [field, group.record[field]]))
+              : null,
+            runs: group.runs
+          }))
+        });
+      }
+    });
+
+    return {
+      score: Math.round((Math.max(...signatureCounts.values()) / runs.length) * 100) / 100,
+      runCount: runs.length,
+      distinctOutcomes: signatureCounts.size,
+      entityCount: entities.length,
+      inconsistentEntityCount: inconsistentEntities.length,
+      inconsistentEntities: inconsistentEntities.slice(0, MAX_INCONSISTENT_ENTITIES)
+    };
+  }
+
+  /**
+   * Map each entity a run affected to the tool calls that changed it and its final records
+   * @private
+   */
+  collectSideEffects(response, compareRecords) {
+    const effects = new Map();
+    const getEffect = (entity) => {
+      if (!effects.has(entity)) {
+        effects.set(entity, { tools: new Set(), records: [] });
+      }
+      return effects.get(entity);
+    };
+
+    (response.toolUsage?.toolCalls || []).forEach(call => {
+      (call.stateChanges || []).forEach(change => {
+        const entity = `${change.store}/${worldStateService.normalizeValue(change.key)}`;
+        getEffect(entity).tools.add(`${call.toolName} (${change.type})`);
+      });
+    });
+
+    if (compareRecords) {
+      Object.entries(response.finalState.stores).forEach(([store, { records }]) => {
+        Object.entries(records).forEach(([key, record]) => {
+          // Generated keys can mask to the same entity, so an entity holds a list of records
+          getEffect(`${store}/${worldStateService.normalizeValue(key)}`).records
+            .push(worldStateService.normalizeValue(record));
+        });
+      });
+    }
+
+    return new Map(Array.from(effects.entries()).map(([entity, effect]) => {
+      const records = effect.records
+        .map(record => ({ record, signature: worldStateService.stableStringify(record) }))
+        .sort((a, b) => a.signature.localeCompare(b.signature));
+      return [entity, {
+        tools: Array.from(effect.tools).sort(),
+        records: `[${records.map(entry => entry.signature).join(',')}]`,
+        firstRecord: records[0]?.record || null
+      }];
+    }));
+  }
+
+  /**
+   * Top-level fields whose values differ between records
+   * @private
+   */
+  findDifferingFields(records) {
+    const fields = new Set(records.flatMap(record => Object.keys(record || {})));
+    return Array.from(fields).filter(field => new Set(
+      records.map(record => worldStateService.stableStringify(record?.[field]))
+    ).size > 1);
+  }
+
+  /**
+   * Add outcome determinism to a grading result
+   * @private
+   */
+  attachOutcomeDeterminism(result, outcomeDeterminism) {
+    if (!outcomeDeterminism) {
+      return result;
+    }
+
+    const variations = result.notable_variations || [];
+    return {
+      ...result,
+      metrics: { ...result.metrics, outcomeDeterminism: outcomeDeterminism.score },
+      outcomeDeterminism,
+      notable_variations: outcomeDeterminism.inconsistentEntityCount > 0
+        ? [...variations, `${outcomeDeterminism.inconsistentEntityCount} entities handled inconsistently across runs`]
+        : variations
+    };
+  }
+
   /**
    * Calculate decision consistency based on outcomes and conclusions
    * @param {Array<string|Object>} responses - Responses to analyze
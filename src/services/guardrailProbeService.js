@@ -0,0 +1,148 @@
+import { guardrailService } from './guardrailService.js';
+import { scenarioService } from './scenarioService.js';
+import { GuardrailManager } from './bedrock/GuardrailManager.js';
+import { handleError } from '../utils/errorHandling.js';
+import { PROBE_SOURCES, getProbeSources, buildConfusionMatrix } from '../utils/guardrailProbes.js';
+
+/**
+ * Service for red-teaming a scenario's guardrail. Each labelled probe is sent
+ * through ApplyGuardrail for every selected source, without calling a model,
+ * and the outcomes are summarized as a confusion matrix.
+ */
+export class GuardrailProbeService {
+  constructor() {
+    this.guardrailManager = new GuardrailManager();
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Generate a unique probe run identifier
+   * @returns {string} Probe run ID
+   */
+  generateRunId() {
+    return `probes_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Run every probe of a scenario against a guardrail
+   * @param {string} scenarioId - Scenario whose probes should run
+   * @param {Object} guardrailConfig - Guardrail to probe ({ guardrailIdentifier })
+   * @param {Object} options - Run options
+   * @param {string[]} [options.sources] - Sources to evaluate, INPUT and/or OUTPUT
+   * @param {Function} [options.onCaseUpdate] - Called with each case's state as it changes
+   * @returns {Promise<Object>} Report: { runId, cases, matrix, matrixBySource, errored }
+   */
+  async runProbes(scenarioId, guardrailConfig, options = {}) {
+    const {
+      sources = PROBE_SOURCES,
+      onCaseUpdate = () => {}
+    } = options;
+
+    if (!scenarioId) {
+      throw new Error('Select a scenario to run its guardrail probes');
+    }
+    if (!guardrailConfig?.guardrailIdentifier) {
+      throw new Error('This scenario has no guardrail to probe');
+    }
+
+    if (!scenarioService.isInitialized) {
+      await scenarioService.initialize();
+    }
+
+    const probes = await scenarioService.getGuardrailProbes(scenarioId);
+    if (probes.length === 0) {
+      throw new Error('This scenario has no guardrail probes');
+    }
+
+    const runId = this.generateRunId();
+    const runState = { runId, cancelled: false };
+    this.activeRuns.set(runId, runState);
+
+    const cases = probes.flatMap((probe, probeIndex) =>
+      getProbeSources(probe, sources).map(source => ({
+        runId,
+        probeIndex,
+        prompt: probe.prompt,
+        category: probe.category || null,
+        expect: probe.expect,
+        source,
+        status: 'pending',
+        actual: null,
+        violations: [],
+        outputText: null,
+        error: null
+      }))
+    );
+    cases.forEach((probeCase, index) => onCaseUpdate({ ...probeCase, index }));
+
+    for (let index = 0; index < cases.length; index++) {
+      const probeCase = cases[index];
+
+      if (runState.cancelled) {
+        probeCase.status = 'cancelled';
+        onCaseUpdate({ ...probeCase, index });
+        continue;
+      }
+
+      probeCase.status = 'running';
+      onCaseUpdate({ ...probeCase, index });
+
+      try {
+        const response = await guardrailService.applyGuardrail(
+          guardrailConfig.guardrailIdentifier,
+          probeCase.prompt,
+          probeCase.source
+        );
+
+        const intervened = response.action === 'GUARDRAIL_INTERVENED';
+        probeCase.actual = intervened ? 'block' : 'pass';
+        probeCase.violations = this.guardrailManager.parseAssessments(
+          response.assessments || [],
+          probeCase.source.toLowerCase()
+        );
+        probeCase.outputText = intervened ? response.outputs?.[0]?.text || null : null;
+        probeCase.status = probeCase.actual === probeCase.expect ? 'correct' : 'incorrect';
+      } catch (error) {
+        const errorInfo = handleError(error, {
+          component: 'GuardrailProbeService',
+          operation: 'runProbes',
+          scenarioId,
+          source: probeCase.source
+        });
+        probeCase.status = 'error';
+        probeCase.error = errorInfo.userMessage || error.message;
+      }
+
+      onCaseUpdate({ ...probeCase, index });
+    }
+
+    this.activeRuns.delete(runId);
+
+    return {
+      runId,
+      cases,
+      matrix: buildConfusionMatrix(cases),
+      matrixBySource: Object.fromEntries(
+        sources.map(source => [source, buildConfusionMatrix(cases.filter(probeCase => probeCase.source === source))])
+      ),
+      errored: cases.filter(probeCase => probeCase.status === 'error').length
+    };
+  }
+
+  /**
+   * Cancel a running probe suite; cases that have not started yet are skipped
+   * @param {string} runId - Probe run ID
+   * @returns {boolean} True if the run was found
+   */
+  cancelRun(runId) {
+    const runState = this.activeRuns.get(runId);
+    if (!runState) {
+      return false;
+    }
+    runState.cancelled = true;
+    return true;
+  }
+}
+
+// Create and export singleton instance
+export const guardrailProbeService = new GuardrailProbeService();
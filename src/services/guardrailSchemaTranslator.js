@@ -5,6 +5,15 @@
  * and provides validation for simplified schema configurations.
  */
 
+/**
+ * AWS limits for deny topics on the classic tier
+ */
+const MAX_TOPICS = 30;
+const MAX_TOPIC_NAME_LENGTH = 100;
+const MAX_TOPIC_DEFINITION_LENGTH = 200;
+const TOPIC_NAME_PATTERN = /^[0-9a-zA-Z_ !?.-]+$/;
+const TOPIC_ACTIONS = ['BLOCK', 'NONE'];
+
 /**
  * Service for translating simplified guardrail schemas to AWS format
  */
@@ -65,30 +74,47 @@ export class GuardrailSchemaTranslator {
   }
 
   /**
-   * Translates topic policy to AWS format
+   * Translates topic policy to AWS format.
+   * Each entry in `topics` becomes its own deny topic so violations are reported by name;
+   * the legacy single `definition` form is kept as one topic named `restricted-topics`.
    * @param {Object} topicPolicy - Simplified topic policy configuration
    * @returns {Object} AWS topic policy configuration
    */
   static translateTopicPolicy(topicPolicy) {
     return {
-      topicsConfig: [
-        {
-          name: 'restricted-topics',
-          definition: topicPolicy.definition,
-          examples: topicPolicy.examples || [],
-          type: 'DENY',
-          inputAction: 'BLOCK',
-          outputAction: 'BLOCK',
-          inputEnabled: true,
-          outputEnabled: true
-        }
-      ],
+      topicsConfig: this.getSimplifiedTopics(topicPolicy).map(topic => ({
+        name: topic.name.trim(),
+        definition: topic.definition,
+        examples: topic.examples || [],
+        type: 'DENY',
+        inputAction: topic.inputAction || topicPolicy.input?.action || 'BLOCK',
+        outputAction: topic.outputAction || topicPolicy.output?.action || 'BLOCK',
+        inputEnabled: true,
+        outputEnabled: true
+      })),
       tierConfig: {
         tierName: 'CLASSIC'
       }
     };
   }
 
+  /**
+   * Lists the topics of a simplified topic policy in either supported form
+   * @param {Object} topicPolicy - Simplified topic policy configuration
+   * @returns {Array} Topics with name, definition and examples
+   */
+  static getSimplifiedTopics(topicPolicy) {
+    if (Array.isArray(topicPolicy.topics)) {
+      return topicPolicy.topics;
+    }
+
+    return [{
+      name: 'restricted-topics',
+      definition: topicPolicy.definition,
+      examples: topicPolicy.examples
+    }];
+  }
+
   /**
    * Translates content policy to AWS format
    * @param {Object} contentPolicy - Simplified content policy configuration
@@ -312,17 +338,84 @@ export class GuardrailSchemaTranslator {
       return errors;
     }
 
-    if (!topicPolicy.definition || typeof topicPolicy.definition !== 'string' || !topicPolicy.definition.trim()) {
-      errors.push('topicPolicy.definition is required and must be a non-empty string');
+    if (topicPolicy.topics !== undefined) {
+      if (!Array.isArray(topicPolicy.topics) || topicPolicy.topics.length === 0) {
+        errors.push('topicPolicy.topics must be a non-empty array if provided');
+        return errors;
+      }
+      if (topicPolicy.definition !== undefined || topicPolicy.examples !== undefined) {
+        errors.push('topicPolicy cannot combine topics with a top-level definition or examples');
+      }
+      if (topicPolicy.topics.length > MAX_TOPICS) {
+        errors.push(`topicPolicy.topics cannot contain more than ${MAX_TOPICS} topics`);
+      }
+
+      const seenNames = new Set();
+      topicPolicy.topics.forEach((topic, index) => {
+        const path = `topicPolicy.topics[${index}]`;
+
+        if (!topic || typeof topic !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+
+        if (!topic.name || typeof topic.name !== 'string' || !topic.name.trim()) {
+          errors.push(`${path}.name is required and must be a non-empty string`);
+        } else {
+          const name = topic.name.trim();
+          if (name.length > MAX_TOPIC_NAME_LENGTH || !TOPIC_NAME_PATTERN.test(name)) {
+            errors.push(`${path}.name must be at most ${MAX_TOPIC_NAME_LENGTH} characters of letters, numbers, spaces and - _ ! ? .`);
+          }
+          if (seenNames.has(name.toLowerCase())) {
+            errors.push(`${path}.name "${name}" is used by more than one topic`);
+          }
+          seenNames.add(name.toLowerCase());
+        }
+
+        errors.push(...this.validateTopicDefinition(topic, path));
+
+        ['inputAction', 'outputAction'].forEach(field => {
+          if (topic[field] !== undefined && !TOPIC_ACTIONS.includes(topic[field])) {
+            errors.push(`${path}.${field} must be one of: ${TOPIC_ACTIONS.join(', ')}`);
+          }
+        });
+      });
+    } else {
+      errors.push(...this.validateTopicDefinition(topicPolicy, 'topicPolicy'));
+    }
+
+    ['input', 'output'].forEach(direction => {
+      const action = topicPolicy[direction]?.action;
+      if (action !== undefined && !TOPIC_ACTIONS.includes(action)) {
+        errors.push(`topicPolicy.${direction}.action must be one of: ${TOPIC_ACTIONS.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validates the definition and examples of a single topic
+   * @param {Object} topic - Topic, or a legacy topic policy holding one definition
+   * @param {string} path - Path used in error messages
+   * @returns {Array} Array of error messages
+   */
+  static validateTopicDefinition(topic, path) {
+    const errors = [];
+
+    if (!topic.definition || typeof topic.definition !== 'string' || !topic.definition.trim()) {
+      errors.push(`${path}.definition is required and must be a non-empty string`);
+    } else if (topic.definition.length > MAX_TOPIC_DEFINITION_LENGTH) {
+      errors.push(`${path}.definition cannot be longer than ${MAX_TOPIC_DEFINITION_LENGTH} characters`);
     }
 
-    if (topicPolicy.examples !== undefined) {
-      if (!Array.isArray(topicPolicy.examples)) {
-        errors.push('topicPolicy.examples must be an array if provided');
+    if (topic.examples !== undefined) {
+      if (!Array.isArray(topic.examples)) {
+        errors.push(`${path}.examples must be an array if provided`);
       } else {
-        topicPolicy.examples.forEach((example, index) => {
+        topic.examples.forEach((example, index) => {
           if (typeof example !== 'string' || !example.trim()) {
-            errors.push(`topicPolicy.examples[${index}] must be a non-empty string`);
+            errors.push(`${path}.examples[${index}] must be a non-empty string`);
           }
         });
       }
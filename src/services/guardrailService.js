@@ -1,7 +1,8 @@
-import { BedrockClient, CreateGuardrailCommand, DeleteGuardrailCommand, ListGuardrailsCommand, GetGuardrailCommand } from "@aws-sdk/client-bedrock";
-import { BedrockRuntimeClient, ApplyGuardrailCommand } from "@aws-sdk/client-bedrock-runtime";
+import { CreateGuardrailCommand, DeleteGuardrailCommand, ListGuardrailsCommand, GetGuardrailCommand } from "@aws-sdk/client-bedrock";
+import { ApplyGuardrailCommand } from "@aws-sdk/client-bedrock-runtime";
 import { analyzeError, handleError, ErrorTypes, retryWithBackoff } from '../utils/errorHandling.js';
 import { GuardrailSchemaTranslator } from './guardrailSchemaTranslator.js';
+import { BEDROCK_PROVIDERS, getActiveProvider, createRuntimeClient, createManagementClient } from './bedrock/ClientFactory.js';
 
 /**
  * Service class for AWS Bedrock Guardrails integration
@@ -13,6 +14,7 @@ export class GuardrailService {
     this.managementClient = null;
     this.isInitialized = false;
     this.credentialsValid = false;
+    this.provider = null;
     this.lastError = null;
     this.lastSuccessfulCall = null;
   }
@@ -23,6 +25,17 @@ export class GuardrailService {
   detectCredentialSources() {
     const sources = [];
 
+    if (getActiveProvider() === BEDROCK_PROVIDERS.MOCK) {
+      sources.push({
+        type: 'mock',
+        description: 'Offline mock provider (scripted responses, no AWS calls)',
+        hasSessionToken: false,
+        region: 'mock',
+        source: 'Settings → AWS → Provider'
+      });
+      return sources;
+    }
+
     // Check for VITE_ prefixed environment variables (from .env.local or build process)
     if (import.meta.env.VITE_AWS_ACCESS_KEY_ID) {
       sources.push({
@@ -69,8 +82,9 @@ export class GuardrailService {
       };
 
       // Initialize both Bedrock clients
-      this.runtimeClient = new BedrockRuntimeClient(clientConfig);
-      this.managementClient = new BedrockClient(clientConfig);
+      this.provider = getActiveProvider();
+      this.runtimeClient = createRuntimeClient(clientConfig);
+      this.managementClient = createManagementClient(clientConfig);
 
       // Test credentials by attempting to list guardrails
       await this.validateCredentials();
@@ -120,7 +134,7 @@ export class GuardrailService {
    * Check if the service is ready for use
    */
   isReady() {
-    return this.isInitialized && this.credentialsValid;
+    return this.isInitialized && this.credentialsValid && this.provider === getActiveProvider();
   }
 
   /**
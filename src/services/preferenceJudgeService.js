@@ -0,0 +1,254 @@
+/**
+ * Service for pairwise preference judging between saved test results
+ * A judge model picks the better of two runs; judgments accumulate into a per-scenario Elo leaderboard
+ */
+
+import { bedrockService } from './bedrockService.js';
+import { graderService } from './graderService.js';
+import { qualityGraderService } from './qualityGraderService.js';
+import { generateStorageKey } from '../utils/momentoConfig.js';
+import { analyzeError } from '../utils/errorHandling.js';
+import { getContestant, calculateLeaderboard } from '../utils/preferenceRatings.js';
+
+/**
+ * Storage key for recorded judgments
+ */
+const JUDGMENTS_STORAGE_KEY = generateStorageKey('preference_judgments');
+
+// Oldest judgments are dropped past this many so localStorage stays small
+const MAX_STORED_JUDGMENTS = 500;
+
+const MAX_DATASET_CHARS = 15000;
+const MAX_RESPONSE_CHARS = 20000;
+const MAX_TOOL_RESULT_CHARS = 500;
+
+export const PREFERENCE_JUDGE_SYSTEM_PROMPT = `You are an impartial expert judge comparing two responses to the same task. Decide which response better accomplishes what its prompts ask.
+
+Rules:
+- Judge correctness, completeness, instruction following and usefulness, in that order
+- Use the data and the tool results as the source of truth when checking claims
+- Ignore response length, style and the order the responses are presented in
+- Answer "tie" only when neither response is meaningfully better
+
+Required JSON response format:
+{
+  "winner": "1",
+  "rationale": "Two or three sentences citing the specific differences that decided it"
+}
+
+"winner" must be "1", "2" or "tie".`;
+
+/**
+ * Preference judge service class
+ */
+export class PreferenceJudgeService {
+  /**
+   * Judge every pair among the selected tests
+   * @param {Array} tests - Two or more test results
+   * @param {Object} options - Judging options
+   * @param {string} options.judgeModelId - Judge model; defaults to Settings → Grading
+   * @param {Function} options.onProgress - Called with (completed, total) after each pair
+   * @returns {Promise<Object>} { judgments, errors } where errors are { testIds, message }
+   */
+  async judgeTests(tests, options = {}) {
+    if (!Array.isArray(tests) || tests.length < 2) {
+      throw new Error('Select at least two tests to judge');
+    }
+
+    const pairs = [];
+    for (let i = 0; i < tests.length; i++) {
+      for (let j = i + 1; j < tests.length; j++) {
+        pairs.push([tests[i], tests[j]]);
+      }
+    }
+
+    const judgments = [];
+    const errors = [];
+    // Sequential so a large selection doesn't burst the judge model's rate limit
+    for (const [testA, testB] of pairs) {
+      try {
+        judgments.push(await this.judgePair(testA, testB, options));
+      } catch (error) {
+        errors.push({ testIds: [testA.id, testB.id], message: error.message });
+      }
+      options.onProgress?.(judgments.length + errors.length, pairs.length);
+    }
+
+    return { judgments, errors };
+  }
+
+  /**
+   * Ask the judge which of two runs is better and record the judgment
+   * The presentation order is randomized to counter the judge's position bias
+   * @param {Object} testA - First test result
+   * @param {Object} testB - Second test result
+   * @param {Object} options - Judging options
+   * @param {string} options.judgeModelId - Judge model; defaults to Settings → Grading
+   * @returns {Promise<Object>} Recorded judgment
+   */
+  async judgePair(testA, testB, options = {}) {
+    if (!testA?.response || !testB?.response) {
+      throw new Error('Both tests need a response to judge');
+    }
+
+    const judgeModelId = options.judgeModelId || qualityGraderService.judgeModel;
+    const swapped = Math.random() < 0.5;
+    const [first, second] = swapped ? [testB, testA] : [testA, testB];
+    const prompt = this.buildJudgePrompt(first, second);
+
+    let judgeResponse;
+    try {
+      judgeResponse = await bedrockService.invokeModel(judgeModelId, PREFERENCE_JUDGE_SYSTEM_PROMPT, prompt);
+    } catch (error) {
+      const errorInfo = analyzeError(error, {
+        operation: 'preference_judging',
+        modelId: judgeModelId,
+        promptLength: prompt.length
+      });
+      throw new Error(`Judge model invocation failed: ${errorInfo.userMessage}`);
+    }
+
+    const verdict = graderService.parseJudgeVerdict(judgeResponse.text);
+    const presentedWinner = String(verdict.winner ?? '').trim().toLowerCase();
+    if (!['1', '2', 'tie'].includes(presentedWinner)) {
+      throw new Error(`Judge returned an unknown winner: ${verdict.winner}`);
+    }
+
+    // Map the presented position back to the caller's A/B order
+    let outcome = 'tie';
+    if (presentedWinner !== 'tie') {
+      const firstWon = presentedWinner === '1';
+      outcome = firstWon !== swapped ? 'A' : 'B';
+    }
+
+    const judgment = {
+      id: `judgment_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+      scenarioId: this.getSharedScenarioId(testA, testB),
+      testIds: [testA.id, testB.id],
+      contestants: [getContestant(testA), getContestant(testB)],
+      outcome,
+      winnerTestId: outcome === 'A' ? testA.id : outcome === 'B' ? testB.id : null,
+      presentedFirstId: first.id,
+      rationale: typeof verdict.rationale === 'string' ? verdict.rationale : '',
+      judgeModelId,
+      usage: judgeResponse.usage || null,
+      cost: judgeResponse.cost || null,
+      judgedAt: new Date().toISOString()
+    };
+
+    this.saveJudgment(judgment);
+    return judgment;
+  }
+
+  /**
+   * Scenario both runs belong to; pairs from different scenarios don't count toward a leaderboard
+   * @private
+   */
+  getSharedScenarioId(testA, testB) {
+    const scenarioA = testA.scenarioId || testA.datasetType || null;
+    const scenarioB = testB.scenarioId || testB.datasetType || null;
+    return scenarioA && scenarioA === scenarioB ? scenarioA : null;
+  }
+
+  /**
+   * Build the pairwise judge prompt
+   * @param {Object} first - Run presented as response 1
+   * @param {Object} second - Run presented as response 2
+   * @returns {string} Judge prompt
+   */
+  buildJudgePrompt(first, second) {
+    const sections = [];
+
+    // Shared data is shown once so both responses are judged against the same evidence
+    if (first.datasetContent && first.datasetContent === second.datasetContent) {
+      sections.push(`## Data (shared by both runs)\n${graderService.truncateForJudge(first.datasetContent, MAX_DATASET_CHARS)}`);
+    }
+
+    [first, second].forEach((test, index) => {
+      const parts = [`# Response ${index + 1}`];
+      parts.push(`## System prompt\n${test.systemPrompt || '(none)'}`);
+      parts.push(`## User prompt\n${test.userPrompt || test.prompt || '(none)'}`);
+
+      if (test.datasetContent && test.datasetContent !== (index === 0 ? second : first).datasetContent) {
+        parts.push(`## Data\n${graderService.truncateForJudge(test.datasetContent, MAX_DATASET_CHARS)}`);
+      }
+
+      const toolCalls = test.toolUsage?.toolCalls || [];
+      if (toolCalls.length > 0) {
+        parts.push(`## Tool calls\n${toolCalls.map((call, callIndex) => {
+          const outcome = call.success === false ? 'FAILED' : graderService.truncateForJudge(JSON.stringify(call.result ?? null), MAX_TOOL_RESULT_CHARS);
+          return `${callIndex + 1}. ${call.toolName}(${JSON.stringify(call.input ?? {})}) → ${outcome}`;
+        }).join('\n')}`);
+      }
+
+      parts.push(`## Response\n${graderService.truncateForJudge(test.response, MAX_RESPONSE_CHARS)}`);
+      sections.push(parts.join('\n\n'));
+    });
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Get recorded judgments, oldest first
+   * @param {string|null} scenarioId - Only judgments for this scenario when set
+   * @returns {Array} Judgments
+   */
+  getJudgments(scenarioId = null) {
+    const judgments = this.loadJudgments();
+    return scenarioId ? judgments.filter(judgment => judgment.scenarioId === scenarioId) : judgments;
+  }
+
+  /**
+   * Elo leaderboard of model/prompt combinations for a scenario
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Array} Leaderboard rows sorted by rating
+   */
+  getLeaderboard(scenarioId) {
+    return calculateLeaderboard(this.getJudgments(scenarioId));
+  }
+
+  /**
+   * Forget every judgment recorded for a scenario
+   * @param {string} scenarioId - Scenario ID
+   */
+  clearJudgments(scenarioId) {
+    this.storeJudgments(this.loadJudgments().filter(judgment => judgment.scenarioId !== scenarioId));
+  }
+
+  /**
+   * Append a judgment to storage
+   * @private
+   */
+  saveJudgment(judgment) {
+    this.storeJudgments([...this.loadJudgments(), judgment].slice(-MAX_STORED_JUDGMENTS));
+  }
+
+  /**
+   * Load judgments from localStorage
+   * @private
+   */
+  loadJudgments() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(JUDGMENTS_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Failed to load preference judgments from localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist judgments to localStorage
+   * @private
+   */
+  storeJudgments(judgments) {
+    try {
+      localStorage.setItem(JUDGMENTS_STORAGE_KEY, JSON.stringify(judgments));
+    } catch (error) {
+      console.warn('Failed to save preference judgments to localStorage:', error);
+    }
+  }
+}
+
+// Create and export singleton instance
+export const preferenceJudgeService = new PreferenceJudgeService();
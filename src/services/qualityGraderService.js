@@ -0,0 +1,224 @@
+/**
+ * Service for scoring a single run against a quality rubric with an LLM judge
+ * Rubrics come from the scenario, from Settings → Grading, or the built-in default
+ */
+
+import { bedrockService } from './bedrockService.js';
+import { graderService, DEFAULT_GRADER_MODEL } from './graderService.js';
+import { scenarioService } from './scenarioService.js';
+import { settingsService } from './settingsService.js';
+import { analyzeError } from '../utils/errorHandling.js';
+import {
+  DEFAULT_RUBRIC,
+  validateRubric,
+  getRubricScale,
+  calculateRubricScore
+} from '../utils/qualityRubrics.js';
+
+// Keep the judge prompt well inside every model's context window
+const MAX_DATASET_CHARS = 20000;
+const MAX_RESPONSE_CHARS = 30000;
+const MAX_TOOL_RESULT_CHARS = 1000;
+
+export const QUALITY_JUDGE_SYSTEM_PROMPT = `You are an impartial expert judge of LLM output quality. Score the response to the task below against each rubric criterion.
+
+Rules:
+- Judge only what the response and its tool calls actually did; do not reward intentions or promises
+- Use the data and the tool results as the source of truth when checking claims
+- Score each criterion independently with an integer on the given scale
+- Keep each reasoning to one or two sentences that cite the specific evidence
+
+Required JSON response format:
+{
+  "criteria": [
+    { "id": "criterion-id", "score": 4, "reasoning": "Why this score" }
+  ],
+  "summary": "One or two sentences on the response's overall quality"
+}`;
+
+/**
+ * Quality grader service class for single-run rubric scoring
+ */
+export class QualityGraderService {
+  /**
+   * Judge model configured in Settings → Grading
+   */
+  get judgeModel() {
+    return settingsService.getSection('grading').judgeModelId || DEFAULT_GRADER_MODEL;
+  }
+
+  /**
+   * Get the rubrics available to a scenario
+   * @param {string|null} scenarioId - Scenario the run belongs to
+   * @returns {Promise<Array>} Rubrics tagged with their source ('scenario', 'settings' or 'default')
+   */
+  async getRubrics(scenarioId) {
+    const scenarioRubrics = scenarioId ? await scenarioService.getRubrics(scenarioId) : [];
+    const settingsRubrics = (settingsService.getSection('grading').rubrics || [])
+      .filter(rubric => validateRubric(rubric).length === 0);
+
+    const rubrics = [];
+    const seenIds = new Set();
+    const addRubrics = (list, source) => {
+      list.forEach(rubric => {
+        if (!seenIds.has(rubric.id)) {
+          seenIds.add(rubric.id);
+          rubrics.push({ ...rubric, source });
+        }
+      });
+    };
+
+    // Scenario rubrics win when a settings rubric reuses the same id
+    addRubrics(scenarioRubrics, 'scenario');
+    addRubrics(settingsRubrics, 'settings');
+    addRubrics([DEFAULT_RUBRIC], 'default');
+
+    return rubrics;
+  }
+
+  /**
+   * Resolve the rubric to grade a run with
+   * Scenario rubrics are more specific than the configured default, so they take precedence
+   * @param {string|null} scenarioId - Scenario the run belongs to
+   * @param {string|null} rubricId - Explicitly requested rubric
+   * @returns {Promise<Object>} Rubric definition
+   */
+  async resolveRubric(scenarioId, rubricId = null) {
+    const rubrics = await this.getRubrics(scenarioId);
+    const defaultRubricId = settingsService.getSection('grading').defaultRubricId;
+
+    return (rubricId && rubrics.find(rubric => rubric.id === rubricId))
+      || rubrics.find(rubric => rubric.source === 'scenario')
+      || rubrics.find(rubric => rubric.id === defaultRubricId)
+      || rubrics.find(rubric => rubric.id === DEFAULT_RUBRIC.id);
+  }
+
+  /**
+   * Score a run against a rubric
+   * @param {Object} testResult - Saved test result
+   * @param {Object} rubric - Rubric definition
+   * @param {Object} options - Grading options
+   * @param {string} options.judgeModelId - Judge model override
+   * @returns {Promise<Object>} Quality grade with per-criterion scores and reasoning
+   */
+  async gradeRun(testResult, rubric, options = {}) {
+    if (!testResult?.response) {
+      throw new Error('The run has no response to grade');
+    }
+
+    const rubricErrors = validateRubric(rubric);
+    if (rubricErrors.length > 0) {
+      throw new Error(`Invalid rubric: ${rubricErrors.join(', ')}`);
+    }
+
+    const judgeModelId = options.judgeModelId || this.judgeModel;
+    const scale = getRubricScale(rubric);
+    const prompt = this.buildJudgePrompt(testResult, rubric, scale);
+
+    let judgeResponse;
+    try {
+      judgeResponse = await bedrockService.invokeModel(judgeModelId, QUALITY_JUDGE_SYSTEM_PROMPT, prompt);
+    } catch (error) {
+      const errorInfo = analyzeError(error, {
+        operation: 'quality_grading',
+        modelId: judgeModelId,
+        promptLength: prompt.length
+      });
+      throw new Error(`Judge model invocation failed: ${errorInfo.userMessage}`);
+    }
+
+    const parsed = graderService.parseJudgeVerdict(judgeResponse.text);
+    const judged = new Map((parsed.criteria || []).map(criterion => [criterion?.id, criterion]));
+
+    const criteria = rubric.criteria.map(criterion => {
+      const verdict = judged.get(criterion.id);
+      const score = Number(verdict?.score);
+
+      return {
+        id: criterion.id,
+        name: criterion.name,
+        weight: criterion.weight || 1,
+        score: Number.isFinite(score) ? Math.min(scale.max, Math.max(scale.min, score)) : null,
+        reasoning: typeof verdict?.reasoning === 'string' ? verdict.reasoning : 'The judge did not score this criterion'
+      };
+    });
+
+    const overall = calculateRubricScore(criteria, scale);
+    if (!overall) {
+      throw new Error('The judge did not score any rubric criterion');
+    }
+
+    return {
+      rubricId: rubric.id,
+      rubricName: rubric.name,
+      scale,
+      judgeModelId,
+      criteria,
+      score: overall.score,
+      normalizedScore: overall.normalizedScore,
+      summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+      usage: judgeResponse.usage || null,
+      cost: judgeResponse.cost || null,
+      gradedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Grade a finished run with its resolved rubric when auto-grading is enabled
+   * Grading failures are logged, never thrown, so they can't fail the run itself
+   * @param {Object} testResult - Saved test result
+   * @returns {Promise<Object|null>} Quality grade, or null when disabled or grading failed
+   */
+  async autoGradeRun(testResult) {
+    if (!settingsService.getSection('grading').autoGrade || !testResult?.response) {
+      return null;
+    }
+
+    try {
+      const rubric = await this.resolveRubric(testResult.scenarioId);
+      return await this.gradeRun(testResult, rubric);
+    } catch (error) {
+      console.warn(`[QualityGraderService] Auto-grading ${testResult.id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the judge prompt for a run
+   * @param {Object} testResult - Saved test result
+   * @param {Object} rubric - Rubric definition
+   * @param {Object} scale - Rubric scale { min, max }
+   * @returns {string} Judge prompt
+   */
+  buildJudgePrompt(testResult, rubric, scale) {
+    const sections = [];
+
+    sections.push(`## Rubric: ${rubric.name}`);
+    sections.push(`Score every criterion from ${scale.min} (worst) to ${scale.max} (best).`);
+    sections.push(rubric.criteria.map(criterion =>
+      `- ${criterion.id} (${criterion.name}, weight ${criterion.weight || 1}): ${criterion.description || criterion.name}`
+    ).join('\n'));
+
+    sections.push(`## System prompt\n${testResult.systemPrompt || '(none)'}`);
+    sections.push(`## User prompt\n${testResult.userPrompt || testResult.prompt || '(none)'}`);
+
+    if (testResult.datasetContent) {
+      sections.push(`## Data\n${graderService.truncateForJudge(testResult.datasetContent, MAX_DATASET_CHARS)}`);
+    }
+
+    const toolCalls = testResult.toolUsage?.toolCalls || [];
+    if (toolCalls.length > 0) {
+      sections.push(`## Tool calls made by the model\n${toolCalls.map((call, index) => {
+        const outcome = call.success === false ? 'FAILED' : graderService.truncateForJudge(JSON.stringify(call.result ?? null), MAX_TOOL_RESULT_CHARS);
+        return `${index + 1}. ${call.toolName}(${JSON.stringify(call.input ?? call.parameters ?? {})}) → ${outcome}`;
+      }).join('\n')}`);
+    }
+
+    sections.push(`## Response to grade\n${graderService.truncateForJudge(testResult.response, MAX_RESPONSE_CHARS)}`);
+
+    return sections.join('\n\n');
+  }
+}
+
+// Create and export singleton instance
+export const qualityGraderService = new QualityGraderService();
@@ -0,0 +1,357 @@
+import { bedrockService } from './bedrockService.js';
+import { toolExecutionService } from './toolExecutionService.js';
+import { throughputManager } from './throughputManager.js';
+import { batchRunService } from './batchRunService.js';
+import { scenarioService } from './scenarioService.js';
+import { costTrackingService } from './costTrackingService.js';
+import { handleError } from '../utils/errorHandling.js';
+import { sumCosts } from '../utils/costEstimation.js';
+import { chunkDatasetRows, formatDelimitedRow } from '../utils/datasetRows.js';
+
+/**
+ * Most rows sent in one request
+ */
+export const MAX_CHUNK_SIZE = 100;
+
+/**
+ * Most requests in one row-wise run
+ */
+export const MAX_ROW_CHUNKS = 5000;
+
+/**
+ * Every scalar value in a tool call's input, trimmed, including the items of arrays and nested objects
+ * @private
+ */
+const collectInputValues = (input, values = new Set()) => {
+  if (Array.isArray(input)) {
+    input.forEach(item => collectInputValues(item, values));
+  } else if (input && typeof input === 'object') {
+    Object.values(input).forEach(value => collectInputValues(value, values));
+  } else if (input !== null && input !== undefined) {
+    values.add(String(input).trim());
+  }
+  return values;
+};
+
+/**
+ * Service for row-wise dataset execution: the prompt runs once per dataset row, or per chunk
+ * of rows, instead of once over the whole file. Chunks go through ThroughputManager against the
+ * model's limits. Results stay in memory and are exported rather than written to History, which
+ * only keeps the most recent 100 runs.
+ */
+export class RowRunService {
+  constructor() {
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Generate a unique row run identifier
+   * @returns {string} Row run ID
+   */
+  generateRunId() {
+    return `rows_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Split a dataset into the chunks a run would send
+   * @param {string} content - Dataset content
+   * @param {number} chunkSize - Rows per request
+   * @param {Object} options - { keyColumn } column that identifies a row
+   * @returns {Object} { format, columns, rowCount, chunks }
+   */
+  planRun(content, chunkSize, options = {}) {
+    return chunkDatasetRows(content, chunkSize, options);
+  }
+
+  /**
+   * Validate a row run before starting it
+   * @param {Object} config - { modelId, userPrompt, content, chunkSize }
+   * @param {Object|null} plan - Result of planRun for the same content, to avoid parsing it again
+   * @returns {string[]} Validation error messages
+   */
+  validateRunConfig(config, plan = null) {
+    const errors = [];
+
+    if (!config.modelId) {
+      errors.push('Select a model');
+    }
+    if (!config.userPrompt?.trim()) {
+      errors.push('Enter a user prompt');
+    }
+    if (!Number.isInteger(config.chunkSize) || config.chunkSize < 1 || config.chunkSize > MAX_CHUNK_SIZE) {
+      errors.push(`Rows per request must be a whole number from 1 to ${MAX_CHUNK_SIZE}`);
+    }
+    if (!config.content) {
+      errors.push('Select a dataset');
+      return errors;
+    }
+
+    try {
+      const { chunks } = plan || this.planRun(config.content, config.chunkSize);
+      if (chunks.length > MAX_ROW_CHUNKS) {
+        errors.push(`The run needs ${chunks.length} requests; the maximum is ${MAX_ROW_CHUNKS}. Send more rows per request.`);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run the prompt once per chunk of dataset rows
+   * @param {Object} config - Run configuration
+   * @param {string} config.scenarioId - Scenario the prompts and dataset belong to
+   * @param {string} config.modelId - Model ID
+   * @param {string} config.systemPrompt - System prompt (may contain {{variables}})
+   * @param {string} config.userPrompt - User prompt (may contain {{variables}})
+   * @param {Object} config.dataset - { id, name, labelled }
+   * @param {string} config.content - Dataset content, label columns already removed in labelled mode
+   * @param {number} config.chunkSize - Rows per request
+   * @param {Object} [config.templateBindings] - Bindings for {{variables}} in the prompts
+   * @param {Object} [config.templateDefaults] - Scenario default bindings
+   * @param {Object} [config.inferenceParams] - Inference parameters
+   * @param {Object} [config.toolConfig] - Tool configuration for the scenario
+   * @param {boolean} [config.useTools] - Execute tools instead of a single model call
+   * @param {number} [config.maxIterations] - Tool execution iteration limit
+   * @param {Object} [config.guardrailConfig] - Guardrail configuration
+   * @param {Object} callbacks - { onStart({ runId, rows, total }), onChunkUpdate(chunk, rows),
+   *   onProgress(completed, total, failed) }
+   * @returns {Promise<Object>} Summary { runId, rows, completed, failed, total, cost, toolCallCounts,
+   *   groundTruthScore, budgetStopMessage, duration, ... }
+   */
+  async runRows(config, callbacks = {}) {
+    const { onStart = () => {}, onChunkUpdate = () => {}, onProgress = () => {} } = callbacks;
+
+    const errors = this.validateRunConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    costTrackingService.assertWithinBudget();
+
+    // Labelled rows are keyed by the ground-truth ID column so partial runs score only what ran
+    const groundTruth = config.dataset?.labelled
+      ? scenarioService.getGroundTruth(config.scenarioId, config.dataset.id)
+      : null;
+    const plan = this.planRun(config.content, config.chunkSize, { keyColumn: groundTruth?.idColumn });
+
+    if (!bedrockService.isReady()) {
+      const initResult = await bedrockService.initialize();
+      if (!initResult.success) {
+        throw new Error(`AWS Bedrock initialization failed: ${initResult.message}`);
+      }
+    }
+
+    if (config.useTools && !toolExecutionService.isInitialized) {
+      await toolExecutionService.initialize({
+        region: import.meta.env.VITE_AWS_REGION || 'us-east-1',
+        accessKeyId: import.meta.env.VITE_AWS_ACCESS_KEY_ID,
+        secretAccessKey: import.meta.env.VITE_AWS_SECRET_ACCESS_KEY,
+        sessionToken: import.meta.env.VITE_AWS_SESSION_TOKEN
+      });
+    }
+
+    const runId = this.generateRunId();
+    const runState = {
+      runId,
+      completed: 0,
+      failed: 0,
+      total: plan.chunks.length,
+      cancelled: false,
+      budgetStopMessage: null,
+      startTime: Date.now()
+    };
+    this.activeRuns.set(runId, runState);
+
+    const chunks = plan.chunks.map(chunk => ({ ...chunk, status: 'pending', result: null, error: null }));
+    const rows = new Array(plan.rowCount);
+    chunks.forEach(chunk => this.updateRows(rows, chunk));
+    onStart({ runId, rows: [...rows], total: chunks.length });
+
+    const notify = (chunk) => {
+      this.updateRows(rows, chunk);
+      onChunkUpdate({ index: chunk.index, status: chunk.status, runId }, chunk.rows.map(row => rows[row.index]));
+    };
+
+    const requests = chunks.map(chunk => async () => {
+      if (runState.cancelled) {
+        chunk.status = 'cancelled';
+        notify(chunk);
+        return null;
+      }
+
+      const budgetStatus = costTrackingService.checkBudget();
+      if (budgetStatus.isBlocked) {
+        runState.budgetStopMessage = budgetStatus.message;
+        chunk.status = 'cancelled';
+        notify(chunk);
+        return null;
+      }
+
+      chunk.status = 'running';
+      notify(chunk);
+
+      chunk.result = await batchRunService.executeRun({
+        modelId: config.modelId,
+        systemTemplate: config.systemPrompt || '',
+        userTemplate: config.userPrompt,
+        dataset: config.dataset,
+        content: chunk.content
+      }, config);
+      chunk.status = 'completed';
+      runState.completed++;
+      notify(chunk);
+      onProgress(runState.completed + runState.failed, runState.total, runState.failed);
+
+      return chunk.result;
+    });
+
+    try {
+      const { errors: requestErrors } = await throughputManager.executeConcurrentRequests(requests, config.modelId);
+      requestErrors.forEach(({ index, error }) => {
+        const chunk = chunks[index];
+        chunk.status = 'error';
+        chunk.error = error.originalMessage || error.userMessage || 'Request failed';
+        runState.failed++;
+        notify(chunk);
+      });
+    } catch (error) {
+      handleError(error, {
+        component: 'RowRunService',
+        operation: 'runRows',
+        modelId: config.modelId
+      });
+      chunks.filter(chunk => chunk.status === 'pending' || chunk.status === 'running').forEach(chunk => {
+        chunk.status = 'error';
+        chunk.error = error.message;
+        runState.failed++;
+        notify(chunk);
+      });
+    }
+
+    onProgress(runState.completed + runState.failed, runState.total, runState.failed);
+
+    runState.endTime = Date.now();
+    this.activeRuns.delete(runId);
+
+    const completedChunks = chunks.filter(chunk => chunk.status === 'completed');
+    const toolCalls = completedChunks.flatMap(chunk => chunk.result.toolUsage?.toolCalls || []);
+    const toolCallCounts = {};
+    toolCalls.forEach(call => {
+      toolCallCounts[call.toolName] = (toolCallCounts[call.toolName] || 0) + 1;
+    });
+
+    const groundTruthScore = groundTruth
+      ? await scenarioService.scoreAgainstGroundTruth(config.scenarioId, config.dataset.id, { toolCalls }, {
+        ids: completedChunks.flatMap(chunk => chunk.rows.map(row => row.key))
+      })
+      : null;
+
+    return {
+      runId,
+      modelId: config.modelId,
+      datasetId: config.dataset?.id || null,
+      datasetName: config.dataset?.name || null,
+      chunkSize: config.chunkSize,
+      columns: plan.columns,
+      rows,
+      completed: runState.completed,
+      failed: runState.failed,
+      total: runState.total,
+      rowCount: plan.rowCount,
+      toolCallCounts,
+      groundTruthScore,
+      cost: sumCosts(completedChunks.map(chunk => chunk.result.cost)),
+      budgetStopMessage: runState.budgetStopMessage,
+      duration: runState.endTime - runState.startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Cancel a running row run; chunks that have not started yet are skipped
+   * @param {string} runId - Row run ID
+   * @returns {boolean} True if the run was found
+   */
+  cancelRun(runId) {
+    const runState = this.activeRuns.get(runId);
+    if (!runState) {
+      return false;
+    }
+    runState.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Rebuild the row records of one chunk from its current state
+   * With several rows per request, a tool call belongs to the rows whose key is the whole value
+   * of one of its input fields (or an item of an array field), so TX1 never claims a call on
+   * TX10; calls that name none of them are shared by every row of the chunk
+   * @private
+   */
+  updateRows(rows, chunk) {
+    const result = chunk.result;
+    const calls = (result?.toolUsage?.toolCalls || []).map(call => ({
+      toolName: call.toolName,
+      input: call.input ?? call.parameters ?? {},
+      success: call.success
+    }));
+    const callValues = calls.map(call => collectInputValues(call.input));
+
+    chunk.rows.forEach(row => {
+      const ownCalls = chunk.rows.length === 1
+        ? calls
+        : calls.filter((_, index) => callValues[index].has(row.key));
+      const sharedCalls = chunk.rows.length === 1
+        ? []
+        : calls.filter((_, index) => !chunk.rows.some(other => callValues[index].has(other.key)));
+
+      rows[row.index] = {
+        rowIndex: row.index,
+        rowKey: row.key,
+        chunkIndex: chunk.index,
+        status: chunk.status,
+        response: result?.response || '',
+        toolCalls: ownCalls,
+        sharedToolCalls: sharedCalls,
+        latency: result ? Math.round(result.responseTime) : null,
+        cost: result?.cost || null,
+        error: chunk.error || null
+      };
+    });
+  }
+
+  /**
+   * Export a run's rows
+   * @param {Object} run - Summary returned by runRows
+   * @param {string} format - 'csv' or 'json'
+   * @param {Array} rows - Rows to export (defaults to every row, e.g. pass the filtered view)
+   * @returns {string} File content
+   */
+  exportRows(run, format, rows = run.rows) {
+    if (format === 'json') {
+      return JSON.stringify({ ...run, rows }, null, 2);
+    }
+
+    const header = ['row', 'key', 'chunk', 'status', 'tool_call_count', 'tools', 'tool_calls', 'shared_tool_calls', 'latency_ms', 'response', 'error'];
+    const lines = rows.map(row => formatDelimitedRow([
+      row.rowIndex + 1,
+      row.rowKey,
+      row.chunkIndex + 1,
+      row.status,
+      row.toolCalls.length,
+      row.toolCalls.map(call => call.toolName).join(';'),
+      JSON.stringify(row.toolCalls),
+      row.sharedToolCalls.length > 0 ? JSON.stringify(row.sharedToolCalls) : '',
+      row.latency ?? '',
+      row.response,
+      row.error || ''
+    ]));
+
+    return [formatDelimitedRow(header), ...lines].join('\n') + '\n';
+  }
+}
+
+// Create and export singleton instance
+export const rowRunService = new RowRunService();
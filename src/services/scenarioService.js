@@ -3,6 +3,10 @@
  */
 
 import { validateScenario, extractScenarioMetadata, migrateScenarioSchema, needsGuardrailsMigration } from '../utils/scenarioModels.js';
+import { worldStateService } from './worldStateService.js';
+import { userDatasetService } from './userDatasetService.js';
+import { coversDataset, extractLabels, scoreToolCalls, stripLabelColumns } from '../utils/groundTruthScoring.js';
+import { applyDatasetSubset, isSubsetActive } from '../utils/datasetSubset.js';
 
 // Import manifest and scenario configurations directly
 import manifestData from '../scenarios/manifest.json' with { type: 'json' };
@@ -19,6 +23,9 @@ const scenarioJsonModules = {
 
 const jsonDatasetModules = import.meta.glob('../scenarios/*/datasets/*.json', { eager: true, import: 'default' });
 
+// Seed data is only needed to generate datasets, so it is loaded on demand
+const seedDataModules = import.meta.glob('../scenarios/*/seed-data.json', { import: 'default' });
+
 /**
  * ScenarioService class for managing scenario operations
  */
@@ -29,6 +36,7 @@ export class ScenarioService {
     this.currentScenario = null;
     this.isInitialized = false;
     this.scanErrors = [];
+    this.userGroundTruth = new Map();
   }
 
   /**
@@ -295,6 +303,17 @@ export class ScenarioService {
     return this.scenarios.get(scenarioId) || null;
   }
 
+  /**
+   * Get the folder a scenario's files live in
+   * Scenario IDs and folder names differ (fraud-detection-comprehensive lives in fraud-detection),
+   * so paths to a scenario's tools, datasets and seed data are built from the manifest
+   * @param {string} scenarioId - The scenario ID
+   * @returns {string|null} Folder name under src/scenarios, or null for scenarios without one
+   */
+  getScenarioFolder(scenarioId) {
+    return manifestData.scenarios.find(s => s.id === scenarioId)?.folder || null;
+  }
+
   /**
    * Get scenario metadata by ID
    * @param {string} scenarioId - The scenario ID
@@ -333,10 +352,88 @@ export class ScenarioService {
    * Get dataset content for a scenario dataset
    * @param {string} scenarioId - The scenario ID
    * @param {string} datasetId - The dataset ID from scenario config
+   * @param {Object} options - { stripLabels } removes the ground-truth label columns of a labelled dataset;
+   *   { subset } keeps only the rows and columns of a dataset subset, applied before labels are removed
+   *   so filters and stratified samples can use the label columns
    * @returns {Promise<string>} Dataset content
    */
-  async getDatasetContent(scenarioId, datasetId) {
+  async getDatasetContent(scenarioId, datasetId, options = {}) {
+    const file = await this.loadDatasetFile(scenarioId, datasetId);
+    const content = isSubsetActive(options.subset) ? applyDatasetSubset(file, options.subset).content : file;
+    const groundTruth = options.stripLabels ? this.getGroundTruth(scenarioId, datasetId) : null;
+    return groundTruth ? stripLabelColumns(content, groundTruth.stripColumns) : content;
+  }
+
+  /**
+   * Get the ground-truth labels of a labelled dataset
+   * @param {string} scenarioId - The scenario ID
+   * @param {string} datasetId - The dataset ID from scenario config
+   * @returns {Promise<Array|null>} Labels [{ id, positive, category }], or null if the dataset is not labelled
+   */
+  async getDatasetLabels(scenarioId, datasetId) {
+    // Loading the file first picks up the ground truth stored with generated datasets
+    const file = await this.loadDatasetFile(scenarioId, datasetId);
+    const groundTruth = this.getGroundTruth(scenarioId, datasetId);
+    if (!groundTruth) {
+      return null;
+    }
+    return extractLabels(file, groundTruth);
+  }
+
+  /**
+   * Score a run's tool calls against the labels of the dataset it ran on
+   * @param {string} scenarioId - The scenario ID
+   * @param {string} datasetId - The dataset ID
+   * @param {Object|null} toolUsage - The run's tool usage
+   * @param {Object} options - { ids } limits scoring to the rows with these IDs, e.g. the rows a partial run covered;
+   *   { subset } limits it to the rows of the dataset subset the run was sent
+   * @returns {Promise<Object|null>} Detection score, or null if the dataset is not labelled or the labels failed to load
+   */
+  async scoreAgainstGroundTruth(scenarioId, datasetId, toolUsage, options = {}) {
     try {
+      const allLabels = await this.getDatasetLabels(scenarioId, datasetId);
+      if (!allLabels) {
+        return null;
+      }
+
+      const groundTruth = this.getGroundTruth(scenarioId, datasetId);
+      let ids = options.ids ? new Set(options.ids) : null;
+      if (isSubsetActive(options.subset)) {
+        const { keys } = applyDatasetSubset(await this.loadDatasetFile(scenarioId, datasetId), options.subset, {
+          keyColumn: groundTruth.idColumn
+        });
+        ids = new Set(keys.filter(key => !ids || ids.has(key)));
+      }
+      const labels = ids ? allLabels.filter(label => ids.has(label.id)) : allLabels;
+
+      return {
+        ...scoreToolCalls(toolUsage?.toolCalls || [], labels, groundTruth.actions),
+        datasetId,
+        labelColumn: groundTruth.labelColumn,
+        categoryColumn: groundTruth.categoryColumn || null,
+        actions: groundTruth.actions.map(action => action.tool)
+      };
+    } catch (error) {
+      console.error(`[ScenarioService] Error scoring against ground truth for ${scenarioId}/${datasetId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load a dataset file's raw text, labels included
+   * @private
+   */
+  async loadDatasetFile(scenarioId, datasetId) {
+    try {
+      if (userDatasetService.isUserDataset(datasetId)) {
+        const imported = await userDatasetService.getDataset(datasetId);
+        if (!imported || imported.scenarioId !== scenarioId) {
+          throw new Error(`Imported dataset ${datasetId} not found in scenario ${scenarioId}; it may have been deleted`);
+        }
+        this.rememberGroundTruth(imported);
+        return imported.content;
+      }
+
       const scenario = this.scenarios.get(scenarioId);
       if (!scenario || !scenario.datasets) {
         throw new Error(`Scenario ${scenarioId} not found or has no datasets`);
@@ -481,22 +578,17 @@ export class ScenarioService {
         const reloadResult = await this.loadScenarioFile(filename);
 
         if (reloadResult.success) {
-          // If scenario has explicit seed data file, we could reload that too
-          if (scenario.seedData?.dataFile) {
-            try {
-              // In a real implementation, this would reload the seed data file
-              // For now, we just log that we would refresh it
-              console.log(`[ScenarioService] Would refresh seed data file: ${scenario.seedData.dataFile}`);
-            } catch (seedError) {
-              console.warn(`[ScenarioService] Could not refresh seed data file:`, seedError);
-            }
-          }
+          // Reset the tool handlers' world state back to the seed data file
+          const worldStateReset = scenario.seedData?.allowReset
+            ? await this.resetWorldState(scenarioId)
+            : false;
 
           return {
             success: true,
             message: `Refreshed seed data for scenario ${scenarioId}`,
             scenarioId: scenarioId,
             hasExplicitSeedData: !!scenario.seedData,
+            worldStateReset,
             hasDatasets: !!(scenario.datasets && scenario.datasets.length > 0)
           };
         } else {
@@ -516,6 +608,22 @@ export class ScenarioService {
     }
   }
 
+  /**
+   * Reset the world state kept by a scenario's tool handlers, if they keep one
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<boolean>} True when a world state was reset
+   */
+  async resetWorldState(scenarioId) {
+    const HandlerUtils = await worldStateService.loadHandlerUtils(scenarioId);
+    if (typeof HandlerUtils?.resetWorldState !== 'function') {
+      return false;
+    }
+
+    await HandlerUtils.resetWorldState();
+    console.log(`[ScenarioService] Reset tool world state for ${scenarioId}`);
+    return true;
+  }
+
   /**
    * Validate scenario with enhanced error reporting
    * @param {Object} scenario - The scenario to validate
@@ -651,7 +759,7 @@ export class ScenarioService {
   /**
    * Get datasets for a scenario
    * @param {string} scenarioId - The scenario ID
-   * @returns {Promise<Array>} Array of datasets
+   * @returns {Promise<Array>} Array of datasets, followed by the ones imported in the browser (imported: true)
    */
   async getDatasets(scenarioId) {
     try {
@@ -660,7 +768,23 @@ export class ScenarioService {
         throw new Error(`Scenario ${scenarioId} not found`);
       }
 
-      return scenario.datasets || [];
+      // Datasets imported in the browser are listed after the scenario's own files
+      const imported = await userDatasetService.listDatasets(scenarioId);
+      imported.forEach(dataset => this.rememberGroundTruth(dataset));
+      return [
+        ...(scenario.datasets || []),
+        ...imported.map(dataset => ({
+          id: dataset.id,
+          name: dataset.name,
+          description: dataset.description,
+          file: dataset.fileName,
+          imported: true,
+          generated: !!dataset.generation,
+          generation: dataset.generation || null,
+          rowCount: dataset.rowCount,
+          schema: dataset.schema
+        }))
+      ];
     } catch (error) {
       console.error(`[ScenarioService] Error getting datasets for ${scenarioId}:`, error);
       return [];
@@ -684,8 +808,10 @@ export class ScenarioService {
         throw new Error(`Scenario ${scenarioId} not found`);
       }
 
-      // Determine if dataset selector should be shown
-      const showDatasetSelector = this.shouldShowDatasetSelector(scenarioId);
+      // Only bundled datasets make a dataset required; generated and imported ones just show the selector
+      const requiresDataset = this.shouldShowDatasetSelector(scenarioId);
+      const showDatasetSelector = requiresDataset ||
+        (await userDatasetService.listDatasets(scenarioId)).length > 0;
 
       // Return the configuration from the scenario, or default values
       const baseConfig = scenario.configuration || {
@@ -699,6 +825,7 @@ export class ScenarioService {
       return {
         ...baseConfig,
         showDatasetSelector,
+        requiresDataset,
         showSystemPromptSelector: scenario.systemPrompts && scenario.systemPrompts.length > 0,
         showUserPromptSelector: scenario.userPrompts && scenario.userPrompts.length > 0,
         showToolSettings: scenario.tools && scenario.tools.length > 0,
@@ -715,6 +842,7 @@ export class ScenarioService {
         maxIterations: 10,
         recommendedModels: [],
         showDatasetSelector: false,
+        requiresDataset: false,
         showSystemPromptSelector: false,
         showUserPromptSelector: false,
         showToolSettings: false,
@@ -762,6 +890,133 @@ export class ScenarioService {
     }
   }
 
+  /**
+   * Get prompt template variable declarations for a scenario
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Array>} Array of { name, default, description }
+   */
+  async getPromptVariables(scenarioId) {
+    try {
+      const scenario = this.scenarios.get(scenarioId);
+      if (!scenario) {
+        throw new Error(`Scenario ${scenarioId} not found`);
+      }
+
+      return scenario.promptVariables || [];
+    } catch (error) {
+      console.error(`[ScenarioService] Error getting prompt variables for ${scenarioId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get examples for a scenario
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Array>} Array of examples with optional assertions
+   */
+  async getExamples(scenarioId) {
+    try {
+      const scenario = this.scenarios.get(scenarioId);
+      if (!scenario) {
+        throw new Error(`Scenario ${scenarioId} not found`);
+      }
+
+      return scenario.examples || [];
+    } catch (error) {
+      console.error(`[ScenarioService] Error getting examples for ${scenarioId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get guardrail red-team probes for a scenario
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Array>} Array of probes labelled block or pass
+   */
+  async getGuardrailProbes(scenarioId) {
+    try {
+      const scenario = this.scenarios.get(scenarioId);
+      if (!scenario) {
+        throw new Error(`Scenario ${scenarioId} not found`);
+      }
+
+      return scenario.guardrailProbes || [];
+    } catch (error) {
+      console.error(`[ScenarioService] Error getting guardrail probes for ${scenarioId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the ground-truth definition for a labelled dataset; generated datasets carry their own,
+   * known once the dataset has been listed with getDatasets or loaded
+   * @param {string} scenarioId - The scenario ID
+   * @param {string} datasetId - The dataset ID
+   * @returns {Object|null} Ground-truth definition, or null if the dataset carries no labels
+   */
+  getGroundTruth(scenarioId, datasetId) {
+    const userGroundTruth = this.userGroundTruth.get(datasetId);
+    if (userGroundTruth) {
+      return userGroundTruth.scenarioId === scenarioId ? userGroundTruth.definition : null;
+    }
+
+    const groundTruth = this.scenarios.get(scenarioId)?.groundTruth;
+    return coversDataset(groundTruth, datasetId) ? groundTruth : null;
+  }
+
+  /**
+   * Keep the ground truth stored with a generated dataset, so getGroundTruth can answer synchronously
+   * once the dataset has been listed or loaded
+   * @private
+   */
+  rememberGroundTruth(record) {
+    if (record.groundTruth) {
+      this.userGroundTruth.set(record.id, {
+        scenarioId: record.scenarioId,
+        definition: { ...record.groundTruth, datasets: [record.id] }
+      });
+    }
+  }
+
+  /**
+   * Get a scenario's seed data
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Object|null>} Parsed seed data file, or null if the scenario has none
+   */
+  async getSeedData(scenarioId) {
+    const scenario = this.scenarios.get(scenarioId);
+    const scenarioInfo = manifestData.scenarios.find(s => s.id === scenarioId);
+    const dataFile = scenario?.seedData?.dataFile;
+    if (!dataFile || !scenarioInfo) {
+      return null;
+    }
+
+    const loadSeedData = seedDataModules[`../scenarios/${scenarioInfo.folder}/${dataFile}`];
+    if (!loadSeedData) {
+      throw new Error(`Seed data file ${dataFile} not found for scenario ${scenarioId}`);
+    }
+    return loadSeedData();
+  }
+
+  /**
+   * Get quality grading rubrics for a scenario
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Array>} Array of rubrics with weighted criteria
+   */
+  async getRubrics(scenarioId) {
+    try {
+      const scenario = this.scenarios.get(scenarioId);
+      if (!scenario) {
+        throw new Error(`Scenario ${scenarioId} not found`);
+      }
+
+      return scenario.rubrics || [];
+    } catch (error) {
+      console.error(`[ScenarioService] Error getting rubrics for ${scenarioId}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Get tool execution mode for a scenario
    * @param {string} scenarioId - The scenario ID
@@ -6,6 +6,7 @@
 
 import { handleError } from '../utils/errorHandling.js';
 import { generateStorageKey } from '../utils/momentoConfig.js';
+import { DEFAULT_MODEL_PRICING } from '../utils/costEstimation.js';
 
 /**
  * Storage key for application settings
@@ -21,7 +22,10 @@ const DEFAULT_SETTINGS = {
     enableThrottlingAlerts: true,
     maxRetryAttempts: 3,
     showDetailedProgress: true,
-    enabled: true
+    enabled: true,
+    // Stop collecting once the grade is clear instead of always running testCount requests
+    adaptiveSampling: false,
+    maxTestCount: 30
   },
   ui: {
     theme: 'light',
@@ -31,11 +35,27 @@ const DEFAULT_SETTINGS = {
     showHelpTooltips: true
   },
   aws: {
+    // 'mock' replays scripted responses from each scenario's mock-responses.json instead of calling AWS
+    provider: import.meta.env.VITE_BEDROCK_PROVIDER === 'mock' ? 'mock' : 'aws',
     region: 'us-east-1',
     timeout: 30000,
     retryAttempts: 3,
     enableCredentialValidation: true
   },
+  cost: {
+    modelPricing: { ...DEFAULT_MODEL_PRICING },
+    budgetEnabled: false,
+    sessionBudget: 5,
+    dailyBudget: 20,
+    budgetAction: 'warn'
+  },
+  grading: {
+    // Judge for both determinism grading and rubric quality grading
+    judgeModelId: 'amazon.nova-pro-v1:0',
+    autoGrade: true,
+    defaultRubricId: 'general-quality',
+    rubrics: []
+  },
   version: '1.0.0',
   lastUpdated: null
 };
@@ -49,7 +69,9 @@ const VALIDATION_RULES = {
     enableThrottlingAlerts: { type: 'boolean' },
     maxRetryAttempts: { min: 1, max: 5, type: 'number' },
     showDetailedProgress: { type: 'boolean' },
-    enabled: { type: 'boolean' }
+    enabled: { type: 'boolean' },
+    adaptiveSampling: { type: 'boolean' },
+    maxTestCount: { min: 3, max: 50, type: 'number' }
   },
   ui: {
     theme: { values: ['light', 'dark', 'auto'], type: 'string' },
@@ -59,10 +81,24 @@ const VALIDATION_RULES = {
     showHelpTooltips: { type: 'boolean' }
   },
   aws: {
+    provider: { values: ['aws', 'mock'], type: 'string' },
     region: { type: 'string', minLength: 1 },
     timeout: { min: 5000, max: 300000, type: 'number' },
     retryAttempts: { min: 0, max: 10, type: 'number' },
     enableCredentialValidation: { type: 'boolean' }
+  },
+  cost: {
+    modelPricing: { type: 'object' },
+    budgetEnabled: { type: 'boolean' },
+    sessionBudget: { min: 0, max: 100000, type: 'number' },
+    dailyBudget: { min: 0, max: 100000, type: 'number' },
+    budgetAction: { values: ['warn', 'block'], type: 'string' }
+  },
+  grading: {
+    judgeModelId: { type: 'string', minLength: 1 },
+    autoGrade: { type: 'boolean' },
+    defaultRubricId: { type: 'string', minLength: 1 },
+    rubrics: { type: 'object' }
   }
 };
 
@@ -184,6 +184,8 @@ export class ThroughputManager {
 
   /**
    * Execute multiple requests with concurrency control and rate limiting
+   * Failed requests are retried with backoff, so a request function may run more than once:
+   * it must be safe to run again after a failed attempt, e.g. only count a request once it succeeds
    * @param {Array} requests - Array of request functions to execute
    * @param {string} modelId - The model ID for rate limiting
    * @param {Object} options - Execution options
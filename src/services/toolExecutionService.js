@@ -1,7 +1,13 @@
-import { BedrockRuntimeClient, ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
+import { ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
 import { analyzeError, handleError, ErrorTypes } from '../utils/errorHandling.js';
 import { workflowTrackingService } from './workflowTrackingService.js';
 import { GuardrailManager } from './bedrock/GuardrailManager.js';
+import { buildInferenceConfig } from '../utils/inferenceParams.js';
+import { costTrackingService } from './costTrackingService.js';
+import { getActiveProvider, createRuntimeClient } from './bedrock/ClientFactory.js';
+import { workflowCassetteService } from './workflowCassetteService.js';
+import { worldStateService } from './worldStateService.js';
+import { scenarioService } from './scenarioService.js';
 
 /**
  * Service for orchestrating tool execution workflows with Bedrock models
@@ -10,6 +16,8 @@ import { GuardrailManager } from './bedrock/GuardrailManager.js';
 export class ToolExecutionService {
   constructor() {
     this.runtimeClient = null;
+    this.clientConfig = null;
+    this.provider = null;
     this.activeExecutions = new Map(); // Track active executions
     this.executionHistory = new Map(); // Store execution history
     this.isInitialized = false;
@@ -37,7 +45,9 @@ export class ToolExecutionService {
         })
       };
 
-      this.runtimeClient = new BedrockRuntimeClient(clientConfig);
+      this.clientConfig = clientConfig;
+      this.provider = getActiveProvider();
+      this.runtimeClient = createRuntimeClient(clientConfig);
 
       // Initialize workflow tracking service
       if (!workflowTrackingService.isInitialized) {
@@ -60,14 +70,21 @@ export class ToolExecutionService {
    * @param {string} userPrompt - User prompt for the model
    * @param {string} content - Additional content/context
    * @param {Object} toolConfig - Tool configuration with available tools
-   * @param {Object} options - Execution options (maxIterations, onStreamUpdate, etc.)
-   * @returns {Promise<Object>} Complete execution result
+   * @param {Object} options - Execution options (maxIterations, onStreamUpdate, inferenceParams, etc.)
+   * @param {Object} [options.cassette] - Recorded run whose model turns and tool results are reused instead of calling the model
+   * @param {number} [options.replayTurns] - Number of recorded turns to reuse before switching to the live model (defaults to all)
+   * @param {Array} [options.messages] - Earlier conversation to continue; userPrompt is sent as the next user message
+   * @param {string} [options.scenarioId] - Scenario whose tool handlers execute the calls
+   * @returns {Promise<Object>} Complete execution result, including a cassette of the run
    */
   async executeWorkflow(modelId, systemPrompt, userPrompt, content = '', toolConfig, options = {}) {
     const executionId = this.generateExecutionId();
     const maxIterations = options.maxIterations || 10;
     const onStreamUpdate = options.onStreamUpdate || (() => {});
     const guardrailConfig = options.guardrailConfig || null;
+    const inferenceParams = options.inferenceParams || null;
+    const cassette = options.cassette || null;
+    const replayTurns = cassette ? Math.min(options.replayTurns ?? cassette.turns.length, cassette.turns.length) : 0;
     const startTime = Date.now();
 
     // Log guardrail configuration for debugging
@@ -94,6 +111,7 @@ export class ToolExecutionService {
       totalDuration: null,
       messages: [], // Conversation history
       workflow: [], // Detailed workflow steps
+      turns: [], // Raw model turns and tool results, recorded for replay
       results: {
         finalResponse: null,
         toolExecutions: [],
@@ -115,8 +133,8 @@ export class ToolExecutionService {
     });
 
     try {
-      // Build initial conversation with system prompt and user message
-      const conversation = [];
+      // Build the conversation, continuing an earlier chat when messages are provided
+      const conversation = [...(options.messages || [])];
 
       // Combine user prompt and content
       const fullUserPrompt = content ? `${userPrompt}\n\nData to analyze:\n${content}` : userPrompt;
@@ -160,22 +178,37 @@ export class ToolExecutionService {
           timestamp: new Date().toISOString()
         });
 
+        // Reuse the recorded turn when re-executing a cassette up to this point
+        const recordedTurn = currentIteration <= replayTurns ? cassette.turns[currentIteration - 1] : null;
+
         // Stream update: Sending request to model
         onStreamUpdate({
           type: 'model_request',
-          content: `🤖 Sending request to ${modelId}...`,
+          content: recordedTurn
+            ? `⏪ Replaying recorded response ${currentIteration}/${replayTurns}...`
+            : `🤖 Sending request to ${modelId}...`,
           iteration: currentIteration,
           timestamp: new Date().toISOString()
         });
 
         // Send request to Bedrock
-        const modelResponse = await this.sendConverseRequest(
-          modelId,
-          systemPrompt,
-          executionState.messages,
-          toolConfig,
-          guardrailConfig
-        );
+        const modelResponse = recordedTurn
+          ? recordedTurn.response
+          : await this.sendConverseRequest(
+            modelId,
+            systemPrompt,
+            executionState.messages,
+            toolConfig,
+            guardrailConfig,
+            inferenceParams
+          );
+
+        executionState.turns.push({
+          iteration: currentIteration,
+          replayed: !!recordedTurn,
+          response: this.toRecordedResponse(modelResponse),
+          toolResults: []
+        });
 
         // Parse guardrail results from the response
         const guardrailResults = this.guardrailManager.parseGuardrailResults(modelResponse);
@@ -190,7 +223,12 @@ export class ToolExecutionService {
             stopReason: modelResponse.stopReason,
             usage: modelResponse.usage,
             hasToolUse: modelResponse.stopReason === 'tool_use',
-            guardrailResults: guardrailResults
+            response: this.extractTextFromContent(modelResponse.output.message.content),
+            toolCalls: (modelResponse.output.message.content || [])
+              .filter(block => block.toolUse)
+              .map(block => ({ name: block.toolUse.name, input: block.toolUse.input })),
+            guardrailResults: guardrailResults,
+            replayed: !!recordedTurn
           }
         });
 
@@ -242,8 +280,10 @@ export class ToolExecutionService {
             modelResponse.output.message.content,
             toolConfig,
             executionState,
-            onStreamUpdate
+            onStreamUpdate,
+            recordedTurn?.toolResults
           );
+          executionState.turns[executionState.turns.length - 1].toolResults = toolResults;
 
           // Add tool result messages to conversation
           const toolResultContent = toolResults.map(result => ({
@@ -332,8 +372,11 @@ export class ToolExecutionService {
         executionId,
         results: executionState.results,
         workflow: executionState.workflow,
+        messages: executionState.messages,
+        cassette: workflowCassetteService.createCassette(executionState),
         metadata: {
           iterationCount: currentIteration,
+          maxIterations,
           totalDuration: executionState.totalDuration,
           toolCallCount: executionState.results.totalToolCalls
         }
@@ -388,20 +431,24 @@ export class ToolExecutionService {
    * @param {Array} messages - Conversation messages
    * @param {Object} toolConfig - Tool configuration
    * @param {Object} guardrailConfig - Optional guardrail configuration
+   * @param {Object} inferenceParams - Optional inference parameters (temperature, topP, maxTokens, stopSequences)
    * @returns {Promise<Object>} Bedrock response
    */
-  async sendConverseRequest(modelId, systemPrompt, messages, toolConfig, guardrailConfig = null) {
+  async sendConverseRequest(modelId, systemPrompt, messages, toolConfig, guardrailConfig = null, inferenceParams = null) {
     if (!this.isInitialized || !this.runtimeClient) {
       throw new Error('Tool execution service not initialized');
     }
 
+    // Recreate the client if the provider was switched in settings since initialization
+    if (this.provider !== getActiveProvider()) {
+      this.provider = getActiveProvider();
+      this.runtimeClient = createRuntimeClient(this.clientConfig);
+    }
+
     const converseParams = {
       modelId: modelId,
       messages: messages,
-      inferenceConfig: {
-        maxTokens: 4000,
-        temperature: 0.7
-      }
+      inferenceConfig: buildInferenceConfig(inferenceParams)
     };
 
     // Add system prompt if provided
@@ -423,7 +470,24 @@ export class ToolExecutionService {
     }
 
     const command = new ConverseCommand(converseParams);
-    return await this.runtimeClient.send(command);
+    const response = await this.runtimeClient.send(command);
+    costTrackingService.recordUsage(modelId, response.usage);
+    return response;
+  }
+
+  /**
+   * Strip transport metadata from a Converse response so it can be stored and replayed
+   * @param {Object} response - Converse response
+   * @returns {Object} Recorded response: { output, stopReason, usage, metrics, trace? }
+   */
+  toRecordedResponse(response) {
+    return {
+      output: response.output,
+      stopReason: response.stopReason,
+      usage: response.usage,
+      metrics: response.metrics,
+      ...(response.trace && { trace: response.trace })
+    };
   }
 
   /**
@@ -473,9 +537,11 @@ export class ToolExecutionService {
    * @param {Object} toolConfig - Tool configuration
    * @param {Object} executionState - Current execution state
    * @param {Function} onStreamUpdate - Callback for streaming updates
+   * @param {Array} [recordedResults] - Recorded tool results to give the model instead of the live
+   *   outputs; the handlers still run so their writes reach the world state
    * @returns {Promise<Array>} Tool execution results
    */
-  async executeToolsFromResponse(messageContent, toolConfig, executionState, onStreamUpdate = () => {}) {
+  async executeToolsFromResponse(messageContent, toolConfig, executionState, onStreamUpdate = () => {}, recordedResults = null) {
     const toolResults = [];
 
     if (!Array.isArray(messageContent)) {
@@ -497,6 +563,16 @@ export class ToolExecutionService {
           }
         });
 
+        const recordedResult = recordedResults?.find(recorded => recorded.toolUseId === toolUse.toolUseId);
+        const toolContext = {
+          executionId: executionState.executionId,
+          toolConfig: toolConfig,
+          datasetType: executionState.options.datasetType,
+          // The tool configuration always names its scenario; datasetType is a dataset ID
+          scenarioId: executionState.options.scenarioId || toolConfig?.scenarioId || null
+        };
+        let stateBefore = null;
+
         try {
           // Stream update: Executing tool
           onStreamUpdate({
@@ -508,13 +584,25 @@ export class ToolExecutionService {
             toolUseId: toolUse.toolUseId
           });
 
-          // Execute the tool
-          const result = await this.executeTool(toolUse.name, toolUse.input, {
-            executionId: executionState.executionId,
-            toolConfig: toolConfig,
-            datasetType: executionState.options.datasetType,
-            scenarioId: executionState.options.datasetType // Use datasetType as scenarioId
-          });
+          // Execute the tool, bracketed by world state snapshots to record its side effects.
+          // Replayed calls run their handler too, so the turns after them see the writes of
+          // the recorded run, but the model is given the recorded output as it was then.
+          let result;
+          let stateChanges = [];
+          stateBefore = await this.captureWorldState(toolContext);
+          if (recordedResult) {
+            try {
+              await this.executeTool(toolUse.name, toolUse.input, toolContext);
+            } catch (error) {
+              console.warn(`[ToolExecutionService] Replayed ${toolUse.name} call failed to re-apply its changes:`, error.message);
+            }
+            result = this.replayToolResult(recordedResult);
+          } else {
+            result = await this.executeTool(toolUse.name, toolUse.input, toolContext);
+          }
+          if (stateBefore) {
+            stateChanges = worldStateService.diffSnapshots(stateBefore, await this.captureWorldState(toolContext));
+          }
 
           toolResults.push({
             toolUseId: toolUse.toolUseId,
@@ -522,6 +610,7 @@ export class ToolExecutionService {
             parameters: toolUse.input,
             result: result,
             success: true,
+            stateChanges,
             timestamp: new Date().toISOString()
           });
 
@@ -545,11 +634,18 @@ export class ToolExecutionService {
               toolName: toolUse.name,
               toolUseId: toolUse.toolUseId,
               result: result,
-              success: true
+              success: true,
+              stateChanges,
+              replayed: !!recordedResult
             }
           });
 
         } catch (error) {
+          // A failed handler may still have written part of its changes
+          const stateChanges = stateBefore
+            ? worldStateService.diffSnapshots(stateBefore, await this.captureWorldState(toolContext))
+            : [];
+
           toolResults.push({
             toolUseId: toolUse.toolUseId,
             toolName: toolUse.name,
@@ -557,6 +653,7 @@ export class ToolExecutionService {
             result: null,
             success: false,
             error: error.message,
+            stateChanges,
             timestamp: new Date().toISOString()
           });
 
@@ -580,7 +677,9 @@ export class ToolExecutionService {
               toolName: toolUse.name,
               toolUseId: toolUse.toolUseId,
               error: error.message,
-              success: false
+              success: false,
+              stateChanges,
+              replayed: !!recordedResult
             }
           });
         }
@@ -590,6 +689,18 @@ export class ToolExecutionService {
     return toolResults;
   }
 
+  /**
+   * Return a recorded tool result, rethrowing the recorded error for failed calls
+   * @param {Object} recordedResult - Tool result from a cassette
+   * @returns {Object} Recorded tool output
+   */
+  replayToolResult(recordedResult) {
+    if (!recordedResult.success) {
+      throw new Error(recordedResult.error || 'Recorded tool call failed');
+    }
+    return recordedResult.result;
+  }
+
   /**
    * Execute a single tool
    * @param {string} toolName - Name of the tool to execute
@@ -612,6 +723,46 @@ export class ToolExecutionService {
     }
   }
 
+  /**
+   * Resolve the scenario whose handlers serve a tool call
+   * @param {Object} context - Execution context
+   * @returns {string|null} Scenario ID
+   */
+  resolveScenarioId(context) {
+    // Get scenario ID from context or toolConfig
+    let scenarioId = context.scenarioId;
+
+    // If not in context, try to extract from toolConfig
+    if (!scenarioId && context.toolConfig && context.toolConfig.scenarioId) {
+      scenarioId = context.toolConfig.scenarioId;
+    }
+
+    // If still not found, try to extract from toolConfig.id (format: "scenario-id-tools")
+    if (!scenarioId && context.toolConfig && context.toolConfig.id) {
+      const match = context.toolConfig.id.match(/^(.+)-tools$/);
+      if (match) {
+        scenarioId = match[1];
+      }
+    }
+
+    return scenarioId || null;
+  }
+
+  /**
+   * Capture the scenario's world state for diffing around a tool call.
+   * Inspection is best-effort and never fails the tool call.
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object|null>} World state snapshot
+   */
+  async captureWorldState(context) {
+    try {
+      return await worldStateService.captureSnapshot(this.resolveScenarioId(context));
+    } catch (error) {
+      console.warn('[ToolExecutionService] Could not capture world state:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Execute a handler-based tool
    * @param {string} handler - Handler string in format "filename.entryPoint"
@@ -631,28 +782,18 @@ export class ToolExecutionService {
 
 
 
-      // Get scenario ID from context or toolConfig
-      let scenarioId = context.scenarioId || context.datasetType;
-
-      // If not in context, try to extract from toolConfig
-      if (!scenarioId && context.toolConfig && context.toolConfig.scenarioId) {
-        scenarioId = context.toolConfig.scenarioId;
-      }
-
-      // If still not found, try to extract from toolConfig.id (format: "scenario-id-tools")
-      if (!scenarioId && context.toolConfig && context.toolConfig.id) {
-        const match = context.toolConfig.id.match(/^(.+)-tools$/);
-        if (match) {
-          scenarioId = match[1];
-        }
-      }
-
+      const scenarioId = this.resolveScenarioId(context);
       if (!scenarioId) {
         throw new Error('Scenario ID not found in context or toolConfig');
       }
 
+      const folder = scenarioService.getScenarioFolder(scenarioId);
+      if (!folder) {
+        throw new Error(`Scenario ${scenarioId} has no folder in the scenario manifest`);
+      }
+
       // Construct the full path to the handler file
-      const handlerPath = `../scenarios/${scenarioId}/${filePath}.js`;
+      const handlerPath = `../scenarios/${folder}/${filePath}.js`;
 
       // Dynamically import the handler module
       const handlerModule = await import(/* @vite-ignore */ handlerPath);
@@ -0,0 +1,218 @@
+/**
+ * Service for datasets imported from the browser using IndexedDB
+ * Imported files and generated datasets are stored per scenario and listed beside the
+ * scenario's bundled datasets, so analysts can try their own data without adding files to the
+ * repository
+ */
+
+import { readImportFile, describeImportSchema, IMPORT_FORMATS } from '../utils/datasetImport.js';
+
+/**
+ * IndexedDB database configuration
+ */
+const DB_NAME = 'UserDatasetsDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+/**
+ * Prefix of imported dataset IDs, which keeps them apart from bundled dataset IDs
+ */
+export const USER_DATASET_PREFIX = 'user_';
+
+/**
+ * UserDatasetService class for managing imported datasets
+ */
+export class UserDatasetService {
+  constructor() {
+    this.db = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize IndexedDB database
+   * @returns {Promise<boolean>} True if initialized successfully
+   */
+  async initialize() {
+    if (this.isInitialized && this.db) {
+      return true;
+    }
+
+    try {
+      if (!('indexedDB' in window)) {
+        console.warn('IndexedDB not supported, imported datasets are unavailable');
+        return false;
+      }
+
+      this.db = await this.openDatabase();
+      this.isInitialized = true;
+      return true;
+
+    } catch (error) {
+      console.error('Failed to initialize imported dataset storage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Open IndexedDB database with proper schema
+   * @returns {Promise<IDBDatabase>} Database instance
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => {
+        reject(new Error(`Failed to open database: ${request.error?.message}`));
+      };
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('scenarioId', 'scenarioId', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * Whether a dataset ID belongs to an imported dataset
+   * @param {string} datasetId - Dataset ID
+   * @returns {boolean} True for imported datasets
+   */
+  isUserDataset(datasetId) {
+    return typeof datasetId === 'string' && datasetId.startsWith(USER_DATASET_PREFIX);
+  }
+
+  /**
+   * Generate a unique imported dataset identifier
+   * @returns {string} Dataset ID
+   */
+  generateDatasetId() {
+    return `${USER_DATASET_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Read a file, sniff its schema and store it as a dataset of a scenario
+   * @param {string} scenarioId - Scenario the dataset belongs to
+   * @param {File} file - CSV, TSV, JSON, JSONL or XLSX file
+   * @returns {Promise<Object>} The stored dataset record
+   * @throws {Error} When the file can't be read or IndexedDB is unavailable
+   */
+  async importFile(scenarioId, file) {
+    if (!await this.initialize()) {
+      throw new Error('Importing datasets needs IndexedDB, which this browser does not provide');
+    }
+
+    const imported = await readImportFile(file);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+
+    const record = await this.saveDataset(scenarioId, {
+      name: imported.schema.sheet ? `${baseName} (${imported.schema.sheet})` : baseName,
+      description: `Imported ${IMPORT_FORMATS[imported.format]} · ${describeImportSchema(imported.schema, imported.rowCount)}`,
+      fileName: file.name,
+      format: imported.format,
+      schema: imported.schema,
+      rowCount: imported.rowCount,
+      content: imported.content
+    });
+    console.log(`[UserDatasetService] Imported ${file.name} into ${scenarioId} as ${record.id}`);
+    return record;
+  }
+
+  /**
+   * Store dataset content built in the browser (imported or generated) as a dataset of a scenario
+   * @param {string} scenarioId - Scenario the dataset belongs to
+   * @param {Object} dataset - { name, description, fileName, format, schema, rowCount, content } and
+   *   any extra fields to keep with it
+   * @returns {Promise<Object>} The stored dataset record, with its new ID
+   * @throws {Error} When IndexedDB is unavailable
+   */
+  async saveDataset(scenarioId, dataset) {
+    if (!await this.initialize()) {
+      throw new Error('Saving datasets needs IndexedDB, which this browser does not provide');
+    }
+
+    const record = {
+      ...dataset,
+      id: this.generateDatasetId(),
+      scenarioId,
+      importedAt: new Date().toISOString()
+    };
+
+    await this.runRequest('readwrite', store => store.put(record));
+    return record;
+  }
+
+  /**
+   * List a scenario's imported datasets, without their content
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<Array<Object>>} Dataset records, oldest first
+   */
+  async listDatasets(scenarioId) {
+    try {
+      if (!await this.initialize()) {
+        return [];
+      }
+
+      const records = await this.runRequest('readonly', store => store.index('scenarioId').getAll(scenarioId));
+      return records
+        .sort((a, b) => a.importedAt.localeCompare(b.importedAt))
+        .map(({ content, ...record }) => record);
+    } catch (error) {
+      console.error('Failed to list imported datasets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get an imported dataset
+   * @param {string} datasetId - Dataset ID
+   * @returns {Promise<Object|null>} Dataset record with content, or null if not found
+   */
+  async getDataset(datasetId) {
+    if (!await this.initialize()) {
+      return null;
+    }
+    return (await this.runRequest('readonly', store => store.get(datasetId))) || null;
+  }
+
+  /**
+   * Delete an imported dataset
+   * @param {string} datasetId - Dataset ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  async deleteDataset(datasetId) {
+    try {
+      if (!await this.initialize()) {
+        return false;
+      }
+      await this.runRequest('readwrite', store => store.delete(datasetId));
+      return true;
+    } catch (error) {
+      console.error('Failed to delete imported dataset:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Run one request against the datasets store
+   * @private
+   */
+  runRequest(mode, createRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORE_NAME], mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Imported dataset storage failed: ${request.error?.message}`));
+    });
+  }
+}
+
+// Create and export singleton instance
+export const userDatasetService = new UserDatasetService();
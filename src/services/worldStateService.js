@@ -0,0 +1,384 @@
+import { scenarioService } from './scenarioService.js';
+
+// Values that differ between runs even when the agent took the same actions
+const ISO_TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})/g;
+const GENERATED_ID_PATTERN = /\b([A-Za-z]+)_\d{10,}_[a-z0-9]+\b/g;
+const LONG_NUMBER_PATTERN = /\d{6,}/g;
+
+// Cap on reported field variations so one runaway run can't flood the report
+const MAX_STATE_VARIATIONS = 20;
+
+/**
+ * Service for inspecting the world state that scenario tool handlers keep in
+ * IndexedDB. Snapshots taken around a tool call are diffed to show what the
+ * call created, changed or deleted; snapshots taken at the end of a run are
+ * stored with the run and compared across determinism iterations.
+ */
+export class WorldStateService {
+  constructor() {
+    // Tail of the isolated-run queue per scenario; runs share one database, so they take turns
+    this.runQueues = new Map();
+  }
+
+  /**
+   * Load a scenario's handler utilities, the owner of its tool storage
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<Function|null>} HandlerUtils class, or null when the scenario keeps no state
+   */
+  async loadHandlerUtils(scenarioId) {
+    const folder = scenarioService.getScenarioFolder(scenarioId);
+    if (!folder) {
+      return null;
+    }
+
+    try {
+      // Same module the tool handlers import at execution time
+      const { HandlerUtils } = await import(/* @vite-ignore */ `../scenarios/${folder}/tools/handlerUtils.js`);
+      return typeof HandlerUtils?.initializeStorage === 'function' ? HandlerUtils : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Capture every record in every store of a scenario's tool database
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<Object|null>} Snapshot: { scenarioId, dbName, capturedAt, stores: { [name]: { keyPath, records: { [key]: record } } } }
+   */
+  async captureSnapshot(scenarioId) {
+    const HandlerUtils = await this.loadHandlerUtils(scenarioId);
+    if (!HandlerUtils) {
+      return null;
+    }
+
+    const db = await HandlerUtils.initializeStorage();
+    const stores = {};
+
+    for (const storeName of Array.from(db.objectStoreNames)) {
+      const { keyPath, records } = await this.readStore(db, storeName);
+      stores[storeName] = {
+        keyPath,
+        records: Object.fromEntries(records.map(record => [String(record[keyPath]), record]))
+      };
+    }
+
+    return {
+      scenarioId,
+      dbName: HandlerUtils.dbName,
+      capturedAt: new Date().toISOString(),
+      stores
+    };
+  }
+
+  /**
+   * Read all records and the key path of one store
+   * @private
+   */
+  readStore(db, storeName) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([storeName], 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve({ keyPath: store.keyPath, records: request.result || [] });
+      request.onerror = () => reject(new Error(`Failed to read ${storeName}`));
+    });
+  }
+
+  /**
+   * Diff two snapshots of the same scenario
+   * @param {Object|null} before - Snapshot taken before the change
+   * @param {Object|null} after - Snapshot taken after the change
+   * @returns {Array} Changes: { store, key, type: 'created'|'updated'|'deleted', before, after, fields }
+   */
+  diffSnapshots(before, after) {
+    if (!before || !after) {
+      return [];
+    }
+
+    const changes = [];
+    const storeNames = new Set([...Object.keys(before.stores), ...Object.keys(after.stores)]);
+
+    for (const store of storeNames) {
+      const beforeRecords = before.stores[store]?.records || {};
+      const afterRecords = after.stores[store]?.records || {};
+      const keys = new Set([...Object.keys(beforeRecords), ...Object.keys(afterRecords)]);
+
+      for (const key of keys) {
+        const previous = beforeRecords[key] || null;
+        const current = afterRecords[key] || null;
+        const fields = this.diffRecords(previous, current);
+
+        if (fields.length === 0) {
+          continue;
+        }
+
+        changes.push({
+          store,
+          key,
+          type: !previous ? 'created' : !current ? 'deleted' : 'updated',
+          before: previous,
+          after: current,
+          fields
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Diff the top-level fields of two records
+   * @param {Object|null} before - Record before the change
+   * @param {Object|null} after - Record after the change
+   * @returns {Array} Field changes: { field, before, after }
+   */
+  diffRecords(before, after) {
+    const fieldNames = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return Array.from(fieldNames)
+      .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+      .map(field => ({
+        field,
+        before: before?.[field],
+        after: after?.[field]
+      }));
+  }
+
+  /**
+   * Reset a scenario's world state. Scenarios whose handlers define
+   * resetWorldState restore their seed data; others have every store cleared.
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<boolean>} True when the scenario has state that was reset
+   */
+  async resetState(scenarioId) {
+    const HandlerUtils = await this.loadHandlerUtils(scenarioId);
+    if (!HandlerUtils) {
+      return false;
+    }
+
+    if (typeof HandlerUtils.resetWorldState === 'function') {
+      await HandlerUtils.resetWorldState();
+      return true;
+    }
+
+    const db = await HandlerUtils.initializeStorage();
+    for (const storeName of Array.from(db.objectStoreNames)) {
+      await new Promise((resolve, reject) => {
+        const request = db.transaction([storeName], 'readwrite').objectStore(storeName).clear();
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(new Error(`Failed to clear ${storeName}`));
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Run a tool workflow against its own copy of the scenario state. Runs of the
+   * same scenario are serialized: each one starts from the seed state (or the
+   * given snapshot) and its final state is captured before the next one starts.
+   * @param {string} scenarioId - Scenario ID
+   * @param {Function} run - Async function executing the workflow
+   * @param {Object} [options]
+   * @param {Object} [options.startFrom] - Snapshot to start from instead of the seed state
+   * @param {Function} [options.onStart] - Called when the run gets its turn, after the runs queued before it
+   * @returns {Promise<Object>} { result, finalState }
+   */
+  async runIsolated(scenarioId, run, options = {}) {
+    const previous = this.runQueues.get(scenarioId) || Promise.resolve();
+    let release;
+    const turn = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => turn);
+    this.runQueues.set(scenarioId, tail);
+
+    await previous;
+    try {
+      options.onStart?.();
+      if (options.startFrom) {
+        await this.restoreSnapshot(options.startFrom);
+      } else {
+        await this.resetState(scenarioId);
+      }
+
+      const result = await run();
+      return { result, finalState: await this.captureSnapshot(scenarioId) };
+    } finally {
+      release();
+      if (this.runQueues.get(scenarioId) === tail) {
+        this.runQueues.delete(scenarioId);
+      }
+    }
+  }
+
+  /**
+   * Replace a scenario's world state with the records of a snapshot
+   * @param {Object|null} snapshot - Snapshot from captureSnapshot
+   * @returns {Promise<boolean>} True when the snapshot was restored
+   */
+  async restoreSnapshot(snapshot) {
+    if (!snapshot?.stores) {
+      return false;
+    }
+
+    const HandlerUtils = await this.loadHandlerUtils(snapshot.scenarioId);
+    if (!HandlerUtils) {
+      return false;
+    }
+
+    const db = await HandlerUtils.initializeStorage();
+    const storeNames = Object.keys(snapshot.stores).filter(name => db.objectStoreNames.contains(name));
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        store.clear();
+        Object.values(snapshot.stores[storeName].records).forEach(record => store.put(record));
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error('Failed to restore scenario state'));
+    });
+
+    // Shipping handlers cache order lookups; drop them so reads see the restored records
+    if (typeof HandlerUtils.flushCache === 'function') {
+      await HandlerUtils.flushCache();
+    }
+    return true;
+  }
+
+  /**
+   * Compare the final states of several runs of the same test
+   * @param {Array<Object|null>} snapshots - Final state snapshot of each run
+   * @returns {Object|null} { runCount, distinctStates, consistency, variations }, or null
+   *   when fewer than two runs captured state
+   */
+  compareFinalStates(snapshots) {
+    const captured = (snapshots || [])
+      .map((snapshot, index) => ({ run: index + 1, snapshot }))
+      .filter(entry => entry.snapshot?.stores);
+
+    if (captured.length < 2) {
+      return null;
+    }
+
+    const normalized = captured.map(entry => ({
+      run: entry.run,
+      stores: this.normalizeStores(entry.snapshot.stores)
+    }));
+
+    // Group runs whose whole state is identical once volatile values are masked
+    const groups = new Map();
+    normalized.forEach(entry => {
+      const signature = this.stableStringify(entry.stores);
+      groups.set(signature, [...(groups.get(signature) || []), entry.run]);
+    });
+    const largestGroup = Math.max(...Array.from(groups.values()).map(runs => runs.length));
+
+    return {
+      runCount: normalized.length,
+      distinctStates: groups.size,
+      consistency: largestGroup / normalized.length,
+      variations: this.findVariations(normalized)
+    };
+  }
+
+  /**
+   * Mask timestamps and generated IDs so runs that took the same actions compare equal
+   * @private
+   */
+  normalizeStores(stores) {
+    return Object.fromEntries(Object.entries(stores).map(([storeName, { records }]) => {
+      const normalizedRecords = {};
+      Object.entries(records).forEach(([key, record]) => {
+        let normalizedKey = this.normalizeValue(key);
+        // Two generated keys can mask to the same value; keep both records
+        for (let suffix = 2; normalizedRecords[normalizedKey] !== undefined; suffix++) {
+          normalizedKey = `${this.normalizeValue(key)}#${suffix}`;
+        }
+        normalizedRecords[normalizedKey] = this.normalizeValue(record);
+      });
+      return [storeName, normalizedRecords];
+    }));
+  }
+
+  /**
+   * Mask timestamps, generated IDs and long numbers in a value
+   * @param {*} value - Record, key or field value
+   * @returns {*} Value with volatile parts replaced by placeholders
+   */
+  normalizeValue(value) {
+    if (typeof value === 'string') {
+      return value
+        .replace(ISO_TIMESTAMP_PATTERN, '<timestamp>')
+        .replace(GENERATED_ID_PATTERN, '$1_<id>')
+        .replace(LONG_NUMBER_PATTERN, '#');
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeValue(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, this.normalizeValue(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * JSON with sorted object keys, for comparing states regardless of field order
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  /**
+   * List record fields whose final value differs between runs
+   * @private
+   */
+  findVariations(normalized) {
+    const variations = [];
+    const storeNames = new Set(normalized.flatMap(entry => Object.keys(entry.stores)));
+
+    for (const store of storeNames) {
+      const keys = new Set(normalized.flatMap(entry => Object.keys(entry.stores[store] || {})));
+
+      for (const key of keys) {
+        const records = normalized.map(entry => entry.stores[store]?.[key]);
+        const fields = new Set(records.flatMap(record => Object.keys(record || {})));
+        // A record missing from some runs is reported as a whole-record variation
+        const fieldNames = records.some(record => !record) ? [null] : Array.from(fields);
+
+        for (const field of fieldNames) {
+          const valuesByRun = new Map();
+          normalized.forEach((entry, index) => {
+            const record = records[index];
+            const value = field === null ? (record ? 'present' : 'absent') : record[field];
+            const signature = this.stableStringify(value);
+            if (!valuesByRun.has(signature)) {
+              valuesByRun.set(signature, { value, runs: [] });
+            }
+            valuesByRun.get(signature).runs.push(entry.run);
+          });
+
+          if (valuesByRun.size > 1) {
+            variations.push({ store, key, field, values: Array.from(valuesByRun.values()) });
+            if (variations.length >= MAX_STATE_VARIATIONS) {
+              return variations;
+            }
+          }
+        }
+      }
+    }
+
+    return variations;
+  }
+}
+
+// Create and export singleton instance
+export const worldStateService = new WorldStateService();
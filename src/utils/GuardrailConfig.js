@@ -352,6 +352,8 @@ export class GuardrailConfig {
     }
 
     const validTypes = ['DENY'];
+    const validActions = ['BLOCK', 'NONE'];
+    const seenNames = new Set();
 
     this.topicPolicyConfig.topicsConfig.forEach((topic, index) => {
       if (!topic.name || typeof topic.name !== 'string') {
@@ -359,6 +361,16 @@ export class GuardrailConfig {
           field: `topicPolicyConfig.topicsConfig[${index}].name`,
           message: 'Topic must have a name'
         });
+      } else {
+        // Violations are reported by topic name, so each topic needs its own
+        const name = topic.name.trim().toLowerCase();
+        if (seenNames.has(name)) {
+          this.validationErrors.push({
+            field: `topicPolicyConfig.topicsConfig[${index}].name`,
+            message: `Topic name "${topic.name}" is used by more than one topic`
+          });
+        }
+        seenNames.add(name);
       }
 
       if (!topic.definition || typeof topic.definition !== 'string') {
@@ -381,6 +393,15 @@ export class GuardrailConfig {
           message: 'Topic examples must be an array'
         });
       }
+
+      ['inputAction', 'outputAction'].forEach(field => {
+        if (topic[field] !== undefined && !validActions.includes(topic[field])) {
+          this.validationErrors.push({
+            field: `topicPolicyConfig.topicsConfig[${index}].${field}`,
+            message: `Invalid topic action. Must be one of: ${validActions.join(', ')}`
+          });
+        }
+      });
     });
   }
 
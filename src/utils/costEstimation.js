@@ -0,0 +1,147 @@
+/**
+ * Cost estimation utilities
+ * Converts Bedrock token usage into an estimated USD cost using a per-model pricing table
+ */
+
+/**
+ * Default on-demand prices in USD per 1,000 tokens (us-east-1).
+ * Prices change over time; users can edit them in Settings → Cost & Budget.
+ */
+export const DEFAULT_MODEL_PRICING = {
+  'amazon.nova-pro-v1:0': { inputPer1K: 0.0008, outputPer1K: 0.0032 },
+  'amazon.nova-lite-v1:0': { inputPer1K: 0.00006, outputPer1K: 0.00024 },
+  'amazon.nova-micro-v1:0': { inputPer1K: 0.000035, outputPer1K: 0.00014 },
+  'anthropic.claude-3-5-sonnet-20241022-v2:0': { inputPer1K: 0.003, outputPer1K: 0.015 },
+  'anthropic.claude-3-5-haiku-20241022-v1:0': { inputPer1K: 0.0008, outputPer1K: 0.004 },
+  'anthropic.claude-3-opus-20240229-v1:0': { inputPer1K: 0.015, outputPer1K: 0.075 },
+  'anthropic.claude-3-sonnet-20240229-v1:0': { inputPer1K: 0.003, outputPer1K: 0.015 },
+  'anthropic.claude-3-haiku-20240307-v1:0': { inputPer1K: 0.00025, outputPer1K: 0.00125 },
+  'meta.llama3-2-90b-instruct-v1:0': { inputPer1K: 0.00072, outputPer1K: 0.00072 },
+  'meta.llama3-2-11b-instruct-v1:0': { inputPer1K: 0.00016, outputPer1K: 0.00016 },
+  'meta.llama3-2-3b-instruct-v1:0': { inputPer1K: 0.00015, outputPer1K: 0.00015 },
+  'meta.llama3-2-1b-instruct-v1:0': { inputPer1K: 0.0001, outputPer1K: 0.0001 },
+  'meta.llama3-1-70b-instruct-v1:0': { inputPer1K: 0.00072, outputPer1K: 0.00072 },
+  'meta.llama3-1-8b-instruct-v1:0': { inputPer1K: 0.00022, outputPer1K: 0.00022 },
+  'mistral.mistral-large-2407-v1:0': { inputPer1K: 0.002, outputPer1K: 0.006 },
+  'mistral.mistral-small-2402-v1:0': { inputPer1K: 0.001, outputPer1K: 0.003 }
+};
+
+/**
+ * Normalize usage from either bedrockService ({ input_tokens }) or raw Converse ({ inputTokens }) shape
+ * @param {Object} usage - Token usage
+ * @returns {Object|null} { input_tokens, output_tokens, total_tokens } or null when no usage is available
+ */
+export const normalizeUsage = (usage) => {
+  if (!usage) {
+    return null;
+  }
+
+  const inputTokens = usage.input_tokens ?? usage.inputTokens ?? 0;
+  const outputTokens = usage.output_tokens ?? usage.outputTokens ?? 0;
+  if (!inputTokens && !outputTokens) {
+    return null;
+  }
+
+  return {
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    total_tokens: usage.total_tokens ?? usage.totalTokens ?? inputTokens + outputTokens
+  };
+};
+
+/**
+ * Look up pricing for a model. Cross-region inference profiles ("us.", "eu.", "apac.")
+ * are priced like the underlying model.
+ * @param {string} modelId - Model or inference profile ID
+ * @param {Object} [pricingTable] - User pricing table; falls back to the defaults
+ * @returns {Object|null} { inputPer1K, outputPer1K } or null when the model has no price
+ */
+export const getModelPricing = (modelId, pricingTable = DEFAULT_MODEL_PRICING) => {
+  if (!modelId) {
+    return null;
+  }
+
+  const baseModelId = modelId.replace(/^(us|eu|apac)\./, '');
+  return pricingTable?.[modelId] ||
+    pricingTable?.[baseModelId] ||
+    DEFAULT_MODEL_PRICING[modelId] ||
+    DEFAULT_MODEL_PRICING[baseModelId] ||
+    null;
+};
+
+/**
+ * Calculate the cost of a single model call or run
+ * @param {Object} usage - Token usage in either shape
+ * @param {string} modelId - Model ID
+ * @param {Object} [pricingTable] - Pricing table
+ * @returns {Object|null} { inputCost, outputCost, totalCost, currency, inputPer1K, outputPer1K } or null
+ */
+export const calculateCost = (usage, modelId, pricingTable = DEFAULT_MODEL_PRICING) => {
+  const normalized = normalizeUsage(usage);
+  const pricing = getModelPricing(modelId, pricingTable);
+  if (!normalized || !pricing) {
+    return null;
+  }
+
+  const inputCost = (normalized.input_tokens / 1000) * pricing.inputPer1K;
+  const outputCost = (normalized.output_tokens / 1000) * pricing.outputPer1K;
+
+  return {
+    inputCost,
+    outputCost,
+    totalCost: inputCost + outputCost,
+    currency: 'USD',
+    inputPer1K: pricing.inputPer1K,
+    outputPer1K: pricing.outputPer1K
+  };
+};
+
+/**
+ * Sum cost objects, ignoring runs without a cost
+ * @param {Array<Object|null>} costs - Cost objects from calculateCost
+ * @returns {Object|null} Summed cost with a count of priced runs, or null when none were priced
+ */
+export const sumCosts = (costs) => {
+  const priced = (costs || []).filter(Boolean);
+  if (priced.length === 0) {
+    return null;
+  }
+
+  return priced.reduce((total, cost) => ({
+    ...total,
+    inputCost: total.inputCost + (cost.inputCost || 0),
+    outputCost: total.outputCost + (cost.outputCost || 0),
+    totalCost: total.totalCost + (cost.totalCost || 0)
+  }), { inputCost: 0, outputCost: 0, totalCost: 0, currency: 'USD', runCount: priced.length });
+};
+
+/**
+ * Get the cost of a saved test result, preferring the snapshot taken when it ran
+ * @param {Object} testResult - Test result or history entry
+ * @param {Object} [pricingTable] - Pricing table used when no snapshot exists
+ * @returns {Object|null} Cost object or null
+ */
+export const getResultCost = (testResult, pricingTable = DEFAULT_MODEL_PRICING) => {
+  if (!testResult) {
+    return null;
+  }
+  return testResult.cost || calculateCost(testResult.usage, testResult.modelId, pricingTable);
+};
+
+/**
+ * Format a USD amount; sub-cent values keep enough precision to be meaningful
+ * @param {number} amount - Amount in USD
+ * @returns {string} Formatted amount, e.g. "$0.0042" or "$1.25"
+ */
+export const formatCost = (amount) => {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) {
+    return '—';
+  }
+  if (amount === 0) {
+    return '$0.00';
+  }
+  if (amount < 0.01) {
+    return `$${amount.toFixed(4)}`;
+  }
+  return `$${amount.toFixed(2)}`;
+};
@@ -0,0 +1,290 @@
+/**
+ * Dataset import utilities
+ * Turn a user's CSV, TSV, JSON, JSONL or XLSX file into dataset content the app can send to a
+ * model, sniffing its schema on the way: the delimiter, whether the first row is a header,
+ * and the type of each column.
+ *
+ * Tabular files (CSV, TSV, other delimiters, XLSX) are stored as comma-separated CSV with a
+ * header row; files without a header get column_1, column_2, ... names. JSON Lines files are
+ * stored as a JSON array of their records.
+ */
+
+import { parseDelimitedText, formatDelimitedRow } from './datasetRows.js';
+import { readXlsxSheets } from './xlsxReader.js';
+
+export const IMPORT_FORMATS = {
+  csv: 'CSV',
+  tsv: 'TSV',
+  txt: 'Delimited text',
+  json: 'JSON',
+  jsonl: 'JSON Lines',
+  ndjson: 'JSON Lines',
+  xlsx: 'Excel workbook'
+};
+
+/**
+ * Largest file that can be imported
+ */
+export const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+
+const DELIMITER_NAMES = { ',': 'comma', '\t': 'tab', ';': 'semicolon', '|': 'pipe' };
+
+// Rows read when sniffing a delimiter; enough to see past a title line or a ragged row
+const SNIFF_LINES = 50;
+
+/**
+ * File extension of an importable file
+ * @param {string} fileName - File name
+ * @returns {string|null} Lower-case extension, or null when the format is not supported
+ */
+export const getImportFormat = (fileName) => {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  return IMPORT_FORMATS[extension] ? extension : null;
+};
+
+/**
+ * Pick the delimiter that splits the first lines of a text into the most consistent columns
+ * @param {string} text - Delimited text
+ * @returns {string} Delimiter
+ */
+export const sniffDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, SNIFF_LINES).join('\n');
+
+  let best = { delimiter: ',', score: -1 };
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const widths = parseDelimitedText(sample, delimiter).map(fields => fields.length);
+    if (widths.length === 0) return;
+
+    const counts = new Map();
+    widths.forEach(width => counts.set(width, (counts.get(width) || 0) + 1));
+    const [width, rows] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+
+    // Rows sharing the most common width, weighted towards splits that yield columns at all
+    const score = width > 1 ? rows / widths.length + Math.min(width, 10) / 100 : 0;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+const isBoolean = (value) => /^(true|false|yes|no)$/i.test(value);
+const isInteger = (value) => /^-?\d+$/.test(value);
+const isNumber = (value) => value !== '' && Number.isFinite(Number(value.replace(/^\+/, '')));
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+  || /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(value);
+
+/**
+ * Infer a column's type from its values
+ * @param {Array} values - Column values
+ * @returns {string} 'integer', 'number', 'boolean', 'date', 'text' or 'empty'
+ */
+export const inferColumnType = (values) => {
+  const filled = values
+    .map(value => (value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value).trim()))
+    .filter(value => value !== '');
+  if (filled.length === 0) return 'empty';
+
+  if (filled.every(isBoolean)) return 'boolean';
+  if (filled.every(isInteger)) return 'integer';
+  if (filled.every(isNumber)) return 'number';
+  if (filled.every(isDate)) return 'date';
+  return 'text';
+};
+
+/**
+ * Decide whether the first row of a table names its columns
+ * A header row has distinct, non-empty cells, and no cell that looks like the column's data
+ * when the rest of the column is numeric, boolean or a date
+ * @param {string[][]} rows - Table rows
+ * @returns {boolean} True if the first row is a header
+ */
+export const detectHeader = (rows) => {
+  if (rows.length < 2) {
+    return rows.length === 1;
+  }
+
+  const [first, ...rest] = rows;
+  const cells = first.map(cell => String(cell).trim());
+  if (cells.some(cell => cell === '') || new Set(cells).size !== cells.length) {
+    return false;
+  }
+
+  const sample = rest.slice(0, 200);
+  let typedColumns = 0;
+  let headerLike = 0;
+  cells.forEach((cell, index) => {
+    const type = inferColumnType(sample.map(row => row[index]));
+    if (['integer', 'number', 'boolean', 'date'].includes(type)) {
+      typedColumns++;
+      if (inferColumnType([cell]) !== type && !(type === 'number' && inferColumnType([cell]) === 'integer')) {
+        headerLike++;
+      }
+    }
+  });
+
+  // With only text columns there is nothing to tell a header from data; assume the common case
+  return typedColumns === 0 || headerLike === typedColumns;
+};
+
+/**
+ * Sniff the schema of a table and name its columns
+ * @private
+ */
+const buildTable = (rows) => {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const hasHeader = detectHeader(rows);
+  const header = hasHeader
+    ? rows[0].map((cell, index) => String(cell).trim() || `column_${index + 1}`)
+    : [];
+  const names = Array.from({ length: width }, (_, index) => header[index] || `column_${index + 1}`);
+
+  // Repeated header cells would collapse into one column
+  const seen = new Map();
+  const columnNames = names.map(name => {
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : `${name}_${count + 1}`;
+  });
+
+  const dataRows = (hasHeader ? rows.slice(1) : rows).map(row => Array.from({ length: width }, (_, index) => row[index] ?? ''));
+  if (dataRows.length === 0) {
+    throw new Error('The file has a header but no rows');
+  }
+
+  return {
+    hasHeader,
+    columns: columnNames.map((name, index) => ({ name, type: inferColumnType(dataRows.map(row => row[index])) })),
+    content: [formatDelimitedRow(columnNames), ...dataRows.map(row => formatDelimitedRow(row))].join('\n') + '\n',
+    rowCount: dataRows.length
+  };
+};
+
+/**
+ * Parse JSON Lines text into records
+ * @param {string} text - One JSON value per line
+ * @returns {Array} Records
+ * @throws {Error} Naming the first line that is not valid JSON
+ */
+export const parseJsonLines = (text) =>
+  text.split(/\r?\n/).reduce((records, line, index) => {
+    if (!line.trim()) return records;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+    return records;
+  }, []);
+
+const buildRecords = (records) => {
+  if (records.length === 0) {
+    throw new Error('The file has no records');
+  }
+
+  const objects = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+  const names = [];
+  objects.forEach(record => Object.keys(record).forEach(key => {
+    if (!names.includes(key)) names.push(key);
+  }));
+
+  return {
+    hasHeader: false,
+    columns: names.map(name => ({ name, type: inferColumnType(objects.map(record => record[name])) })),
+    content: JSON.stringify(records, null, 2),
+    rowCount: records.length
+  };
+};
+
+/**
+ * Read an imported file into dataset content and its sniffed schema
+ * @param {File} file - File chosen or dropped by the user
+ * @returns {Promise<Object>} { format, content, rowCount, schema: { delimiter, hasHeader, sheet, sheetCount, columns: [{ name, type }] } }
+ * @throws {Error} When the file is too large, unsupported or unreadable
+ */
+export const readImportFile = async (file) => {
+  const format = getImportFormat(file.name);
+  if (!format) {
+    throw new Error(`Unsupported file type; import ${Object.keys(IMPORT_FORMATS).map(ext => `.${ext}`).join(', ')} files`);
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    throw new Error(`The file is ${(file.size / 1024 / 1024).toFixed(1)} MB; the import limit is ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+  }
+
+  if (format === 'xlsx') {
+    const sheets = await readXlsxSheets(await file.arrayBuffer());
+    const sheet = sheets.find(candidate => candidate.rows.some(row => row.some(cell => cell !== '')));
+    if (!sheet) {
+      throw new Error('The workbook has no sheet with data');
+    }
+    const table = buildTable(sheet.rows.filter(row => row.some(cell => cell !== '')));
+    return {
+      format,
+      content: table.content,
+      rowCount: table.rowCount,
+      schema: { delimiter: null, hasHeader: table.hasHeader, sheet: sheet.name, sheetCount: sheets.length, columns: table.columns }
+    };
+  }
+
+  // Strip a byte-order mark so it doesn't end up in the first column name
+  const text = (await file.text()).replace(/^\uFEFF/, '');
+  if (!text.trim()) {
+    throw new Error('The file is empty');
+  }
+
+  if (format === 'jsonl' || format === 'ndjson' || format === 'json') {
+    let records;
+    if (format === 'json') {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+      }
+      records = Array.isArray(data) ? data : data && typeof data === 'object'
+        ? Object.values(data).find(Array.isArray) || [data]
+        : [data];
+    } else {
+      records = parseJsonLines(text);
+    }
+    const table = buildRecords(records);
+    return {
+      format,
+      content: table.content,
+      rowCount: table.rowCount,
+      schema: { delimiter: null, hasHeader: false, sheet: null, columns: table.columns }
+    };
+  }
+
+  const delimiter = format === 'tsv' ? '\t' : sniffDelimiter(text);
+  const table = buildTable(parseDelimitedText(text, delimiter));
+  return {
+    format,
+    content: table.content,
+    rowCount: table.rowCount,
+    schema: { delimiter, hasHeader: table.hasHeader, sheet: null, columns: table.columns }
+  };
+};
+
+/**
+ * One-line description of a sniffed schema
+ * @param {Object} schema - Schema from readImportFile
+ * @param {number} rowCount - Rows imported
+ * @returns {string} Description
+ */
+export const describeImportSchema = (schema, rowCount) => {
+  const parts = [`${rowCount} row${rowCount !== 1 ? 's' : ''}`, `${schema.columns.length} column${schema.columns.length !== 1 ? 's' : ''}`];
+  if (schema.sheet) {
+    parts.push(`sheet "${schema.sheet}"${schema.sheetCount > 1 ? ` of ${schema.sheetCount}` : ''}`);
+  }
+  if (schema.delimiter) {
+    parts.push(`${DELIMITER_NAMES[schema.delimiter]}-delimited`);
+  }
+  if (schema.delimiter || schema.sheet) {
+    parts.push(schema.hasHeader ? 'header row detected' : 'no header row, columns numbered');
+  }
+  return parts.join(' · ');
+};
@@ -0,0 +1,228 @@
+/**
+ * Dataset row utilities
+ * Parse dataset content into rows and split it into chunks that keep the dataset's own format,
+ * so each chunk can be sent to the model in place of the whole file.
+ *
+ * CSV and TSV content is split below its header row, which every chunk repeats. JSON content
+ * is split when it is an array of records, or an object whose first array property holds them
+ * (e.g. { "orders": [...] }); each chunk keeps that wrapper.
+ */
+
+/**
+ * Delimiter of CSV or TSV text, read from its header row
+ * @param {string} text - Delimited text
+ * @returns {string} ',' or '\t'
+ */
+export const detectDelimiter = (text) => {
+  const newline = text.indexOf('\n');
+  const headerLine = newline === -1 ? text : text.slice(0, newline);
+  return headerLine.includes('\t') && !headerLine.includes(',') ? '\t' : ',';
+};
+
+/**
+ * Parse CSV or TSV text into rows of fields, honouring quoted fields
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter (detected from the header when omitted)
+ * @returns {string[][]} Rows, header first
+ */
+export const parseDelimitedText = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines parse as a single empty field
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+/**
+ * Join fields into one delimited line, quoting the fields that need it
+ * @param {Array} fields - Field values
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Delimited line
+ */
+export const formatDelimitedRow = (fields, delimiter = ',') =>
+  fields
+    .map(value => {
+      const field = value === null || value === undefined ? '' : String(value);
+      return field.includes(delimiter) || field.includes('"') || field.includes('\n') || field.includes('\r')
+        ? `"${field.replace(/"/g, '""')}"`
+        : field;
+    })
+    .join(delimiter);
+
+const getRecordKey = (record, index, keyColumn) => {
+  if (record && typeof record === 'object' && !Array.isArray(record)) {
+    const key = record[keyColumn || 'id'];
+    if (key !== undefined && key !== null && key !== '') {
+      return String(key);
+    }
+    const firstValue = Object.values(record).find(value => ['string', 'number'].includes(typeof value));
+    if (firstValue !== undefined) {
+      return String(firstValue);
+    }
+  }
+  return `#${index + 1}`;
+};
+
+/**
+ * Find the records of a JSON dataset
+ * @private
+ */
+const getJsonRecords = (data) => {
+  if (Array.isArray(data)) {
+    return { records: data, wrapperKey: null };
+  }
+  if (data && typeof data === 'object') {
+    const wrapperKey = Object.keys(data).find(key => Array.isArray(data[key]));
+    if (wrapperKey) {
+      return { records: data[wrapperKey], wrapperKey };
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse dataset content into rows
+ * @param {string} content - CSV, TSV or JSON dataset content
+ * @param {Object} options - { keyColumn } names the column that identifies a row; by default
+ *   a JSON record's id, or the first column
+ * @returns {Object} { format: 'delimited'|'json', columns, rows: [{ index, key, values }] } where
+ *   values maps column names to field values
+ * @throws {Error} When the content has no rows to split
+ */
+export const parseDatasetRows = (content, options = {}) => {
+  const text = (content || '').trim();
+  if (!text) {
+    throw new Error('The dataset is empty');
+  }
+
+  if (text.startsWith('[') || text.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The dataset is not valid JSON: ${error.message}`);
+    }
+
+    const json = getJsonRecords(data);
+    if (!json || json.records.length === 0) {
+      throw new Error('The JSON dataset has no array of records to split into rows');
+    }
+
+    const columns = [];
+    json.records.forEach(record => {
+      if (record && typeof record === 'object' && !Array.isArray(record)) {
+        Object.keys(record).forEach(key => {
+          if (!columns.includes(key)) columns.push(key);
+        });
+      }
+    });
+
+    return {
+      format: 'json',
+      wrapperKey: json.wrapperKey,
+      columns,
+      rows: json.records.map((record, index) => ({
+        index,
+        key: getRecordKey(record, index, options.keyColumn),
+        record,
+        values: record && typeof record === 'object' && !Array.isArray(record) ? record : { value: record }
+      }))
+    };
+  }
+
+  const delimiter = detectDelimiter(text);
+  const [header, ...rows] = parseDelimitedText(text, delimiter);
+  if (!header || rows.length === 0) {
+    throw new Error('The dataset has a header but no rows');
+  }
+
+  const columns = header.map(column => column.trim());
+  const keyIndex = Math.max(0, options.keyColumn ? columns.indexOf(options.keyColumn) : 0);
+  return {
+    format: 'delimited',
+    delimiter,
+    columns,
+    rows: rows.map((fields, index) => ({
+      index,
+      key: (fields[keyIndex] || '').trim() || `#${index + 1}`,
+      fields,
+      values: Object.fromEntries(columns.map((column, columnIndex) => [column, fields[columnIndex] ?? '']))
+    }))
+  };
+};
+
+/**
+ * Split dataset content into chunks of rows, each in the dataset's own format
+ * @param {string} content - CSV, TSV or JSON dataset content
+ * @param {number} chunkSize - Rows per chunk
+ * @param {Object} options - Same options as parseDatasetRows
+ * @returns {Object} { format, columns, rowCount, chunks: [{ index, rows: [{ index, key }], content }] }
+ */
+export const chunkDatasetRows = (content, chunkSize = 1, options = {}) => {
+  const parsed = parseDatasetRows(content, options);
+  const size = Math.max(1, Math.floor(chunkSize) || 1);
+  const headerLine = parsed.format === 'delimited' ? formatDelimitedRow(parsed.columns, parsed.delimiter) : null;
+  const chunks = [];
+
+  for (let start = 0; start < parsed.rows.length; start += size) {
+    const rows = parsed.rows.slice(start, start + size);
+    let chunkContent;
+
+    if (parsed.format === 'delimited') {
+      chunkContent = [headerLine, ...rows.map(row => formatDelimitedRow(row.fields, parsed.delimiter))].join('\n');
+    } else {
+      const records = rows.map(row => row.record);
+      chunkContent = JSON.stringify(parsed.wrapperKey ? { [parsed.wrapperKey]: records } : records, null, 2);
+    }
+
+    chunks.push({
+      index: chunks.length,
+      rows: rows.map(row => ({ index: row.index, key: row.key })),
+      content: chunkContent
+    });
+  }
+
+  return {
+    format: parsed.format,
+    columns: parsed.columns,
+    rowCount: parsed.rows.length,
+    chunks
+  };
+};
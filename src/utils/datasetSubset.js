@@ -0,0 +1,522 @@
+/**
+ * Dataset subset utilities
+ * A subset narrows a dataset before it is sent to the model: rows are filtered by an
+ * expression, then optionally sampled, then limited to the chosen columns. The definition is
+ * plain data so it can be stored with a run and applied again to reproduce it.
+ *
+ * Subset format:
+ *   {
+ *     "filter": "amount > 1000 AND geo != 'US'",
+ *     "sample": { "mode": "stratified", "size": 50, "column": "is_anomaly", "seed": 48213 },
+ *     "columns": ["transaction_id", "amount", "geo"]
+ *   }
+ *
+ * Filter expressions compare a column with a value using =, !=, >, >=, <, <=, CONTAINS or
+ * IN ('a', 'b'), and combine comparisons with AND, OR, NOT and parentheses. Values are numbers,
+ * quoted strings or bare words; column names with spaces go in backticks. Numbers compare
+ * numerically, everything else as case-insensitive text.
+ *
+ * Sample modes are 'all', 'random' (size rows) and 'stratified' (size rows split across the
+ * values of a column in proportion, keeping at least one row of each value when size allows).
+ * Sampling is seeded, so the same seed always picks the same rows. A null columns list keeps
+ * every column.
+ */
+
+import { parseDatasetRows, formatDelimitedRow } from './datasetRows.js';
+
+export const SAMPLE_MODES = ['all', 'random', 'stratified'];
+
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '>', '>=', '<', '<='];
+
+/**
+ * Whether a subset definition changes the dataset at all
+ * @param {Object|null} subset - Subset definition
+ * @returns {boolean} True if the subset filters, samples or drops columns
+ */
+export const isSubsetActive = (subset) =>
+  !!subset && (
+    !!subset.filter?.trim() ||
+    (!!subset.sample && subset.sample.mode !== 'all') ||
+    Array.isArray(subset.columns)
+  );
+
+/**
+ * A random seed for sampling
+ * @returns {number} Seed
+ */
+export const generateSampleSeed = () => Math.floor(Math.random() * 1000000);
+
+/**
+ * Split a filter expression into tokens
+ * @private
+ */
+const tokenizeFilter = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if ('=!<>'.includes(char)) {
+      const pair = expression.slice(i, i + 2);
+      const operator = COMPARISON_OPERATORS.includes(pair) ? pair : char;
+      if (!COMPARISON_OPERATORS.includes(operator)) {
+        throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+      }
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      let value = '';
+      let end = i + 1;
+      while (end < expression.length) {
+        if (expression[end] === char && expression[end + 1] === char) {
+          value += char;
+          end += 2;
+        } else if (expression[end] === char) {
+          break;
+        } else {
+          value += expression[end];
+          end++;
+        }
+      }
+      if (end >= expression.length) {
+        throw new Error(`Unclosed ${char} starting at position ${i + 1}`);
+      }
+      tokens.push({ type: char === '`' ? 'word' : 'string', value, quoted: true, position: i });
+      i = end + 1;
+    } else {
+      const match = expression.slice(i).match(/^[^\s()=!<>,'"`]+/);
+      const value = match[0];
+      const number = /^-?(\d+\.?\d*|\.\d+)$/.test(value);
+      tokens.push({ type: number ? 'number' : 'word', value: number ? Number(value) : value, position: i });
+      i += value.length;
+    }
+  }
+
+  return tokens;
+};
+
+const isKeyword = (token, keyword) => token?.type === 'word' && !token.quoted && token.value.toUpperCase() === keyword;
+
+/**
+ * Parse a filter expression into a tree of comparisons
+ * @param {string} expression - Filter expression
+ * @returns {Object|null} Expression tree, or null for an empty expression
+ * @throws {Error} When the expression is malformed
+ */
+export const parseFilterExpression = (expression) => {
+  const tokens = tokenizeFilter(expression || '');
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.value ?? token.type}" at position ${token.position + 1}` : 'end of filter');
+
+  const parseValue = () => {
+    const token = tokens[index++];
+    if (!token || !['string', 'number', 'word'].includes(token.type)) {
+      throw new Error(`Expected a value but found ${describe(token)}`);
+    }
+    return token.value;
+  };
+
+  const parseComparison = () => {
+    const columnToken = tokens[index++];
+    if (!columnToken || columnToken.type !== 'word') {
+      throw new Error(`Expected a column name but found ${describe(columnToken)}`);
+    }
+
+    const next = peek();
+    if (isKeyword(next, 'CONTAINS')) {
+      index++;
+      return { type: 'comparison', column: columnToken.value, operator: 'contains', value: parseValue() };
+    }
+
+    if (isKeyword(next, 'IN')) {
+      index++;
+      if (peek()?.type !== '(') {
+        throw new Error(`Expected "(" after IN but found ${describe(peek())}`);
+      }
+      index++;
+      const values = [parseValue()];
+      while (peek()?.type === ',') {
+        index++;
+        values.push(parseValue());
+      }
+      if (peek()?.type !== ')') {
+        throw new Error(`Expected ")" to close the IN list but found ${describe(peek())}`);
+      }
+      index++;
+      return { type: 'comparison', column: columnToken.value, operator: 'in', value: values };
+    }
+
+    if (next?.type !== 'operator') {
+      throw new Error(`Expected a comparison after "${columnToken.value}" but found ${describe(next)}`);
+    }
+    index++;
+    const operator = { '==': '=', '<>': '!=' }[next.value] || next.value;
+    return { type: 'comparison', column: columnToken.value, operator, value: parseValue() };
+  };
+
+  let parseOr;
+
+  const parseUnary = () => {
+    if (isKeyword(peek(), 'NOT')) {
+      index++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (peek()?.type === '(') {
+      index++;
+      const inner = parseOr();
+      if (peek()?.type !== ')') {
+        throw new Error(`Expected ")" but found ${describe(peek())}`);
+      }
+      index++;
+      return inner;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (isKeyword(peek(), 'AND')) {
+      index++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  parseOr = () => {
+    let node = parseAnd();
+    while (isKeyword(peek(), 'OR')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[index])}`);
+  }
+  return tree;
+};
+
+/**
+ * Columns an expression tree refers to
+ * @private
+ */
+const getFilterColumns = (node, columns = new Set()) => {
+  if (!node) return columns;
+  if (node.type === 'comparison') {
+    columns.add(node.column);
+  } else if (node.type === 'not') {
+    getFilterColumns(node.operand, columns);
+  } else {
+    getFilterColumns(node.left, columns);
+    getFilterColumns(node.right, columns);
+  }
+  return columns;
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const toNumber = (value) => {
+  const text = toText(value).trim();
+  return text === '' ? NaN : Number(text);
+};
+
+const compareValues = (fieldValue, operator, value) => {
+  if (operator === 'in') {
+    return value.some(option => compareValues(fieldValue, '=', option));
+  }
+
+  const text = toText(fieldValue).trim().toLowerCase();
+  if (operator === 'contains') {
+    return text.includes(toText(value).toLowerCase());
+  }
+
+  const left = toNumber(fieldValue);
+  const right = typeof value === 'number' ? value : toNumber(value);
+  const numeric = !Number.isNaN(left) && !Number.isNaN(right);
+
+  // Ordering against a number only holds for numeric fields
+  if (!numeric && typeof value === 'number' && !['=', '!='].includes(operator)) {
+    return false;
+  }
+
+  const order = numeric ? left - right : text.localeCompare(toText(value).toLowerCase());
+  switch (operator) {
+    case '=': return order === 0;
+    case '!=': return order !== 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    default: return false;
+  }
+};
+
+const evaluateFilter = (node, values) => {
+  switch (node.type) {
+    case 'and': return evaluateFilter(node.left, values) && evaluateFilter(node.right, values);
+    case 'or': return evaluateFilter(node.left, values) || evaluateFilter(node.right, values);
+    case 'not': return !evaluateFilter(node.operand, values);
+    default: return compareValues(values[node.column], node.operator, node.value);
+  }
+};
+
+/**
+ * Compile a filter expression into a row predicate
+ * @param {string} expression - Filter expression
+ * @param {string[]} columns - Dataset columns, used to reject unknown column names
+ * @returns {Function} (values) => boolean
+ * @throws {Error} When the expression is malformed or names an unknown column
+ */
+export const compileFilter = (expression, columns) => {
+  const tree = parseFilterExpression(expression);
+  if (!tree) {
+    return () => true;
+  }
+
+  const unknown = [...getFilterColumns(tree)].filter(column => !columns.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+
+  return (values) => evaluateFilter(tree, values);
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @private
+ */
+const createRandom = (seed) => {
+  let state = Math.floor(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pickRandom = (items, count, random) => {
+  const pool = [...items];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+};
+
+/**
+ * Split a sample size across strata in proportion to their size, by largest remainder
+ * @private
+ */
+const allocateStrata = (counts, size) => {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const quotas = counts.map(count => (count * size) / total);
+  const allocation = quotas.map(Math.floor);
+
+  // Rare values would otherwise round to nothing
+  if (size >= counts.length) {
+    allocation.forEach((value, i) => { allocation[i] = Math.max(1, value); });
+  }
+
+  let remaining = size - allocation.reduce((sum, value) => sum + value, 0);
+  const byRemainder = counts.map((_, i) => i).sort((a, b) => (quotas[b] - allocation[b]) - (quotas[a] - allocation[a]));
+  while (remaining > 0) {
+    const i = byRemainder.find(candidate => allocation[candidate] < counts[candidate]);
+    allocation[i]++;
+    remaining--;
+    byRemainder.push(byRemainder.splice(byRemainder.indexOf(i), 1)[0]);
+  }
+  while (remaining < 0) {
+    const largest = allocation.indexOf(Math.max(...allocation));
+    allocation[largest]--;
+    remaining++;
+  }
+
+  return allocation;
+};
+
+/**
+ * Sample rows as a subset's sample settings describe
+ * @param {Array<Object>} rows - Parsed rows ({ index, values })
+ * @param {Object|null} sample - { mode, size, column, seed }
+ * @returns {Array<Object>} Sampled rows in their original order
+ * @throws {Error} When a stratified sample has no column
+ */
+export const sampleRows = (rows, sample) => {
+  if (!sample || sample.mode === 'all') {
+    return rows;
+  }
+
+  const size = Math.max(1, Math.floor(sample.size) || 1);
+  if (size >= rows.length) {
+    return rows;
+  }
+
+  const random = createRandom(sample.seed ?? 0);
+  let picked;
+
+  if (sample.mode === 'stratified') {
+    if (!sample.column) {
+      throw new Error('Choose a column to stratify by');
+    }
+    const strata = new Map();
+    rows.forEach(row => {
+      const value = toText(row.values[sample.column]).trim();
+      if (!strata.has(value)) strata.set(value, []);
+      strata.get(value).push(row);
+    });
+    const groups = [...strata.keys()].sort().map(value => strata.get(value));
+    const allocation = allocateStrata(groups.map(group => group.length), size);
+    picked = groups.flatMap((group, i) => pickRandom(group, allocation[i], random));
+  } else {
+    picked = pickRandom(rows, size, random);
+  }
+
+  return picked.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Rows of a parsed dataset that a subset keeps
+ * @param {Object} parsed - Result of parseDatasetRows
+ * @param {Object|null} subset - Subset definition
+ * @returns {Array<Object>} Kept rows in their original order
+ * @throws {Error} When the filter or sample settings are invalid
+ */
+export const selectRows = (parsed, subset) => {
+  if (!subset) {
+    return parsed.rows;
+  }
+
+  const matches = compileFilter(subset.filter, parsed.columns);
+  const filtered = parsed.rows.filter(row => matches(row.values));
+
+  if (subset.sample?.mode === 'stratified' && !parsed.columns.includes(subset.sample.column)) {
+    throw new Error(`Unknown column to stratify by: ${subset.sample.column || '(none)'}`);
+  }
+  return sampleRows(filtered, subset.sample);
+};
+
+/**
+ * Format rows back into the dataset's own format
+ * @param {Object} parsed - Result of parseDatasetRows
+ * @param {Array<Object>} rows - Rows to include
+ * @param {string[]|null} columns - Columns to keep, or null for all
+ * @returns {string} Dataset content
+ */
+export const formatRows = (parsed, rows, columns = null) => {
+  const kept = columns ? parsed.columns.filter(column => columns.includes(column)) : parsed.columns;
+
+  if (parsed.format === 'delimited') {
+    return [
+      formatDelimitedRow(kept, parsed.delimiter),
+      ...rows.map(row => formatDelimitedRow(kept.map(column => row.values[column]), parsed.delimiter))
+    ].join('\n') + '\n';
+  }
+
+  const records = rows.map(row => {
+    if (!columns || !row.record || typeof row.record !== 'object' || Array.isArray(row.record)) {
+      return row.record;
+    }
+    return Object.fromEntries(Object.entries(row.record).filter(([key]) => kept.includes(key)));
+  });
+  return JSON.stringify(parsed.wrapperKey ? { [parsed.wrapperKey]: records } : records, null, 2);
+};
+
+/**
+ * Apply a subset definition to dataset content
+ * @param {string} content - CSV, TSV or JSON dataset content
+ * @param {Object|null} subset - Subset definition
+ * @param {Object} options - { keyColumn } column whose values are returned as keys
+ * @returns {Object} { content, columns, rowCount, sourceRowCount, keys }
+ * @throws {Error} When the subset is invalid or keeps no rows
+ */
+export const applyDatasetSubset = (content, subset, options = {}) => {
+  const parsed = parseDatasetRows(content, options);
+  const rows = selectRows(parsed, subset);
+  if (rows.length === 0) {
+    throw new Error('No rows match the dataset subset');
+  }
+
+  const columns = Array.isArray(subset?.columns) ? subset.columns : null;
+  return {
+    content: formatRows(parsed, rows, columns),
+    columns: columns ? parsed.columns.filter(column => columns.includes(column)) : parsed.columns,
+    rowCount: rows.length,
+    sourceRowCount: parsed.rows.length,
+    keys: rows.map(row => row.key)
+  };
+};
+
+/**
+ * Summary statistics of each column over a set of rows
+ * @param {string[]} columns - Columns to describe
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Array<Object>} [{ column, type: 'number'|'text', filled, distinct, min, max, mean, topValues }]
+ */
+export const getColumnStats = (columns, rows) =>
+  columns.map(column => {
+    const values = rows.map(row => toText(row.values[column]).trim()).filter(value => value !== '');
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    const numbers = values.map(Number);
+    const numeric = values.length > 0 && numbers.every(Number.isFinite);
+
+    return {
+      column,
+      type: numeric ? 'number' : 'text',
+      filled: values.length,
+      distinct: counts.size,
+      min: numeric ? Math.min(...numbers) : null,
+      max: numeric ? Math.max(...numbers) : null,
+      mean: numeric ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null,
+      topValues: numeric
+        ? []
+        : [...counts.entries()]
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .slice(0, 3)
+          .map(([value, count]) => ({ value, count }))
+    };
+  });
+
+/**
+ * One-line description of a subset definition
+ * @param {Object|null} subset - Subset definition
+ * @returns {string} Description, or an empty string when the subset keeps everything
+ */
+export const describeDatasetSubset = (subset) => {
+  if (!isSubsetActive(subset)) {
+    return '';
+  }
+
+  const parts = [];
+  if (subset.filter?.trim()) {
+    parts.push(`where ${subset.filter.trim()}`);
+  }
+  if (subset.sample?.mode === 'random') {
+    parts.push(`random ${subset.sample.size} rows (seed ${subset.sample.seed})`);
+  } else if (subset.sample?.mode === 'stratified') {
+    parts.push(`${subset.sample.size} rows stratified by ${subset.sample.column} (seed ${subset.sample.seed})`);
+  }
+  if (Array.isArray(subset.columns)) {
+    parts.push(`${subset.columns.length} column${subset.columns.length !== 1 ? 's' : ''}: ${subset.columns.join(', ')}`);
+  }
+  return parts.join(' · ');
+};
@@ -0,0 +1,263 @@
+/**
+ * Determinism statistics utilities
+ * Wilson confidence intervals for determinism metrics, sample size checks against the
+ * claimed grade, significance tests between two evaluations, and the jackknife band
+ * adaptive sampling uses to decide when to stop.
+ *
+ * Every metric is a 0-1 consistency rate over the runs analyzed, so each is treated as
+ * the share of n runs that agree. That is exact for rates such as final-state consistency
+ * and a reasonable approximation for the grader's composite scores.
+ */
+
+export const CONFIDENCE_LEVEL = 0.95;
+
+// Two-sided critical value for the confidence level above
+const Z_CRITICAL = 1.96;
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Runs beyond this are not suggested; the interval narrows too slowly to matter
+const MAX_SUGGESTED_RUNS = 200;
+
+/**
+ * Lowest score each grade claims, matching the grader's A-F bands
+ */
+export const GRADE_THRESHOLDS = [
+  { grade: 'A', minimum: 0.9 },
+  { grade: 'B', minimum: 0.7 },
+  { grade: 'C', minimum: 0.5 },
+  { grade: 'D', minimum: 0.3 },
+  { grade: 'F', minimum: 0 }
+];
+
+/**
+ * Metrics intervals are reported for, in display order
+ */
+export const DETERMINISM_METRICS = [
+  { key: 'score', label: 'Determinism score' },
+  { key: 'toolUsageConsistency', label: 'Tool usage consistency' },
+  { key: 'outcomeDeterminism', label: 'Outcome determinism' },
+  { key: 'finalStateConsistency', label: 'Final state consistency' },
+  { key: 'decisionConsistency', label: 'Decision consistency' },
+  { key: 'semanticSimilarity', label: 'Semantic similarity' },
+  { key: 'structureConsistency', label: 'Structure consistency' }
+];
+
+/**
+ * Wilson score interval for a proportion
+ * @param {number} proportion - Observed proportion (0-1)
+ * @param {number} n - Sample size
+ * @returns {Object|null} { lower, upper }, or null without a sample
+ */
+export const wilsonInterval = (proportion, n) => {
+  if (!Number.isFinite(proportion) || !(n > 0)) {
+    return null;
+  }
+
+  const p = Math.min(1, Math.max(0, proportion));
+  const z2 = Z_CRITICAL * Z_CRITICAL;
+  const denominator = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denominator;
+  const margin = (Z_CRITICAL * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denominator;
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin)
+  };
+};
+
+/**
+ * Letter grade for a 0-1 score
+ * @param {number} score - Score (0-1)
+ * @returns {string} Grade A-F
+ */
+export const getGradeForScore = (score) =>
+  GRADE_THRESHOLDS.find(threshold => score >= threshold.minimum).grade;
+
+/**
+ * Number of runs behind a grade
+ * @param {Object} grade - Determinism grade
+ * @returns {number} Runs analyzed (0 when unknown)
+ */
+export const getSampleSize = (grade) =>
+  grade?.throttlingInfo?.responsesAnalyzed ||
+  grade?.metrics?.responseCount ||
+  grade?.responsesUsedForGrading?.length ||
+  0;
+
+/**
+ * Get one metric as a 0-1 rate together with the runs it was measured over
+ * @private
+ */
+const getMetricSample = (grade, key) => {
+  const sampleSize = getSampleSize(grade);
+
+  if (key === 'score') {
+    return typeof grade?.score === 'number' ? { value: grade.score / 100, n: sampleSize } : null;
+  }
+
+  const value = grade?.metrics?.[key];
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return null;
+  }
+
+  // Outcome and final-state metrics only count runs that recorded side effects
+  if (key === 'outcomeDeterminism') {
+    return { value, n: grade.outcomeDeterminism?.runCount || sampleSize };
+  }
+  if (key === 'finalStateConsistency') {
+    return { value, n: grade.stateComparison?.runCount || sampleSize };
+  }
+  return { value, n: sampleSize };
+};
+
+/**
+ * Fewest runs at which the interval's lower bound still supports the claimed grade,
+ * assuming the observed score holds
+ * @private
+ */
+const getRequiredRuns = (score, minimum) => {
+  for (let n = 2; n <= MAX_SUGGESTED_RUNS; n++) {
+    if (wilsonInterval(score, n).lower >= minimum) {
+      return n;
+    }
+  }
+  return null;
+};
+
+/**
+ * Confidence intervals for every determinism metric and a sample size check
+ * @param {Object} grade - Determinism grade with score and metrics
+ * @returns {Object} { sampleSize, confidenceLevel, intervals, sampleSizeWarning }
+ */
+export const calculateDeterminismStatistics = (grade) => {
+  const sampleSize = getSampleSize(grade);
+  const intervals = {};
+
+  DETERMINISM_METRICS.forEach(({ key }) => {
+    const sample = getMetricSample(grade, key);
+    const interval = sample ? wilsonInterval(sample.value, sample.n) : null;
+    if (interval) {
+      intervals[key] = { value: sample.value, n: sample.n, ...interval };
+    }
+  });
+
+  let sampleSizeWarning = null;
+  const scoreInterval = intervals.score;
+  const claimed = GRADE_THRESHOLDS.find(threshold => threshold.grade === grade?.grade);
+  if (scoreInterval && claimed && scoreInterval.lower < claimed.minimum) {
+    const lowestGrade = getGradeForScore(scoreInterval.lower);
+    const requiredRuns = getRequiredRuns(scoreInterval.value, claimed.minimum);
+
+    sampleSizeWarning = {
+      claimedGrade: claimed.grade,
+      lowestSupportedGrade: lowestGrade,
+      requiredRuns,
+      message: `With ${sampleSize} runs the ${Math.round(CONFIDENCE_LEVEL * 100)}% interval for the score ` +
+        `(${Math.round(scoreInterval.lower * 100)}-${Math.round(scoreInterval.upper * 100)}%) reaches down to grade ${lowestGrade}, ` +
+        `so grade ${claimed.grade} is not established. ` +
+        (requiredRuns
+          ? `At this consistency, about ${requiredRuns} runs would support it.`
+          : 'More runs alone are unlikely to support it at this consistency.')
+    };
+  }
+
+  return {
+    sampleSize,
+    confidenceLevel: CONFIDENCE_LEVEL,
+    intervals,
+    sampleSizeWarning
+  };
+};
+
+/**
+ * Jackknife confidence interval for a 0-1 statistic computed over a set of samples
+ * Unlike a bootstrap, leaving one sample out never creates artificial duplicates, which
+ * matters for statistics that count identical responses.
+ * @param {Array} samples - Samples the statistic is computed over
+ * @param {Function} statistic - Maps an array of samples to a 0-1 value
+ * @returns {Object|null} { value, lower, upper }, or null with fewer than 3 samples
+ */
+export const jackknifeInterval = (samples, statistic) => {
+  const n = samples?.length || 0;
+  if (n < 3) {
+    return null;
+  }
+
+  const value = statistic(samples);
+  const leaveOneOut = samples.map((_, index) => statistic(samples.filter((__, other) => other !== index)));
+  const mean = leaveOneOut.reduce((sum, estimate) => sum + estimate, 0) / n;
+  const variance = ((n - 1) / n) * leaveOneOut.reduce((sum, estimate) => sum + (estimate - mean) ** 2, 0);
+  const margin = Z_CRITICAL * Math.sqrt(variance);
+
+  return {
+    value,
+    lower: Math.max(0, value - margin),
+    upper: Math.min(1, value + margin)
+  };
+};
+
+/**
+ * Whether an interval sits inside a single grade band
+ * @param {Object} interval - { lower, upper } on a 0-1 scale
+ * @returns {Object} { settled, lowerGrade, upperGrade }
+ */
+export const getGradeBandStatus = (interval) => {
+  const lowerGrade = getGradeForScore(interval.lower);
+  const upperGrade = getGradeForScore(interval.upper);
+  return { settled: lowerGrade === upperGrade, lowerGrade, upperGrade };
+};
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+ * @private
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - polynomial * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Two-proportion z-test between two evaluations for every metric both report
+ * @param {Object} gradeA - Earlier (baseline) determinism grade
+ * @param {Object} gradeB - Later determinism grade
+ * @returns {Object} { metrics: [{ key, label, valueA, valueB, difference, pValue, significant }], anySignificant }
+ */
+export const compareDeterminismEvaluations = (gradeA, gradeB) => {
+  const metrics = [];
+
+  DETERMINISM_METRICS.forEach(({ key, label }) => {
+    const sampleA = getMetricSample(gradeA, key);
+    const sampleB = getMetricSample(gradeB, key);
+    if (!sampleA || !sampleB || !(sampleA.n > 0) || !(sampleB.n > 0)) {
+      return;
+    }
+
+    const pooled = (sampleA.value * sampleA.n + sampleB.value * sampleB.n) / (sampleA.n + sampleB.n);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / sampleA.n + 1 / sampleB.n));
+    const difference = sampleB.value - sampleA.value;
+    // Both rates 0% or both 100%: nothing varies, so there is no difference to test
+    const pValue = standardError > 0
+      ? 2 * (1 - normalCdf(Math.abs(difference) / standardError))
+      : 1;
+
+    metrics.push({
+      key,
+      label,
+      valueA: sampleA.value,
+      valueB: sampleB.value,
+      nA: sampleA.n,
+      nB: sampleB.n,
+      difference,
+      pValue,
+      significant: pValue < SIGNIFICANCE_LEVEL
+    });
+  });
+
+  return {
+    metrics,
+    anySignificant: metrics.some(metric => metric.significant)
+  };
+};
@@ -0,0 +1,253 @@
+/**
+ * Example assertion utilities
+ * Declarative, machine-checkable expectations for scenario examples
+ *
+ * Supported assertion types:
+ *   { "type": "toolCalled", "tool": "holdForPickup", "minCount": 1 }
+ *   { "type": "toolNotCalled", "tool": "expediteShipment" }
+ *   { "type": "toolArgEquals", "tool": "holdForPickup", "arg": "order_id", "value": "B456" }
+ *   { "type": "responseMatches", "pattern": "hazmat", "flags": "i" }
+ *   { "type": "responseNotMatches", "pattern": "expedit", "flags": "i" }
+ *   { "type": "guardrailNotIntervened" }
+ *   { "type": "guardrailIntervened" }
+ *
+ * Every assertion may carry an optional "description" shown instead of the generated one.
+ */
+
+export const ASSERTION_TYPES = [
+  'toolCalled',
+  'toolNotCalled',
+  'toolArgEquals',
+  'responseMatches',
+  'responseNotMatches',
+  'guardrailNotIntervened',
+  'guardrailIntervened'
+];
+
+const TOOL_ASSERTION_TYPES = ['toolCalled', 'toolNotCalled', 'toolArgEquals'];
+const PATTERN_ASSERTION_TYPES = ['responseMatches', 'responseNotMatches'];
+
+/**
+ * Validate a single assertion definition
+ * @param {Object} assertion - Assertion definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateAssertion = (assertion) => {
+  const errors = [];
+
+  if (!assertion || typeof assertion !== 'object' || Array.isArray(assertion)) {
+    return ['must be an object'];
+  }
+
+  if (!ASSERTION_TYPES.includes(assertion.type)) {
+    return [`type must be one of: ${ASSERTION_TYPES.join(', ')}`];
+  }
+
+  if (TOOL_ASSERTION_TYPES.includes(assertion.type)) {
+    if (typeof assertion.tool !== 'string' || !assertion.tool.trim()) {
+      errors.push('tool is required and must be a non-empty string');
+    }
+  }
+
+  if (assertion.type === 'toolCalled' && assertion.minCount !== undefined) {
+    if (!Number.isInteger(assertion.minCount) || assertion.minCount < 1) {
+      errors.push('minCount must be a positive integer if provided');
+    }
+  }
+
+  if (assertion.type === 'toolArgEquals') {
+    if (typeof assertion.arg !== 'string' || !assertion.arg.trim()) {
+      errors.push('arg is required and must be a non-empty string');
+    }
+    if (assertion.value === undefined) {
+      errors.push('value is required');
+    }
+  }
+
+  if (PATTERN_ASSERTION_TYPES.includes(assertion.type)) {
+    if (typeof assertion.pattern !== 'string' || !assertion.pattern) {
+      errors.push('pattern is required and must be a non-empty string');
+    } else {
+      try {
+        new RegExp(assertion.pattern, assertion.flags || '');
+      } catch (error) {
+        errors.push(`pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  if (assertion.description !== undefined && typeof assertion.description !== 'string') {
+    errors.push('description must be a string if provided');
+  }
+
+  return errors;
+};
+
+/**
+ * Read a possibly dotted argument path (e.g. "meta.request_id") from tool input
+ * @private
+ */
+const getArgValue = (input, path) => {
+  if (!input || typeof input !== 'object') {
+    return undefined;
+  }
+  return path.split('.').reduce((value, key) => (
+    value !== null && value !== undefined ? value[key] : undefined
+  ), input);
+};
+
+/**
+ * Compare an actual tool argument with the expected value; arrays and objects compare structurally
+ * @private
+ */
+const valuesEqual = (actual, expected) => {
+  if (typeof expected === 'object' && expected !== null) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+  return actual === expected;
+};
+
+/**
+ * Check whether a guardrail intervened in a test result
+ * @param {Object} testResult - Test result
+ * @returns {boolean} True if the guardrail blocked or rewrote content
+ */
+export const didGuardrailIntervene = (testResult) => {
+  return !!(
+    testResult?.stopReason === 'guardrail_intervened' ||
+    testResult?.guardrailResults?.hasViolations ||
+    testResult?.guardrailResults?.action === 'INTERVENED'
+  );
+};
+
+/**
+ * Build a human-readable description of an assertion
+ * @param {Object} assertion - Assertion definition
+ * @returns {string} Description such as "must call holdForPickup"
+ */
+export const describeAssertion = (assertion) => {
+  if (assertion?.description) {
+    return assertion.description;
+  }
+
+  switch (assertion?.type) {
+    case 'toolCalled':
+      return assertion.minCount > 1
+        ? `must call ${assertion.tool} at least ${assertion.minCount} times`
+        : `must call ${assertion.tool}`;
+    case 'toolNotCalled':
+      return `must not call ${assertion.tool}`;
+    case 'toolArgEquals':
+      return `${assertion.tool} arg ${assertion.arg} equals ${JSON.stringify(assertion.value)}`;
+    case 'responseMatches':
+      return `response matches /${assertion.pattern}/${assertion.flags || ''}`;
+    case 'responseNotMatches':
+      return `response does not match /${assertion.pattern}/${assertion.flags || ''}`;
+    case 'guardrailNotIntervened':
+      return 'guardrail must not intervene';
+    case 'guardrailIntervened':
+      return 'guardrail must intervene';
+    default:
+      return `unknown assertion (${assertion?.type})`;
+  }
+};
+
+/**
+ * Evaluate one assertion against a test result
+ * @param {Object} assertion - Assertion definition
+ * @param {Object} testResult - Test result with response, toolUsage and guardrail fields
+ * @returns {Object} { assertion, description, passed, message }
+ */
+export const evaluateAssertion = (assertion, testResult) => {
+  const description = describeAssertion(assertion);
+  const validationErrors = validateAssertion(assertion);
+  if (validationErrors.length > 0) {
+    return { assertion, description, passed: false, message: `Invalid assertion: ${validationErrors.join(', ')}` };
+  }
+
+  const toolCalls = testResult?.toolUsage?.toolCalls || [];
+  const callsToTool = TOOL_ASSERTION_TYPES.includes(assertion.type)
+    ? toolCalls.filter(call => call.toolName === assertion.tool)
+    : [];
+  const responseText = testResult?.response || '';
+
+  switch (assertion.type) {
+    case 'toolCalled': {
+      const minCount = assertion.minCount || 1;
+      return {
+        assertion,
+        description,
+        passed: callsToTool.length >= minCount,
+        message: `${assertion.tool} called ${callsToTool.length} time${callsToTool.length !== 1 ? 's' : ''}`
+      };
+    }
+
+    case 'toolNotCalled':
+      return {
+        assertion,
+        description,
+        passed: callsToTool.length === 0,
+        message: callsToTool.length === 0
+          ? `${assertion.tool} was not called`
+          : `${assertion.tool} called ${callsToTool.length} time${callsToTool.length !== 1 ? 's' : ''}`
+      };
+
+    case 'toolArgEquals': {
+      if (callsToTool.length === 0) {
+        return { assertion, description, passed: false, message: `${assertion.tool} was not called` };
+      }
+      const actualValues = callsToTool.map(call => getArgValue(call.input, assertion.arg));
+      const passed = actualValues.some(value => valuesEqual(value, assertion.value));
+      return {
+        assertion,
+        description,
+        passed,
+        message: `${assertion.arg} was ${actualValues.map(value => JSON.stringify(value) ?? 'undefined').join(', ')}`
+      };
+    }
+
+    case 'responseMatches':
+    case 'responseNotMatches': {
+      const matched = new RegExp(assertion.pattern, assertion.flags || '').test(responseText);
+      const shouldMatch = assertion.type === 'responseMatches';
+      return {
+        assertion,
+        description,
+        passed: matched === shouldMatch,
+        message: matched ? 'pattern found in response' : 'pattern not found in response'
+      };
+    }
+
+    case 'guardrailNotIntervened':
+    case 'guardrailIntervened': {
+      const intervened = didGuardrailIntervene(testResult);
+      return {
+        assertion,
+        description,
+        passed: intervened === (assertion.type === 'guardrailIntervened'),
+        message: intervened ? 'guardrail intervened' : 'guardrail did not intervene'
+      };
+    }
+
+    default:
+      return { assertion, description, passed: false, message: 'Unsupported assertion type' };
+  }
+};
+
+/**
+ * Evaluate all assertions of an example against a test result
+ * @param {Object[]} assertions - Assertion definitions
+ * @param {Object} testResult - Test result
+ * @returns {Object} { passed, passedCount, failedCount, results }
+ */
+export const evaluateAssertions = (assertions, testResult) => {
+  const results = (assertions || []).map(assertion => evaluateAssertion(assertion, testResult));
+  const passedCount = results.filter(result => result.passed).length;
+
+  return {
+    passed: passedCount === results.length,
+    passedCount,
+    failedCount: results.length - passedCount,
+    results
+  };
+};
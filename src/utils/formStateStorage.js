@@ -5,6 +5,8 @@
 
 import { generateStorageKey } from './momentoConfig.js';
 
+import { DEFAULT_INFERENCE_PARAMS, normalizeInferenceParams } from './inferenceParams.js';
+
 const FORM_STATE_KEY = generateStorageKey('form_state');
 
 /**
@@ -24,6 +26,8 @@ const DEFAULT_FORM_STATE = {
   streamingEnabled: true,
   useToolsEnabled: false,
   maxIterations: 10,
+  inferenceParams: DEFAULT_INFERENCE_PARAMS,
+  templateBindings: {},
   guardrailsEnabled: false
 };
 
@@ -41,7 +45,8 @@ export const saveFormState = (formState) => {
         id: formState.selectedDataset?.id || '',
         name: formState.selectedDataset?.name || '',
         // Don't save actual content, just the selection
-        content: null
+        content: null,
+        subset: formState.selectedDataset?.subset || null
       },
       systemPrompt: formState.systemPrompt || '',
       userPrompt: formState.userPrompt || '',
@@ -49,6 +54,8 @@ export const saveFormState = (formState) => {
       streamingEnabled: formState.streamingEnabled !== undefined ? formState.streamingEnabled : true,
       useToolsEnabled: formState.useToolsEnabled !== undefined ? formState.useToolsEnabled : false,
       maxIterations: formState.maxIterations || 10,
+      inferenceParams: normalizeInferenceParams(formState.inferenceParams),
+      templateBindings: formState.templateBindings || {},
       guardrailsEnabled: formState.guardrailsEnabled !== undefined ? formState.guardrailsEnabled : false
     };
 
@@ -214,7 +214,7 @@ export function validateForm(formData) {
   // Scenario-aware dataset validation
   if (formData.selectedScenario && formData.scenarioConfig) {
     // Only validate dataset if scenario requires it
-    if (formData.scenarioConfig.showDatasetSelector) {
+    if (formData.scenarioConfig.requiresDataset) {
       const datasetResult = validateField('dataset', formData.selectedDataset)
       results.dataset = datasetResult
       if (!datasetResult.isValid) {
@@ -0,0 +1,242 @@
+/**
+ * Ground-truth scoring utilities
+ * Labelled evaluation for datasets that carry their own answers: the label columns are
+ * removed from the content the model sees, and the tool calls the model makes are scored
+ * against the labels as a detection task (precision, recall, F1 and recall per category).
+ *
+ * Ground-truth format (scenario.json → groundTruth):
+ *   {
+ *     "datasets": ["mixed-transactions"],
+ *     "idColumn": "transaction_id",
+ *     "labelColumn": "is_anomaly",
+ *     "positiveValues": ["True"],
+ *     "categoryColumn": "anomaly_type",
+ *     "stripColumns": ["is_anomaly", "anomaly_type"],
+ *     "actions": [
+ *       { "tool": "flag_suspicious_transaction", "idField": "transaction_id" },
+ *       { "tool": "freeze_account", "idField": "transaction_ids" }
+ *     ]
+ *   }
+ *
+ * An action's idField may hold a single ID or an array of IDs. Every row the model acts on
+ * counts as a positive prediction; rows it leaves alone count as negative.
+ */
+
+import { detectDelimiter, parseDelimitedText, formatDelimitedRow } from './datasetRows.js';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a ground-truth definition
+ * @param {Object} groundTruth - Ground-truth definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateGroundTruth = (groundTruth) => {
+  const errors = [];
+
+  if (!groundTruth || typeof groundTruth !== 'object' || Array.isArray(groundTruth)) {
+    return ['must be an object'];
+  }
+
+  if (!Array.isArray(groundTruth.datasets) || groundTruth.datasets.length === 0 || !groundTruth.datasets.every(isNonEmptyString)) {
+    errors.push('datasets must be a non-empty array of dataset IDs');
+  }
+
+  ['idColumn', 'labelColumn'].forEach(field => {
+    if (!isNonEmptyString(groundTruth[field])) {
+      errors.push(`${field} is required and must be a non-empty string`);
+    }
+  });
+
+  if (!Array.isArray(groundTruth.positiveValues) || groundTruth.positiveValues.length === 0) {
+    errors.push('positiveValues must be a non-empty array');
+  }
+
+  if (groundTruth.categoryColumn !== undefined && !isNonEmptyString(groundTruth.categoryColumn)) {
+    errors.push('categoryColumn must be a non-empty string if provided');
+  }
+
+  if (!Array.isArray(groundTruth.stripColumns) || !groundTruth.stripColumns.every(isNonEmptyString)) {
+    errors.push('stripColumns must be an array of column names');
+  } else if (isNonEmptyString(groundTruth.labelColumn) && !groundTruth.stripColumns.includes(groundTruth.labelColumn)) {
+    errors.push('stripColumns must include the labelColumn, or the model sees the answers');
+  }
+
+  if (!Array.isArray(groundTruth.actions) || groundTruth.actions.length === 0) {
+    errors.push('actions must be a non-empty array');
+  } else {
+    groundTruth.actions.forEach((action, index) => {
+      if (!action || !isNonEmptyString(action.tool) || !isNonEmptyString(action.idField)) {
+        errors.push(`action ${index + 1} needs a tool and an idField`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Whether a ground-truth definition covers a dataset
+ * @param {Object|null} groundTruth - Ground-truth definition
+ * @param {string} datasetId - Dataset ID
+ * @returns {boolean} True if the dataset is labelled
+ */
+export const coversDataset = (groundTruth, datasetId) =>
+  !!groundTruth && Array.isArray(groundTruth.datasets) && groundTruth.datasets.includes(datasetId);
+
+/**
+ * Remove label columns from delimited text
+ * @param {string} text - CSV or TSV text with a header row
+ * @param {string[]} columns - Column names to remove
+ * @returns {string} The same text without those columns
+ */
+export const stripLabelColumns = (text, columns) => {
+  const delimiter = detectDelimiter(text);
+  const rows = parseDelimitedText(text, delimiter);
+  if (rows.length === 0) {
+    return text;
+  }
+
+  const keep = rows[0].map((name, index) => (columns.includes(name.trim()) ? -1 : index)).filter(index => index >= 0);
+  if (keep.length === rows[0].length) {
+    return text;
+  }
+
+  return rows
+    .map(fields => formatDelimitedRow(keep.map(index => fields[index] ?? ''), delimiter))
+    .join('\n') + '\n';
+};
+
+/**
+ * Read the labels of a dataset
+ * @param {string} text - CSV or TSV text with a header row, labels included
+ * @param {Object} groundTruth - Ground-truth definition
+ * @returns {Array<Object>} [{ id, positive, category }] per row
+ */
+export const extractLabels = (text, groundTruth) => {
+  const [header, ...rows] = parseDelimitedText(text);
+  if (!header) {
+    return [];
+  }
+
+  const columnIndex = (name) => header.findIndex(column => column.trim() === name);
+  const idIndex = columnIndex(groundTruth.idColumn);
+  const labelIndex = columnIndex(groundTruth.labelColumn);
+  const categoryIndex = groundTruth.categoryColumn ? columnIndex(groundTruth.categoryColumn) : -1;
+
+  if (idIndex === -1 || labelIndex === -1) {
+    throw new Error(`Dataset is missing the ${idIndex === -1 ? groundTruth.idColumn : groundTruth.labelColumn} column`);
+  }
+
+  const positiveValues = groundTruth.positiveValues.map(value => String(value).trim().toLowerCase());
+
+  return rows
+    .filter(fields => (fields[idIndex] || '').trim())
+    .map(fields => {
+      const positive = positiveValues.includes((fields[labelIndex] || '').trim().toLowerCase());
+      return {
+        id: fields[idIndex].trim(),
+        positive,
+        category: positive && categoryIndex !== -1 ? (fields[categoryIndex] || '').trim() || null : null
+      };
+    });
+};
+
+/**
+ * IDs a run acted on, from the tool calls its actions name
+ * @private
+ */
+const getPredictedIds = (toolCalls, actions) => {
+  const ids = new Set();
+
+  (toolCalls || []).forEach(call => {
+    const input = call.input ?? call.parameters ?? {};
+    actions
+      .filter(action => action.tool === call.toolName)
+      .forEach(action => {
+        const value = input[action.idField];
+        (Array.isArray(value) ? value : [value])
+          .filter(id => id !== undefined && id !== null && String(id).trim())
+          .forEach(id => ids.add(String(id).trim()));
+      });
+  });
+
+  return ids;
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+/**
+ * Score a run's tool calls against dataset labels
+ * @param {Array<Object>} toolCalls - Tool calls from toolUsage.toolCalls
+ * @param {Array<Object>} labels - Labels from extractLabels
+ * @param {Array<Object>} actions - Ground-truth actions ({ tool, idField })
+ * @returns {Object} { precision, recall, f1, truePositives, falsePositives, falseNegatives,
+ *   trueNegatives, labelledCount, positiveCount, predictedCount, missedIds, falseAlarmIds,
+ *   unknownIds, categories: [{ category, total, detected, recall }] }; ratios are null when undefined
+ */
+export const scoreToolCalls = (toolCalls, labels, actions) => {
+  const predicted = getPredictedIds(toolCalls, actions);
+  const labelsById = new Map(labels.map(label => [label.id, label]));
+
+  const missedIds = [];
+  const falseAlarmIds = [];
+  let truePositives = 0;
+  let trueNegatives = 0;
+  const categories = new Map();
+
+  labels.forEach(label => {
+    const wasPredicted = predicted.has(label.id);
+
+    if (label.positive) {
+      const category = label.category || 'unlabelled';
+      if (!categories.has(category)) {
+        categories.set(category, { category, total: 0, detected: 0 });
+      }
+      const entry = categories.get(category);
+      entry.total++;
+
+      if (wasPredicted) {
+        truePositives++;
+        entry.detected++;
+      } else {
+        missedIds.push(label.id);
+      }
+    } else if (wasPredicted) {
+      falseAlarmIds.push(label.id);
+    } else {
+      trueNegatives++;
+    }
+  });
+
+  // IDs the model made up or mistyped are reported, not scored
+  const unknownIds = [...predicted].filter(id => !labelsById.has(id));
+  const falsePositives = falseAlarmIds.length;
+  const falseNegatives = missedIds.length;
+
+  return {
+    precision: ratio(truePositives, truePositives + falsePositives),
+    recall: ratio(truePositives, truePositives + falseNegatives),
+    f1: ratio(2 * truePositives, 2 * truePositives + falsePositives + falseNegatives),
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    trueNegatives,
+    labelledCount: labels.length,
+    positiveCount: truePositives + falseNegatives,
+    predictedCount: truePositives + falsePositives,
+    missedIds,
+    falseAlarmIds,
+    unknownIds,
+    categories: [...categories.values()]
+      .map(entry => ({ ...entry, recall: ratio(entry.detected, entry.total) }))
+      .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category))
+  };
+};
+
+/**
+ * Format a 0-1 ratio for display
+ * @param {number|null} value - Ratio
+ * @returns {string} Percentage, or an em dash when undefined
+ */
+export const formatRatio = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
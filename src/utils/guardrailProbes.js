@@ -0,0 +1,94 @@
+/**
+ * Guardrail probe utilities
+ * Labelled adversarial and benign prompts used to red-team a scenario's guardrail
+ *
+ * Probe format (scenario.json → guardrailProbes):
+ *   { "prompt": "Plan my vacation to Italy.", "expect": "block", "category": "off-topic" }
+ *   { "prompt": "Where is order B456?", "expect": "pass", "sources": ["INPUT"] }
+ *
+ * "sources" limits the probe to INPUT or OUTPUT evaluation; by default it runs against both.
+ */
+
+export const PROBE_EXPECTATIONS = ['block', 'pass'];
+
+export const PROBE_SOURCES = ['INPUT', 'OUTPUT'];
+
+/**
+ * Validate a single probe definition
+ * @param {Object} probe - Probe definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateProbe = (probe) => {
+  const errors = [];
+
+  if (!probe || typeof probe !== 'object' || Array.isArray(probe)) {
+    return ['must be an object'];
+  }
+
+  if (typeof probe.prompt !== 'string' || !probe.prompt.trim()) {
+    errors.push('prompt is required and must be a non-empty string');
+  }
+
+  if (!PROBE_EXPECTATIONS.includes(probe.expect)) {
+    errors.push(`expect must be one of: ${PROBE_EXPECTATIONS.join(', ')}`);
+  }
+
+  if (probe.sources !== undefined) {
+    if (!Array.isArray(probe.sources) || probe.sources.length === 0) {
+      errors.push('sources must be a non-empty array if provided');
+    } else if (probe.sources.some(source => !PROBE_SOURCES.includes(source))) {
+      errors.push(`sources may only contain: ${PROBE_SOURCES.join(', ')}`);
+    }
+  }
+
+  if (probe.category !== undefined && (typeof probe.category !== 'string' || !probe.category.trim())) {
+    errors.push('category must be a non-empty string if provided');
+  }
+
+  return errors;
+};
+
+/**
+ * Get the sources a probe should be evaluated against
+ * @param {Object} probe - Probe definition
+ * @param {string[]} [selectedSources] - Sources chosen for the run
+ * @returns {string[]} Sources to evaluate
+ */
+export const getProbeSources = (probe, selectedSources = PROBE_SOURCES) => {
+  const probeSources = probe.sources || PROBE_SOURCES;
+  return selectedSources.filter(source => probeSources.includes(source));
+};
+
+/**
+ * Build a confusion matrix from evaluated probe cases.
+ * "Positive" means blocked, so a false negative is an attack the guardrail let through.
+ * @param {Array} cases - Cases with expect and actual ('block' | 'pass'); errored cases are skipped
+ * @returns {Object} Matrix counts with precision, recall and accuracy
+ */
+export const buildConfusionMatrix = (cases) => {
+  const matrix = {
+    truePositive: 0,
+    falsePositive: 0,
+    trueNegative: 0,
+    falseNegative: 0
+  };
+
+  cases.filter(probeCase => probeCase.actual).forEach(probeCase => {
+    if (probeCase.expect === 'block') {
+      probeCase.actual === 'block' ? matrix.truePositive++ : matrix.falseNegative++;
+    } else {
+      probeCase.actual === 'block' ? matrix.falsePositive++ : matrix.trueNegative++;
+    }
+  });
+
+  const total = matrix.truePositive + matrix.falsePositive + matrix.trueNegative + matrix.falseNegative;
+  const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+  return {
+    ...matrix,
+    total,
+    precision: ratio(matrix.truePositive, matrix.truePositive + matrix.falsePositive),
+    recall: ratio(matrix.truePositive, matrix.truePositive + matrix.falseNegative),
+    accuracy: ratio(matrix.truePositive + matrix.trueNegative, total)
+  };
+};
@@ -0,0 +1,140 @@
+/**
+ * Inference parameter utilities
+ * Defaults, validation and Converse API mapping for per-run sampling settings
+ */
+
+/**
+ * Default inference parameters (matches the previously hardcoded Converse config)
+ */
+export const DEFAULT_INFERENCE_PARAMS = {
+  temperature: 0.7,
+  topP: null,
+  maxTokens: 4000,
+  stopSequences: []
+};
+
+/**
+ * Allowed ranges for each parameter
+ */
+export const INFERENCE_PARAM_LIMITS = {
+  temperature: { min: 0, max: 1 },
+  topP: { min: 0, max: 1 },
+  maxTokens: { min: 1, max: 200000 },
+  maxStopSequences: 4
+};
+
+/**
+ * Merge partial parameters with defaults and coerce values to the expected types
+ * @param {Object|null} params - Partial inference parameters
+ * @returns {Object} Complete inference parameters
+ */
+export const normalizeInferenceParams = (params) => {
+  const source = params && typeof params === 'object' ? params : {};
+
+  const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+  };
+
+  const temperature = toNumberOrNull(source.temperature);
+  const maxTokens = toNumberOrNull(source.maxTokens);
+
+  return {
+    temperature: temperature !== null ? temperature : DEFAULT_INFERENCE_PARAMS.temperature,
+    topP: toNumberOrNull(source.topP),
+    maxTokens: maxTokens !== null ? Math.round(maxTokens) : DEFAULT_INFERENCE_PARAMS.maxTokens,
+    stopSequences: Array.isArray(source.stopSequences)
+      ? source.stopSequences.filter(seq => typeof seq === 'string' && seq.length > 0)
+      : []
+  };
+};
+
+/**
+ * Validate inference parameters
+ * @param {Object} params - Inference parameters to validate
+ * @returns {Object} Map of field name to error message (empty when valid)
+ */
+export const validateInferenceParams = (params) => {
+  const errors = {};
+  if (!params || typeof params !== 'object') {
+    return errors;
+  }
+
+  const { temperature, topP, maxTokens, maxStopSequences } = INFERENCE_PARAM_LIMITS;
+
+  if (typeof params.temperature !== 'number' || isNaN(params.temperature)) {
+    errors.temperature = 'Temperature must be a number';
+  } else if (params.temperature < temperature.min || params.temperature > temperature.max) {
+    errors.temperature = `Temperature must be between ${temperature.min} and ${temperature.max}`;
+  }
+
+  if (params.topP !== null && params.topP !== undefined) {
+    if (typeof params.topP !== 'number' || isNaN(params.topP)) {
+      errors.topP = 'Top P must be a number';
+    } else if (params.topP < topP.min || params.topP > topP.max) {
+      errors.topP = `Top P must be between ${topP.min} and ${topP.max}`;
+    }
+  }
+
+  if (!Number.isInteger(params.maxTokens)) {
+    errors.maxTokens = 'Max tokens must be a whole number';
+  } else if (params.maxTokens < maxTokens.min || params.maxTokens > maxTokens.max) {
+    errors.maxTokens = `Max tokens must be between ${maxTokens.min} and ${maxTokens.max}`;
+  }
+
+  if (params.stopSequences !== undefined) {
+    if (!Array.isArray(params.stopSequences)) {
+      errors.stopSequences = 'Stop sequences must be a list';
+    } else if (params.stopSequences.length > maxStopSequences) {
+      errors.stopSequences = `At most ${maxStopSequences} stop sequences are allowed`;
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Build the Converse API inferenceConfig block
+ * Top P and stop sequences are only sent when set, since some models reject them
+ * @param {Object|null} params - Inference parameters
+ * @returns {Object} inferenceConfig for ConverseCommand / ConverseStreamCommand
+ */
+export const buildInferenceConfig = (params) => {
+  const normalized = normalizeInferenceParams(params);
+
+  const inferenceConfig = {
+    maxTokens: normalized.maxTokens,
+    temperature: normalized.temperature
+  };
+
+  if (normalized.topP !== null) {
+    inferenceConfig.topP = normalized.topP;
+  }
+
+  if (normalized.stopSequences.length > 0) {
+    inferenceConfig.stopSequences = normalized.stopSequences;
+  }
+
+  return inferenceConfig;
+};
+
+/**
+ * Format inference parameters as a short human-readable summary
+ * @param {Object|null} params - Inference parameters
+ * @returns {string} Summary such as "temp 0.7 · max 4000"
+ */
+export const formatInferenceParams = (params) => {
+  const normalized = normalizeInferenceParams(params);
+  const parts = [
+    `temp ${normalized.temperature}`,
+    normalized.topP !== null ? `topP ${normalized.topP}` : null,
+    `max ${normalized.maxTokens}`,
+    normalized.stopSequences.length > 0
+      ? `${normalized.stopSequences.length} stop seq${normalized.stopSequences.length !== 1 ? 's' : ''}`
+      : null
+  ];
+  return parts.filter(Boolean).join(' · ');
+};
@@ -0,0 +1,102 @@
+/**
+ * Preference rating utilities
+ * Identifies the model/prompt combination behind a run and turns pairwise judgments into Elo ratings
+ */
+
+import { createTemplateId } from './promptTemplates.js';
+
+export const INITIAL_RATING = 1000;
+
+// Standard chess K-factor: large enough that a handful of judgments moves the board
+const K_FACTOR = 32;
+
+const MAX_PROMPT_LABEL_LENGTH = 40;
+
+/**
+ * Identify the model/prompt combination a run belongs to
+ * Template runs share one contestant across bindings; other runs are keyed by their prompt text
+ * @param {Object} test - Test result
+ * @returns {Object} { key, modelId, promptId, promptLabel }
+ */
+export const getContestant = (test) => {
+  const promptId = test.promptTemplate?.templateId ||
+    createTemplateId(test.systemPrompt || '', test.userPrompt || test.prompt || '');
+
+  const promptText = (test.promptTemplate?.userPrompt || test.userPrompt || test.prompt || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const promptLabel = test.batchCell?.userPromptName ||
+    (promptText.length > MAX_PROMPT_LABEL_LENGTH ? `${promptText.substring(0, MAX_PROMPT_LABEL_LENGTH)}...` : promptText);
+
+  return {
+    key: `${test.modelId}|${promptId}`,
+    modelId: test.modelId,
+    promptId,
+    promptLabel
+  };
+};
+
+/**
+ * Expected score of a player against an opponent under the Elo model
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} Expected score between 0 and 1
+ */
+export const getExpectedScore = (rating, opponentRating) => 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+/**
+ * Replay judgments in the order they were made and rate every contestant
+ * @param {Array} judgments - Judgments with contestants [a, b] and outcome 'A', 'B' or 'tie'
+ * @returns {Array} Leaderboard rows sorted by rating, highest first
+ */
+export const calculateLeaderboard = (judgments) => {
+  const rows = new Map();
+  const getRow = (contestant) => {
+    if (!rows.has(contestant.key)) {
+      rows.set(contestant.key, {
+        ...contestant,
+        rating: INITIAL_RATING,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        matches: 0
+      });
+    }
+    return rows.get(contestant.key);
+  };
+
+  [...judgments]
+    .sort((a, b) => a.judgedAt.localeCompare(b.judgedAt))
+    .forEach(judgment => {
+      const [contestantA, contestantB] = judgment.contestants;
+      // A combo judged against itself (e.g. two runs of the same batch cell) says nothing about rank
+      if (contestantA.key === contestantB.key) {
+        return;
+      }
+
+      const rowA = getRow(contestantA);
+      const rowB = getRow(contestantB);
+      const scoreA = judgment.outcome === 'A' ? 1 : judgment.outcome === 'B' ? 0 : 0.5;
+      const expectedA = getExpectedScore(rowA.rating, rowB.rating);
+
+      rowA.rating += K_FACTOR * (scoreA - expectedA);
+      rowB.rating += K_FACTOR * ((1 - scoreA) - (1 - expectedA));
+
+      rowA.matches++;
+      rowB.matches++;
+      if (scoreA === 1) {
+        rowA.wins++;
+        rowB.losses++;
+      } else if (scoreA === 0) {
+        rowA.losses++;
+        rowB.wins++;
+      } else {
+        rowA.ties++;
+        rowB.ties++;
+      }
+    });
+
+  return [...rows.values()]
+    .map(row => ({ ...row, rating: Math.round(row.rating) }))
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+};
@@ -0,0 +1,148 @@
+/**
+ * Prompt template utilities
+ * Detects and resolves {{variable}} placeholders in system and user prompts
+ */
+
+// Matches {{name}} and {{ name }}; names are identifier-like (letters, digits, _, -, .)
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+/**
+ * Extract unique variable names from one or more prompt texts, in order of first appearance
+ * @param {...string} texts - Prompt texts to scan
+ * @returns {string[]} Variable names
+ */
+export const extractTemplateVariables = (...texts) => {
+  const names = [];
+  texts.forEach(text => {
+    if (typeof text !== 'string') {
+      return;
+    }
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+  });
+  return names;
+};
+
+/**
+ * Check whether a prompt text contains template variables
+ * @param {string} text - Prompt text
+ * @returns {boolean} True if at least one placeholder is present
+ */
+export const hasTemplateVariables = (text) => extractTemplateVariables(text).length > 0;
+
+/**
+ * Build default bindings from a scenario's promptVariables declaration
+ * @param {Array} promptVariables - [{ name, default, description }]
+ * @returns {Object} Map of variable name to default value
+ */
+export const getDefaultBindings = (promptVariables) => {
+  if (!Array.isArray(promptVariables)) {
+    return {};
+  }
+  return promptVariables.reduce((defaults, variable) => {
+    if (variable?.name && variable.default !== undefined && variable.default !== null) {
+      defaults[variable.name] = String(variable.default);
+    }
+    return defaults;
+  }, {});
+};
+
+/**
+ * Resolve the effective bindings for the given variable names
+ * Explicit bindings win over scenario defaults; empty strings fall back to the default
+ * @param {string[]} variableNames - Variables detected in the prompts
+ * @param {Object} bindings - User-provided bindings
+ * @param {Object} defaults - Scenario default bindings
+ * @returns {Object} Effective bindings limited to the detected variables
+ */
+export const getEffectiveBindings = (variableNames, bindings = {}, defaults = {}) => {
+  return variableNames.reduce((effective, name) => {
+    const value = bindings?.[name];
+    if (value !== undefined && value !== null && value !== '') {
+      effective[name] = value;
+    } else if (defaults?.[name] !== undefined) {
+      effective[name] = defaults[name];
+    }
+    return effective;
+  }, {});
+};
+
+/**
+ * Replace placeholders with bound values; unbound placeholders are left in place
+ * @param {string} text - Prompt template
+ * @param {Object} bindings - Map of variable name to value
+ * @returns {string} Resolved prompt
+ */
+export const resolvePromptTemplate = (text, bindings = {}) => {
+  if (typeof text !== 'string' || !text) {
+    return text || '';
+  }
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = bindings?.[name];
+    return value !== undefined && value !== null && value !== '' ? String(value) : placeholder;
+  });
+};
+
+/**
+ * List variables that have no value after applying bindings
+ * @param {string[]} variableNames - Variables detected in the prompts
+ * @param {Object} effectiveBindings - Bindings returned by getEffectiveBindings
+ * @returns {string[]} Names of unbound variables
+ */
+export const getUnboundVariables = (variableNames, effectiveBindings = {}) => {
+  return variableNames.filter(name => {
+    const value = effectiveBindings[name];
+    return value === undefined || value === null || value === '';
+  });
+};
+
+/**
+ * Create a stable identifier for a system/user template pair so history entries can be grouped
+ * @param {string} systemPromptTemplate - System prompt template
+ * @param {string} userPromptTemplate - User prompt template
+ * @returns {string} Template identifier
+ */
+export const createTemplateId = (systemPromptTemplate = '', userPromptTemplate = '') => {
+  const source = `${systemPromptTemplate}\u0000${userPromptTemplate}`;
+  let hash = 5381;
+  for (let i = 0; i < source.length; i++) {
+    hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+  }
+  return `tpl_${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * Build the template record stored with a test result, or null if the prompts have no variables
+ * @param {string} systemPromptTemplate - System prompt as written in the editor
+ * @param {string} userPromptTemplate - User prompt as written in the editor
+ * @param {Object} effectiveBindings - Bindings used for the run
+ * @returns {Object|null} { templateId, systemPrompt, userPrompt, bindings }
+ */
+export const createPromptTemplateRecord = (systemPromptTemplate, userPromptTemplate, effectiveBindings) => {
+  if (extractTemplateVariables(systemPromptTemplate, userPromptTemplate).length === 0) {
+    return null;
+  }
+  return {
+    templateId: createTemplateId(systemPromptTemplate, userPromptTemplate),
+    systemPrompt: systemPromptTemplate || '',
+    userPrompt: userPromptTemplate || '',
+    bindings: { ...effectiveBindings }
+  };
+};
+
+/**
+ * Format bindings as a short summary string
+ * @param {Object} bindings - Map of variable name to value
+ * @returns {string} Summary such as "orderId=B456, tier=VIP"
+ */
+export const formatBindings = (bindings) => {
+  if (!bindings || typeof bindings !== 'object') {
+    return '';
+  }
+  return Object.entries(bindings)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(', ');
+};
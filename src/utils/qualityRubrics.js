@@ -0,0 +1,144 @@
+/**
+ * Quality rubric utilities
+ * Named rubrics an LLM judge scores a single run against, criterion by criterion
+ *
+ * Rubric format (scenario.json → rubrics, or Settings → Grading):
+ *   {
+ *     "id": "resolution-quality",
+ *     "name": "Resolution quality",
+ *     "scale": { "min": 1, "max": 5 },
+ *     "criteria": [
+ *       { "id": "accuracy", "name": "Accuracy", "description": "Facts match the data", "weight": 2 },
+ *       { "id": "tone", "name": "Tone", "description": "Professional and empathetic", "weight": 1 }
+ *     ]
+ *   }
+ *
+ * Weights are relative; the overall score is the weighted mean of the criterion scores.
+ */
+
+export const DEFAULT_RUBRIC = {
+  id: 'general-quality',
+  name: 'General quality',
+  description: 'Built-in rubric for any scenario',
+  scale: { min: 1, max: 5 },
+  criteria: [
+    {
+      id: 'correctness',
+      name: 'Correctness',
+      description: 'Claims and conclusions are supported by the prompt, the data and the tool results',
+      weight: 3
+    },
+    {
+      id: 'completeness',
+      name: 'Completeness',
+      description: 'Addresses every part of the request without leaving required steps undone',
+      weight: 2
+    },
+    {
+      id: 'instruction-following',
+      name: 'Instruction following',
+      description: 'Follows the system prompt\'s rules, format and scope',
+      weight: 2
+    },
+    {
+      id: 'clarity',
+      name: 'Clarity',
+      description: 'Well organized, concise and easy to act on',
+      weight: 1
+    }
+  ]
+};
+
+/**
+ * Validate a single rubric definition
+ * @param {Object} rubric - Rubric definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateRubric = (rubric) => {
+  const errors = [];
+
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+    return ['must be an object'];
+  }
+
+  if (typeof rubric.id !== 'string' || !rubric.id.trim()) {
+    errors.push('id is required and must be a non-empty string');
+  }
+
+  if (typeof rubric.name !== 'string' || !rubric.name.trim()) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  if (rubric.scale !== undefined) {
+    const { min, max } = rubric.scale || {};
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+      errors.push('scale must have numeric min and max with min below max');
+    }
+  }
+
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    errors.push('criteria must be a non-empty array');
+    return errors;
+  }
+
+  const criterionIds = new Set();
+  rubric.criteria.forEach((criterion, index) => {
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`criterion ${index + 1} must be an object`);
+      return;
+    }
+    if (typeof criterion.id !== 'string' || !criterion.id.trim()) {
+      errors.push(`criterion ${index + 1} needs an id`);
+    } else if (criterionIds.has(criterion.id)) {
+      errors.push(`criterion id "${criterion.id}" is used more than once`);
+    } else {
+      criterionIds.add(criterion.id);
+    }
+    if (typeof criterion.name !== 'string' || !criterion.name.trim()) {
+      errors.push(`criterion ${index + 1} needs a name`);
+    }
+    if (criterion.weight !== undefined && (!Number.isFinite(criterion.weight) || criterion.weight <= 0)) {
+      errors.push(`criterion ${index + 1} weight must be a positive number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Get a rubric's scoring scale
+ * @param {Object} rubric - Rubric definition
+ * @returns {{ min: number, max: number }} Scale, 1-5 when the rubric doesn't set one
+ */
+export const getRubricScale = (rubric) => rubric?.scale || DEFAULT_RUBRIC.scale;
+
+/**
+ * Combine per-criterion scores into the rubric's overall score
+ * @param {Array} criteria - Scored criteria: { score, weight }; unscored criteria are skipped
+ * @param {Object} scale - Rubric scale { min, max }
+ * @returns {Object|null} { score, normalizedScore } where normalizedScore is 0-1, or null when nothing was scored
+ */
+export const calculateRubricScore = (criteria, scale) => {
+  const scored = criteria.filter(criterion => Number.isFinite(criterion.score));
+  const totalWeight = scored.reduce((sum, criterion) => sum + (criterion.weight || 1), 0);
+  if (totalWeight === 0) {
+    return null;
+  }
+
+  const score = scored.reduce((sum, criterion) => sum + criterion.score * (criterion.weight || 1), 0) / totalWeight;
+  return {
+    score: Math.round(score * 100) / 100,
+    normalizedScore: Math.round(((score - scale.min) / (scale.max - scale.min)) * 100) / 100
+  };
+};
+
+/**
+ * Quality bands used to filter and color graded runs
+ * @param {number} normalizedScore - Overall score on a 0-1 scale
+ * @returns {'high'|'medium'|'low'} Quality band
+ */
+export const getQualityBand = (normalizedScore) => {
+  if (normalizedScore >= 0.8) return 'high';
+  if (normalizedScore >= 0.5) return 'medium';
+  return 'low';
+};
@@ -0,0 +1,289 @@
+/**
+ * Response clustering utilities
+ * Groups a determinism evaluation's responses by the tool calls they made and by the
+ * decision they reached, so a minority behaviour (2 runs in 10 taking a different action)
+ * shows up as its own cluster instead of disappearing into a unique-response count.
+ *
+ * Tool-call sequences are compared by tool name and identifying arguments only (IDs, enum
+ * choices, flags), so differently worded reasons don't split runs that took the same actions.
+ * Decisions are compared as normalized text: lower-cased, numbers masked and punctuation
+ * dropped, then grouped by word overlap.
+ */
+
+// Word-set overlap at which two decisions count as the same
+const DECISION_SIMILARITY_THRESHOLD = 0.6;
+
+// Diffs are line-based; longer responses are cut so the LCS table stays small
+const MAX_DIFF_LINES = 200;
+
+const MAX_REPRESENTATIVE_CHARS = 4000;
+
+// Arguments that explain or annotate a call rather than say what it acts on; meta holds per-call request IDs
+const FREE_TEXT_ARGUMENT = /^meta$|reason|notes?$|description|comment|message|summary|explanation|justification/i;
+
+// Sentences with one of these words state what the model decided or did
+const DECISION_KEYWORDS = /\b(recommend|recommended|conclude|concluded|should|decide|decided|decision|approve|approved|deny|denied|reject|rejected|flag|flagged|escalate|escalated|expedite|expedited|hold|held|refund|refunded|cancel|cancelled|block|blocked|fraud|legitimate|no action)\b/i;
+
+export const CLUSTER_DIMENSIONS = {
+  toolCalls: 'Tool-call sequence',
+  decision: 'Decision'
+};
+
+const getResponseText = (response) =>
+  (typeof response === 'string' ? response : response?.text || '').trim();
+
+const getToolCalls = (response) =>
+  (typeof response === 'object' && response?.toolUsage?.toolCalls) || [];
+
+/**
+ * Stable JSON with sorted keys, so argument order doesn't split a cluster
+ * @private
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * One line per tool call: name and arguments
+ * @param {Object} call - Tool call from toolUsage.toolCalls
+ * @returns {string} Call signature
+ */
+export const formatToolCall = (call) =>
+  `${call.toolName || 'unknown'}(${stableStringify(call.input ?? call.parameters ?? {})})`;
+
+/**
+ * The parts of a tool argument that identify what a call acts on: single-token strings (IDs and
+ * enum values) and booleans, keeping the structure of arrays and objects around them. Free text,
+ * numbers such as scores and amounts, and free-text fields are dropped.
+ * @private
+ */
+const getIdentifyingArguments = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(getIdentifyingArguments).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !FREE_TEXT_ARGUMENT.test(key))
+        .map(([key, item]) => [key, getIdentifyingArguments(item)])
+        .filter(([, item]) => item !== undefined)
+    );
+  }
+  if (typeof value === 'string') {
+    return /\s/.test(value.trim()) ? undefined : value.trim();
+  }
+  return typeof value === 'boolean' ? value : undefined;
+};
+
+/**
+ * Cluster key of a tool call: name and identifying arguments
+ * @param {Object} call - Tool call from toolUsage.toolCalls
+ * @returns {string} Call key
+ */
+export const getToolCallKey = (call) =>
+  `${call.toolName || 'unknown'}(${stableStringify(getIdentifyingArguments(call.input ?? call.parameters ?? {}))})`;
+
+/**
+ * Normalize text for comparison
+ * @param {string} text - Raw text
+ * @returns {string} Lower-cased text with numbers masked and punctuation removed
+ */
+export const normalizeText = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/\d+(\.\d+)?/g, '#')
+    .replace(/[^a-z#\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const splitSentences = (text) =>
+  text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+
+/**
+ * The sentences of a response that state a decision, or the whole response when none do
+ * @param {string} text - Response text
+ * @returns {string} Normalized decision text
+ */
+export const extractDecisionText = (text) => {
+  const decisions = splitSentences(text).filter(sentence => DECISION_KEYWORDS.test(sentence));
+  return normalizeText(decisions.length > 0 ? decisions.join(' ') : text);
+};
+
+const jaccardSimilarity = (wordsA, wordsB) => {
+  if (wordsA.size === 0 && wordsB.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Line diff of two string arrays via longest common subsequence
+ * @param {Array<string>} baseLines - Lines of the majority cluster's representative
+ * @param {Array<string>} otherLines - Lines of the cluster being compared
+ * @returns {Array<Object>} [{ type: 'same'|'removed'|'added', text }]
+ */
+export const diffLines = (baseLines, otherLines) => {
+  const a = baseLines.slice(0, MAX_DIFF_LINES);
+  const b = otherLines.slice(0, MAX_DIFF_LINES);
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] });
+    } else {
+      diff.push({ type: 'added', text: b[j++] });
+    }
+  }
+  a.slice(i).forEach(text => diff.push({ type: 'removed', text }));
+  b.slice(j).forEach(text => diff.push({ type: 'added', text }));
+  return diff;
+};
+
+/**
+ * Group response indexes by tool-call sequence (names and identifying arguments, in call order)
+ * @private
+ */
+const groupByToolCalls = (responses) => {
+  const groups = new Map();
+  responses.forEach((response, index) => {
+    const calls = getToolCalls(response);
+    const key = calls.length > 0 ? calls.map(getToolCallKey).join('\n') : '';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label: calls.length > 0 ? calls.map(call => call.toolName || 'unknown').join(' → ') : 'No tool calls',
+        indexes: []
+      });
+    }
+    groups.get(key).indexes.push(index);
+  });
+
+  // Every member shares the actions, so the first run represents them with its full arguments
+  return [...groups.values()].map(group => ({ ...group, representativeIndex: group.indexes[0] }));
+};
+
+/**
+ * Group response indexes by decision text, joining each response to the first cluster it resembles
+ * @private
+ */
+const groupByDecision = (responses) => {
+  const decisions = responses.map(response => extractDecisionText(getResponseText(response)));
+  const wordSets = decisions.map(decision => new Set(decision.split(' ').filter(Boolean)));
+  const groups = [];
+
+  wordSets.forEach((words, index) => {
+    const match = groups.find(group => jaccardSimilarity(wordSets[group.indexes[0]], words) >= DECISION_SIMILARITY_THRESHOLD);
+    if (match) {
+      match.indexes.push(index);
+    } else {
+      groups.push({ indexes: [index] });
+    }
+  });
+
+  return groups.map(group => {
+    // The member closest to the rest of its cluster represents it
+    let representativeIndex = group.indexes[0];
+    let bestSimilarity = -1;
+    group.indexes.forEach(candidate => {
+      const similarity = group.indexes.reduce(
+        (sum, other) => sum + jaccardSimilarity(wordSets[candidate], wordSets[other]),
+        0
+      );
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        representativeIndex = candidate;
+      }
+    });
+
+    const decision = decisions[representativeIndex];
+    return {
+      key: decision,
+      label: decision.length > 80 ? `${decision.slice(0, 80)}…` : decision || '(empty response)',
+      indexes: group.indexes,
+      representativeIndex
+    };
+  });
+};
+
+const getDiffLines = (response, dimension) => (
+  dimension === 'toolCalls'
+    ? getToolCalls(response).map(formatToolCall)
+    : splitSentences(getResponseText(response))
+);
+
+/**
+ * Cluster responses along one dimension
+ * @param {Array<string|Object>} responses - Responses in run order (index 0 is the original run)
+ * @param {string} dimension - 'toolCalls' or 'decision'
+ * @returns {Array<Object>} Clusters, largest first: { id, label, size, share, responseIndexes,
+ *   isMajority, representative: { index, text, toolCalls }, diff } where diff compares the
+ *   representative with the majority cluster's (null for the majority itself)
+ */
+export const clusterResponses = (responses, dimension) => {
+  const groups = dimension === 'toolCalls' ? groupByToolCalls(responses) : groupByDecision(responses);
+  groups.sort((a, b) => b.indexes.length - a.indexes.length || a.indexes[0] - b.indexes[0]);
+
+  const majorityResponse = responses[groups[0]?.representativeIndex];
+  const majorityLines = majorityResponse ? getDiffLines(majorityResponse, dimension) : [];
+
+  return groups.map((group, position) => {
+    const representative = responses[group.representativeIndex];
+    const text = getResponseText(representative);
+
+    return {
+      id: `${dimension}-${position + 1}`,
+      label: group.label,
+      size: group.indexes.length,
+      share: group.indexes.length / responses.length,
+      responseIndexes: group.indexes,
+      isMajority: position === 0,
+      representative: {
+        index: group.representativeIndex,
+        text: text.length > MAX_REPRESENTATIVE_CHARS ? `${text.slice(0, MAX_REPRESENTATIVE_CHARS)}…` : text,
+        toolCalls: getToolCalls(representative).map(call => ({ toolName: call.toolName, input: call.input ?? call.parameters ?? {} }))
+      },
+      diff: position === 0 ? null : diffLines(majorityLines, getDiffLines(representative, dimension))
+    };
+  });
+};
+
+/**
+ * Cluster responses by tool-call sequence and by decision
+ * @param {Array<string|Object>} responses - Responses in run order
+ * @returns {Object|null} { responseCount, toolCalls, decision }, or null with fewer than two responses
+ */
+export const clusterDeterminismResponses = (responses) => {
+  const valid = (responses || []).filter(response => response && !response.wasAbandoned);
+  if (valid.length < 2) {
+    return null;
+  }
+
+  return {
+    responseCount: valid.length,
+    toolCalls: clusterResponses(valid, 'toolCalls'),
+    decision: clusterResponses(valid, 'decision')
+  };
+};
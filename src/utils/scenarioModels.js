@@ -3,6 +3,11 @@
  * Provides validation, metadata extraction, and default scenario creation
  */
 
+import { ASSERTION_TYPES, validateAssertion } from './exampleAssertions.js';
+import { PROBE_EXPECTATIONS, PROBE_SOURCES, validateProbe } from './guardrailProbes.js';
+import { validateRubric } from './qualityRubrics.js';
+import { validateGroundTruth } from './groundTruthScoring.js';
+
 /**
  * Validate a scenario object against the expected schema
  * @param {Object} scenarioData - The scenario data to validate
@@ -114,6 +119,32 @@ export function validateScenario(scenarioData) {
       }
     }
 
+    // Validate prompt template variables if present
+    if (scenarioData.promptVariables !== undefined) {
+      if (!Array.isArray(scenarioData.promptVariables)) {
+        errors.promptVariables = 'Prompt variables must be an array';
+      } else {
+        const variableErrors = [];
+        scenarioData.promptVariables.forEach((variable, index) => {
+          const variableValidation = validatePromptVariable(variable, index);
+          if (!variableValidation.isValid) {
+            variableErrors.push(`Prompt variable ${index + 1}: ${variableValidation.errors.join(', ')}`);
+          }
+        });
+
+        if (variableErrors.length > 0) {
+          errors.promptVariables = variableErrors.join('; ');
+        }
+
+        // Check for duplicate variable names
+        const variableNames = scenarioData.promptVariables.map(v => v?.name).filter(Boolean);
+        const duplicateNames = variableNames.filter((name, index) => variableNames.indexOf(name) !== index);
+        if (duplicateNames.length > 0) {
+          errors.promptVariables = (errors.promptVariables || '') + '; Duplicate prompt variable names: ' + duplicateNames.join(', ');
+        }
+      }
+    }
+
     // Validate tools if present
     if (scenarioData.tools !== undefined) {
       if (!Array.isArray(scenarioData.tools)) {
@@ -168,6 +199,59 @@ export function validateScenario(scenarioData) {
       }
     }
 
+    // Validate guardrail probes if present
+    if (scenarioData.guardrailProbes !== undefined) {
+      if (!Array.isArray(scenarioData.guardrailProbes)) {
+        errors.guardrailProbes = 'Guardrail probes must be an array';
+      } else {
+        const probeErrors = [];
+        scenarioData.guardrailProbes.forEach((probe, index) => {
+          const errorsForProbe = validateProbe(probe);
+          if (errorsForProbe.length > 0) {
+            probeErrors.push(`Probe ${index + 1}: ${errorsForProbe.join(', ')}`);
+          }
+        });
+
+        if (probeErrors.length > 0) {
+          errors.guardrailProbes = probeErrors.join('; ');
+        }
+      }
+    }
+
+    // Validate quality rubrics if present
+    if (scenarioData.rubrics !== undefined) {
+      if (!Array.isArray(scenarioData.rubrics)) {
+        errors.rubrics = 'Rubrics must be an array';
+      } else {
+        const rubricErrors = [];
+        scenarioData.rubrics.forEach((rubric, index) => {
+          const errorsForRubric = validateRubric(rubric);
+          if (errorsForRubric.length > 0) {
+            rubricErrors.push(`Rubric ${index + 1}: ${errorsForRubric.join(', ')}`);
+          }
+        });
+
+        if (rubricErrors.length > 0) {
+          errors.rubrics = rubricErrors.join('; ');
+        }
+      }
+    }
+
+    // Validate ground-truth labels if present
+    if (scenarioData.groundTruth !== undefined) {
+      const groundTruthErrors = validateGroundTruth(scenarioData.groundTruth);
+      if (groundTruthErrors.length > 0) {
+        errors.groundTruth = groundTruthErrors.join(', ');
+      } else if (Array.isArray(scenarioData.datasets)) {
+        const unknownDatasets = scenarioData.groundTruth.datasets.filter(
+          datasetId => !scenarioData.datasets.some(dataset => dataset.id === datasetId)
+        );
+        if (unknownDatasets.length > 0) {
+          errors.groundTruth = `Unknown datasets: ${unknownDatasets.join(', ')}`;
+        }
+      }
+    }
+
     // Skip guardrails validation - guardrails are optional
     // Note: Guardrails validation has been removed as requested
 
@@ -260,6 +344,38 @@ function validatePrompt(prompt, index, type) {
   };
 }
 
+/**
+ * Validate a prompt template variable declaration
+ * @param {Object} variable - The variable to validate ({ name, default, description })
+ * @param {number} index - The index of the variable in the array
+ * @returns {Object} Validation result
+ */
+function validatePromptVariable(variable, index) {
+  const errors = [];
+
+  if (!variable || typeof variable !== 'object') {
+    errors.push('must be an object');
+    return { isValid: false, errors };
+  }
+
+  if (!variable.name || typeof variable.name !== 'string' || !/^[A-Za-z_][\w.-]*$/.test(variable.name)) {
+    errors.push('name is required and must start with a letter or underscore and contain only letters, digits, _, - or .');
+  }
+
+  if (variable.default !== undefined && typeof variable.default !== 'string') {
+    errors.push('default must be a string if provided');
+  }
+
+  if (variable.description !== undefined && typeof variable.description !== 'string') {
+    errors.push('description must be a string if provided');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate a tool object
  * @param {Object} tool - The tool to validate
@@ -398,6 +514,30 @@ function validateExample(example, index) {
     errors.push('expectedOutcome must be a non-empty string if provided');
   }
 
+  if (example.promptBindings !== undefined) {
+    if (!example.promptBindings || typeof example.promptBindings !== 'object' || Array.isArray(example.promptBindings)) {
+      errors.push('promptBindings must be an object if provided');
+    } else {
+      Object.entries(example.promptBindings).forEach(([name, value]) => {
+        if (typeof value !== 'string') {
+          errors.push(`promptBindings.${name} must be a string`);
+        }
+      });
+    }
+  }
+
+  if (example.assertions !== undefined) {
+    if (!Array.isArray(example.assertions)) {
+      errors.push('assertions must be an array if provided');
+    } else {
+      example.assertions.forEach((assertion, assertionIndex) => {
+        validateAssertion(assertion).forEach(error => {
+          errors.push(`assertions[${assertionIndex}] ${error}`);
+        });
+      });
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors
@@ -460,6 +600,9 @@ export function extractScenarioMetadata(scenarioData) {
     // Example information
     hasExamples: !!(scenarioData.examples && scenarioData.examples.length > 0),
     exampleCount: scenarioData.examples ? scenarioData.examples.length : 0,
+    guardrailProbeCount: scenarioData.guardrailProbes ? scenarioData.guardrailProbes.length : 0,
+    rubricCount: scenarioData.rubrics ? scenarioData.rubrics.length : 0,
+    labelledDatasetCount: scenarioData.groundTruth?.datasets ? scenarioData.groundTruth.datasets.length : 0,
 
     // Guardrail information
     hasGuardrails: !!scenarioData.guardrails && (
@@ -638,6 +781,18 @@ export function createScenarioSchema() {
           }
         }
       },
+      promptVariables: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', pattern: '^[A-Za-z_][\\w.-]*$' },
+            default: { type: 'string' },
+            description: { type: 'string' }
+          }
+        }
+      },
       tools: {
         type: 'array',
         items: {
@@ -675,7 +830,77 @@ export function createScenarioSchema() {
             systemPrompt: { type: 'string' },
             userPrompt: { type: 'string' },
             dataset: { type: 'string' },
-            expectedOutcome: { type: 'string' }
+            expectedOutcome: { type: 'string' },
+            promptBindings: {
+              type: 'object',
+              additionalProperties: { type: 'string' }
+            },
+            assertions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: { type: 'string', enum: ASSERTION_TYPES },
+                  tool: { type: 'string' },
+                  minCount: { type: 'integer', minimum: 1 },
+                  arg: { type: 'string' },
+                  value: {},
+                  pattern: { type: 'string' },
+                  flags: { type: 'string' },
+                  description: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      guardrailProbes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['prompt', 'expect'],
+          properties: {
+            prompt: { type: 'string', minLength: 1 },
+            expect: { type: 'string', enum: PROBE_EXPECTATIONS },
+            sources: {
+              type: 'array',
+              items: { type: 'string', enum: PROBE_SOURCES }
+            },
+            category: { type: 'string' }
+          }
+        }
+      },
+      rubrics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'criteria'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            scale: {
+              type: 'object',
+              properties: {
+                min: { type: 'number' },
+                max: { type: 'number' }
+              }
+            },
+            criteria: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                  id: { type: 'string', minLength: 1 },
+                  name: { type: 'string', minLength: 1 },
+                  description: { type: 'string' },
+                  weight: { type: 'number', minimum: 0 }
+                }
+              }
+            }
           }
         }
       },
@@ -0,0 +1,388 @@
+/**
+ * Synthetic dataset utilities
+ * Infer the schema of a scenario's data, build the prompts that ask a model for new rows in
+ * that schema, and check the rows it returns before they are saved as a dataset.
+ *
+ * A schema comes from one of the scenario's datasets (CSV, TSV or JSON records) or from its
+ * seed-data.json, whose first collection holds the records (an array, or an object of records
+ * keyed by ID). Every generated row also carries a label column saying what the row represents,
+ * so the dataset can be evaluated against what the brief asked for.
+ *
+ * Prompts contain nothing but the generation spec (brief, seed, row range), and the model is
+ * called at temperature 0, so the same spec regenerates the same dataset as far as the model
+ * itself is deterministic.
+ */
+
+import { parseDatasetRows, formatDelimitedRow } from './datasetRows.js';
+import { inferColumnType } from './datasetImport.js';
+
+/**
+ * Most rows requested per model call
+ */
+export const GENERATION_BATCH_ROWS = 50;
+
+/**
+ * Most rows one generated dataset can have
+ */
+export const MAX_GENERATED_ROWS = 1000;
+
+/**
+ * Output tokens a batch is sized to fit in, leaving headroom under the default 4,000 token limit
+ */
+export const BATCH_OUTPUT_TOKENS = 3000;
+
+/**
+ * Label column added when the schema has none of its own
+ */
+export const DEFAULT_LABEL_COLUMN = 'label';
+
+// Text columns with at most this many distinct values are described by their values
+const MAX_ENUM_VALUES = 15;
+
+const EXAMPLE_ROWS = 3;
+
+export const GENERATOR_SYSTEM_PROMPT = `You generate realistic synthetic test data for evaluating AI agents.
+
+Rules:
+- Follow the column list exactly: every row has every column, spelled as given, and no other fields
+- Match each column's type and the style of the example rows (ID formats, units, value ranges, casing)
+- Follow the brief's size, mix and proportions; rows that the brief asks to be unusual must be plausible but detectable
+- Never copy the example rows
+- Use the generation seed and row range you are given to choose values, so the same request always yields the same rows
+
+Required JSON response format:
+{
+  "rows": [
+    { "column_name": "value" }
+  ]
+}`;
+
+const getValueKind = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Records of a seed-data.json file
+ * @param {Object} seedData - Parsed seed data
+ * @returns {Object} { collection, records } for the first collection of records
+ * @throws {Error} When the seed data holds no records
+ */
+export const getSeedRecords = (seedData) => {
+  const entry = Object.entries(seedData || {}).find(([, value]) =>
+    (Array.isArray(value) && value.length > 0) ||
+    (value && typeof value === 'object' && Object.values(value).some(record => record && typeof record === 'object')));
+
+  if (!entry) {
+    throw new Error('The seed data has no records to take a schema from');
+  }
+
+  const [collection, value] = entry;
+  const records = (Array.isArray(value) ? value : Object.values(value))
+    .filter(record => record && typeof record === 'object' && !Array.isArray(record));
+  return { collection, records };
+};
+
+/**
+ * Infer a schema from the rows of a dataset
+ * @param {Array<Object>} rows - Parsed rows ({ values })
+ * @param {string} format - 'delimited' or 'json'
+ * @param {string[]} names - Column names in order
+ * @returns {Array<Object>} Columns [{ name, type, nullable, values, min, max }]
+ * @private
+ */
+const inferColumns = (rows, format, names) =>
+  names.map(name => {
+    const values = rows.map(row => row.values[name]);
+    const filled = values.filter(value => value !== null && value !== undefined && value !== '');
+
+    let type;
+    if (format === 'json') {
+      const kinds = [...new Set(filled.map(getValueKind))];
+      type = kinds.length === 1 ? kinds[0] : kinds.length === 0 ? 'null' : 'mixed';
+    } else {
+      type = inferColumnType(values);
+    }
+
+    const column = { name, type, nullable: filled.length < values.length, values: null, min: null, max: null };
+
+    if (['integer', 'number'].includes(type)) {
+      const numbers = filled.map(Number);
+      column.min = numbers.reduce((min, value) => Math.min(min, value), Infinity);
+      column.max = numbers.reduce((max, value) => Math.max(max, value), -Infinity);
+    } else if (['text', 'string', 'boolean'].includes(type)) {
+      const distinct = [...new Set(filled.map(String))];
+      // Mostly-unique columns (IDs, free text) are described by examples instead
+      if (distinct.length <= MAX_ENUM_VALUES && distinct.length < filled.length / 2) {
+        column.values = distinct.sort();
+      }
+    }
+    return column;
+  });
+
+/**
+ * Infer the schema of dataset content or seed records
+ * @param {Object} source - { content } for a dataset, or { records } for seed data
+ * @param {Object} options - { idColumn, labelColumn } known ID and label columns
+ * @returns {Object} { format, columns, examples, idColumn, labelColumn, wrapperKey }
+ * @throws {Error} When the source has no rows
+ */
+export const inferGenerationSchema = (source, options = {}) => {
+  const parsed = source.records
+    ? {
+      format: 'json',
+      wrapperKey: null,
+      columns: [...new Set(source.records.flatMap(record => Object.keys(record)))],
+      rows: source.records.map(record => ({ values: record, record }))
+    }
+    : parseDatasetRows(source.content);
+
+  if (parsed.rows.length === 0) {
+    throw new Error('The source has no rows to take a schema from');
+  }
+
+  const columns = inferColumns(parsed.rows, parsed.format, parsed.columns);
+
+  // A column whose values are all present and distinct identifies rows
+  const idColumn = options.idColumn && parsed.columns.includes(options.idColumn)
+    ? options.idColumn
+    : columns.find(column => {
+      const values = parsed.rows.map(row => row.values[column.name]);
+      return !column.nullable && ['text', 'string', 'integer', 'number'].includes(column.type) && new Set(values.map(String)).size === values.length;
+    })?.name || null;
+
+  const labelColumn = options.labelColumn || DEFAULT_LABEL_COLUMN;
+  if (!columns.some(column => column.name === labelColumn)) {
+    columns.push({
+      name: labelColumn,
+      type: parsed.format === 'json' ? 'string' : 'text',
+      nullable: false,
+      values: null,
+      min: null,
+      max: null,
+      added: true
+    });
+  }
+
+  return {
+    format: parsed.format,
+    wrapperKey: parsed.wrapperKey || null,
+    columns,
+    examples: parsed.rows.slice(0, EXAMPLE_ROWS).map(row => row.record || row.values),
+    idColumn,
+    labelColumn
+  };
+};
+
+const describeColumn = (column, schema) => {
+  const details = [column.type];
+  if (column.min !== null && column.max !== null) {
+    details.push(`${column.min} to ${column.max} in the source`);
+  }
+  if (column.values) {
+    details.push(`seen values: ${column.values.join(', ')}`);
+  }
+  if (column.nullable) {
+    details.push('may be empty');
+  }
+
+  let note = '';
+  if (column.name === schema.idColumn) {
+    note = ' — unique row ID';
+  } else if (column.name === schema.labelColumn) {
+    note = column.added
+      ? ' — label: a short snake_case name for what the row represents, "normal" for ordinary rows'
+      : ' — label column: set it truthfully for every row';
+  }
+  return `- ${column.name} (${details.join('; ')})${note}`;
+};
+
+/**
+ * Rows to request per model call, so a batch of rows the size of the examples fits the output limit
+ * @param {Object} schema - Schema from inferGenerationSchema
+ * @returns {number} Rows per batch, from 5 to GENERATION_BATCH_ROWS
+ */
+export const getBatchSize = (schema) => {
+  const exampleLength = schema.examples.reduce((total, example) => total + JSON.stringify(example).length, 0);
+  // Roughly four characters per token, plus the label column the examples may lack
+  const tokensPerRow = Math.ceil(exampleLength / Math.max(schema.examples.length, 1) / 4) + 10;
+  return Math.max(5, Math.min(GENERATION_BATCH_ROWS, Math.floor(BATCH_OUTPUT_TOKENS / tokensPerRow)));
+};
+
+/**
+ * Build the prompt for one batch of rows
+ * @param {Object} spec - { brief, seed, rowCount }
+ * @param {Object} schema - Schema from inferGenerationSchema
+ * @param {Object} batch - { start, count } rows of the dataset this batch covers
+ * @returns {string} User prompt
+ */
+export const buildGenerationPrompt = (spec, schema, batch) => {
+  const sections = [
+    `## Brief\n${spec.brief.trim()}`,
+    `## Columns\n${schema.columns.map(column => describeColumn(column, schema)).join('\n')}`,
+    `## Example rows (for format only)\n${JSON.stringify(schema.examples, null, 2)}`,
+    [
+      '## This request',
+      `The dataset has ${spec.rowCount} rows in total. Generate rows ${batch.start + 1} to ${batch.start + batch.count}: exactly ${batch.count} rows.`,
+      'Keep the proportions from the brief within this range as well as across the whole dataset.',
+      schema.idColumn ? `Number the ${schema.idColumn} values so they continue from row ${batch.start + 1} and never repeat.` : null,
+      `Generation seed: ${spec.seed}`
+    ].filter(Boolean).join('\n')
+  ];
+
+  return sections.join('\n\n');
+};
+
+/**
+ * Read the rows out of a generator response
+ * @param {string} text - Raw model response
+ * @returns {Array} Rows
+ * @throws {Error} When the response holds no rows array
+ */
+export const parseGeneratedRows = (text) => {
+  const start = (text || '').indexOf('{');
+  const end = (text || '').lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON found in the generator response');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Generator response is not valid JSON (it may have been cut off by the token limit): ${error.message}`);
+  }
+
+  if (!Array.isArray(data?.rows)) {
+    throw new Error('Generator response has no "rows" array');
+  }
+  return data.rows;
+};
+
+const TYPE_CHECKS = {
+  integer: value => inferColumnType([value]) === 'integer',
+  number: value => ['integer', 'number'].includes(inferColumnType([value])),
+  boolean: value => inferColumnType([value]) === 'boolean',
+  date: value => inferColumnType([value]) === 'date'
+};
+
+const matchesType = (column, value, format) => {
+  if (format === 'json') {
+    return ['mixed', 'null'].includes(column.type) || getValueKind(value) === column.type;
+  }
+  const check = TYPE_CHECKS[column.type];
+  return !check || check(typeof value === 'object' ? JSON.stringify(value) : String(value).trim());
+};
+
+/**
+ * Check generated rows against a schema
+ * Values of columns with known values are respelled to match them (e.g. true → True), fields
+ * outside the schema are dropped, and rows with missing, mistyped or repeated values are rejected
+ * @param {Array} rows - Rows from parseGeneratedRows
+ * @param {Object} schema - Schema from inferGenerationSchema
+ * @param {Object} options - { offset } index of the first row in the dataset; { seenIds } IDs
+ *   already used, updated in place
+ * @returns {Object} { valid, issues: [{ row, message }], droppedFields }
+ */
+export const validateGeneratedRows = (rows, schema, options = {}) => {
+  const { offset = 0, seenIds = new Set() } = options;
+  const valid = [];
+  const issues = [];
+  const droppedFields = new Set();
+
+  rows.forEach((row, index) => {
+    const rowNumber = offset + index + 1;
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      issues.push({ row: rowNumber, message: 'is not an object' });
+      return;
+    }
+
+    Object.keys(row)
+      .filter(key => !schema.columns.some(column => column.name === key))
+      .forEach(key => droppedFields.add(key));
+
+    const problems = [];
+    const record = {};
+    schema.columns.forEach(column => {
+      let value = row[column.name];
+      const isEmpty = value === null || value === undefined || value === '';
+
+      if (isEmpty) {
+        if (!column.nullable) {
+          problems.push(`${column.name} is missing`);
+        }
+        record[column.name] = schema.format === 'json' ? (value ?? null) : '';
+        return;
+      }
+
+      if (!matchesType(column, value, schema.format)) {
+        problems.push(`${column.name} should be ${column.type}, got ${JSON.stringify(value)}`);
+        return;
+      }
+
+      if (column.values && schema.format !== 'json') {
+        const known = column.values.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+        value = known ?? value;
+      }
+      record[column.name] = value;
+    });
+
+    if (schema.idColumn && problems.length === 0) {
+      const id = String(record[schema.idColumn]).trim();
+      if (seenIds.has(id)) {
+        problems.push(`${schema.idColumn} ${id} is repeated`);
+      }
+    }
+
+    if (problems.length > 0) {
+      issues.push({ row: rowNumber, message: problems.join('; ') });
+      return;
+    }
+
+    if (schema.idColumn) {
+      seenIds.add(String(record[schema.idColumn]).trim());
+    }
+    valid.push(record);
+  });
+
+  return { valid, issues, droppedFields: [...droppedFields] };
+};
+
+/**
+ * Format validated rows as dataset content in the source's format
+ * @param {Object} schema - Schema from inferGenerationSchema
+ * @param {Array<Object>} records - Validated rows
+ * @returns {string} CSV for delimited sources, a JSON array for JSON and seed sources
+ */
+export const formatGeneratedDataset = (schema, records) => {
+  if (schema.format === 'json') {
+    return JSON.stringify(schema.wrapperKey ? { [schema.wrapperKey]: records } : records, null, 2);
+  }
+
+  const names = schema.columns.map(column => column.name);
+  return [
+    formatDelimitedRow(names),
+    ...records.map(record => formatDelimitedRow(names.map(name => {
+      const value = record[name];
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    })))
+  ].join('\n') + '\n';
+};
+
+/**
+ * Count of rows per label value
+ * @param {Array<Object>} records - Validated rows
+ * @param {string} labelColumn - Label column
+ * @returns {Array<Object>} [{ value, count }] most common first
+ */
+export const countLabels = (records, labelColumn) => {
+  const counts = new Map();
+  records.forEach(record => {
+    const value = String(record[labelColumn] ?? '').trim() || '(empty)';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
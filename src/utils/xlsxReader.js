@@ -0,0 +1,213 @@
+/**
+ * XLSX reader
+ * Reads the cell values of an Excel workbook in the browser without a spreadsheet library:
+ * the .xlsx file is a zip archive of XML parts, unpacked with DecompressionStream and read
+ * with DOMParser. Only values are read (no formulas, formatting or merged cells); cells with a
+ * date format come back as ISO dates.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Built-in number formats that display dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * List the entries of a zip archive
+ * @private
+ */
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+
+  let eocd = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('The file is not a valid XLSX workbook');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xFFFFFFFF) {
+    throw new Error('Workbooks over 4 GB are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_ENTRY_SIGNATURE) {
+      throw new Error('The XLSX workbook is damaged');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  return entries;
+};
+
+/**
+ * Unpack one zip entry as text
+ * @private
+ */
+const readZipText = async (buffer, entry) => {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error('The XLSX workbook is damaged');
+  }
+  const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported XLSX compression method ${entry.method}`);
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack XLSX files; save the sheet as CSV instead');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// Workbook parts may use a namespace prefix, so match elements by local name
+const elements = (node, localName) => [...node.getElementsByTagNameNS('*', localName)];
+
+const columnIndex = (reference) => {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * Style indexes whose number format shows a date
+ * @private
+ */
+const getDateStyles = (stylesXml) => {
+  if (!stylesXml) return new Set();
+
+  const doc = parseXml(stylesXml);
+  const customDateFormats = new Set(
+    elements(doc, 'numFmt')
+      .filter(format => /[dmyhs]/i.test((format.getAttribute('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+      .map(format => Number(format.getAttribute('numFmtId')))
+  );
+
+  const cellXfs = elements(doc, 'cellXfs')[0];
+  const dateStyles = new Set();
+  if (cellXfs) {
+    elements(cellXfs, 'xf').forEach((xf, index) => {
+      const formatId = Number(xf.getAttribute('numFmtId'));
+      if (DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) {
+        dateStyles.add(index);
+      }
+    });
+  }
+  return dateStyles;
+};
+
+const formatExcelDate = (serial) => {
+  // Excel counts days from 1899-12-30 (its 1900 leap-year bug included)
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+};
+
+const readCell = (cell, sharedStrings, dateStyles) => {
+  const type = cell.getAttribute('t');
+  const valueNode = elements(cell, 'v')[0];
+  const value = valueNode ? valueNode.textContent : '';
+
+  switch (type) {
+    case 's': return sharedStrings[Number(value)] ?? '';
+    case 'inlineStr': return elements(cell, 't').map(node => node.textContent).join('');
+    case 'b': return value === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e': return value;
+    default: {
+      if (value === '') return '';
+      const style = Number(cell.getAttribute('s'));
+      return dateStyles.has(style) && Number.isFinite(Number(value)) ? formatExcelDate(Number(value)) : value;
+    }
+  }
+};
+
+/**
+ * Read every sheet of an XLSX workbook
+ * @param {ArrayBuffer} buffer - Workbook file contents
+ * @returns {Promise<Array<Object>>} Sheets in workbook order: [{ name, rows: string[][] }]
+ * @throws {Error} When the file is not a readable workbook
+ */
+export const readXlsxSheets = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const readPart = (path) => (entries.has(path) ? readZipText(buffer, entries.get(path)) : Promise.resolve(null));
+
+  const [workbookXml, relsXml, sharedStringsXml, stylesXml] = await Promise.all([
+    readPart('xl/workbook.xml'),
+    readPart('xl/_rels/workbook.xml.rels'),
+    readPart('xl/sharedStrings.xml'),
+    readPart('xl/styles.xml')
+  ]);
+  if (!workbookXml || !relsXml) {
+    throw new Error('The file is not a valid XLSX workbook');
+  }
+
+  // Rich-text strings split their text across runs; phonetic hints are not part of the value
+  const sharedStrings = sharedStringsXml
+    ? elements(parseXml(sharedStringsXml), 'si').map(item =>
+      elements(item, 't').filter(node => node.parentNode.localName !== 'rPh').map(node => node.textContent).join(''))
+    : [];
+  const dateStyles = getDateStyles(stylesXml);
+
+  const targets = new Map(
+    elements(parseXml(relsXml), 'Relationship').map(rel => [rel.getAttribute('Id'), rel.getAttribute('Target')])
+  );
+
+  const sheets = [];
+  for (const sheet of elements(parseXml(workbookXml), 'sheet')) {
+    const relationId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+      || sheet.getAttribute('r:id');
+    const target = targets.get(relationId);
+    if (!target) continue;
+
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    const sheetXml = await readPart(path);
+    if (!sheetXml) continue;
+
+    const rows = [];
+    elements(parseXml(sheetXml), 'row').forEach(row => {
+      const rowIndex = Number(row.getAttribute('r')) - 1;
+      const fields = [];
+      elements(row, 'c').forEach((cell, position) => {
+        const reference = cell.getAttribute('r');
+        fields[reference ? columnIndex(reference) : position] = readCell(cell, sharedStrings, dateStyles);
+      });
+      rows[Number.isInteger(rowIndex) && rowIndex >= 0 ? rowIndex : rows.length] = Array.from(fields, field => field ?? '');
+    });
+
+    const filled = Array.from(rows, row => row || []);
+    while (filled.length > 0 && filled[filled.length - 1].every(field => field === '')) {
+      filled.pop();
+    }
+    sheets.push({ name: sheet.getAttribute('name') || `Sheet${sheets.length + 1}`, rows: filled });
+  }
+
+  return sheets;
+};